@@ -19,13 +19,18 @@ export default [
         URL: 'readonly',
         URLSearchParams: 'readonly',
         Blob: 'readonly',
+        TextEncoder: 'readonly',
         Response: 'readonly',
         FileReader: 'readonly',
         Image: 'readonly',
         Audio: 'readonly',
+        MediaRecorder: 'readonly',
+        AudioContext: 'readonly',
         MutationObserver: 'readonly',
         IntersectionObserver: 'readonly',
         ResizeObserver: 'readonly',
+        Node: 'readonly',
+        NodeFilter: 'readonly',
         requestAnimationFrame: 'readonly',
         cancelAnimationFrame: 'readonly',
         caches: 'readonly',
@@ -0,0 +1,335 @@
+/**
+ * DictationPanel Component
+ * Dictation practice: the learner hears one segment of the HQ audio, types what
+ * they heard (romaji is converted to kana as they type), and gets a
+ * character-by-character diff plus a running score for the session.
+ */
+
+import { cancelAudio } from '../utils/audio.js';
+import { loadSegmentAudio, playSegment } from '../utils/segmentAudio.js';
+import { toKana } from '../utils/romaji.js';
+import { scoreDictation } from '../utils/dictation.js';
+import { expandReadings } from '../utils/furigana.js';
+import { createEventManager } from '../utils/componentBase.js';
+
+/**
+ * Helper: Format a 0-1 accuracy as a percentage
+ */
+const formatPercent = accuracy => `${Math.round(accuracy * 100)}%`;
+
+/**
+ * Helper: Render a diff as marked-up characters
+ * @param {Array} diff - Output of diffCharacters
+ */
+const renderDiff = diff => {
+  return diff
+    .map(op => {
+      if (op.type === 'wrong') {
+        return `<span class="dictation__char dictation__char--wrong" title="Expected ${op.expected}">${op.char}</span>`;
+      }
+      return `<span class="dictation__char dictation__char--${op.type}">${op.char}</span>`;
+    })
+    .join('');
+};
+
+/**
+ * Create the DictationPanel component
+ * @param {HTMLElement} container - The container element to mount into
+ * @param {Object} options
+ * @param {Object} options.story - Story being read
+ * @param {number} [options.startIndex=0] - First segment to dictate
+ * @param {Function} [options.onSegmentChange] - Called with the new segment index
+ * @param {Function} [options.onReveal] - Called with the indices of every checked segment
+ * @param {Function} [options.onClose] - Called when the user closes the panel
+ */
+const DictationPanel = (
+  container,
+  { story, startIndex = 0, onSegmentChange, onReveal, onClose }
+) => {
+  if (!container) {
+    return null;
+  }
+
+  const events = createEventManager();
+
+  // Internal State
+  let segmentIndex = startIndex;
+  let phase = 'loading'; // loading | unavailable | ready | summary
+  let segmentAudio = null;
+  let currentPlayback = null;
+  let playCount = 0;
+  let isDestroyed = false;
+  /** @type {Map<number, {input: string, result: Object}>} */
+  const attempts = new Map();
+
+  /**
+   * Initialize the component
+   */
+  const init = async () => {
+    render();
+    segmentAudio = await loadSegmentAudio(story);
+    if (isDestroyed) {
+      return;
+    }
+    phase = segmentAudio ? 'ready' : 'unavailable';
+    render();
+  };
+
+  /**
+   * Session totals over every checked segment
+   */
+  const getSessionScore = () => {
+    let correct = 0;
+    let total = 0;
+    let weighted = 0;
+    for (const { result } of attempts.values()) {
+      correct += result.correct;
+      total += result.total;
+      weighted += result.accuracy * result.total;
+    }
+    return { correct, total, accuracy: total > 0 ? weighted / total : 0 };
+  };
+
+  /**
+   * Render the panel UI
+   */
+  const render = () => {
+    const session = getSessionScore();
+    const isLast = segmentIndex === story.content.length - 1;
+
+    container.innerHTML = `
+      <div class="dictation">
+        <div class="dictation__header">
+          <h3 class="dictation__title">✍️ Dictation</h3>
+          ${
+            phase === 'ready'
+              ? `<span class="dictation__position">${segmentIndex + 1} / ${story.content.length}</span>`
+              : ''
+          }
+          <span class="dictation__score">
+            ${attempts.size > 0 ? `Score ${formatPercent(session.accuracy)}` : ''}
+          </span>
+          <button id="dictation-close" class="icon-btn" title="Close dictation">✕</button>
+        </div>
+        ${renderBody(isLast, session)}
+      </div>
+    `;
+
+    const input = container.querySelector('#dictation-input');
+    const attempt = attempts.get(segmentIndex);
+    if (input && attempt) {
+      input.value = attempt.input;
+    } else if (input) {
+      input.focus();
+    }
+  };
+
+  /**
+   * Body of the panel for the current phase
+   */
+  const renderBody = (isLast, session) => {
+    if (phase === 'loading') {
+      return `
+        <div class="dictation__status"><div class="loader-sm"></div> Loading audio...</div>
+      `;
+    }
+
+    if (phase === 'unavailable') {
+      return `
+        <p class="dictation__status">HQ audio for this story isn't downloaded yet. Try again once it has finished generating.</p>
+      `;
+    }
+
+    if (phase === 'summary') {
+      return `
+        <div class="dictation__summary">
+          <div class="dictation__summary-score">${formatPercent(session.accuracy)}</div>
+          <p class="dictation__summary-detail">
+            ${session.correct} / ${session.total} characters correct across ${attempts.size} segments
+          </p>
+          <ol class="dictation__summary-list">
+            ${Array.from(attempts.entries())
+              .sort(([a], [b]) => a - b)
+              .map(
+                ([index, { result }]) => `
+              <li class="dictation__summary-item">
+                <span class="jp-text">${story.content[index].jp}</span>
+                <span class="dictation__summary-accuracy">${formatPercent(result.accuracy)}</span>
+              </li>
+            `
+              )
+              .join('')}
+          </ol>
+          <button id="dictation-restart" class="btn btn--secondary btn--sm">↺ Start over</button>
+        </div>
+      `;
+    }
+
+    const attempt = attempts.get(segmentIndex);
+    const segment = story.content[segmentIndex];
+
+    return `
+      <div class="dictation__prompt">
+        <button id="dictation-play" class="btn btn--sm btn--accent">
+          🔊 ${playCount > 0 || attempt ? 'Play again' : 'Play segment'}
+        </button>
+        <span class="dictation__hint">Type in romaji or kana. CAPITALS give katakana.</span>
+      </div>
+
+      <form id="dictation-form" class="dictation__form">
+        <input
+          id="dictation-input"
+          class="form-input dictation__input jp-text"
+          type="text"
+          autocomplete="off"
+          autocapitalize="off"
+          spellcheck="false"
+          placeholder="聞こえた文を入力..."
+          ${attempt ? 'disabled' : ''}
+        >
+        ${
+          attempt
+            ? `<button type="button" id="dictation-next" class="btn btn--sm">${isLast ? 'Finish' : 'Next ▶'}</button>`
+            : '<button type="submit" class="btn btn--sm">Check</button>'
+        }
+      </form>
+
+      ${
+        attempt
+          ? `
+        <div class="dictation__result">
+          <div class="dictation__result-header">
+            <span class="dictation__result-label">Your answer</span>
+            <span class="dictation__result-accuracy">${formatPercent(attempt.result.accuracy)}</span>
+          </div>
+          <p class="dictation__diff jp-text">${renderDiff(attempt.result.diff)}</p>
+          <p class="dictation__answer jp-text">${segment.jp}</p>
+          <p class="dictation__answer-reading jp-text">${expandReadings(segment.jp, segment.readings)}</p>
+        </div>
+      `
+          : ''
+      }
+    `;
+  };
+
+  /**
+   * Attach the control listeners (delegated once: render() replaces the controls on
+   * every state change)
+   */
+  const bindControls = () => {
+    const handlers = {
+      'dictation-close': () => onClose?.(),
+      'dictation-play': playCurrent,
+      'dictation-next': goNext,
+      'dictation-restart': restart,
+    };
+
+    events.delegate(container, 'click', 'button[id^="dictation-"]', function () {
+      handlers[this.id]?.();
+    });
+
+    events.delegate(container, 'submit', '.dictation__form', e => {
+      e.preventDefault();
+      checkAnswer();
+    });
+
+    events.delegate(container, 'input', '.dictation__input', function (e) {
+      // Leave native IME composition alone
+      if (e.isComposing) {
+        return;
+      }
+      const converted = toKana(this.value);
+      if (converted !== this.value) {
+        this.value = converted;
+      }
+    });
+  };
+
+  /**
+   * Play the current segment (stopping anything already playing)
+   */
+  const playCurrent = () => {
+    cancelAudio(); // Never talk over the Reader's own playback
+    currentPlayback?.stop();
+    currentPlayback = playSegment(segmentAudio, segmentIndex);
+    playCount++;
+
+    const playBtn = container.querySelector('#dictation-play');
+    if (playBtn) {
+      playBtn.textContent = '🔊 Play again';
+    }
+    container.querySelector('#dictation-input')?.focus();
+  };
+
+  const checkAnswer = () => {
+    const input = container.querySelector('#dictation-input');
+    const value = toKana(input?.value || '', { final: true });
+    if (!value.trim()) {
+      return;
+    }
+
+    attempts.set(segmentIndex, {
+      input: value,
+      result: scoreDictation(value, story.content[segmentIndex]),
+    });
+    onReveal?.(Array.from(attempts.keys()));
+    render();
+  };
+
+  const goNext = () => {
+    if (segmentIndex === story.content.length - 1) {
+      currentPlayback?.stop();
+      phase = 'summary';
+      render();
+      return;
+    }
+    setSegment(segmentIndex + 1);
+    playCurrent(); // The click is a user gesture, so audio may start right away
+  };
+
+  const restart = () => {
+    attempts.clear();
+    onReveal?.([]);
+    phase = 'ready';
+    segmentIndex = -1;
+    setSegment(0);
+  };
+
+  /**
+   * Switch to another segment
+   * @param {number} index - Segment index
+   */
+  const setSegment = index => {
+    if (phase !== 'ready' || index < 0 || index >= story.content.length) {
+      return;
+    }
+    currentPlayback?.stop();
+    currentPlayback = null;
+    playCount = 0;
+    segmentIndex = index;
+    onSegmentChange?.(segmentIndex);
+    render();
+  };
+
+  /**
+   * Cleanup
+   */
+  const cleanup = () => {
+    isDestroyed = true;
+    currentPlayback?.stop();
+    events.cleanup();
+    container.innerHTML = '';
+  };
+
+  // Start initialization
+  bindControls();
+  init();
+
+  // Return public API
+  return {
+    setSegment,
+    cleanup,
+  };
+};
+
+export default DictationPanel;
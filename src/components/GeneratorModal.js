@@ -1,12 +1,21 @@
 /**
  * Generator Modal Component
- * AI-powered story creation with preview and loading states
+ * AI-powered story creation with preview and loading states.
+ * Stories are either generated from a topic or built from pasted Japanese text.
  */
 
-import { createStoryGenerationJob } from '../services/api.js';
+import { createStoryGenerationJob, createTextAnnotationJob } from '../services/api.js';
 import { toast } from './Toast.js';
 import { storyTopics } from '../data/storyTopics.js';
 import { createEventManager } from '../utils/componentBase.js';
+import { splitSentences, countCharacters } from '../utils/sentences.js';
+import { ANNOTATE_TEXT_LIMITS } from '../types.js';
+
+/** Submit button label per mode */
+const SUBMIT_LABELS = {
+  generate: 'Generate Story ✨',
+  paste: 'Annotate Text 📋',
+};
 
 /**
  * Create and show the story generator modal
@@ -27,38 +36,84 @@ const GeneratorModal = ({ onClose, onGenerate: _onGenerate }) => {
       
       <form id="generator-form" class="modal__body">
         <div class="form-group">
-          <label class="form-label" for="topic">
-            Topic / Theme
-            <span class="form-label__required">*</span>
-          </label>
-          <div class="input-with-action">
+          <div class="length-selector generator-mode">
+            <label class="length-option">
+              <input type="radio" name="mode" value="generate" checked>
+              <span class="length-option__btn">✨ Generate</span>
+            </label>
+            <label class="length-option">
+              <input type="radio" name="mode" value="paste">
+              <span class="length-option__btn">📋 Paste Text</span>
+            </label>
+          </div>
+        </div>
+
+        <div id="paste-fields" class="hidden">
+          <div class="form-group">
+            <label class="form-label" for="paste-title">
+              Title
+              <span class="form-label__optional">(optional)</span>
+            </label>
             <input
               type="text"
-              id="topic"
+              id="paste-title"
               class="form-input"
-              placeholder="e.g. A cat who loves sushi, A samurai's journey..."
-              required
+              placeholder="Leave empty to get a suggested title"
               maxlength="100"
             >
-            <button type="button" id="random-topic-btn" class="icon-btn random-btn" title="Get random topic">
-              🎲
-            </button>
           </div>
-          <div class="form-hint">What should the story be about?</div>
+
+          <div class="form-group">
+            <label class="form-label" for="paste-text">
+              Japanese Text
+              <span class="form-label__required">*</span>
+            </label>
+            <textarea
+              id="paste-text"
+              class="form-textarea generator-paste"
+              placeholder="Paste a news article, a blog post, song lyrics..."
+            ></textarea>
+            <div id="paste-hint" class="form-hint">
+              Split into one segment per sentence. Readings, translations, vocabulary and questions are added for you.
+            </div>
+          </div>
         </div>
+
+        <div id="generate-fields">
+          <div class="form-group">
+            <label class="form-label" for="topic">
+              Topic / Theme
+              <span class="form-label__required">*</span>
+            </label>
+            <div class="input-with-action">
+              <input
+                type="text"
+                id="topic"
+                class="form-input"
+                placeholder="e.g. A cat who loves sushi, A samurai's journey..."
+                required
+                maxlength="100"
+              >
+              <button type="button" id="random-topic-btn" class="icon-btn random-btn" title="Get random topic">
+                🎲
+              </button>
+            </div>
+            <div class="form-hint">What should the story be about?</div>
+          </div>
         
-        <div class="form-group">
-          <label class="form-label" for="instructions">
-            Style / Instructions
-            <span class="form-label__optional">(optional)</span>
-          </label>
-          <textarea 
-            id="instructions" 
-            class="form-textarea" 
-            placeholder="e.g. Make it funny and whimsical, use casual speech, include food vocabulary..."
-            maxlength="300"
-          ></textarea>
-          <div class="form-hint">Any specific style, tone, or vocabulary focus?</div>
+          <div class="form-group">
+            <label class="form-label" for="instructions">
+              Style / Instructions
+              <span class="form-label__optional">(optional)</span>
+            </label>
+            <textarea 
+              id="instructions" 
+              class="form-textarea" 
+              placeholder="e.g. Make it funny and whimsical, use casual speech, include food vocabulary..."
+              maxlength="300"
+            ></textarea>
+            <div class="form-hint">Any specific style, tone, or vocabulary focus?</div>
+          </div>
         </div>
         
         <div class="form-group">
@@ -107,7 +162,7 @@ const GeneratorModal = ({ onClose, onGenerate: _onGenerate }) => {
           </div>
         </div>
 
-        <div class="form-group">
+        <div id="length-group" class="form-group">
           <label class="form-label">Story Length</label>
           <div class="length-selector">
             <label class="length-option">
@@ -153,6 +208,14 @@ const GeneratorModal = ({ onClose, onGenerate: _onGenerate }) => {
   const loadingState = overlay.querySelector('#loading-state');
   const randomTopicBtn = overlay.querySelector('#random-topic-btn');
   const topicInput = overlay.querySelector('#topic');
+  const generateFields = overlay.querySelector('#generate-fields');
+  const pasteFields = overlay.querySelector('#paste-fields');
+  const lengthGroup = overlay.querySelector('#length-group');
+  const pasteInput = overlay.querySelector('#paste-text');
+  const pasteHint = overlay.querySelector('#paste-hint');
+  const pasteHintText = pasteHint.textContent.trim();
+
+  const getMode = () => overlay.querySelector('input[name="mode"]:checked').value;
 
   // Event manager for cleanup
   const events = createEventManager();
@@ -172,6 +235,36 @@ const GeneratorModal = ({ onClose, onGenerate: _onGenerate }) => {
   events.on(cancelBtn, 'click', close);
   events.on(closeBtn, 'click', close);
 
+  // Switch between generating from a topic and annotating pasted text
+  overlay.querySelectorAll('input[name="mode"]').forEach(radio => {
+    events.on(radio, 'change', () => {
+      const isPaste = getMode() === 'paste';
+      generateFields.classList.toggle('hidden', isPaste);
+      lengthGroup.classList.toggle('hidden', isPaste);
+      pasteFields.classList.toggle('hidden', !isPaste);
+      topicInput.required = !isPaste;
+      submitBtn.innerHTML = SUBMIT_LABELS[getMode()];
+      (isPaste ? pasteInput : topicInput).focus();
+    });
+  });
+
+  // Live sentence and character count for pasted text
+  events.on(pasteInput, 'input', () => {
+    const text = pasteInput.value;
+    if (!text.trim()) {
+      pasteHint.textContent = pasteHintText;
+      pasteHint.classList.remove('form-hint--error');
+      return;
+    }
+    const sentences = splitSentences(text).length;
+    const characters = countCharacters(text);
+    const tooLong =
+      characters > ANNOTATE_TEXT_LIMITS.maxCharacters ||
+      sentences > ANNOTATE_TEXT_LIMITS.maxSegments;
+    pasteHint.textContent = `${sentences} sentences · ${characters} / ${ANNOTATE_TEXT_LIMITS.maxCharacters} characters${tooLong ? ' – too long, try a shorter excerpt' : ''}`;
+    pasteHint.classList.toggle('form-hint--error', tooLong);
+  });
+
   // Random topic functionality
   events.on(randomTopicBtn, 'click', () => {
     const randomIndex = Math.floor(Math.random() * storyTopics.length);
@@ -213,16 +306,24 @@ const GeneratorModal = ({ onClose, onGenerate: _onGenerate }) => {
   events.on(form, 'submit', async e => {
     e.preventDefault();
 
+    const mode = getMode();
     const topic = document.getElementById('topic').value.trim();
     const instructions = document.getElementById('instructions').value.trim();
     const level = document.querySelector('input[name="level"]:checked').value;
     const length = document.querySelector('input[name="length"]:checked').value;
+    const pasteTitle = document.getElementById('paste-title').value.trim();
+    const pasteText = pasteInput.value;
 
-    if (!topic) {
+    if (mode === 'generate' && !topic) {
       toast.error('Please enter a topic for your story');
       return;
     }
 
+    if (mode === 'paste' && !pasteText.trim()) {
+      toast.error('Please paste some Japanese text');
+      return;
+    }
+
     // Show loading state
     form.querySelectorAll('input, textarea').forEach(el => (el.disabled = true));
     submitBtn.disabled = true;
@@ -231,7 +332,11 @@ const GeneratorModal = ({ onClose, onGenerate: _onGenerate }) => {
 
     try {
       // Create job (returns immediately with job ID)
-      await createStoryGenerationJob(topic, level, instructions, length);
+      if (mode === 'paste') {
+        await createTextAnnotationJob(pasteText, level, pasteTitle);
+      } else {
+        await createStoryGenerationJob(topic, level, instructions, length);
+      }
 
       // Show success message
       toast.success('Story queued! You can close this page.');
@@ -241,7 +346,7 @@ const GeneratorModal = ({ onClose, onGenerate: _onGenerate }) => {
       loadingState.innerHTML = `
         <div class="generator-loading__spinner generator-loading__spinner--success"></div>
         <div class="generator-loading__text">
-          <strong>Story is being generated!</strong>
+          <strong>${mode === 'paste' ? 'Text is being annotated!' : 'Story is being generated!'}</strong>
           <p>Check the Queue page to track progress</p>
         </div>
       `;
@@ -258,7 +363,7 @@ const GeneratorModal = ({ onClose, onGenerate: _onGenerate }) => {
       // Reset form
       form.querySelectorAll('input, textarea').forEach(el => (el.disabled = false));
       submitBtn.disabled = false;
-      submitBtn.innerHTML = 'Generate Story ✨';
+      submitBtn.innerHTML = SUBMIT_LABELS[mode];
       loadingState.classList.add('hidden');
     }
   });
@@ -32,6 +32,9 @@ const Header = parentElement => {
             Queue
             ${queueCount > 0 ? `<span class="nav-badge">${queueCount}</span>` : ''}
           </a>
+          <a href="#/review" class="nav-link">Review</a>
+          <a href="#/notes" class="nav-link">Notes</a>
+          <a href="#/grammar" class="nav-link">Grammar</a>
           <a href="#/kana" class="nav-link">Kana</a>
           <a href="#/settings" class="nav-link">Settings</a>
           
@@ -53,6 +56,9 @@ const Header = parentElement => {
           <a href="#/queue" class="mobile-menu__link">
             🎧 Queue ${queueCount > 0 ? `(${queueCount})` : ''}
           </a>
+          <a href="#/review" class="mobile-menu__link">🃏 Review</a>
+          <a href="#/notes" class="mobile-menu__link">🖍️ My Notes</a>
+          <a href="#/grammar" class="mobile-menu__link">📐 Grammar</a>
           <a href="#/kana" class="mobile-menu__link">🔤 Kana Chart</a>
           <a href="#/settings" class="mobile-menu__link">⚙️ Settings</a>
         </nav>
@@ -4,14 +4,63 @@
  * Refactored to use granular updates and avoid full DOM overwrites.
  */
 
-import { saveProgress, getSettings, saveSettings, getApiKeys } from '../utils/storage.js';
-import { playAudio, cancelAudio, isAudioAvailable, subscribeToProgress } from '../utils/audio.js';
+import {
+  saveProgress,
+  getSettings,
+  saveSettings,
+  getApiKeys,
+  isInDeck,
+  getStoryProgress,
+  saveDeckCard,
+  saveReadingSession,
+  getHighlights,
+  saveHighlight,
+  removeHighlight,
+} from '../utils/storage.js';
+import {
+  playAudio,
+  cancelAudio,
+  isAudioAvailable,
+  subscribeToProgress,
+  getSegmentTimings,
+  clearSegmentTimings,
+  estimateSegmentTimings,
+  findSegmentAtTime,
+  seekTo,
+  isPaused,
+  togglePause,
+} from '../utils/audio.js';
 import { createEventManager } from '../utils/componentBase.js';
 import { KANA_DATA } from '../data/kana.js';
 import { getCachedImage, cacheImage } from '../utils/imageStorage.js';
-import { createAudioGenerationJob } from '../services/api.js';
+import { createAudioGenerationJob, createFuriganaRepairJob } from '../services/api.js';
 import { supabase } from '../utils/supabase.js';
+import { createCard, getCardId } from '../utils/srs.js';
+import { lookupWord, formatPartOfSpeech, formatInflection } from '../utils/dictionary.js';
+import { renderRuby, checkFuriganaCoverage, applyReadingPatches } from '../utils/furigana.js';
+import { extractKanji, getKanjiInfo, isKanjiKnown, needsFurigana } from '../utils/kanji.js';
+import {
+  getSegmentTokens,
+  getTokenOffsets,
+  isWordToken,
+  romanizeTokens,
+} from '../utils/tokenizer.js';
+import { buildClozeExercises } from '../utils/cloze.js';
+import { getPitchAccent, getTokenPitch, renderPitch } from '../utils/pitch.js';
+import { printStory } from '../utils/printLayout.js';
+import { exportEpub } from '../utils/epub.js';
+import { exportAnkiDeck } from '../utils/anki.js';
+import { analyzeDifficulty, describeDifficulty } from '../utils/difficulty.js';
+import {
+  createReadingTracker,
+  buildReadingSession,
+  countReadableChars,
+} from '../utils/readingSession.js';
+import { getSelectionOffsets, applyHighlightMarks, escapeHtml } from '../utils/highlights.js';
 import AudioPlayer from './AudioPlayer.js';
+import ShadowingPanel from './ShadowingPanel.js';
+import DictationPanel from './DictationPanel.js';
+import { toast } from './Toast.js';
 
 /**
  * Logger utility for consistent debugging
@@ -29,17 +78,80 @@ const logger = {
  * Helper Functions
  */
 
+/**
+ * Layouts offered in the Reader settings panel
+ */
+const VIEW_MODE_OPTIONS = [
+  {
+    value: 'side-by-side',
+    label: 'Side-by-Side',
+    icon: '◫',
+    hint: 'Japanese and English together',
+  },
+  { value: 'stacked', label: 'Stacked', icon: '☰', hint: 'English below each Japanese segment' },
+  { value: 'vertical', label: '縦書き', icon: '⫼', hint: 'Vertical Japanese, read right to left' },
+];
+
+/**
+ * English translation options in the Reader settings panel
+ */
+const ENGLISH_MODE_OPTIONS = [
+  { value: 'shown', label: 'Shown', icon: 'Aa', hint: 'Always show the English' },
+  { value: 'peek', label: 'Peek', icon: '👀', hint: 'Blurred until you tap or hover it' },
+  { value: 'hidden', label: 'Hidden', icon: '—', hint: 'Japanese only' },
+];
+
+/** Hovering a blurred translation this long reveals (and counts) it */
+const PEEK_HOVER_MS = 600;
+
+/** Half-width numbers and letters; short runs are set upright in vertical text */
+const LATIN_RUN_PATTERN = /^[0-9A-Za-z!?]+/;
+const TATE_CHU_YOKO_MAX = 2;
+
+/**
+ * Wrap a half-width run for vertical text: up to two characters sit upright in
+ * one cell (tate-chu-yoko, e.g. 12月), longer runs are rotated like a Latin word
+ * @param {string} run
+ * @returns {string} HTML
+ */
+const renderLatinRun = run => {
+  return run.length <= TATE_CHU_YOKO_MAX
+    ? `<span class="tcy">${run}</span>`
+    : `<span class="latin-run">${run}</span>`;
+};
+
 /**
  * Create the Reader component
+ * @param {Object} options
+ * @param {Story} options.story - Story to read
+ * @param {StoryProgress|null} [options.initialProgress] - Saved progress
+ * @param {Function} [options.onComplete] - Called when the story is marked as read
+ * @param {Story[]} [options.library] - Every available story (cloze distractors)
+ * @param {number} [options.focusSegment] - Segment to scroll to once rendered (deep links)
+ * @param {string} [options.focusHighlight] - Highlight to flash in that segment
  */
-const Reader = ({ story, initialProgress, onComplete }) => {
+const Reader = ({
+  story,
+  initialProgress,
+  onComplete,
+  library = [],
+  focusSegment = null,
+  focusHighlight = null,
+}) => {
   // Event manager for all reader events
   const events = createEventManager();
 
   const settings = getSettings();
-  let isSideBySide = settings.viewMode === 'side-by-side';
+  let viewMode = settings.viewMode || 'side-by-side';
   let showFurigana = settings.showFurigana;
-  let showEnglish = settings.showEnglish !== false;
+  const furiganaOptions = {
+    furiganaMode: settings.furiganaMode,
+    furiganaThreshold: settings.furiganaThreshold,
+    knownKanji: settings.knownKanji,
+  };
+  let englishMode = settings.englishMode || (settings.showEnglish === false ? 'hidden' : 'shown');
+  let showRomaji = settings.showRomaji === true;
+  let showPitchAccent = settings.showPitchAccent === true;
   let showImages = settings.showImages !== false;
   let fontSizeClass = settings.fontSize === 'large' ? 'reader--large' : '';
 
@@ -51,9 +163,43 @@ const Reader = ({ story, initialProgress, onComplete }) => {
   let unsubscribeProgress = null;
   let isHQAvailable = false;
   let isLoadingImages = false;
+  let isWordLookupOpen = false;
+  let segmentTimings = null;
+  let practiceMode = null; // null | 'shadowing' | 'dictation'
+  let dictationRevealed = new Set();
+  let clozeExercises = buildClozeExercises(story, library);
+  let clozeAnswers = new Map(); // exercise index -> chosen option index
+  let quizAnswers = new Map(); // question index -> chosen option index
+  let furiganaCoverage = checkFuriganaCoverage(story);
+  let isRepairingFurigana = false;
+  let unsubscribeRepair = null;
+  const difficultyProfile = analyzeDifficulty(story);
+  let isDifficultyOpen = false;
+  const readingTracker = createReadingTracker();
+  const readSegments = new Set(); // Segment indices scrolled into view or played
+  let isSessionLogged = false;
+  let highlights = getHighlights(story.id);
+  let highlightDraft = null; // {segmentIndex, start, end, text} | {highlightId}
+  let highlightAnchor = null; // Range or mark element the popover is placed under
+  let pendingFocus = focusSegment !== null ? { focusSegment, focusHighlight } : null;
+  let currentSegment = initialProgress?.segmentIndex || 0;
+  // Peek mode: reveals per segment across readings, and the segments revealed this time.
+  // The counts come from storage, as initialProgress is null on "Start Over".
+  const revealCounts = [...(getStoryProgress(story.id)?.revealCounts || [])];
+  const revealedSegments = new Set();
+  let peekHoverTimer = null;
+  let pendingResume =
+    focusSegment === null && !initialProgress?.completed && currentSegment > 0
+      ? currentSegment
+      : null;
+  // Segment to land on again once the images above it have their final size
+  let settlingResume = null;
+  let segmentObserver = null;
+  const visibleSegments = new Set();
 
   // Child component instances
   let audioPlayer = null;
+  let practicePanel = null;
 
   // Container element
   const container = document.createElement('div');
@@ -72,11 +218,24 @@ const Reader = ({ story, initialProgress, onComplete }) => {
         <div id="audio-player-root"></div>
 
         <!-- Story Content (Managed separately) -->
-        <div id="reader-content-root" class="reader__content ${isSideBySide ? 'reader__content--side-by-side' : ''}"></div>
+        <div id="reader-content-root" class="reader__content ${getLayoutClass()}"></div>
+
+        <!-- Page controls for the vertical layout -->
+        <div id="reader-pager" class="reader__pager ${viewMode === 'vertical' ? '' : 'hidden'}">
+          <button id="page-next" class="btn btn--secondary btn--sm" title="Next page (←)">◀ Next</button>
+          <span id="page-indicator" class="reader__page-indicator"></span>
+          <button id="page-prev" class="btn btn--secondary btn--sm" title="Previous page (→)">Back ▶</button>
+        </div>
 
         <!-- Comprehension Check (New) -->
         <div id="comprehension-root" class="reader__comprehension"></div>
 
+        <!-- Fill-in-the-Blank Exercises -->
+        <div id="cloze-root" class="reader__cloze"></div>
+
+        <!-- Shadowing / Dictation Practice (Managed separately) -->
+        <div id="practice-root" class="reader__practice"></div>
+
         <!-- Footer Actions -->
         <div class="reader__footer">
           <button id="complete-btn" class="btn btn--lg">
@@ -104,10 +263,24 @@ const Reader = ({ story, initialProgress, onComplete }) => {
               </div>
             </label>
             <label class="form-check">
-              <input type="checkbox" id="toggle-english" ${showEnglish ? 'checked' : ''}>
+              <input type="checkbox" id="toggle-furigana-unknown" ${furiganaOptions.furiganaMode === 'unknown' ? 'checked' : ''}>
               <div>
-                <span class="form-check__label">Show English Translation</span>
-                <span class="form-check__hint">English text below Japanese</span>
+                <span class="form-check__label">Only Unknown Kanji</span>
+                <span class="form-check__hint">Skip furigana on kanji you know</span>
+              </div>
+            </label>
+            <label class="form-check">
+              <input type="checkbox" id="toggle-romaji" ${showRomaji ? 'checked' : ''}>
+              <div>
+                <span class="form-check__label">Show Romaji</span>
+                <span class="form-check__hint">Romanised reading below each line</span>
+              </div>
+            </label>
+            <label class="form-check">
+              <input type="checkbox" id="toggle-pitch" ${showPitchAccent ? 'checked' : ''}>
+              <div>
+                <span class="form-check__label">Show Pitch Accent</span>
+                <span class="form-check__hint">High/low pitch line over common words</span>
               </div>
             </label>
             <label class="form-check">
@@ -119,16 +292,35 @@ const Reader = ({ story, initialProgress, onComplete }) => {
             </label>
           </div>
 
+          <!-- English Section -->
+          <div class="settings-section">
+            <h4 class="settings-section__title">English Translation</h4>
+            <div class="layout-controls">
+              ${ENGLISH_MODE_OPTIONS.map(
+                option => `
+                <button class="english-btn ${englishMode === option.value ? 'active' : ''}" data-english="${option.value}" title="${option.hint}">
+                  <span class="layout-btn__icon">${option.icon}</span>
+                  ${option.label}
+                </button>
+              `
+              ).join('')}
+            </div>
+            <p id="peek-stats" class="settings-section__hint">${renderPeekStats()}</p>
+          </div>
+
           <!-- Layout Section -->
           <div class="settings-section">
             <h4 class="settings-section__title">Layout</h4>
-            <label class="form-check">
-              <input type="checkbox" id="toggle-side-by-side" ${isSideBySide ? 'checked' : ''}>
-              <div>
-                <span class="form-check__label">Side-by-Side View</span>
-                <span class="form-check__hint">Japanese and English together</span>
-              </div>
-            </label>
+            <div class="layout-controls">
+              ${VIEW_MODE_OPTIONS.map(
+                option => `
+                <button class="layout-btn ${viewMode === option.value ? 'active' : ''}" data-layout="${option.value}" title="${option.hint}">
+                  <span class="layout-btn__icon">${option.icon}</span>
+                  ${option.label}
+                </button>
+              `
+              ).join('')}
+            </div>
           </div>
 
           <!-- Font Size Section -->
@@ -145,21 +337,76 @@ const Reader = ({ story, initialProgress, onComplete }) => {
               </button>
             </div>
           </div>
+
+          <!-- Print & Export Section -->
+          <div class="settings-section">
+            <h4 class="settings-section__title">Print &amp; Export</h4>
+            <label class="form-check">
+              <input type="checkbox" id="print-furigana" ${showFurigana ? 'checked' : ''}>
+              <div>
+                <span class="form-check__label">Furigana</span>
+                <span class="form-check__hint">Readings over every kanji word</span>
+              </div>
+            </label>
+            <label class="form-check">
+              <input type="checkbox" id="print-english">
+              <div>
+                <span class="form-check__label">English Translation</span>
+                <span class="form-check__hint">Under each paragraph</span>
+              </div>
+            </label>
+            <label class="form-check">
+              <input type="checkbox" id="anki-audio">
+              <div>
+                <span class="form-check__label">Anki Audio Clips</span>
+                <span class="form-check__hint">Sentence audio from the cached HQ voice</span>
+              </div>
+            </label>
+            <div class="settings-section__actions">
+              <button id="print-btn" class="btn btn--secondary btn--sm">🖨️ Print Handout</button>
+              <button id="epub-btn" class="btn btn--secondary btn--sm" title="E-book with furigana, illustrations and a vocabulary appendix">📖 EPUB</button>
+              <button id="anki-btn" class="btn btn--secondary btn--sm" title="Vocabulary with source sentences, for Anki's File → Import">🗂️ Anki</button>
+            </div>
+            <p class="settings-section__hint">The handout follows the Furigana and English options and ends with the vocabulary, questions and answer key; choose "Save as PDF" in the print dialog for a file. The EPUB adds a vocabulary appendix, and the Anki deck downloads as a TSV (a zip with audio clips).</p>
+          </div>
         </div>
       </div>
 
-      <!-- Kana Pronunciation Tooltip -->
+      <!-- Kana Pronunciation / Dictionary Tooltip -->
       <div id="kana-tooltip" class="kana-tooltip hidden">
         <span id="kana-tooltip-char" class="kana-tooltip-char"></span>
         <span id="kana-tooltip-romaji" class="kana-tooltip-romaji"></span>
+        <div id="kana-tooltip-entries" class="kana-tooltip__entries"></div>
+        <div id="kana-tooltip-kanji" class="kana-tooltip__kanji"></div>
+        <div id="kana-tooltip-highlight" class="kana-tooltip__highlight"></div>
+      </div>
+
+      <!-- Highlight / Note Popover -->
+      <div id="highlight-popover" class="highlight-popover hidden">
+        <textarea
+          id="highlight-note"
+          class="form-input highlight-popover__note"
+          rows="2"
+          placeholder="Add a note (optional)"
+        ></textarea>
+        <div class="highlight-popover__actions">
+          <button id="highlight-remove" class="btn btn--ghost btn--sm hidden">Remove</button>
+          <button id="highlight-cancel" class="btn btn--ghost btn--sm">Cancel</button>
+          <button id="highlight-save" class="btn btn--sm">🖍️ Highlight</button>
+        </div>
       </div>
     `;
 
     updateHeader();
     updateContent();
     updateComprehension();
+    updateCloze();
     setupListeners();
-    loadImages();
+    resumePendingSegment();
+    loadImages().finally(settleResume);
+    focusPendingSegment();
+    observeSegments();
+    updatePager();
   };
   /*
    * Initialize or update the audio player component
@@ -189,11 +436,20 @@ const Reader = ({ story, initialProgress, onComplete }) => {
           <div>
             <h1 class="reader__title jp-title">${story.titleJP}</h1>
             <p class="reader__subtitle">${story.titleEN}</p>
+            ${renderHeaderBadges()}
           </div>
         </div>
 
         <div class="reader__controls">
           <button id="settings-btn" class="icon-btn" title="Reading settings">⚙️</button>
+          ${
+            isHQAvailable
+              ? `
+            <button id="shadow-btn" class="btn btn--sm ${practiceMode === 'shadowing' ? 'btn--accent' : 'btn--secondary'}" title="Repeat each sentence after the HQ voice">🎙️ Shadow</button>
+            <button id="dictation-btn" class="btn btn--sm ${practiceMode === 'dictation' ? 'btn--accent' : 'btn--secondary'}" title="Type what you hear">✍️ Dictation</button>
+          `
+              : ''
+          }
           ${
             isPlaying
               ? `
@@ -226,16 +482,32 @@ const Reader = ({ story, initialProgress, onComplete }) => {
     const stopBtn = headerRoot.querySelector('#stop-btn');
     const playHqBtn = headerRoot.querySelector('#play-hq-btn');
     const settingsBtn = headerRoot.querySelector('#settings-btn');
+    const shadowBtn = headerRoot.querySelector('#shadow-btn');
+    const dictationBtn = headerRoot.querySelector('#dictation-btn');
+    const repairBtn = headerRoot.querySelector('#furigana-repair-btn');
+    const difficultyBtn = headerRoot.querySelector('#difficulty-btn');
 
     if (stopBtn) {
       events.on(stopBtn, 'click', stopPlayback);
     }
     if (playHqBtn) {
-      events.on(playHqBtn, 'click', startPlayback);
+      events.on(playHqBtn, 'click', () => startPlayback());
     }
     if (settingsBtn) {
       events.on(settingsBtn, 'click', toggleSettings);
     }
+    if (shadowBtn) {
+      events.on(shadowBtn, 'click', () => togglePractice('shadowing'));
+    }
+    if (dictationBtn) {
+      events.on(dictationBtn, 'click', () => togglePractice('dictation'));
+    }
+    if (repairBtn) {
+      events.on(repairBtn, 'click', repairFurigana);
+    }
+    if (difficultyBtn) {
+      events.on(difficultyBtn, 'click', toggleDifficulty);
+    }
 
     // Ensure player is mounted
     updatePlayer();
@@ -259,69 +531,116 @@ const Reader = ({ story, initialProgress, onComplete }) => {
   };
 
   /**
-   * Add furigana to Japanese text using readings array
-   * Converts plain text with kanji into ruby-tagged HTML
+   * Render a segment's Japanese text as tappable HTML
+   * Each word token becomes one lookup unit, with ruby over its kanji when furigana is
+   * on and the word has a kanji the learner doesn't know. Kana inside stay hoverable
+   * for the kana tooltip. With pitch accent on, words in the pitch dataset show their
+   * whole reading with the pitch line instead (over the stem for inflected words).
+   * `data-offset` is the token's character position in segment.jp.
    */
-  const addFurigana = (text, readings = []) => {
-    if (!text) {
-      return '';
-    }
-
-    // If no readings provided, return plain text
-    if (!readings || readings.length === 0) {
-      return text;
-    }
+  const renderJapanese = segment => {
+    const tokens = getSegmentTokens(segment);
+    const offsets = getTokenOffsets(tokens);
+
+    return tokens
+      .map((token, i) => {
+        if (!isWordToken(token)) {
+          // Half-width runs are wrapped so vertical text can set them upright
+          return LATIN_RUN_PATTERN.test(token.surface)
+            ? renderLatinRun(token.surface)
+            : token.surface;
+        }
+        const pitch = showPitchAccent ? getTokenPitch(token) : null;
+        let content;
+        if (pitch) {
+          content = token.reading
+            ? `<ruby>${wrapKana(token.surface)}<rt>${renderPitch(token.reading, pitch.accent, undefined, pitch.stem)}</rt></ruby>`
+            : renderPitch(token.surface, pitch.accent, wrapKana, pitch.stem);
+        } else {
+          content =
+            showFurigana && token.reading && needsFurigana(token.surface, furiganaOptions)
+              ? renderRuby(token.surface, token.reading, wrapKana)
+              : wrapKana(token.surface);
+        }
+        return `<span class="word-lookup" data-offset="${offsets[i]}">${content}</span>`;
+      })
+      .join('');
+  };
 
-    // Create a map for quick lookup
-    const readingMap = new Map();
-    for (const r of readings) {
-      if (r.text && r.reading) {
-        readingMap.set(r.text, r.reading);
+  /**
+   * Re-render every segment's Japanese text (after a furigana or pitch setting changes)
+   */
+  const refreshJapanese = () => {
+    story.content.forEach((segment, index) => {
+      renderSegmentText(index);
+      // Readings may have changed (furigana repair)
+      const romajiEl = container.querySelector(`#segment-${index} .segment__romaji`);
+      if (romajiEl) {
+        romajiEl.textContent = romanizeTokens(getSegmentTokens(segment));
       }
-    }
-
-    // Sort readings by text length (longest first) to handle overlapping matches
-    const sortedReadings = Array.from(readingMap.entries()).sort(
-      (a, b) => b[0].length - a[0].length
-    );
-
-    // Build result with replacements
-    let result = text;
-    const replaced = new Set(); // Track which positions we've already replaced
-
-    for (const [word, reading] of sortedReadings) {
-      // Find all occurrences of this word in the remaining text
-      let searchStart = 0;
-      while (true) {
-        const index = result.indexOf(word, searchStart);
-        if (index === -1) {
-          break;
-        }
+    });
+  };
 
-        // Check if this position overlaps with an already replaced section
-        const overlaps = Array.from(replaced).some(
-          ([start, end]) => index < end && index + word.length > start
-        );
+  /**
+   * Re-render one segment's Japanese text with its highlights
+   * @param {number} index - Segment index
+   */
+  const renderSegmentText = index => {
+    const el = container.querySelector(`#segment-${index} .segment__jp-text`);
+    if (el) {
+      el.innerHTML = renderJapanese(story.content[index]);
+      applyHighlightMarks(el, getSegmentHighlights(index));
+    }
+  };
 
-        if (!overlaps) {
-          // Replace with ruby tag
-          const before = result.substring(0, index);
-          const after = result.substring(index + word.length);
-          result = `${before}<ruby>${word}<rt>${reading}</rt></ruby>${after}`;
+  /**
+   * Highlights in one segment
+   * @param {number} index - Segment index
+   */
+  const getSegmentHighlights = index => highlights.filter(h => h.segmentIndex === index);
 
-          // Mark this section as replaced
-          replaced.add([index, index + word.length]);
+  /**
+   * Known state of a kanji chip in the word tooltip
+   * Kanji covered by the furigana threshold count as known and can't be unmarked.
+   * @param {string} char
+   */
+  const getKanjiChipState = char => {
+    const isMarked = furiganaOptions.knownKanji.includes(char);
+    const isKnown = isKanjiKnown(char, furiganaOptions);
+    let title = 'Mark as known';
+    if (isMarked) {
+      title = 'Marked as known, click to unmark';
+    } else if (isKnown) {
+      title = 'Covered by your furigana threshold';
+    }
+    return { isKnown, isLocked: isKnown && !isMarked, title };
+  };
 
-          // Adjust search start due to added ruby tags
-          searchStart = index + word.length + `<ruby>${word}<rt>${reading}</rt></ruby>`.length;
-        } else {
-          // Move past this occurrence
-          searchStart = index + word.length;
-        }
-      }
+  /**
+   * Kanji chips for the word tooltip, each toggling whether the learner knows it
+   * @param {string} word
+   */
+  const renderKanjiChips = word => {
+    const kanji = extractKanji(word);
+    if (kanji.length === 0) {
+      return '';
     }
 
-    return result;
+    return `
+      <span class="kana-tooltip__kanji-label">Known kanji</span>
+      ${kanji
+        .map(char => {
+          const info = getKanjiInfo(char);
+          const level = info ? (info.jlpt ? `N${info.jlpt}` : `G${info.grade}`) : '';
+          const { isKnown, isLocked, title } = getKanjiChipState(char);
+          return `
+          <button class="kana-tooltip__kanji-btn ${isKnown ? 'kana-tooltip__kanji-btn--known' : ''}" data-kanji="${char}" title="${title}" ${isLocked ? 'disabled' : ''}>
+            <span class="jp-text">${char}</span>${level ? `<small>${level}</small>` : ''}
+          </button>
+        `;
+        })
+        .join('')}
+    `;
   };
 
   /**
@@ -341,30 +660,9 @@ const Reader = ({ story, initialProgress, onComplete }) => {
   };
 
   /**
-   * Show/update kana tooltip
+   * Position the tooltip near the pointer (desktop) or pin it to the bottom (mobile)
    */
-  const showKanaTooltip = (char, x, y, isMobile = false) => {
-    const tooltip = container.querySelector('#kana-tooltip');
-    if (!tooltip) {
-      return;
-    }
-
-    const kanaData = findKanaData(char);
-    if (!kanaData || !kanaData.romaji) {
-      return;
-    }
-
-    // Update content
-    const charEl = tooltip.querySelector('#kana-tooltip-char');
-    const romajiEl = tooltip.querySelector('#kana-tooltip-romaji');
-    if (charEl) {
-      charEl.textContent = char;
-    }
-    if (romajiEl) {
-      romajiEl.textContent = kanaData.romaji;
-    }
-
-    // Position tooltip
+  const positionTooltip = (tooltip, x, y, isMobile) => {
     tooltip.classList.remove('hidden');
     tooltip.classList.toggle('kana-tooltip--mobile', isMobile);
 
@@ -400,6 +698,103 @@ const Reader = ({ story, initialProgress, onComplete }) => {
     }
   };
 
+  /**
+   * Show/update kana tooltip
+   */
+  const showKanaTooltip = (char, x, y, isMobile = false) => {
+    const tooltip = container.querySelector('#kana-tooltip');
+    if (!tooltip || isWordLookupOpen) {
+      return;
+    }
+
+    const kanaData = findKanaData(char);
+    if (!kanaData || !kanaData.romaji) {
+      return;
+    }
+
+    // Update content
+    const charEl = tooltip.querySelector('#kana-tooltip-char');
+    const romajiEl = tooltip.querySelector('#kana-tooltip-romaji');
+    if (charEl) {
+      charEl.textContent = char;
+    }
+    if (romajiEl) {
+      romajiEl.textContent = kanaData.romaji;
+    }
+
+    positionTooltip(tooltip, x, y, isMobile);
+  };
+
+  /**
+   * Look up the dictionary word starting at a tapped character or ruby word
+   * @param {HTMLElement} target - Element with a data-offset attribute
+   */
+  const lookupAt = target => {
+    const segmentEl = target.closest('.segment');
+    const segment = story.content[Number(segmentEl?.dataset.index)];
+    if (!segment) {
+      return null;
+    }
+
+    const offset = Number(target.dataset.offset);
+    const tokens = getSegmentTokens(segment);
+    const token = tokens[getTokenOffsets(tokens).indexOf(offset)];
+    if (!token) {
+      return lookupWord(segment.jp.slice(offset));
+    }
+
+    // The token's reading ranks homographs
+    const result = lookupWord(token.surface, { reading: token.reading });
+    if (result || !token.lemma || token.lemma === token.surface) {
+      return result;
+    }
+    // Generated tokens may name a dictionary form the deinflector can't reach
+    const lemmaResult = lookupWord(token.lemma, { reading: token.reading });
+    return lemmaResult?.length === token.lemma.length
+      ? { ...lemmaResult, surface: token.surface }
+      : null;
+  };
+
+  /**
+   * Show dictionary entries in the tooltip (stays open until dismissed)
+   */
+  const showWordTooltip = (result, x, y, isMobile = false) => {
+    const tooltip = container.querySelector('#kana-tooltip');
+    if (!tooltip) {
+      return;
+    }
+
+    tooltip.querySelector('#kana-tooltip-char').textContent = result.surface;
+    tooltip.querySelector('#kana-tooltip-romaji').textContent = '';
+    tooltip.querySelector('#kana-tooltip-entries').innerHTML = result.matches
+      .slice(0, 3)
+      .map(({ entry, form, reasons }) => {
+        // Kana matches (e.g. する) show the written forms instead of repeating the reading
+        const secondary = entry.readings.includes(form) ? entry.kanji : entry.readings;
+        return `
+        <div class="kana-tooltip__entry">
+          <div class="kana-tooltip__headword">
+            <span class="kana-tooltip__word">${form}</span>
+            ${secondary.length > 0 ? `<span class="kana-tooltip__reading">${secondary.join('・')}</span>` : ''}
+            ${entry.jlpt ? `<span class="kana-tooltip__jlpt">${entry.jlpt}</span>` : ''}
+          </div>
+          <div class="kana-tooltip__pos">
+            ${formatPartOfSpeech(entry.pos)}${reasons.length > 0 ? ` · ${formatInflection(reasons)}` : ''}
+          </div>
+          <ol class="kana-tooltip__glosses">
+            ${entry.glosses.map(gloss => `<li>${gloss}</li>`).join('')}
+          </ol>
+        </div>
+      `;
+      })
+      .join('');
+    tooltip.querySelector('#kana-tooltip-kanji').innerHTML = renderKanjiChips(result.surface);
+
+    tooltip.classList.add('kana-tooltip--word');
+    isWordLookupOpen = true;
+    positionTooltip(tooltip, x, y, isMobile);
+  };
+
   /**
    * Hide kana tooltip
    */
@@ -410,8 +805,331 @@ const Reader = ({ story, initialProgress, onComplete }) => {
     }
 
     tooltip.classList.add('hidden');
+    tooltip.classList.remove('kana-tooltip--word');
+    tooltip.querySelector('#kana-tooltip-entries').innerHTML = '';
+    tooltip.querySelector('#kana-tooltip-kanji').innerHTML = '';
+    tooltip.querySelector('#kana-tooltip-highlight').innerHTML = '';
     tooltip.style.left = '';
     tooltip.style.top = '';
+    isWordLookupOpen = false;
+    setActiveWord(null);
+  };
+
+  /**
+   * Mark the word whose dictionary entry is showing
+   * @param {HTMLElement|null} el - The word's .word-lookup element
+   */
+  const setActiveWord = el => {
+    container
+      .querySelectorAll('.word-lookup--active')
+      .forEach(active => active.classList.remove('word-lookup--active'));
+    el?.classList.add('word-lookup--active');
+  };
+
+  /**
+   * Show a tapped highlight's note in the word tooltip, with a button to edit it
+   * @param {HTMLElement|null} mark - Highlight mark under the pointer
+   */
+  const renderTooltipHighlight = mark => {
+    const root = container.querySelector('#kana-tooltip-highlight');
+    const highlight = mark && highlights.find(h => h.id === mark.dataset.highlightId);
+    if (!root) {
+      return;
+    }
+
+    root.innerHTML = highlight
+      ? `
+      <span class="kana-tooltip__highlight-note">🖍️ ${highlight.note ? escapeHtml(highlight.note) : 'Highlighted'}</span>
+      <button class="kana-tooltip__highlight-btn" data-highlight-id="${highlight.id}">Edit</button>
+    `
+      : '';
+  };
+
+  /**
+   * Offer to highlight the current text selection, if it lies within one segment
+   */
+  const handleTextSelection = () => {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) {
+      return;
+    }
+
+    const range = selection.getRangeAt(0);
+    const ancestor = range.commonAncestorContainer;
+    const root = (ancestor.nodeType === Node.TEXT_NODE ? ancestor.parentElement : ancestor).closest(
+      '.segment__jp-text'
+    );
+    if (!root) {
+      return;
+    }
+
+    const segmentIndex = Number(root.closest('.segment').dataset.index);
+    const text = story.content[segmentIndex].jp;
+    const offsets = getSelectionOffsets(root, range, text);
+    if (!offsets) {
+      return;
+    }
+
+    hideKanaTooltip();
+    openHighlightPopover(
+      { segmentIndex, ...offsets, text: text.slice(offsets.start, offsets.end) },
+      range.cloneRange()
+    );
+  };
+
+  /**
+   * Open the note popover for a new selection or an existing highlight
+   * @param {Object} draft - {segmentIndex, start, end, text} for a new highlight, or {highlightId}
+   * @param {Range|HTMLElement} anchor - What the popover is placed under
+   */
+  const openHighlightPopover = (draft, anchor) => {
+    const popover = container.querySelector('#highlight-popover');
+    const existing = draft.highlightId ? highlights.find(h => h.id === draft.highlightId) : null;
+    if (!popover || !anchor || (draft.highlightId && !existing)) {
+      return;
+    }
+
+    highlightDraft = draft;
+    highlightAnchor = anchor;
+    popover.querySelector('#highlight-note').value = existing?.note || '';
+    popover.querySelector('#highlight-remove').classList.toggle('hidden', !existing);
+    popover.querySelector('#highlight-save').textContent = existing ? 'Save note' : '🖍️ Highlight';
+    popover.classList.remove('hidden');
+    positionHighlightPopover();
+  };
+
+  /**
+   * Keep the popover under its anchor (it is fixed, so it has to follow scrolling)
+   */
+  const positionHighlightPopover = () => {
+    const popover = container.querySelector('#highlight-popover');
+    if (!popover || !highlightAnchor) {
+      return;
+    }
+
+    const rect = highlightAnchor.getBoundingClientRect();
+    const left = Math.min(rect.left, window.innerWidth - popover.offsetWidth - 8);
+    popover.style.left = `${Math.max(8, left)}px`;
+    popover.style.top = `${rect.bottom + 8}px`;
+  };
+
+  const closeHighlightPopover = () => {
+    container.querySelector('#highlight-popover')?.classList.add('hidden');
+    highlightDraft = null;
+    highlightAnchor = null;
+  };
+
+  /**
+   * Save the popover: create the highlight, or update an existing one's note
+   */
+  const saveHighlightDraft = async () => {
+    if (!highlightDraft) {
+      return;
+    }
+
+    const note = container.querySelector('#highlight-note').value.trim();
+    const now = Date.now();
+    let highlight;
+    if (highlightDraft.highlightId) {
+      const existing = highlights.find(h => h.id === highlightDraft.highlightId);
+      highlight = { ...existing, note, updatedAt: now };
+      highlights = highlights.map(h => (h.id === highlight.id ? highlight : h));
+    } else {
+      highlight = {
+        id: `hl-${now}-${Math.random().toString(36).slice(2, 8)}`,
+        storyId: story.id,
+        ...highlightDraft,
+        note,
+        createdAt: now,
+        updatedAt: now,
+      };
+      highlights = [...highlights, highlight];
+    }
+
+    closeHighlightPopover();
+    window.getSelection()?.removeAllRanges();
+    renderSegmentText(highlight.segmentIndex);
+    await saveHighlight(highlight);
+  };
+
+  const removeHighlightDraft = async () => {
+    const highlight = highlights.find(h => h.id === highlightDraft?.highlightId);
+    if (!highlight) {
+      return;
+    }
+
+    highlights = highlights.filter(h => h.id !== highlight.id);
+    closeHighlightPopover();
+    renderSegmentText(highlight.segmentIndex);
+    await removeHighlight(highlight.id);
+  };
+
+  /**
+   * Scroll to the segment a deep link points at (from My Notes) and flash its highlight
+   */
+  const focusPendingSegment = () => {
+    if (!pendingFocus) {
+      return;
+    }
+
+    const { focusSegment: index, focusHighlight: highlightId } = pendingFocus;
+    pendingFocus = null;
+    const segmentEl = container.querySelector(`#segment-${index}`);
+    if (!segmentEl) {
+      return;
+    }
+
+    segmentEl.classList.add('segment--focused');
+    if (highlightId) {
+      segmentEl
+        .querySelectorAll(`mark[data-highlight-id="${highlightId}"]`)
+        .forEach(mark => mark.classList.add('highlight--focused'));
+    }
+    requestAnimationFrame(() => segmentEl.scrollIntoView({ behavior: 'smooth', block: 'center' }));
+  };
+
+  /**
+   * Story badges under the title (difficulty, furigana coverage)
+   */
+  const renderHeaderBadges = () => {
+    const { total, covered, ratio } = furiganaCoverage;
+
+    return `
+      <div class="reader__badges">
+        <button
+          id="difficulty-btn"
+          class="badge badge--button ${difficultyProfile.verdict === 'harder' ? 'badge--warning' : ''}"
+          title="${describeDifficulty(difficultyProfile, story.level)}"
+          aria-expanded="${isDifficultyOpen}"
+        >
+          ≈ ${difficultyProfile.estimatedLevel} ${isDifficultyOpen ? '▴' : '▾'}
+        </button>
+        ${
+          ratio < 1
+            ? `
+          <span class="badge badge--warning" title="${total - covered} of ${total} kanji have no furigana">
+            振 ${Math.floor(ratio * 100)}% furigana
+          </span>
+          ${
+            isRepairingFurigana
+              ? '<span class="reader__badge-status"><span class="loader-sm"></span> Adding readings...</span>'
+              : '<button id="furigana-repair-btn" class="btn btn--ghost btn--sm">Fill in missing</button>'
+          }
+        `
+            : ''
+        }
+      </div>
+      ${isDifficultyOpen ? renderDifficultyPanel() : ''}
+    `;
+  };
+
+  /**
+   * Difficulty breakdown: kanji per level, sentence length and out-of-level words
+   */
+  const renderDifficultyPanel = () => {
+    const { kanjiByLevel, uniqueKanji, outOfLevelWords, averageSentenceLength, sentenceTarget } =
+      difficultyProfile;
+    const lengthLabels = { short: 'Shorter than', ok: 'Within', long: 'Longer than' };
+
+    return `
+      <div class="difficulty-panel">
+        <div class="difficulty-panel__section">
+          <h4 class="difficulty-panel__label">Kanji by level (${uniqueKanji})</h4>
+          <div class="difficulty-panel__bars">
+            ${Object.entries(kanjiByLevel)
+              .map(
+                ([level, count]) => `
+              <div class="difficulty-panel__bar-row">
+                <span class="difficulty-panel__bar-level">${level}</span>
+                <div class="difficulty-panel__bar">
+                  <div class="difficulty-panel__bar-fill" style="width: ${uniqueKanji > 0 ? (count / uniqueKanji) * 100 : 0}%"></div>
+                </div>
+                <span class="difficulty-panel__bar-count">${count}</span>
+              </div>
+            `
+              )
+              .join('')}
+          </div>
+        </div>
+
+        <div class="difficulty-panel__section">
+          <h4 class="difficulty-panel__label">Sentence length</h4>
+          <p class="difficulty-panel__text">
+            ${averageSentenceLength.toFixed(1)} characters on average.
+            ${lengthLabels[difficultyProfile.sentenceLength]} the ${story.level} target of
+            ${sentenceTarget.min}-${sentenceTarget.max}.
+          </p>
+        </div>
+
+        <div class="difficulty-panel__section">
+          <h4 class="difficulty-panel__label">Above ${story.level} (${outOfLevelWords.length})</h4>
+          ${
+            outOfLevelWords.length > 0
+              ? `
+            <div class="difficulty-panel__words">
+              ${outOfLevelWords
+                .map(
+                  ({ word, level }) => `
+                <span class="difficulty-panel__word"><span class="jp-text">${word}</span> <small>${level}</small></span>
+              `
+                )
+                .join('')}
+            </div>
+          `
+              : '<p class="difficulty-panel__text">Every word is at or below this level.</p>'
+          }
+        </div>
+      </div>
+    `;
+  };
+
+  /**
+   * Show or hide the difficulty breakdown
+   */
+  const toggleDifficulty = () => {
+    isDifficultyOpen = !isDifficultyOpen;
+    updateHeader();
+  };
+
+  /**
+   * Queue a furigana repair job and patch the story when it completes
+   */
+  const repairFurigana = async () => {
+    isRepairingFurigana = true;
+    updateHeader();
+
+    const finish = () => {
+      unsubscribeRepair?.();
+      unsubscribeRepair = null;
+      isRepairingFurigana = false;
+      updateHeader();
+    };
+
+    try {
+      const jobId = await createFuriganaRepairJob(story);
+      if (!jobId) {
+        furiganaCoverage = checkFuriganaCoverage(story);
+        finish();
+        return;
+      }
+
+      const { jobQueue } = await import('../utils/jobQueue.js');
+      unsubscribeRepair = jobQueue.subscribe(jobs => {
+        const job = jobs.get(jobId);
+        if (job?.status === 'completed' && job.result?.patches) {
+          // The job queue saves the patched story; mirror it in the open Reader
+          story.content = applyReadingPatches(story, job.result.patches).content;
+          furiganaCoverage = checkFuriganaCoverage(story);
+          refreshJapanese();
+          finish();
+        } else if (job?.status === 'failed') {
+          finish();
+        }
+      });
+    } catch (error) {
+      toast.error(error.message || 'Failed to queue furigana repair');
+      finish();
+    }
   };
 
   /**
@@ -426,36 +1144,47 @@ const Reader = ({ story, initialProgress, onComplete }) => {
     if (contentRoot.children.length === 0) {
       contentRoot.innerHTML = story.content
         .map((segment, index) => {
-          // Generate furigana text if enabled
-          const furiganaText = showFurigana
-            ? addFurigana(segment.jp, segment.readings)
-            : segment.jp;
-
           return `
         <div class="segment" id="segment-${index}" data-index="${index}">
           <div class="segment__image-container ${!showImages ? 'hidden' : ''}" id="image-container-${index}">
              <div class="segment__image-skeleton skeleton"></div>
           </div>
           <div class="segment__jp">
+            <button class="segment__play" data-index="${index}" title="Play from here">▶</button>
             <p class="segment__jp-text jp-text">
-              ${wrapKana(furiganaText)}
+              ${renderJapanese(segment)}
             </p>
+            <p class="segment__romaji ${!showRomaji ? 'hidden' : ''}">${romanizeTokens(getSegmentTokens(segment))}</p>
+            ${renderGrammarNotes(segment)}
           </div>
-          <div class="segment__en ${!showEnglish ? 'hidden' : ''}">
+          <div class="segment__en ${getEnglishClass()}" data-index="${index}">
             <p>${segment.en}</p>
             ${
               segment.vocab?.length > 0
                 ? `
               <div class="segment__notes">
                 ${segment.vocab
-                  .map(
-                    v => `
+                  .map((v, vocabIndex) => {
+                    const saved = isInDeck(getCardId(v.word, v.reading));
+                    const accent = getPitchAccent(v.word, v.reading);
+                    return `
                   <div class="segment__note">
-                    <span class="segment__note-term">${v.word}:</span>
+                    <span class="segment__note-term">${v.word}${
+                      accent !== null
+                        ? `<span class="segment__note-pitch ${!showPitchAccent ? 'hidden' : ''}">${renderPitch(v.reading || v.word, accent)}</span>`
+                        : ''
+                    }:</span>
                     <span class="segment__note-meaning">${v.meaning}</span>
+                    <button
+                      class="segment__note-save ${saved ? 'segment__note-save--saved' : ''}"
+                      data-segment="${index}"
+                      data-vocab="${vocabIndex}"
+                      title="${saved ? 'In your review deck' : 'Save to review deck'}"
+                      ${saved ? 'disabled' : ''}
+                    >${saved ? '✓' : '＋'}</button>
                   </div>
-                `
-                  )
+                `;
+                  })
                   .join('')}
               </div>
             `
@@ -466,12 +1195,26 @@ const Reader = ({ story, initialProgress, onComplete }) => {
       `;
         })
         .join('');
+
+      // Restore saved highlights as marks
+      story.content.forEach((_, index) => {
+        applyHighlightMarks(
+          contentRoot.querySelector(`#segment-${index} .segment__jp-text`),
+          getSegmentHighlights(index)
+        );
+      });
     }
 
+    // Dictation hides the Japanese text until each segment has been checked
+    container
+      .querySelector('.reader')
+      ?.classList.toggle('reader--dictation', practiceMode === 'dictation');
+
     // Update active/dimmed states
     story.content.forEach((_, index) => {
       const el = container.querySelector(`#segment-${index}`);
       if (el) {
+        el.classList.toggle('segment--revealed', dictationRevealed.has(index));
         el.classList.toggle('segment--active', activeSegmentIndex === index);
         el.classList.toggle(
           'segment--dimmed',
@@ -490,40 +1233,213 @@ const Reader = ({ story, initialProgress, onComplete }) => {
       return;
     }
 
+    const isFinished = quizAnswers.size === story.questions.length;
+    const attempts = getStoryProgress(story.id)?.quizAttempts || [];
+
     compRoot.innerHTML = `
       <div class="comprehension">
         <h2 class="comprehension__title">📝 Comprehension Check</h2>
         <div class="comprehension__list">
           ${story.questions
-            .map(
-              (q, i) => `
+            .map((q, i) => {
+              const choice = quizAnswers.get(i);
+              const isAnswered = choice !== undefined;
+              const isCorrect = choice === q.answer;
+              return `
             <div class="question-card" id="question-${i}">
               <p class="question-card__text"><strong>Q${i + 1}:</strong> ${q.question}</p>
               <div class="question-card__options">
-                ${q.options.map(opt => `<div class="question-card__option">${opt}</div>`).join('')}
+                ${q.options
+                  .map(
+                    (opt, o) => `
+                  <button
+                    class="question-card__option quiz-option ${isAnswered && o === q.answer ? 'question-card__option--correct' : ''} ${isAnswered && o === choice && !isCorrect ? 'question-card__option--incorrect' : ''}"
+                    data-question="${i}"
+                    data-option="${o}"
+                    ${isAnswered ? 'disabled' : ''}
+                  >${opt}</button>
+                `
+                  )
+                  .join('')}
               </div>
-              <div class="question-card__reveal">
-                <button class="reveal-btn btn btn--sm btn--secondary" data-id="${i}">Reveal Answer</button>
-                <div class="question-card__answer hidden" id="answer-${i}">
-                  <p class="answer-text"><strong>Answer:</strong> ${q.answer}</p>
+              ${
+                isAnswered
+                  ? `
+                <div class="question-card__answer">
+                  <p class="answer-text">${isCorrect ? '✓ Correct!' : `✗ The answer is: ${q.options[q.answer]}`}</p>
                   <p class="explanation-text">${q.explanation}</p>
                 </div>
-              </div>
+              `
+                  : ''
+              }
             </div>
+          `;
+            })
+            .join('')}
+        </div>
+        ${
+          isFinished
+            ? `
+          <div class="comprehension__result">
+            <p class="comprehension__score">Score: <strong>${getQuizCorrectCount()} / ${story.questions.length}</strong></p>
+            <button class="quiz-retake-btn btn btn--secondary btn--sm">↺ Retake quiz</button>
+          </div>
+        `
+            : ''
+        }
+        ${attempts.length > 0 ? renderQuizHistory(attempts) : ''}
+      </div>
+    `;
+  };
+
+  const getQuizCorrectCount = () => {
+    return Array.from(quizAnswers).filter(
+      ([index, choice]) => story.questions[index].answer === choice
+    ).length;
+  };
+
+  /**
+   * Render previous quiz attempts as a score history
+   * @param {QuizAttempt[]} attempts - Oldest first
+   */
+  const renderQuizHistory = attempts => {
+    const percent = attempt => Math.round((attempt.correct / (attempt.total || 1)) * 100);
+    const change = percent(attempts[attempts.length - 1]) - percent(attempts[0]);
+
+    return `
+      <div class="quiz-history">
+        <h3 class="quiz-history__title">Your attempts</h3>
+        <ol class="quiz-history__list">
+          ${attempts
+            .map(
+              (attempt, i) => `
+            <li class="quiz-history__item">
+              <span class="quiz-history__label">#${i + 1}</span>
+              <div class="quiz-history__bar">
+                <div class="quiz-history__fill" style="width: ${percent(attempt)}%"></div>
+              </div>
+              <span class="quiz-history__score">${attempt.correct} / ${attempt.total}</span>
+              <span class="quiz-history__date">${new Date(attempt.takenAt).toLocaleDateString()}</span>
+            </li>
           `
             )
             .join('')}
+        </ol>
+        ${
+          attempts.length > 1
+            ? `<p class="quiz-history__trend">${change > 0 ? `▲ ${change}% since your first attempt` : change < 0 ? `▼ ${Math.abs(change)}% since your first attempt` : 'Same score as your first attempt'}</p>`
+            : ''
+        }
+      </div>
+    `;
+  };
+
+  /**
+   * Record a finished quiz attempt in the story's progress
+   */
+  const saveQuizAttempt = () => {
+    const previous = getStoryProgress(story.id)?.quizAttempts || [];
+    const attempt = {
+      correct: getQuizCorrectCount(),
+      total: story.questions.length,
+      answers: story.questions.map((_, i) => quizAnswers.get(i)),
+      takenAt: Date.now(),
+    };
+    saveProgress(story.id, { quizAttempts: [...previous, attempt] });
+  };
+
+  /**
+   * Update cloze (fill-in-the-blank) exercises section
+   */
+  const updateCloze = () => {
+    const clozeRoot = container.querySelector('#cloze-root');
+    if (!clozeRoot || clozeExercises.length === 0) {
+      return;
+    }
+
+    const correctCount = getClozeCorrectCount();
+    const isFinished = clozeAnswers.size === clozeExercises.length;
+    const lastScore = getStoryProgress(story.id)?.clozeScores?.at(-1);
+
+    clozeRoot.innerHTML = `
+      <div class="cloze">
+        <h2 class="comprehension__title">🧩 Fill in the Blanks</h2>
+        <p class="cloze__intro">
+          Choose the word that completes each sentence.
+          ${lastScore && !isFinished ? `Last time: ${lastScore.correct} / ${lastScore.total}` : ''}
+        </p>
+        <div class="comprehension__list">
+          ${clozeExercises
+            .map((exercise, i) => {
+              const choice = clozeAnswers.get(i);
+              const isAnswered = choice !== undefined;
+              const isCorrect = choice === exercise.answerIndex;
+              return `
+            <div class="question-card cloze-card ${isAnswered ? (isCorrect ? 'cloze-card--correct' : 'cloze-card--incorrect') : ''}">
+              <p class="cloze-card__sentence jp-text">
+                ${exercise.before}<span class="cloze-card__blank">${isAnswered ? exercise.answer : '＿＿＿'}</span>${exercise.after}
+              </p>
+              <p class="cloze-card__translation">${exercise.translation}</p>
+              <div class="question-card__options">
+                ${exercise.options
+                  .map(
+                    (option, o) => `
+                  <button
+                    class="question-card__option cloze-card__option jp-text ${isAnswered && o === exercise.answerIndex ? 'question-card__option--correct' : ''} ${isAnswered && o === choice && !isCorrect ? 'question-card__option--incorrect' : ''}"
+                    data-exercise="${i}"
+                    data-option="${o}"
+                    ${isAnswered ? 'disabled' : ''}
+                  >${option}</button>
+                `
+                  )
+                  .join('')}
+              </div>
+              ${
+                isAnswered
+                  ? `
+                <p class="cloze-card__feedback">
+                  ${isCorrect ? '✓ Correct' : '✗ Not quite'} —
+                  <span class="jp-text">${exercise.answer}</span>${exercise.reading ? ` (${exercise.reading})` : ''}${exercise.meaning ? `: ${exercise.meaning}` : ''}
+                </p>
+              `
+                  : ''
+              }
+            </div>
+          `;
+            })
+            .join('')}
         </div>
+        ${
+          isFinished
+            ? `
+          <div class="cloze__result">
+            <p class="cloze__score">Score: <strong>${correctCount} / ${clozeExercises.length}</strong></p>
+            <button class="cloze-retry-btn btn btn--secondary btn--sm">↺ Try new blanks</button>
+          </div>
+        `
+            : ''
+        }
       </div>
     `;
+  };
 
-    // Use delegation for reveal buttons
-    events.delegate(compRoot, 'click', '.reveal-btn', function () {
-      const id = this.dataset.id;
-      const answerEl = compRoot.querySelector(`#answer-${id}`);
-      answerEl?.classList.toggle('hidden');
-      this.textContent = answerEl?.classList.contains('hidden') ? 'Reveal Answer' : 'Hide Answer';
-    });
+  const getClozeCorrectCount = () => {
+    return Array.from(clozeAnswers).filter(
+      ([index, choice]) => clozeExercises[index].answerIndex === choice
+    ).length;
+  };
+
+  /**
+   * Record a finished round of cloze exercises in the story's progress
+   */
+  const saveClozeScore = () => {
+    const previous = getStoryProgress(story.id)?.clozeScores || [];
+    const score = {
+      correct: getClozeCorrectCount(),
+      total: clozeExercises.length,
+      takenAt: Date.now(),
+    };
+    saveProgress(story.id, { clozeScores: [...previous, score] });
   };
 
   /**
@@ -533,8 +1449,11 @@ const Reader = ({ story, initialProgress, onComplete }) => {
     const completeBtn = container.querySelector('#complete-btn');
     if (completeBtn) {
       events.on(completeBtn, 'click', () => {
+        story.content.forEach((_, index) => readSegments.add(index));
         saveProgress(story.id, { completed: true, scrollPercent: 100 });
         cancelAudio();
+        // Log the session before onComplete navigates away
+        endReadingSession();
         if (onComplete) {
           onComplete();
         }
@@ -550,29 +1469,141 @@ const Reader = ({ story, initialProgress, onComplete }) => {
     if (toggleFuriganaEl) {
       events.on(toggleFuriganaEl, 'change', e => {
         showFurigana = e.target.checked;
-        const jpTexts = container.querySelectorAll('.segment__jp-text');
-        jpTexts.forEach((el, i) => {
-          const segment = story.content[i];
-          const furiganaText = showFurigana
-            ? addFurigana(segment.jp, segment.readings)
-            : segment.jp;
-          el.innerHTML = wrapKana(furiganaText);
+        refreshJapanese();
+      });
+    }
+
+    const toggleFuriganaUnknownEl = container.querySelector('#toggle-furigana-unknown');
+    if (toggleFuriganaUnknownEl) {
+      events.on(toggleFuriganaUnknownEl, 'change', e => {
+        furiganaOptions.furiganaMode = e.target.checked ? 'unknown' : 'all';
+        refreshJapanese();
+        saveSettings({ furiganaMode: furiganaOptions.furiganaMode });
+      });
+    }
+
+    // Mark kanji as known from the dictionary tooltip
+    events.delegate(container, 'click', '.kana-tooltip__kanji-btn', function () {
+      const char = this.dataset.kanji;
+      const known = furiganaOptions.knownKanji;
+      furiganaOptions.knownKanji = known.includes(char)
+        ? known.filter(k => k !== char)
+        : [...known, char];
+      saveSettings({ knownKanji: furiganaOptions.knownKanji });
+
+      // Update the chip in place: re-rendering it would make the click look like it
+      // landed outside the tooltip and close it
+      const { isKnown, isLocked, title } = getKanjiChipState(char);
+      this.classList.toggle('kana-tooltip__kanji-btn--known', isKnown);
+      this.disabled = isLocked;
+      this.title = title;
+      refreshJapanese();
+    });
+
+    // English mode buttons (saved as the default)
+    events.delegate(container, 'click', '.english-btn', function () {
+      setEnglishMode(this.dataset.english);
+    });
+
+    // Peek mode: tap a blurred translation, or rest the pointer on it, to reveal it
+    events.delegate(container, 'click', '.segment__en--peek', function () {
+      revealTranslation(this);
+    });
+    events.delegate(container, 'mouseover', '.segment__en--peek', function () {
+      if (!peekHoverTimer && !this.classList.contains('segment__en--revealed')) {
+        peekHoverTimer = setTimeout(() => revealTranslation(this), PEEK_HOVER_MS);
+      }
+    });
+    events.delegate(container, 'mouseout', '.segment__en--peek', function (e) {
+      if (!this.contains(e.relatedTarget)) {
+        clearTimeout(peekHoverTimer);
+        peekHoverTimer = null;
+      }
+    });
+
+    const toggleRomajiEl = container.querySelector('#toggle-romaji');
+    if (toggleRomajiEl) {
+      events.on(toggleRomajiEl, 'change', e => {
+        showRomaji = e.target.checked;
+        container.querySelectorAll('.segment__romaji').forEach(el => {
+          el.classList.toggle('hidden', !showRomaji);
         });
+        saveSettings({ showRomaji });
       });
     }
 
-    const toggleEnglishEl = container.querySelector('#toggle-english');
-    if (toggleEnglishEl) {
-      events.on(toggleEnglishEl, 'change', e => {
-        showEnglish = e.target.checked;
-        container.querySelectorAll('.segment__en').forEach(el => {
-          el.classList.toggle('hidden', !showEnglish);
+    events.on(container.querySelector('#print-btn'), 'click', () => {
+      printStory(story, {
+        furigana: container.querySelector('#print-furigana').checked,
+        english: container.querySelector('#print-english').checked,
+      });
+    });
+
+    const epubBtn = container.querySelector('#epub-btn');
+    events.on(epubBtn, 'click', async () => {
+      epubBtn.disabled = true;
+      try {
+        await exportEpub([story]);
+      } catch (error) {
+        toast.error(`Failed to export e-book: ${error.message}`);
+      } finally {
+        epubBtn.disabled = false;
+      }
+    });
+
+    const ankiBtn = container.querySelector('#anki-btn');
+    events.on(ankiBtn, 'click', async () => {
+      ankiBtn.disabled = true;
+      try {
+        const { notes, clips } = await exportAnkiDeck([story], {
+          includeAudio: container.querySelector('#anki-audio').checked,
         });
+        toast.success(`Exported ${notes} notes${clips > 0 ? ` with ${clips} audio clips` : ''}`);
+      } catch (error) {
+        toast.error(`Failed to export deck: ${error.message}`);
+      } finally {
+        ankiBtn.disabled = false;
+      }
+    });
+
+    const togglePitchEl = container.querySelector('#toggle-pitch');
+    if (togglePitchEl) {
+      events.on(togglePitchEl, 'change', e => {
+        showPitchAccent = e.target.checked;
+        refreshJapanese();
+        container.querySelectorAll('.segment__note-pitch').forEach(el => {
+          el.classList.toggle('hidden', !showPitchAccent);
+        });
+        saveSettings({ showPitchAccent });
       });
     }
 
-    // Hover lookup logic (desktop) - use delegation for kana-lookup
     const contentRoot = container.querySelector('#reader-content-root');
+
+    // Save vocab chips to the review deck
+    events.delegate(contentRoot, 'click', '.segment__note-save', function () {
+      const segment = story.content[Number(this.dataset.segment)];
+      const vocab = segment?.vocab?.[Number(this.dataset.vocab)];
+      if (!vocab) {
+        return;
+      }
+
+      saveDeckCard(
+        createCard(vocab, { storyId: story.id, sentence: segment.jp, translation: segment.en })
+      );
+      this.classList.add('segment__note-save--saved');
+      this.disabled = true;
+      this.textContent = '✓';
+      this.title = 'In your review deck';
+      toast.success(`Added ${vocab.word} to your review deck`);
+    });
+
+    // "Play from here" buttons
+    events.delegate(contentRoot, 'click', '.segment__play', function () {
+      playFromSegment(Number(this.dataset.index));
+    });
+
+    // Hover lookup logic (desktop) - use delegation for kana-lookup
     events.on(contentRoot, 'mouseover', e => {
       const target = e.target.closest('.kana-lookup');
       if (!target) {
@@ -588,6 +1619,10 @@ const Reader = ({ story, initialProgress, onComplete }) => {
 
     // Update tooltip position on mouse move
     events.on(contentRoot, 'mousemove', e => {
+      if (isWordLookupOpen) {
+        return;
+      }
+
       const target = e.target.closest('.kana-lookup');
       if (!target) {
         hideKanaTooltip();
@@ -598,15 +1633,82 @@ const Reader = ({ story, initialProgress, onComplete }) => {
       if (!char) {
         return;
       }
-      showKanaTooltip(char, e.clientX, e.clientY, false);
+      showKanaTooltip(char, e.clientX, e.clientY, false);
+    });
+
+    // Hide tooltip on mouse out
+    events.on(contentRoot, 'mouseout', e => {
+      const target = e.target.closest('.kana-lookup');
+      if (target && !isWordLookupOpen) {
+        hideKanaTooltip();
+      }
+    });
+
+    // Click a word (desktop) - dictionary lookup, pinned until dismissed
+    events.on(contentRoot, 'click', e => {
+      // A drag that selected text is a highlight, not a lookup
+      if (!window.getSelection()?.isCollapsed) {
+        return;
+      }
+
+      const target = e.target.closest('[data-offset]');
+      const mark = e.target.closest('.highlight');
+      const result = target ? lookupAt(target) : null;
+      if (result) {
+        hideKanaTooltip();
+        showWordTooltip(result, e.clientX, e.clientY, false);
+        setActiveWord(target);
+        renderTooltipHighlight(mark);
+      } else if (mark) {
+        hideKanaTooltip();
+        openHighlightPopover({ highlightId: mark.dataset.highlightId }, mark);
+      } else if (!target && isWordLookupOpen) {
+        hideKanaTooltip();
+      }
+    });
+
+    // Select text inside a segment to highlight it
+    events.on(contentRoot, 'mouseup', handleTextSelection);
+    events.on(container.querySelector('#highlight-save'), 'click', saveHighlightDraft);
+    events.on(container.querySelector('#highlight-remove'), 'click', removeHighlightDraft);
+    events.on(container.querySelector('#highlight-cancel'), 'click', () => {
+      closeHighlightPopover();
+      window.getSelection()?.removeAllRanges();
+    });
+    events.delegate(container, 'click', '.kana-tooltip__highlight-btn', function () {
+      const { highlightId } = this.dataset;
+      hideKanaTooltip();
+      openHighlightPopover(
+        { highlightId },
+        contentRoot.querySelector(`mark[data-highlight-id="${highlightId}"]`)
+      );
+    });
+
+    // Dismiss the dictionary tooltip when clicking outside the story or pressing Escape
+    events.on(document, 'click', e => {
+      const tooltip = container.querySelector('#kana-tooltip');
+      if (isWordLookupOpen && !contentRoot.contains(e.target) && !tooltip?.contains(e.target)) {
+        hideKanaTooltip();
+      }
+
+      // The click ending a text selection must not close the popover it just opened
+      const popover = container.querySelector('#highlight-popover');
+      if (
+        highlightDraft &&
+        !popover?.contains(e.target) &&
+        !e.target.closest('.highlight, .kana-tooltip__highlight-btn') &&
+        window.getSelection()?.isCollapsed
+      ) {
+        closeHighlightPopover();
+      }
     });
-
-    // Hide tooltip on mouse out
-    events.on(contentRoot, 'mouseout', e => {
-      const target = e.target.closest('.kana-lookup');
-      if (target) {
+    events.on(document, 'keydown', e => {
+      if (e.key === 'Escape' && isWordLookupOpen) {
         hideKanaTooltip();
       }
+      if (e.key === 'Escape' && highlightDraft) {
+        closeHighlightPopover();
+      }
     });
 
     // Mobile tap logic
@@ -614,24 +1716,30 @@ const Reader = ({ story, initialProgress, onComplete }) => {
       contentRoot,
       'touchstart',
       e => {
-        const target = e.target.closest('.kana-lookup');
+        const target = e.target.closest('[data-offset]');
         const tooltip = container.querySelector('#kana-tooltip');
         const isTooltipVisible = !tooltip?.classList.contains('hidden');
 
         if (target) {
-          // Tapping on a kana character
+          // Tapping on a word or kana character
           e.preventDefault(); // Prevent text selection and other default behaviors
-          const char = target.dataset.char;
-          if (!char) {
-            return;
-          }
           const touch = e.touches[0];
 
           // Toggle tooltip visibility
           if (isTooltipVisible) {
             hideKanaTooltip();
-          } else {
-            showKanaTooltip(char, touch.clientX, touch.clientY, true);
+            return;
+          }
+
+          // Prefer a dictionary entry, fall back to kana pronunciation
+          const result = lookupAt(target);
+          const kanaEl = e.target.closest('.kana-lookup');
+          if (result) {
+            showWordTooltip(result, touch.clientX, touch.clientY, true);
+            setActiveWord(target);
+            renderTooltipHighlight(e.target.closest('.highlight'));
+          } else if (kanaEl) {
+            showKanaTooltip(kanaEl.dataset.char, touch.clientX, touch.clientY, true);
           }
         } else if (isTooltipVisible) {
           // Tapping elsewhere while tooltip is visible - hide it
@@ -641,14 +1749,45 @@ const Reader = ({ story, initialProgress, onComplete }) => {
       { passive: false }
     );
 
-    const toggleSideBySideEl = container.querySelector('#toggle-side-by-side');
-    if (toggleSideBySideEl) {
-      events.on(toggleSideBySideEl, 'change', e => {
-        isSideBySide = e.target.checked;
-        const contentRoot = container.querySelector('#reader-content-root');
-        contentRoot?.classList.toggle('reader__content--side-by-side', isSideBySide);
-      });
-    }
+    // Layout buttons (saved as the default view mode)
+    events.delegate(container, 'click', '.layout-btn', function () {
+      setViewMode(this.dataset.layout);
+    });
+
+    // Vertical layout: page with the buttons, arrow keys or the mouse wheel
+    events.on(contentRoot, 'scroll', () => {
+      handleScroll();
+      updatePager();
+    });
+    events.on(container.querySelector('#page-next'), 'click', () => turnPage(1));
+    events.on(container.querySelector('#page-prev'), 'click', () => turnPage(-1));
+    events.on(
+      contentRoot,
+      'wheel',
+      e => {
+        if (viewMode === 'vertical' && Math.abs(e.deltaY) > Math.abs(e.deltaX)) {
+          e.preventDefault();
+          contentRoot.scrollLeft -= e.deltaY;
+        }
+      },
+      { passive: false }
+    );
+    events.on(document, 'keydown', e => {
+      if (
+        !container.isConnected ||
+        viewMode !== 'vertical' ||
+        e.target.closest('input, textarea, select')
+      ) {
+        return;
+      }
+      if (e.key === 'ArrowLeft' || e.key === 'PageDown') {
+        e.preventDefault();
+        turnPage(1);
+      } else if (e.key === 'ArrowRight' || e.key === 'PageUp') {
+        e.preventDefault();
+        turnPage(-1);
+      }
+    });
 
     const toggleImagesEl = container.querySelector('#toggle-images');
     if (toggleImagesEl) {
@@ -680,13 +1819,66 @@ const Reader = ({ story, initialProgress, onComplete }) => {
       saveSettings(settings);
     });
 
+    // Quiz answers (delegated: the section re-renders after every answer)
+    events.delegate(container, 'click', '.quiz-option', function () {
+      const questionIndex = Number(this.dataset.question);
+      if (quizAnswers.has(questionIndex)) {
+        return;
+      }
+      quizAnswers.set(questionIndex, Number(this.dataset.option));
+      if (quizAnswers.size === story.questions.length) {
+        saveQuizAttempt();
+      }
+      updateComprehension();
+    });
+
+    events.delegate(container, 'click', '.quiz-retake-btn', () => {
+      quizAnswers = new Map();
+      updateComprehension();
+      container.querySelector('#comprehension-root')?.scrollIntoView({ behavior: 'smooth' });
+    });
+
+    // Cloze answers (delegated: the section re-renders after every answer)
+    events.delegate(container, 'click', '.cloze-card__option', function () {
+      const exerciseIndex = Number(this.dataset.exercise);
+      if (clozeAnswers.has(exerciseIndex)) {
+        return;
+      }
+      clozeAnswers.set(exerciseIndex, Number(this.dataset.option));
+      if (clozeAnswers.size === clozeExercises.length) {
+        saveClozeScore();
+      }
+      updateCloze();
+    });
+
+    events.delegate(container, 'click', '.cloze-retry-btn', () => {
+      clozeExercises = buildClozeExercises(story, library);
+      clozeAnswers = new Map();
+      updateCloze();
+    });
+
     // Window scroll listener
     events.on(window, 'scroll', handleScroll);
 
+    // Scrolling by hand replaces the resume position
+    ['wheel', 'touchmove', 'keydown'].forEach(type => {
+      events.on(window, type, () => {
+        settlingResume = null;
+      });
+    });
+
+    // Log the reading session if the tab is closed while the Reader is open
+    events.on(window, 'pagehide', endReadingSession);
+
     // Cleanup function
     container._cleanup = () => {
+      endReadingSession();
+      segmentObserver?.disconnect();
+      clearTimeout(peekHoverTimer);
       events.cleanup();
       cancelAudio();
+      practicePanel?.cleanup();
+      unsubscribeRepair?.();
       if (typeof unsubscribeProgress === 'function') {
         unsubscribeProgress();
         unsubscribeProgress = null;
@@ -699,10 +1891,30 @@ const Reader = ({ story, initialProgress, onComplete }) => {
     //       They can briefly differ during state transitions
   };
 
-  const handleScroll = () => {
+  /**
+   * How far through the story the learner has scrolled (0-100)
+   * Vertical text scrolls sideways inside the content area instead of the page.
+   */
+  const getScrollPercent = () => {
+    const contentRoot = container.querySelector('#reader-content-root');
+    if (viewMode === 'vertical' && contentRoot) {
+      const maxScroll = contentRoot.scrollWidth - contentRoot.clientWidth;
+      // Right-to-left scrolling runs from 0 to negative values
+      return Math.min(100, Math.round((Math.abs(contentRoot.scrollLeft) / (maxScroll || 1)) * 100));
+    }
+
     const scrollTop = window.scrollY;
     const docHeight = document.documentElement.scrollHeight - window.innerHeight;
-    const scrollPercent = Math.min(100, Math.round((scrollTop / (docHeight || 1)) * 100));
+    return Math.min(100, Math.round((scrollTop / (docHeight || 1)) * 100));
+  };
+
+  const handleScroll = () => {
+    const scrollPercent = getScrollPercent();
+
+    markVisibleSegmentsRead();
+    if (highlightAnchor) {
+      positionHighlightPopover();
+    }
 
     if (scrollPercent > currentProgress) {
       currentProgress = scrollPercent;
@@ -719,11 +1931,330 @@ const Reader = ({ story, initialProgress, onComplete }) => {
     }
   };
 
+  /**
+   * Count every segment whose end is on screen as read: the bottom edge, or the
+   * left edge of a vertical column (segments jumped over by a resume or a deep link are not)
+   */
+  const markVisibleSegmentsRead = () => {
+    const contentRoot = container.querySelector('#reader-content-root');
+    if (!container.isConnected || !contentRoot) {
+      return;
+    }
+    const bounds = contentRoot.getBoundingClientRect();
+    container.querySelectorAll('.segment').forEach(el => {
+      const { bottom, left } = el.getBoundingClientRect();
+      const isEndVisible =
+        viewMode === 'vertical'
+          ? left >= bounds.left && left <= bounds.right
+          : bottom >= 0 && bottom <= window.innerHeight;
+      if (isEndVisible) {
+        readSegments.add(Number(el.dataset.index));
+      }
+    });
+  };
+
+  /**
+   * Height covered by the sticky site header and Reader header
+   */
+  const getStickyOffset = () => {
+    const siteHeader = document.querySelector('#main-header');
+    const readerHeader = container.querySelector('#reader-header-root');
+    return (siteHeader?.offsetHeight || 0) + (readerHeader?.offsetHeight || 0);
+  };
+
+  /**
+   * Jump to the segment saved in the progress, just below the sticky headers
+   */
+  const resumePendingSegment = () => {
+    if (pendingResume === null) {
+      return;
+    }
+
+    scrollToSegment(pendingResume);
+    settlingResume = pendingResume;
+    pendingResume = null;
+  };
+
+  /**
+   * Repeat the resume jump after the image placeholders above it are replaced,
+   * unless the reader has started scrolling on their own
+   */
+  const settleResume = () => {
+    if (settlingResume === null) {
+      return;
+    }
+    scrollToSegment(settlingResume);
+    settlingResume = null;
+  };
+
+  /**
+   * Bring a segment to the start of the reading area without animation
+   * @param {number} index - Segment index
+   */
+  const scrollToSegment = index => {
+    const segmentEl = container.querySelector(`#segment-${index}`);
+    if (!segmentEl) {
+      return;
+    }
+
+    if (viewMode === 'vertical') {
+      // The column's right edge lines up with the right edge of the reading area
+      segmentEl.scrollIntoView({ block: 'start', inline: 'nearest', behavior: 'instant' });
+      return;
+    }
+    window.scrollTo({
+      top: segmentEl.getBoundingClientRect().top + window.scrollY - getStickyOffset(),
+      behavior: 'instant',
+    });
+  };
+
+  /**
+   * Expandable grammar notes for a segment
+   * @param {StoryContent} segment
+   * @returns {string} HTML (empty when the segment has no notes)
+   */
+  const renderGrammarNotes = segment => {
+    if (!segment.grammar?.length) {
+      return '';
+    }
+    return `
+      <div class="segment__grammar">
+        ${segment.grammar
+          .map(
+            note => `
+          <details class="grammar-note">
+            <summary class="grammar-note__summary">
+              <span class="grammar-note__icon">📐</span>
+              <span class="jp-text">${note.pattern}</span>
+            </summary>
+            <div class="grammar-note__body">
+              <p class="grammar-note__span jp-text">${note.span}</p>
+              <p>${note.explanation}</p>
+              <a href="#/grammar?pattern=${encodeURIComponent(note.pattern)}" class="grammar-note__link">All examples →</a>
+            </div>
+          </details>
+        `
+          )
+          .join('')}
+      </div>
+    `;
+  };
+
+  /**
+   * Classes for a translation in the current English mode
+   */
+  const getEnglishClass = () => {
+    if (englishMode === 'hidden') {
+      return 'hidden';
+    }
+    return englishMode === 'peek' ? 'segment__en--peek' : '';
+  };
+
+  /**
+   * Summary of peek-mode reveals for this story
+   * @returns {string}
+   */
+  const renderPeekStats = () => {
+    const total = revealCounts.reduce((sum, count) => sum + (count || 0), 0);
+    if (total === 0) {
+      return englishMode === 'peek' ? 'No translations revealed yet' : '';
+    }
+    const segments = revealCounts.filter(count => count > 0).length;
+    return `Translations revealed ${total} time${total === 1 ? '' : 's'} (${segments} of ${story.content.length} parts)`;
+  };
+
+  /**
+   * Switch how translations are shown
+   * @param {EnglishMode} mode
+   */
+  const setEnglishMode = mode => {
+    if (mode === englishMode) {
+      return;
+    }
+
+    englishMode = mode;
+    const englishClass = getEnglishClass();
+    container.querySelectorAll('.segment__en').forEach(el => {
+      el.className = `segment__en ${englishClass}`;
+    });
+    container.querySelectorAll('.english-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.english === mode);
+    });
+    const statsEl = container.querySelector('#peek-stats');
+    if (statsEl) {
+      statsEl.textContent = renderPeekStats();
+    }
+    saveSettings({ englishMode: mode, showEnglish: mode !== 'hidden' });
+  };
+
+  /**
+   * Unblur a translation in peek mode
+   * Each segment counts once per reading, however often it is peeked at again.
+   * @param {HTMLElement} el - The segment's .segment__en element
+   */
+  const revealTranslation = el => {
+    clearTimeout(peekHoverTimer);
+    peekHoverTimer = null;
+    if (el.classList.contains('segment__en--revealed')) {
+      return;
+    }
+    el.classList.add('segment__en--revealed');
+
+    const index = Number(el.dataset.index);
+    if (revealedSegments.has(index)) {
+      return;
+    }
+    revealedSegments.add(index);
+    revealCounts[index] = (revealCounts[index] || 0) + 1;
+    saveProgress(story.id, { revealCounts: Array.from(revealCounts, count => count || 0) });
+
+    const statsEl = container.querySelector('#peek-stats');
+    if (statsEl) {
+      statsEl.textContent = renderPeekStats();
+    }
+  };
+
+  /**
+   * Class for the content area in the current view mode
+   */
+  const getLayoutClass = () => {
+    if (viewMode === 'side-by-side') {
+      return 'reader__content--side-by-side';
+    }
+    return viewMode === 'vertical' ? 'reader__content--vertical' : '';
+  };
+
+  /**
+   * Switch layout in place, keeping the current segment in view
+   * @param {ViewMode} mode
+   */
+  const setViewMode = mode => {
+    if (mode === viewMode) {
+      return;
+    }
+
+    const segmentToKeep = currentSegment;
+    viewMode = mode;
+    const contentRoot = container.querySelector('#reader-content-root');
+    contentRoot.className = `reader__content ${getLayoutClass()}`;
+    container.querySelector('#reader-pager')?.classList.toggle('hidden', mode !== 'vertical');
+    container.querySelectorAll('.layout-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.layout === mode);
+    });
+
+    scrollToSegment(segmentToKeep);
+    updatePager();
+    saveSettings({ viewMode: mode });
+  };
+
+  /**
+   * Move one screen through the vertical text
+   * @param {number} direction - 1 for the next page (leftwards), -1 for the previous one
+   */
+  const turnPage = direction => {
+    const contentRoot = container.querySelector('#reader-content-root');
+    if (!contentRoot) {
+      return;
+    }
+    // Keep one column of overlap so a line is never lost between pages
+    const step = contentRoot.clientWidth * 0.9;
+    contentRoot.scrollBy({ left: -direction * step, behavior: 'smooth' });
+  };
+
+  /**
+   * Update the page counter (and disable the buttons at either end)
+   */
+  const updatePager = () => {
+    const contentRoot = container.querySelector('#reader-content-root');
+    const indicator = container.querySelector('#page-indicator');
+    if (viewMode !== 'vertical' || !contentRoot || !indicator) {
+      return;
+    }
+
+    const pageWidth = contentRoot.clientWidth * 0.9 || 1;
+    const maxScroll = contentRoot.scrollWidth - contentRoot.clientWidth;
+    const scrolled = Math.abs(contentRoot.scrollLeft);
+    const total = Math.max(1, Math.ceil(maxScroll / pageWidth) + 1);
+    const page = scrolled >= maxScroll - 1 ? total : Math.floor(scrolled / pageWidth) + 1;
+
+    indicator.textContent = `${page} / ${total}`;
+    container.querySelector('#page-next').disabled = page >= total;
+    container.querySelector('#page-prev').disabled = scrolled < 1;
+  };
+
+  /**
+   * Remember the topmost segment on screen (below the sticky headers) as the
+   * reading position; unlike the scroll percentage, it survives layout changes
+   */
+  const observeSegments = () => {
+    segmentObserver?.disconnect();
+    visibleSegments.clear();
+
+    segmentObserver = new IntersectionObserver(
+      entries => {
+        entries.forEach(entry => {
+          const index = Number(entry.target.dataset.index);
+          if (entry.isIntersecting) {
+            visibleSegments.add(index);
+          } else {
+            visibleSegments.delete(index);
+          }
+        });
+
+        // Layout shifts before the resume jump settles are not the reader's position
+        if (visibleSegments.size === 0 || settlingResume !== null) {
+          return;
+        }
+        const topmost = Math.min(...visibleSegments);
+        if (topmost !== currentSegment) {
+          currentSegment = topmost;
+          saveProgress(story.id, { segmentIndex: topmost });
+        }
+      },
+      { rootMargin: `-${getStickyOffset()}px 0px 0px 0px` }
+    );
+    container.querySelectorAll('.segment').forEach(el => segmentObserver.observe(el));
+  };
+
+  /**
+   * Stop the reading clock and log the session (once)
+   */
+  const endReadingSession = () => {
+    if (isSessionLogged) {
+      return;
+    }
+    isSessionLogged = true;
+    markVisibleSegmentsRead();
+
+    const activeMs = readingTracker.stop();
+    const charsRead = Array.from(readSegments).reduce(
+      (sum, index) => sum + countReadableChars(story.content[index]?.jp),
+      0
+    );
+    const session = buildReadingSession({
+      story,
+      startedAt: readingTracker.startedAt,
+      activeMs,
+      charsRead,
+    });
+    if (session) {
+      saveReadingSession(session);
+    }
+  };
+
   const toggleSettings = () => {
     container.querySelector('#settings-panel')?.classList.toggle('hidden');
   };
 
-  const startPlayback = () => {
+  /**
+   * Start HQ playback, optionally from a given segment
+   * @param {number} [fromIndex=0] - Segment to start from
+   */
+  const startPlayback = async (fromIndex = 0) => {
+    if (practiceMode) {
+      closePractice();
+    }
+
     // Clean up any existing subscription first to prevent memory leaks
     if (unsubscribeProgress) {
       unsubscribeProgress();
@@ -739,6 +2270,16 @@ const Reader = ({ story, initialProgress, onComplete }) => {
     updatePlayer();
     updateContent();
 
+    // Real timestamps from the audio job (cached after the first load)
+    const timings = await getSegmentTimings(story.id);
+    if (!isPlaying) {
+      return; // Stopped while loading
+    }
+    segmentTimings = timings?.length === story.content.length ? timings : null;
+
+    // Without real timings the start offset is only known once the duration is
+    let pendingSeekIndex = segmentTimings ? -1 : fromIndex;
+
     // Subscribe to progress updates for KARAOKE HIGHLIGHTING only
     // (AudioPlayer handles the progress bar UI)
     unsubscribeProgress = subscribeToProgress(progress => {
@@ -749,19 +2290,33 @@ const Reader = ({ story, initialProgress, onComplete }) => {
         // (Note: AudioPlayer handles its own updates)
       }
 
-      // Calculate active segment based on time (Simple estimation for now, or real logic)
-      // Since we don't have per-segment timestamps yet in this simple player,
-      // we might just disable karaoke or keep it simple.
-      // For now, let's trust the existing logic or just keep it minimal.
+      // Older audio has no timings file - estimate from segment lengths instead
+      if (!segmentTimings && progress.duration > 0) {
+        segmentTimings = estimateSegmentTimings(
+          story.content.map(segment => segment.jp),
+          progress.duration
+        );
+      }
+
+      if (pendingSeekIndex > 0 && segmentTimings) {
+        seekTo(segmentTimings[pendingSeekIndex].start);
+        pendingSeekIndex = -1;
+        return;
+      }
 
-      // NOTE: The previous code didn't actually have complex karaoke logic in the subscription,
-      // it just updated the UI. We can probably remove this subscription entirely if we don't
-      // have segment timestamps mapping.
-      // Wait, let's keep it to update `activeSegmentIndex` if we implement that later.
+      const index = findSegmentAtTime(segmentTimings, progress.currentTime);
+      if (index !== activeSegmentIndex) {
+        // Listening along counts as reading, even without touching the page
+        readingTracker.ping();
+        readSegments.add(index);
+        activeSegmentIndex = index;
+        updateContent();
+        scrollToActiveSegment();
+      }
     });
 
     playAudio(
-      story.content[0].jp,
+      story.content[fromIndex].jp,
       () => {
         isPlaying = false;
         isAudioLoading = false;
@@ -770,10 +2325,113 @@ const Reader = ({ story, initialProgress, onComplete }) => {
         updatePlayer();
         updateContent();
       },
-      story.id
+      story.id,
+      segmentTimings?.[fromIndex]?.start ?? 0
     );
   };
 
+  /**
+   * "Play from here": jump to a segment, starting playback if needed
+   * @param {number} index - Segment index
+   */
+  const playFromSegment = index => {
+    if (!isHQAvailable) {
+      toast.info('HQ audio is still being generated');
+      return;
+    }
+
+    // In practice modes the button picks the segment to practise instead
+    if (practiceMode) {
+      practicePanel?.setSegment(index);
+      return;
+    }
+
+    // Already playing: just seek within the current audio
+    if (isPlaying && segmentTimings?.[index]) {
+      seekTo(segmentTimings[index].start);
+      if (isPaused()) {
+        togglePause();
+      }
+      return;
+    }
+
+    startPlayback(index);
+  };
+
+  /**
+   * Open or close a practice mode (switching closes the other one)
+   * @param {'shadowing'|'dictation'} mode
+   */
+  const togglePractice = mode => {
+    const wasActive = practiceMode === mode;
+    if (practiceMode) {
+      closePractice();
+    }
+    if (wasActive) {
+      return;
+    }
+
+    if (isPlaying) {
+      stopPlayback();
+    }
+
+    const root = container.querySelector('#practice-root');
+    if (!root) {
+      return;
+    }
+
+    practiceMode = mode;
+    activeSegmentIndex = 0;
+    const options = {
+      story,
+      startIndex: activeSegmentIndex,
+      onSegmentChange: index => {
+        activeSegmentIndex = index;
+        updateContent();
+        scrollToActiveSegment();
+      },
+      onClose: closePractice,
+    };
+
+    if (mode === 'dictation') {
+      dictationRevealed = new Set();
+      practicePanel = DictationPanel(root, {
+        ...options,
+        onReveal: indices => {
+          dictationRevealed = new Set(indices);
+          updateContent();
+        },
+      });
+    } else {
+      practicePanel = ShadowingPanel(root, options);
+    }
+
+    updateHeader();
+    updateContent();
+    scrollToActiveSegment();
+  };
+
+  const closePractice = () => {
+    practicePanel?.cleanup();
+    practicePanel = null;
+    practiceMode = null;
+    activeSegmentIndex = -1;
+    updateHeader();
+    updateContent();
+  };
+
+  /**
+   * Keep the segment being read aloud in view
+   */
+  const scrollToActiveSegment = () => {
+    if (activeSegmentIndex === -1) {
+      return;
+    }
+    container
+      .querySelector(`#segment-${activeSegmentIndex}`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
   const stopPlayback = () => {
     cancelAudio();
     isPlaying = false;
@@ -807,7 +2465,7 @@ const Reader = ({ story, initialProgress, onComplete }) => {
         try {
           const cachedUrl = await getCachedImage(story.id, i);
           if (cachedUrl) {
-            renderImageInto(imgContainer, cachedUrl);
+            await renderImageInto(imgContainer, cachedUrl);
             return;
           }
 
@@ -828,7 +2486,7 @@ const Reader = ({ story, initialProgress, onComplete }) => {
           const blob = await response.blob();
 
           await cacheImage(story.id, i, blob);
-          renderImageInto(imgContainer, URL.createObjectURL(blob));
+          await renderImageInto(imgContainer, URL.createObjectURL(blob));
         } catch {
           // Image load failed, hide container
           imgContainer.classList.add('hidden');
@@ -841,13 +2499,24 @@ const Reader = ({ story, initialProgress, onComplete }) => {
     }
   };
 
-  const renderImageInto = (target, url) => {
-    const img = new Image();
-    img.className = 'segment__image animate-fade-in';
-    img.src = url;
-    target.innerHTML = '';
-    target.appendChild(img);
-  };
+  /**
+   * Swap the skeleton for the image once it has loaded, so the layout shifts only once
+   * @param {HTMLElement} target - Image container
+   * @param {string} url
+   * @returns {Promise<void>} Rejects if the image fails to load
+   */
+  const renderImageInto = (target, url) =>
+    new Promise((resolve, reject) => {
+      const img = new Image();
+      img.className = 'segment__image animate-fade-in';
+      img.onload = () => {
+        target.innerHTML = '';
+        target.appendChild(img);
+        resolve();
+      };
+      img.onerror = reject;
+      img.src = url;
+    });
 
   // Check for audio availability and trigger generation if needed
   isAudioAvailable(story.id).then(async available => {
@@ -1006,8 +2675,12 @@ const downloadAndCacheAudio = async (storyId, audioPath) => {
         headers: { 'Content-Type': 'audio/wav' },
       })
     );
+    await clearSegmentTimings(storyId);
 
     logger.debug(`Audio cached for story ${storyId}`);
+
+    // Prefetch segment timings so highlighting also works offline
+    await getSegmentTimings(storyId);
   } catch (error) {
     logger.error('Failed to download and cache audio:', error);
     throw error;
@@ -0,0 +1,442 @@
+/**
+ * ShadowingPanel Component
+ * Shadowing practice for one story segment at a time: plays the model
+ * segment from the HQ audio, records the learner straight after, and
+ * compares both takes with side-by-side waveforms and a duration ratio.
+ */
+
+import { cancelAudio } from '../utils/audio.js';
+import { loadSegmentAudio } from '../utils/segmentAudio.js';
+import {
+  decodeAudioBlob,
+  findVoicedRange,
+  computePeaks,
+  drawWaveform,
+  playBufferRange,
+} from '../utils/waveform.js';
+import { getRecording, saveRecording, deleteRecording } from '../utils/recordingStorage.js';
+import { createEventManager } from '../utils/componentBase.js';
+import { toast } from './Toast.js';
+
+/**
+ * Constants
+ */
+const WAVEFORM_BARS = 80;
+const MIN_RECORDING_SECONDS = 3;
+const RECORDING_TIME_FACTOR = 2; // Auto-stop after twice the model length
+const RATIO_TOLERANCE = 0.1; // ±10% counts as matching the model pace
+
+/**
+ * Helper: Format a duration in seconds as "2.4s"
+ */
+const formatSeconds = seconds => `${seconds.toFixed(1)}s`;
+
+/**
+ * Helper: Describe how the learner's pace compares to the model
+ * @param {number} ratio - Learner duration / model duration
+ */
+const describeRatio = ratio => {
+  if (ratio > 1 + RATIO_TOLERANCE) {
+    return 'A little slower than the model';
+  }
+  if (ratio < 1 - RATIO_TOLERANCE) {
+    return 'A little faster than the model';
+  }
+  return 'Great match with the model pace';
+};
+
+/**
+ * Create the ShadowingPanel component
+ * @param {HTMLElement} container - The container element to mount into
+ * @param {Object} options
+ * @param {Object} options.story - Story being read
+ * @param {number} [options.startIndex=0] - Segment to practise first
+ * @param {Function} [options.onSegmentChange] - Called with the new segment index
+ * @param {Function} [options.onClose] - Called when the user closes the panel
+ */
+const ShadowingPanel = (container, { story, startIndex = 0, onSegmentChange, onClose }) => {
+  if (!container) {
+    return null;
+  }
+
+  const events = createEventManager();
+
+  // Internal State
+  let segmentIndex = startIndex;
+  let phase = 'loading'; // loading | unavailable | idle | model | recording | playback
+  let modelBuffer = null;
+  let timings = null;
+  let recordingBuffer = null;
+  let currentPlayback = null;
+  let recorder = null;
+  let recordingTimeout = null;
+  let isDestroyed = false;
+
+  /**
+   * Time range of the current segment within the full-story audio
+   */
+  const getModelRange = () => {
+    const timing = timings?.[segmentIndex];
+    if (!timing) {
+      return null;
+    }
+    return findVoicedRange(modelBuffer, timing.start, timing.end);
+  };
+
+  /**
+   * Initialize the component
+   */
+  const init = async () => {
+    render();
+
+    const segmentAudio = await loadSegmentAudio(story);
+    if (isDestroyed) {
+      return;
+    }
+    if (!segmentAudio) {
+      phase = 'unavailable';
+      render();
+      return;
+    }
+
+    modelBuffer = segmentAudio.buffer;
+    timings = segmentAudio.timings;
+    await loadRecording();
+    phase = 'idle';
+    render();
+  };
+
+  /**
+   * Load the saved take for the current segment (if any)
+   */
+  const loadRecording = async () => {
+    recordingBuffer = null;
+    const blob = await getRecording(story.id, segmentIndex);
+    if (!blob) {
+      return;
+    }
+    try {
+      recordingBuffer = await decodeAudioBlob(blob);
+    } catch (error) {
+      console.warn('Failed to decode recording:', error);
+    }
+  };
+
+  /**
+   * Render the panel UI
+   */
+  const render = () => {
+    const segment = story.content[segmentIndex];
+    const modelRange = modelBuffer ? getModelRange() : null;
+    const learnerRange = recordingBuffer ? findVoicedRange(recordingBuffer) : null;
+    const ratio =
+      modelRange?.duration > 0 && learnerRange?.duration > 0
+        ? learnerRange.duration / modelRange.duration
+        : null;
+    const isBusy = phase === 'model' || phase === 'recording' || phase === 'playback';
+
+    container.innerHTML = `
+      <div class="shadowing">
+        <div class="shadowing__header">
+          <h3 class="shadowing__title">🎙️ Shadowing</h3>
+          <div class="shadowing__nav">
+            <button id="shadow-prev" class="icon-btn" title="Previous segment" ${segmentIndex === 0 || isBusy ? 'disabled' : ''}>◀</button>
+            <span class="shadowing__position">${segmentIndex + 1} / ${story.content.length}</span>
+            <button id="shadow-next" class="icon-btn" title="Next segment" ${segmentIndex === story.content.length - 1 || isBusy ? 'disabled' : ''}>▶</button>
+          </div>
+          <button id="shadow-close" class="icon-btn" title="Close shadowing">✕</button>
+        </div>
+
+        <p class="shadowing__text jp-text">${segment.jp}</p>
+
+        ${
+          phase === 'loading'
+            ? `
+              <div class="shadowing__status"><div class="loader-sm"></div> Loading audio...</div>
+            `
+            : phase === 'unavailable'
+              ? `
+                <p class="shadowing__status">HQ audio for this story isn't downloaded yet. Try again once it has finished generating.</p>
+              `
+              : `
+          <div class="shadowing__compare">
+            <div class="shadowing__take shadowing__take--model">
+              <div class="shadowing__take-header">
+                <span class="shadowing__take-label">Model</span>
+                <span class="shadowing__take-duration">${modelRange ? formatSeconds(modelRange.duration) : '—'}</span>
+              </div>
+              <canvas class="shadowing__wave" id="shadow-wave-model"></canvas>
+              <button id="shadow-play-model" class="btn btn--secondary btn--sm" ${isBusy ? 'disabled' : ''}>▶ Play model</button>
+            </div>
+            <div class="shadowing__take shadowing__take--learner">
+              <div class="shadowing__take-header">
+                <span class="shadowing__take-label">You</span>
+                <span class="shadowing__take-duration">${learnerRange ? formatSeconds(learnerRange.duration) : '—'}</span>
+              </div>
+              ${
+                recordingBuffer
+                  ? `
+                    <canvas class="shadowing__wave" id="shadow-wave-learner"></canvas>
+                  `
+                  : `<div class="shadowing__wave shadowing__wave--empty">${phase === 'recording' ? '● Recording...' : 'No recording yet'}</div>`
+              }
+              <div class="shadowing__take-actions">
+                <button id="shadow-play-learner" class="btn btn--secondary btn--sm" ${!recordingBuffer || isBusy ? 'disabled' : ''}>▶ Play mine</button>
+                <button id="shadow-delete" class="btn btn--ghost btn--sm btn--danger" ${!recordingBuffer || isBusy ? 'disabled' : ''} title="Delete recording">🗑️</button>
+              </div>
+            </div>
+          </div>
+
+          ${
+            ratio
+              ? `
+            <p class="shadowing__ratio">
+              Duration ratio <strong>${ratio.toFixed(2)}×</strong>
+              <span class="shadowing__ratio-hint">${describeRatio(ratio)}</span>
+            </p>
+          `
+              : ''
+          }
+
+          <div class="shadowing__actions">
+            ${
+              phase === 'recording'
+                ? `
+                  <button id="shadow-stop" class="btn btn--sm">⏹ Stop recording</button>
+                `
+                : `<button id="shadow-start" class="btn btn--sm btn--accent" ${isBusy ? 'disabled' : ''}>
+                    ${phase === 'model' ? '🔊 Listen...' : '🎧 Listen & Record'}
+                  </button>`
+            }
+          </div>
+        `
+        }
+      </div>
+    `;
+
+    drawWaves(modelRange);
+  };
+
+  /**
+   * Draw both waveforms on the same time scale so their lengths compare directly
+   */
+  const drawWaves = modelRange => {
+    const modelCanvas = container.querySelector('#shadow-wave-model');
+    const learnerCanvas = container.querySelector('#shadow-wave-learner');
+    const learnerRange = recordingBuffer ? findVoicedRange(recordingBuffer) : null;
+    const longest = Math.max(modelRange?.duration || 0, learnerRange?.duration || 0);
+
+    if (modelCanvas && modelRange && longest > 0) {
+      drawWaveform(
+        modelCanvas,
+        computePeaks(modelBuffer, modelRange.start, modelRange.start + longest, WAVEFORM_BARS)
+      );
+    }
+    if (learnerCanvas && learnerRange && longest > 0) {
+      drawWaveform(
+        learnerCanvas,
+        computePeaks(
+          recordingBuffer,
+          learnerRange.start,
+          learnerRange.start + longest,
+          WAVEFORM_BARS
+        )
+      );
+    }
+  };
+
+  /**
+   * Attach the control listeners (delegated once: render() replaces the controls on
+   * every state change)
+   */
+  const bindControls = () => {
+    const handlers = {
+      'shadow-prev': () => setSegment(segmentIndex - 1),
+      'shadow-next': () => setSegment(segmentIndex + 1),
+      'shadow-close': () => onClose?.(),
+      'shadow-start': listenAndRecord,
+      'shadow-stop': stopRecording,
+      'shadow-play-model': playModel,
+      'shadow-play-learner': playLearner,
+      'shadow-delete': handleDelete,
+    };
+
+    events.delegate(container, 'click', 'button[id^="shadow-"]', function () {
+      handlers[this.id]?.();
+    });
+  };
+
+  /**
+   * Play the model segment, resolving when it ends
+   */
+  const playModelSegment = async () => {
+    const range = getModelRange();
+    if (!range) {
+      return;
+    }
+    cancelAudio(); // Never talk over the Reader's own playback
+    currentPlayback = playBufferRange(modelBuffer, range.start, range.end);
+    await currentPlayback.finished;
+    currentPlayback = null;
+  };
+
+  const playModel = async () => {
+    phase = 'playback';
+    render();
+    await playModelSegment();
+    if (!isDestroyed) {
+      phase = 'idle';
+      render();
+    }
+  };
+
+  const playLearner = async () => {
+    if (!recordingBuffer) {
+      return;
+    }
+    phase = 'playback';
+    render();
+    currentPlayback = playBufferRange(recordingBuffer);
+    await currentPlayback.finished;
+    currentPlayback = null;
+    if (!isDestroyed) {
+      phase = 'idle';
+      render();
+    }
+  };
+
+  /**
+   * Play the model, then immediately start recording the learner
+   */
+  const listenAndRecord = async () => {
+    let stream;
+    try {
+      // Ask for the microphone first so the permission prompt doesn't cut into the take
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      console.warn('Microphone access denied:', error);
+      toast.error('Microphone access is needed for shadowing');
+      return;
+    }
+
+    phase = 'model';
+    render();
+    await playModelSegment();
+
+    if (isDestroyed) {
+      stream.getTracks().forEach(track => track.stop());
+      return;
+    }
+    startRecording(stream);
+  };
+
+  /**
+   * Record the learner with MediaRecorder and save the take when it stops
+   * @param {MediaStream} stream - Microphone stream
+   */
+  const startRecording = stream => {
+    const chunks = [];
+    const recordingIndex = segmentIndex;
+    recorder = new MediaRecorder(stream);
+
+    recorder.ondataavailable = e => {
+      if (e.data.size > 0) {
+        chunks.push(e.data);
+      }
+    };
+
+    recorder.onstop = async () => {
+      stream.getTracks().forEach(track => track.stop());
+      clearTimeout(recordingTimeout);
+      recorder = null;
+      if (isDestroyed) {
+        return;
+      }
+
+      const blob = new Blob(chunks, { type: chunks[0]?.type || 'audio/webm' });
+      const saved = await saveRecording(story.id, recordingIndex, blob);
+      if (!saved) {
+        toast.error('Could not save your recording');
+      }
+      try {
+        recordingBuffer = await decodeAudioBlob(blob);
+      } catch (error) {
+        console.warn('Failed to decode recording:', error);
+        recordingBuffer = null;
+      }
+      phase = 'idle';
+      render();
+    };
+
+    recorder.start();
+    phase = 'recording';
+    render();
+
+    const modelDuration = getModelRange()?.duration || 0;
+    recordingTimeout = setTimeout(
+      stopRecording,
+      Math.max(MIN_RECORDING_SECONDS, modelDuration * RECORDING_TIME_FACTOR) * 1000
+    );
+  };
+
+  const stopRecording = () => {
+    if (recorder?.state === 'recording') {
+      recorder.stop();
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm('Delete your recording for this segment?')) {
+      return;
+    }
+    await deleteRecording(story.id, segmentIndex);
+    recordingBuffer = null;
+    render();
+  };
+
+  /**
+   * Switch to another segment
+   * @param {number} index - Segment index
+   */
+  const setSegment = async index => {
+    if (index < 0 || index >= story.content.length || index === segmentIndex) {
+      return;
+    }
+    if (phase === 'model' || phase === 'recording' || phase === 'playback') {
+      return;
+    }
+
+    segmentIndex = index;
+    onSegmentChange?.(segmentIndex);
+    if (modelBuffer) {
+      await loadRecording();
+    }
+    if (!isDestroyed) {
+      render();
+    }
+  };
+
+  /**
+   * Cleanup
+   */
+  const cleanup = () => {
+    isDestroyed = true;
+    currentPlayback?.stop();
+    clearTimeout(recordingTimeout);
+    stopRecording();
+    events.cleanup();
+    container.innerHTML = '';
+  };
+
+  // Start initialization
+  bindControls();
+  init();
+
+  // Return public API
+  return {
+    setSegment,
+    cleanup,
+  };
+};
+
+export default ShadowingPanel;
@@ -4,6 +4,8 @@
  */
 
 import { getStoryProgress } from '../utils/storage.js';
+import { checkFuriganaCoverage } from '../utils/furigana.js';
+import { analyzeDifficulty, describeDifficulty } from '../utils/difficulty.js';
 
 /**
  * Get badge class for difficulty level
@@ -24,21 +26,37 @@ const getBadgeClass = level => {
 /**
  * Render a story card
  * @param {Object} story - Story data object
+ * @param {Object} [options]
+ * @param {boolean} [options.selectable=false] - Show a checkbox for picking stories to export
+ * @param {boolean} [options.selected=false] - Whether the checkbox is ticked
  * @returns {string} HTML string
  */
-const StoryCard = story => {
+const StoryCard = (story, { selectable = false, selected = false } = {}) => {
   const isGenerated = String(story.id).startsWith('gen-');
   const progress = getStoryProgress(story.id);
   const isInProgress = progress && !progress.completed;
   const isCompleted = progress?.completed;
+  const coverage = checkFuriganaCoverage(story);
+  const difficulty = analyzeDifficulty(story);
 
   return `
-    <article class="card card--interactive story-card" data-story-id="${story.id}">
+    <article class="card card--interactive story-card ${selected ? 'story-card--selected' : ''}" data-story-id="${story.id}">
       <div class="story-card__header">
         <div class="flex gap-2 items-center">
+          ${
+            selectable
+              ? `<input type="checkbox" class="story-card__select" data-id="${story.id}" aria-label="Select story" ${selected ? 'checked' : ''}>`
+              : ''
+          }
           <span class="badge ${getBadgeClass(story.level)}">${story.level}</span>
+          <span class="badge ${difficulty.verdict === 'harder' ? 'badge--warning' : ''}" title="${describeDifficulty(difficulty, story.level)}">≈ ${difficulty.estimatedLevel}</span>
           ${isGenerated ? '<span class="badge badge--ai">✨ AI</span>' : ''}
           ${isCompleted ? '<span class="badge badge--success">✓ Read</span>' : ''}
+          ${
+            coverage.ratio < 1
+              ? `<span class="badge badge--warning" title="${coverage.total - coverage.covered} of ${coverage.total} kanji have no furigana">振 ${Math.floor(coverage.ratio * 100)}%</span>`
+              : ''
+          }
         </div>
         
         <div class="story-card__meta">
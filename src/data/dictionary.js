@@ -0,0 +1,1368 @@
+/**
+ * Offline Dictionary Data
+ * @module data/dictionary
+ *
+ * A compact, bundled subset of JMdict-style entries covering the words that
+ * show up most often in graded readers (roughly JLPT N5-N3). Each entry lists
+ * its written forms, kana readings, JMdict part-of-speech codes and English
+ * glosses, so lookups work without any network access.
+ */
+
+/**
+ * Human-readable labels for the JMdict part-of-speech codes used below
+ * @type {Object.<string, string>}
+ */
+export const PART_OF_SPEECH = {
+  n: 'Noun',
+  pn: 'Pronoun',
+  adv: 'Adverb',
+  exp: 'Expression',
+  int: 'Interjection',
+  prt: 'Particle',
+  conj: 'Conjunction',
+  ctr: 'Counter',
+  suf: 'Suffix',
+  'adj-i': 'I-adjective',
+  'adj-na': 'Na-adjective',
+  'adj-no': 'No-adjective',
+  v1: 'Ichidan verb',
+  v5u: 'Godan verb (-u)',
+  v5k: 'Godan verb (-ku)',
+  'v5k-s': 'Godan verb (iku)',
+  v5g: 'Godan verb (-gu)',
+  v5s: 'Godan verb (-su)',
+  v5t: 'Godan verb (-tsu)',
+  v5n: 'Godan verb (-nu)',
+  v5b: 'Godan verb (-bu)',
+  v5m: 'Godan verb (-mu)',
+  v5r: 'Godan verb (-ru)',
+  'v5r-i': 'Godan verb (aru)',
+  v5aru: 'Godan verb (-aru)',
+  vk: 'Kuru verb',
+  vs: 'Takes する',
+  'vs-i': 'Suru verb',
+};
+
+/**
+ * Dictionary entries
+ * @type {Array<{kanji: string[], readings: string[], pos: string[], glosses: string[], jlpt: string|null}>}
+ */
+export const DICTIONARY = [
+  // ========================================================================
+  // VERBS
+  // ========================================================================
+  { kanji: ['会う'], readings: ['あう'], pos: ['v5u'], glosses: ['to meet', 'to see'], jlpt: 'N5' },
+  { kanji: ['開ける'], readings: ['あける'], pos: ['v1'], glosses: ['to open'], jlpt: 'N5' },
+  { kanji: ['開く'], readings: ['あく'], pos: ['v5k'], glosses: ['to open (intr.)'], jlpt: 'N5' },
+  {
+    kanji: ['上げる'],
+    readings: ['あげる'],
+    pos: ['v1'],
+    glosses: ['to raise', 'to give'],
+    jlpt: 'N5',
+  },
+  { kanji: ['遊ぶ'], readings: ['あそぶ'], pos: ['v5b'], glosses: ['to play'], jlpt: 'N5' },
+  {
+    kanji: ['浴びる'],
+    readings: ['あびる'],
+    pos: ['v1'],
+    glosses: ['to bathe', 'to shower'],
+    jlpt: 'N5',
+  },
+  { kanji: ['洗う'], readings: ['あらう'], pos: ['v5u'], glosses: ['to wash'], jlpt: 'N5' },
+  {
+    kanji: ['有る', '在る'],
+    readings: ['ある'],
+    pos: ['v5r-i'],
+    glosses: ['to be (inanimate)', 'to exist', 'to have'],
+    jlpt: 'N5',
+  },
+  { kanji: ['歩く'], readings: ['あるく'], pos: ['v5k'], glosses: ['to walk'], jlpt: 'N5' },
+  {
+    kanji: ['言う'],
+    readings: ['いう'],
+    pos: ['v5u'],
+    glosses: ['to say', 'to call (something by a name)'],
+    jlpt: 'N5',
+  },
+  { kanji: ['行く'], readings: ['いく', 'ゆく'], pos: ['v5k-s'], glosses: ['to go'], jlpt: 'N5' },
+  {
+    kanji: ['居る'],
+    readings: ['いる'],
+    pos: ['v1'],
+    glosses: ['to be (animate)', 'to exist'],
+    jlpt: 'N5',
+  },
+  { kanji: ['要る'], readings: ['いる'], pos: ['v5r'], glosses: ['to need'], jlpt: 'N5' },
+  {
+    kanji: ['入れる'],
+    readings: ['いれる'],
+    pos: ['v1'],
+    glosses: ['to put in', 'to insert'],
+    jlpt: 'N5',
+  },
+  { kanji: ['歌う'], readings: ['うたう'], pos: ['v5u'], glosses: ['to sing'], jlpt: 'N5' },
+  { kanji: ['生まれる'], readings: ['うまれる'], pos: ['v1'], glosses: ['to be born'], jlpt: 'N5' },
+  { kanji: ['売る'], readings: ['うる'], pos: ['v5r'], glosses: ['to sell'], jlpt: 'N5' },
+  {
+    kanji: ['起きる'],
+    readings: ['おきる'],
+    pos: ['v1'],
+    glosses: ['to get up', 'to wake up', 'to happen'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['置く'],
+    readings: ['おく'],
+    pos: ['v5k'],
+    glosses: ['to put', 'to place'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['教える'],
+    readings: ['おしえる'],
+    pos: ['v1'],
+    glosses: ['to teach', 'to tell'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['押す'],
+    readings: ['おす'],
+    pos: ['v5s'],
+    glosses: ['to push', 'to press'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['覚える'],
+    readings: ['おぼえる'],
+    pos: ['v1'],
+    glosses: ['to remember', 'to memorize'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['思う'],
+    readings: ['おもう'],
+    pos: ['v5u'],
+    glosses: ['to think', 'to feel'],
+    jlpt: 'N4',
+  },
+  { kanji: ['泳ぐ'], readings: ['およぐ'], pos: ['v5g'], glosses: ['to swim'], jlpt: 'N5' },
+  {
+    kanji: ['降りる'],
+    readings: ['おりる'],
+    pos: ['v1'],
+    glosses: ['to get off', 'to descend'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['終わる'],
+    readings: ['おわる'],
+    pos: ['v5r'],
+    glosses: ['to end', 'to finish'],
+    jlpt: 'N5',
+  },
+  { kanji: ['買う'], readings: ['かう'], pos: ['v5u'], glosses: ['to buy'], jlpt: 'N5' },
+  {
+    kanji: ['返す'],
+    readings: ['かえす'],
+    pos: ['v5s'],
+    glosses: ['to return (something)'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['帰る'],
+    readings: ['かえる'],
+    pos: ['v5r'],
+    glosses: ['to go home', 'to return'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['掛かる'],
+    readings: ['かかる'],
+    pos: ['v5r'],
+    glosses: ['to take (time or money)', 'to hang'],
+    jlpt: 'N5',
+  },
+  { kanji: ['書く'], readings: ['かく'], pos: ['v5k'], glosses: ['to write'], jlpt: 'N5' },
+  { kanji: ['貸す'], readings: ['かす'], pos: ['v5s'], glosses: ['to lend'], jlpt: 'N5' },
+  { kanji: ['借りる'], readings: ['かりる'], pos: ['v1'], glosses: ['to borrow'], jlpt: 'N5' },
+  {
+    kanji: ['考える'],
+    readings: ['かんがえる'],
+    pos: ['v1'],
+    glosses: ['to think about', 'to consider'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['消える'],
+    readings: ['きえる'],
+    pos: ['v1'],
+    glosses: ['to disappear', 'to go out (light)'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['聞く'],
+    readings: ['きく'],
+    pos: ['v5k'],
+    glosses: ['to hear', 'to listen', 'to ask'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['着る'],
+    readings: ['きる'],
+    pos: ['v1'],
+    glosses: ['to wear (upper body)', 'to put on'],
+    jlpt: 'N5',
+  },
+  { kanji: ['切る'], readings: ['きる'], pos: ['v5r'], glosses: ['to cut'], jlpt: 'N5' },
+  { kanji: ['来る'], readings: ['くる'], pos: ['vk'], glosses: ['to come'], jlpt: 'N5' },
+  {
+    kanji: ['消す'],
+    readings: ['けす'],
+    pos: ['v5s'],
+    glosses: ['to erase', 'to turn off'],
+    jlpt: 'N5',
+  },
+  { kanji: ['答える'], readings: ['こたえる'], pos: ['v1'], glosses: ['to answer'], jlpt: 'N5' },
+  {
+    kanji: ['困る'],
+    readings: ['こまる'],
+    pos: ['v5r'],
+    glosses: ['to be troubled', 'to be at a loss'],
+    jlpt: 'N5',
+  },
+  { kanji: ['咲く'], readings: ['さく'], pos: ['v5k'], glosses: ['to bloom'], jlpt: 'N5' },
+  {
+    kanji: ['探す'],
+    readings: ['さがす'],
+    pos: ['v5s'],
+    glosses: ['to look for', 'to search'],
+    jlpt: 'N4',
+  },
+  { kanji: ['死ぬ'], readings: ['しぬ'], pos: ['v5n'], glosses: ['to die'], jlpt: 'N5' },
+  {
+    kanji: ['閉まる'],
+    readings: ['しまる'],
+    pos: ['v5r'],
+    glosses: ['to close (intr.)'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['閉める'],
+    readings: ['しめる'],
+    pos: ['v1'],
+    glosses: ['to close', 'to shut'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['知る'],
+    readings: ['しる'],
+    pos: ['v5r'],
+    glosses: ['to know', 'to learn of'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['吸う'],
+    readings: ['すう'],
+    pos: ['v5u'],
+    glosses: ['to inhale', 'to smoke'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['住む'],
+    readings: ['すむ'],
+    pos: ['v5m'],
+    glosses: ['to live (somewhere)'],
+    jlpt: 'N5',
+  },
+  { kanji: ['為る'], readings: ['する'], pos: ['vs-i'], glosses: ['to do', 'to make'], jlpt: 'N5' },
+  { kanji: ['座る'], readings: ['すわる'], pos: ['v5r'], glosses: ['to sit'], jlpt: 'N5' },
+  {
+    kanji: ['出す'],
+    readings: ['だす'],
+    pos: ['v5s'],
+    glosses: ['to take out', 'to send'],
+    jlpt: 'N5',
+  },
+  { kanji: ['立つ'], readings: ['たつ'], pos: ['v5t'], glosses: ['to stand'], jlpt: 'N5' },
+  {
+    kanji: ['頼む'],
+    readings: ['たのむ'],
+    pos: ['v5m'],
+    glosses: ['to ask', 'to request'],
+    jlpt: 'N5',
+  },
+  { kanji: ['食べる'], readings: ['たべる'], pos: ['v1'], glosses: ['to eat'], jlpt: 'N5' },
+  {
+    kanji: ['違う'],
+    readings: ['ちがう'],
+    pos: ['v5u'],
+    glosses: ['to differ', 'to be wrong'],
+    jlpt: 'N5',
+  },
+  { kanji: ['使う'], readings: ['つかう'], pos: ['v5u'], glosses: ['to use'], jlpt: 'N5' },
+  { kanji: ['疲れる'], readings: ['つかれる'], pos: ['v1'], glosses: ['to get tired'], jlpt: 'N5' },
+  { kanji: ['着く'], readings: ['つく'], pos: ['v5k'], glosses: ['to arrive'], jlpt: 'N5' },
+  {
+    kanji: ['作る'],
+    readings: ['つくる'],
+    pos: ['v5r'],
+    glosses: ['to make', 'to cook'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['勤める'],
+    readings: ['つとめる'],
+    pos: ['v1'],
+    glosses: ['to work for', 'to be employed'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['出掛ける'],
+    readings: ['でかける'],
+    pos: ['v1'],
+    glosses: ['to go out', 'to set out'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['出来る'],
+    readings: ['できる'],
+    pos: ['v1'],
+    glosses: ['to be able to', 'to be completed'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['出る'],
+    readings: ['でる'],
+    pos: ['v1'],
+    glosses: ['to leave', 'to go out', 'to appear'],
+    jlpt: 'N5',
+  },
+  { kanji: ['飛ぶ'], readings: ['とぶ'], pos: ['v5b'], glosses: ['to fly', 'to jump'], jlpt: 'N5' },
+  {
+    kanji: ['止まる'],
+    readings: ['とまる'],
+    pos: ['v5r'],
+    glosses: ['to stop (intr.)'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['取る'],
+    readings: ['とる'],
+    pos: ['v5r'],
+    glosses: ['to take', 'to pick up'],
+    jlpt: 'N5',
+  },
+  { kanji: ['撮る'], readings: ['とる'], pos: ['v5r'], glosses: ['to take (a photo)'], jlpt: 'N5' },
+  {
+    kanji: ['鳴く'],
+    readings: ['なく'],
+    pos: ['v5k'],
+    glosses: ['to cry (animal)', 'to chirp'],
+    jlpt: 'N5',
+  },
+  { kanji: ['泣く'], readings: ['なく'], pos: ['v5k'], glosses: ['to cry', 'to weep'], jlpt: 'N5' },
+  {
+    kanji: ['無くす'],
+    readings: ['なくす'],
+    pos: ['v5s'],
+    glosses: ['to lose (something)'],
+    jlpt: 'N5',
+  },
+  { kanji: ['並ぶ'], readings: ['ならぶ'], pos: ['v5b'], glosses: ['to line up'], jlpt: 'N5' },
+  {
+    kanji: ['習う'],
+    readings: ['ならう'],
+    pos: ['v5u'],
+    glosses: ['to learn (from someone)'],
+    jlpt: 'N5',
+  },
+  { kanji: ['成る'], readings: ['なる'], pos: ['v5r'], glosses: ['to become'], jlpt: 'N5' },
+  {
+    kanji: ['脱ぐ'],
+    readings: ['ぬぐ'],
+    pos: ['v5g'],
+    glosses: ['to take off (clothes)'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['寝る'],
+    readings: ['ねる'],
+    pos: ['v1'],
+    glosses: ['to sleep', 'to go to bed'],
+    jlpt: 'N5',
+  },
+  { kanji: ['登る'], readings: ['のぼる'], pos: ['v5r'], glosses: ['to climb'], jlpt: 'N5' },
+  { kanji: ['飲む'], readings: ['のむ'], pos: ['v5m'], glosses: ['to drink'], jlpt: 'N5' },
+  {
+    kanji: ['乗る'],
+    readings: ['のる'],
+    pos: ['v5r'],
+    glosses: ['to ride', 'to get on'],
+    jlpt: 'N5',
+  },
+  { kanji: ['入る'], readings: ['はいる'], pos: ['v5r'], glosses: ['to enter'], jlpt: 'N5' },
+  {
+    kanji: ['始まる'],
+    readings: ['はじまる'],
+    pos: ['v5r'],
+    glosses: ['to begin (intr.)'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['始める'],
+    readings: ['はじめる'],
+    pos: ['v1'],
+    glosses: ['to begin', 'to start'],
+    jlpt: 'N4',
+  },
+  { kanji: ['走る'], readings: ['はしる'], pos: ['v5r'], glosses: ['to run'], jlpt: 'N5' },
+  { kanji: ['働く'], readings: ['はたらく'], pos: ['v5k'], glosses: ['to work'], jlpt: 'N5' },
+  {
+    kanji: ['話す'],
+    readings: ['はなす'],
+    pos: ['v5s'],
+    glosses: ['to speak', 'to talk'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['晴れる'],
+    readings: ['はれる'],
+    pos: ['v1'],
+    glosses: ['to clear up (weather)'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['弾く'],
+    readings: ['ひく'],
+    pos: ['v5k'],
+    glosses: ['to play (an instrument)'],
+    jlpt: 'N5',
+  },
+  { kanji: ['引く'], readings: ['ひく'], pos: ['v5k'], glosses: ['to pull'], jlpt: 'N5' },
+  { kanji: ['吹く'], readings: ['ふく'], pos: ['v5k'], glosses: ['to blow'], jlpt: 'N5' },
+  {
+    kanji: ['降る'],
+    readings: ['ふる'],
+    pos: ['v5r'],
+    glosses: ['to fall (rain, snow)'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['曲がる'],
+    readings: ['まがる'],
+    pos: ['v5r'],
+    glosses: ['to turn', 'to bend'],
+    jlpt: 'N5',
+  },
+  { kanji: ['待つ'], readings: ['まつ'], pos: ['v5t'], glosses: ['to wait'], jlpt: 'N5' },
+  {
+    kanji: ['磨く'],
+    readings: ['みがく'],
+    pos: ['v5k'],
+    glosses: ['to polish', 'to brush (teeth)'],
+    jlpt: 'N5',
+  },
+  { kanji: ['見せる'], readings: ['みせる'], pos: ['v1'], glosses: ['to show'], jlpt: 'N5' },
+  {
+    kanji: ['見る'],
+    readings: ['みる'],
+    pos: ['v1'],
+    glosses: ['to see', 'to look', 'to watch'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['持つ'],
+    readings: ['もつ'],
+    pos: ['v5t'],
+    glosses: ['to hold', 'to have'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['休む'],
+    readings: ['やすむ'],
+    pos: ['v5m'],
+    glosses: ['to rest', 'to take a day off'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['呼ぶ'],
+    readings: ['よぶ'],
+    pos: ['v5b'],
+    glosses: ['to call', 'to invite'],
+    jlpt: 'N5',
+  },
+  { kanji: ['読む'], readings: ['よむ'], pos: ['v5m'], glosses: ['to read'], jlpt: 'N5' },
+  { kanji: ['分かる'], readings: ['わかる'], pos: ['v5r'], glosses: ['to understand'], jlpt: 'N5' },
+  { kanji: ['忘れる'], readings: ['わすれる'], pos: ['v1'], glosses: ['to forget'], jlpt: 'N5' },
+  { kanji: ['渡す'], readings: ['わたす'], pos: ['v5s'], glosses: ['to hand over'], jlpt: 'N5' },
+  { kanji: ['渡る'], readings: ['わたる'], pos: ['v5r'], glosses: ['to cross'], jlpt: 'N5' },
+  {
+    kanji: ['笑う'],
+    readings: ['わらう'],
+    pos: ['v5u'],
+    glosses: ['to laugh', 'to smile'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['集める'],
+    readings: ['あつめる'],
+    pos: ['v1'],
+    glosses: ['to collect', 'to gather'],
+    jlpt: 'N4',
+  },
+  { kanji: ['謝る'], readings: ['あやまる'], pos: ['v5r'], glosses: ['to apologize'], jlpt: 'N4' },
+  { kanji: ['急ぐ'], readings: ['いそぐ'], pos: ['v5g'], glosses: ['to hurry'], jlpt: 'N4' },
+  { kanji: ['動く'], readings: ['うごく'], pos: ['v5k'], glosses: ['to move'], jlpt: 'N4' },
+  { kanji: ['選ぶ'], readings: ['えらぶ'], pos: ['v5b'], glosses: ['to choose'], jlpt: 'N4' },
+  {
+    kanji: ['送る'],
+    readings: ['おくる'],
+    pos: ['v5r'],
+    glosses: ['to send', 'to see off'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['落ちる'],
+    readings: ['おちる'],
+    pos: ['v1'],
+    glosses: ['to fall', 'to drop'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['驚く'],
+    readings: ['おどろく'],
+    pos: ['v5k'],
+    glosses: ['to be surprised'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['思い出す'],
+    readings: ['おもいだす'],
+    pos: ['v5s'],
+    glosses: ['to recall', 'to remember'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['変える'],
+    readings: ['かえる'],
+    pos: ['v1'],
+    glosses: ['to change (something)'],
+    jlpt: 'N4',
+  },
+  { kanji: ['決める'], readings: ['きめる'], pos: ['v1'], glosses: ['to decide'], jlpt: 'N4' },
+  { kanji: ['比べる'], readings: ['くらべる'], pos: ['v1'], glosses: ['to compare'], jlpt: 'N4' },
+  {
+    kanji: ['壊れる'],
+    readings: ['こわれる'],
+    pos: ['v1'],
+    glosses: ['to break (intr.)'],
+    jlpt: 'N4',
+  },
+  { kanji: ['騒ぐ'], readings: ['さわぐ'], pos: ['v5g'], glosses: ['to make noise'], jlpt: 'N4' },
+  {
+    kanji: ['調べる'],
+    readings: ['しらべる'],
+    pos: ['v1'],
+    glosses: ['to investigate', 'to look up'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['育てる'],
+    readings: ['そだてる'],
+    pos: ['v1'],
+    glosses: ['to raise', 'to bring up'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['倒れる'],
+    readings: ['たおれる'],
+    pos: ['v1'],
+    glosses: ['to fall over', 'to collapse'],
+    jlpt: 'N4',
+  },
+  { kanji: ['足す'], readings: ['たす'], pos: ['v5s'], glosses: ['to add'], jlpt: 'N4' },
+  { kanji: ['楽しむ'], readings: ['たのしむ'], pos: ['v5m'], glosses: ['to enjoy'], jlpt: 'N4' },
+  { kanji: ['捕まえる'], readings: ['つかまえる'], pos: ['v1'], glosses: ['to catch'], jlpt: 'N4' },
+  {
+    kanji: ['続く'],
+    readings: ['つづく'],
+    pos: ['v5k'],
+    glosses: ['to continue (intr.)'],
+    jlpt: 'N4',
+  },
+  { kanji: ['手伝う'], readings: ['てつだう'], pos: ['v5u'], glosses: ['to help'], jlpt: 'N4' },
+  { kanji: ['届ける'], readings: ['とどける'], pos: ['v1'], glosses: ['to deliver'], jlpt: 'N4' },
+  {
+    kanji: ['泊まる'],
+    readings: ['とまる'],
+    pos: ['v5r'],
+    glosses: ['to stay overnight'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['直す'],
+    readings: ['なおす'],
+    pos: ['v5s'],
+    glosses: ['to fix', 'to repair'],
+    jlpt: 'N4',
+  },
+  { kanji: ['投げる'], readings: ['なげる'], pos: ['v1'], glosses: ['to throw'], jlpt: 'N4' },
+  {
+    kanji: ['逃げる'],
+    readings: ['にげる'],
+    pos: ['v1'],
+    glosses: ['to run away', 'to escape'],
+    jlpt: 'N4',
+  },
+  { kanji: ['似る'], readings: ['にる'], pos: ['v1'], glosses: ['to resemble'], jlpt: 'N4' },
+  { kanji: ['眠る'], readings: ['ねむる'], pos: ['v5r'], glosses: ['to sleep'], jlpt: 'N4' },
+  {
+    kanji: ['残る'],
+    readings: ['のこる'],
+    pos: ['v5r'],
+    glosses: ['to remain', 'to be left over'],
+    jlpt: 'N4',
+  },
+  { kanji: ['運ぶ'], readings: ['はこぶ'], pos: ['v5b'], glosses: ['to carry'], jlpt: 'N4' },
+  { kanji: ['払う'], readings: ['はらう'], pos: ['v5u'], glosses: ['to pay'], jlpt: 'N4' },
+  { kanji: ['拾う'], readings: ['ひろう'], pos: ['v5u'], glosses: ['to pick up'], jlpt: 'N4' },
+  { kanji: ['増える'], readings: ['ふえる'], pos: ['v1'], glosses: ['to increase'], jlpt: 'N4' },
+  { kanji: ['踏む'], readings: ['ふむ'], pos: ['v5m'], glosses: ['to step on'], jlpt: 'N4' },
+  { kanji: ['褒める'], readings: ['ほめる'], pos: ['v1'], glosses: ['to praise'], jlpt: 'N4' },
+  {
+    kanji: ['間に合う'],
+    readings: ['まにあう'],
+    pos: ['v5u'],
+    glosses: ['to be in time'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['守る'],
+    readings: ['まもる'],
+    pos: ['v5r'],
+    glosses: ['to protect', 'to keep (a promise)'],
+    jlpt: 'N4',
+  },
+  { kanji: ['見つける'], readings: ['みつける'], pos: ['v1'], glosses: ['to find'], jlpt: 'N4' },
+  {
+    kanji: ['迎える'],
+    readings: ['むかえる'],
+    pos: ['v1'],
+    glosses: ['to welcome', 'to go to meet'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['戻る'],
+    readings: ['もどる'],
+    pos: ['v5r'],
+    glosses: ['to return', 'to go back'],
+    jlpt: 'N4',
+  },
+  { kanji: ['貰う'], readings: ['もらう'], pos: ['v5u'], glosses: ['to receive'], jlpt: 'N4' },
+  {
+    kanji: ['焼く'],
+    readings: ['やく'],
+    pos: ['v5k'],
+    glosses: ['to bake', 'to grill'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['止める'],
+    readings: ['やめる'],
+    pos: ['v1'],
+    glosses: ['to stop', 'to quit'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['揺れる'],
+    readings: ['ゆれる'],
+    pos: ['v1'],
+    glosses: ['to shake', 'to sway'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['喜ぶ'],
+    readings: ['よろこぶ'],
+    pos: ['v5b'],
+    glosses: ['to be delighted'],
+    jlpt: 'N4',
+  },
+  { kanji: ['沸く'], readings: ['わく'], pos: ['v5k'], glosses: ['to boil (intr.)'], jlpt: 'N4' },
+  {
+    kanji: ['割れる'],
+    readings: ['われる'],
+    pos: ['v1'],
+    glosses: ['to break', 'to crack'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['感じる'],
+    readings: ['かんじる'],
+    pos: ['v1'],
+    glosses: ['to feel', 'to sense'],
+    jlpt: 'N3',
+  },
+  {
+    kanji: ['気付く'],
+    readings: ['きづく'],
+    pos: ['v5k'],
+    glosses: ['to notice', 'to realize'],
+    jlpt: 'N3',
+  },
+  { kanji: ['信じる'], readings: ['しんじる'], pos: ['v1'], glosses: ['to believe'], jlpt: 'N3' },
+  {
+    kanji: ['過ごす'],
+    readings: ['すごす'],
+    pos: ['v5s'],
+    glosses: ['to spend (time)'],
+    jlpt: 'N3',
+  },
+  {
+    kanji: ['進む'],
+    readings: ['すすむ'],
+    pos: ['v5m'],
+    glosses: ['to advance', 'to go forward'],
+    jlpt: 'N3',
+  },
+  { kanji: ['叫ぶ'], readings: ['さけぶ'], pos: ['v5b'], glosses: ['to shout'], jlpt: 'N3' },
+  {
+    kanji: ['輝く'],
+    readings: ['かがやく'],
+    pos: ['v5k'],
+    glosses: ['to shine', 'to sparkle'],
+    jlpt: 'N2',
+  },
+  { kanji: ['囁く'], readings: ['ささやく'], pos: ['v5k'], glosses: ['to whisper'], jlpt: 'N1' },
+  { kanji: ['微笑む'], readings: ['ほほえむ'], pos: ['v5m'], glosses: ['to smile'], jlpt: 'N2' },
+  {
+    kanji: ['見上げる'],
+    readings: ['みあげる'],
+    pos: ['v1'],
+    glosses: ['to look up at'],
+    jlpt: 'N3',
+  },
+  {
+    kanji: ['振り返る'],
+    readings: ['ふりかえる'],
+    pos: ['v5r'],
+    glosses: ['to look back', 'to turn around'],
+    jlpt: 'N3',
+  },
+  {
+    kanji: ['下さる'],
+    readings: ['くださる'],
+    pos: ['v5aru'],
+    glosses: ['to give (honorific)'],
+    jlpt: 'N4',
+  },
+  { kanji: [], readings: ['くれる'], pos: ['v1'], glosses: ['to give (to me)'], jlpt: 'N4' },
+  {
+    kanji: [],
+    readings: ['しまう'],
+    pos: ['v5u'],
+    glosses: ['to finish', 'to put away', 'to do completely'],
+    jlpt: 'N4',
+  },
+
+  // ========================================================================
+  // SURU NOUNS
+  // ========================================================================
+  { kanji: ['勉強'], readings: ['べんきょう'], pos: ['n', 'vs'], glosses: ['study'], jlpt: 'N5' },
+  {
+    kanji: ['散歩'],
+    readings: ['さんぽ'],
+    pos: ['n', 'vs'],
+    glosses: ['walk', 'stroll'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['料理'],
+    readings: ['りょうり'],
+    pos: ['n', 'vs'],
+    glosses: ['cooking', 'cuisine'],
+    jlpt: 'N5',
+  },
+  { kanji: ['掃除'], readings: ['そうじ'], pos: ['n', 'vs'], glosses: ['cleaning'], jlpt: 'N5' },
+  {
+    kanji: ['洗濯'],
+    readings: ['せんたく'],
+    pos: ['n', 'vs'],
+    glosses: ['laundry', 'washing'],
+    jlpt: 'N5',
+  },
+  { kanji: ['結婚'], readings: ['けっこん'], pos: ['n', 'vs'], glosses: ['marriage'], jlpt: 'N5' },
+  { kanji: ['質問'], readings: ['しつもん'], pos: ['n', 'vs'], glosses: ['question'], jlpt: 'N5' },
+  {
+    kanji: ['旅行'],
+    readings: ['りょこう'],
+    pos: ['n', 'vs'],
+    glosses: ['travel', 'trip'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['練習'],
+    readings: ['れんしゅう'],
+    pos: ['n', 'vs'],
+    glosses: ['practice'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['電話'],
+    readings: ['でんわ'],
+    pos: ['n', 'vs'],
+    glosses: ['telephone', 'phone call'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['約束'],
+    readings: ['やくそく'],
+    pos: ['n', 'vs'],
+    glosses: ['promise', 'appointment'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['準備'],
+    readings: ['じゅんび'],
+    pos: ['n', 'vs'],
+    glosses: ['preparation'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['心配'],
+    readings: ['しんぱい'],
+    pos: ['n', 'vs', 'adj-na'],
+    glosses: ['worry', 'concern'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['安心'],
+    readings: ['あんしん'],
+    pos: ['n', 'vs', 'adj-na'],
+    glosses: ['relief', 'peace of mind'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['説明'],
+    readings: ['せつめい'],
+    pos: ['n', 'vs'],
+    glosses: ['explanation'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['出発'],
+    readings: ['しゅっぱつ'],
+    pos: ['n', 'vs'],
+    glosses: ['departure'],
+    jlpt: 'N4',
+  },
+  { kanji: ['到着'], readings: ['とうちゃく'], pos: ['n', 'vs'], glosses: ['arrival'], jlpt: 'N3' },
+  {
+    kanji: ['案内'],
+    readings: ['あんない'],
+    pos: ['n', 'vs'],
+    glosses: ['guidance', 'showing around'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['経験'],
+    readings: ['けいけん'],
+    pos: ['n', 'vs'],
+    glosses: ['experience'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['感謝'],
+    readings: ['かんしゃ'],
+    pos: ['n', 'vs'],
+    glosses: ['gratitude', 'thanks'],
+    jlpt: 'N3',
+  },
+
+  // ========================================================================
+  // ADJECTIVES
+  // ========================================================================
+  { kanji: ['青い'], readings: ['あおい'], pos: ['adj-i'], glosses: ['blue', 'green'], jlpt: 'N5' },
+  { kanji: ['赤い'], readings: ['あかい'], pos: ['adj-i'], glosses: ['red'], jlpt: 'N5' },
+  {
+    kanji: ['明るい'],
+    readings: ['あかるい'],
+    pos: ['adj-i'],
+    glosses: ['bright', 'cheerful'],
+    jlpt: 'N5',
+  },
+  { kanji: ['暖かい'], readings: ['あたたかい'], pos: ['adj-i'], glosses: ['warm'], jlpt: 'N5' },
+  { kanji: ['新しい'], readings: ['あたらしい'], pos: ['adj-i'], glosses: ['new'], jlpt: 'N5' },
+  { kanji: ['暑い'], readings: ['あつい'], pos: ['adj-i'], glosses: ['hot (weather)'], jlpt: 'N5' },
+  {
+    kanji: ['熱い'],
+    readings: ['あつい'],
+    pos: ['adj-i'],
+    glosses: ['hot (to the touch)'],
+    jlpt: 'N5',
+  },
+  { kanji: ['危ない'], readings: ['あぶない'], pos: ['adj-i'], glosses: ['dangerous'], jlpt: 'N5' },
+  { kanji: ['甘い'], readings: ['あまい'], pos: ['adj-i'], glosses: ['sweet'], jlpt: 'N5' },
+  {
+    kanji: ['良い'],
+    readings: ['いい', 'よい'],
+    pos: ['adj-i'],
+    glosses: ['good', 'nice'],
+    jlpt: 'N5',
+  },
+  { kanji: ['忙しい'], readings: ['いそがしい'], pos: ['adj-i'], glosses: ['busy'], jlpt: 'N5' },
+  { kanji: ['痛い'], readings: ['いたい'], pos: ['adj-i'], glosses: ['painful'], jlpt: 'N5' },
+  {
+    kanji: ['美味しい'],
+    readings: ['おいしい'],
+    pos: ['adj-i'],
+    glosses: ['delicious'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['大きい'],
+    readings: ['おおきい'],
+    pos: ['adj-i'],
+    glosses: ['big', 'large'],
+    jlpt: 'N5',
+  },
+  { kanji: ['遅い'], readings: ['おそい'], pos: ['adj-i'], glosses: ['slow', 'late'], jlpt: 'N5' },
+  { kanji: ['重い'], readings: ['おもい'], pos: ['adj-i'], glosses: ['heavy'], jlpt: 'N5' },
+  {
+    kanji: ['面白い'],
+    readings: ['おもしろい'],
+    pos: ['adj-i'],
+    glosses: ['interesting', 'funny'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['軽い'],
+    readings: ['かるい'],
+    pos: ['adj-i'],
+    glosses: ['light (weight)'],
+    jlpt: 'N5',
+  },
+  { kanji: ['可愛い'], readings: ['かわいい'], pos: ['adj-i'], glosses: ['cute'], jlpt: 'N5' },
+  { kanji: ['黄色い'], readings: ['きいろい'], pos: ['adj-i'], glosses: ['yellow'], jlpt: 'N5' },
+  { kanji: ['汚い'], readings: ['きたない'], pos: ['adj-i'], glosses: ['dirty'], jlpt: 'N5' },
+  {
+    kanji: ['暗い'],
+    readings: ['くらい'],
+    pos: ['adj-i'],
+    glosses: ['dark', 'gloomy'],
+    jlpt: 'N5',
+  },
+  { kanji: ['黒い'], readings: ['くろい'], pos: ['adj-i'], glosses: ['black'], jlpt: 'N5' },
+  {
+    kanji: ['寒い'],
+    readings: ['さむい'],
+    pos: ['adj-i'],
+    glosses: ['cold (weather)'],
+    jlpt: 'N5',
+  },
+  { kanji: ['白い'], readings: ['しろい'], pos: ['adj-i'], glosses: ['white'], jlpt: 'N5' },
+  {
+    kanji: ['少ない'],
+    readings: ['すくない'],
+    pos: ['adj-i'],
+    glosses: ['few', 'little'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['涼しい'],
+    readings: ['すずしい'],
+    pos: ['adj-i'],
+    glosses: ['cool', 'refreshing'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['狭い'],
+    readings: ['せまい'],
+    pos: ['adj-i'],
+    glosses: ['narrow', 'cramped'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['高い'],
+    readings: ['たかい'],
+    pos: ['adj-i'],
+    glosses: ['tall', 'high', 'expensive'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['楽しい'],
+    readings: ['たのしい'],
+    pos: ['adj-i'],
+    glosses: ['fun', 'enjoyable'],
+    jlpt: 'N5',
+  },
+  { kanji: ['小さい'], readings: ['ちいさい'], pos: ['adj-i'], glosses: ['small'], jlpt: 'N5' },
+  { kanji: ['近い'], readings: ['ちかい'], pos: ['adj-i'], glosses: ['near', 'close'], jlpt: 'N5' },
+  {
+    kanji: ['冷たい'],
+    readings: ['つめたい'],
+    pos: ['adj-i'],
+    glosses: ['cold (to the touch)'],
+    jlpt: 'N5',
+  },
+  { kanji: ['強い'], readings: ['つよい'], pos: ['adj-i'], glosses: ['strong'], jlpt: 'N5' },
+  {
+    kanji: ['遠い'],
+    readings: ['とおい'],
+    pos: ['adj-i'],
+    glosses: ['far', 'distant'],
+    jlpt: 'N5',
+  },
+  { kanji: ['長い'], readings: ['ながい'], pos: ['adj-i'], glosses: ['long'], jlpt: 'N5' },
+  { kanji: ['早い'], readings: ['はやい'], pos: ['adj-i'], glosses: ['early'], jlpt: 'N5' },
+  { kanji: ['速い'], readings: ['はやい'], pos: ['adj-i'], glosses: ['fast', 'quick'], jlpt: 'N5' },
+  { kanji: ['低い'], readings: ['ひくい'], pos: ['adj-i'], glosses: ['low', 'short'], jlpt: 'N5' },
+  {
+    kanji: ['広い'],
+    readings: ['ひろい'],
+    pos: ['adj-i'],
+    glosses: ['wide', 'spacious'],
+    jlpt: 'N5',
+  },
+  { kanji: ['古い'], readings: ['ふるい'], pos: ['adj-i'], glosses: ['old (things)'], jlpt: 'N5' },
+  {
+    kanji: ['欲しい'],
+    readings: ['ほしい'],
+    pos: ['adj-i'],
+    glosses: ['wanted', 'desired'],
+    jlpt: 'N5',
+  },
+  { kanji: ['丸い'], readings: ['まるい'], pos: ['adj-i'], glosses: ['round'], jlpt: 'N5' },
+  { kanji: ['短い'], readings: ['みじかい'], pos: ['adj-i'], glosses: ['short'], jlpt: 'N5' },
+  {
+    kanji: ['難しい'],
+    readings: ['むずかしい'],
+    pos: ['adj-i'],
+    glosses: ['difficult'],
+    jlpt: 'N5',
+  },
+  { kanji: ['易しい'], readings: ['やさしい'], pos: ['adj-i'], glosses: ['easy'], jlpt: 'N5' },
+  {
+    kanji: ['優しい'],
+    readings: ['やさしい'],
+    pos: ['adj-i'],
+    glosses: ['kind', 'gentle'],
+    jlpt: 'N4',
+  },
+  { kanji: ['安い'], readings: ['やすい'], pos: ['adj-i'], glosses: ['cheap'], jlpt: 'N5' },
+  { kanji: ['弱い'], readings: ['よわい'], pos: ['adj-i'], glosses: ['weak'], jlpt: 'N5' },
+  { kanji: ['若い'], readings: ['わかい'], pos: ['adj-i'], glosses: ['young'], jlpt: 'N5' },
+  { kanji: ['悪い'], readings: ['わるい'], pos: ['adj-i'], glosses: ['bad'], jlpt: 'N5' },
+  {
+    kanji: ['嬉しい'],
+    readings: ['うれしい'],
+    pos: ['adj-i'],
+    glosses: ['happy', 'glad'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['美しい'],
+    readings: ['うつくしい'],
+    pos: ['adj-i'],
+    glosses: ['beautiful'],
+    jlpt: 'N4',
+  },
+  { kanji: ['悲しい'], readings: ['かなしい'], pos: ['adj-i'], glosses: ['sad'], jlpt: 'N4' },
+  { kanji: ['寂しい'], readings: ['さびしい'], pos: ['adj-i'], glosses: ['lonely'], jlpt: 'N4' },
+  {
+    kanji: ['恥ずかしい'],
+    readings: ['はずかしい'],
+    pos: ['adj-i'],
+    glosses: ['embarrassed'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['珍しい'],
+    readings: ['めずらしい'],
+    pos: ['adj-i'],
+    glosses: ['rare', 'unusual'],
+    jlpt: 'N4',
+  },
+  {
+    kanji: ['怖い'],
+    readings: ['こわい'],
+    pos: ['adj-i'],
+    glosses: ['scary', 'afraid'],
+    jlpt: 'N4',
+  },
+  { kanji: ['眠い'], readings: ['ねむい'], pos: ['adj-i'], glosses: ['sleepy'], jlpt: 'N4' },
+  {
+    kanji: ['懐かしい'],
+    readings: ['なつかしい'],
+    pos: ['adj-i'],
+    glosses: ['nostalgic', 'dear'],
+    jlpt: 'N3',
+  },
+  { kanji: ['静か'], readings: ['しずか'], pos: ['adj-na'], glosses: ['quiet'], jlpt: 'N5' },
+  {
+    kanji: ['綺麗'],
+    readings: ['きれい'],
+    pos: ['adj-na'],
+    glosses: ['pretty', 'clean'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['元気'],
+    readings: ['げんき'],
+    pos: ['adj-na', 'n'],
+    glosses: ['healthy', 'energetic'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['好き'],
+    readings: ['すき'],
+    pos: ['adj-na'],
+    glosses: ['liked', 'favourite'],
+    jlpt: 'N5',
+  },
+  { kanji: ['嫌い'], readings: ['きらい'], pos: ['adj-na'], glosses: ['disliked'], jlpt: 'N5' },
+  {
+    kanji: ['大切'],
+    readings: ['たいせつ'],
+    pos: ['adj-na'],
+    glosses: ['important', 'precious'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['大丈夫'],
+    readings: ['だいじょうぶ'],
+    pos: ['adj-na'],
+    glosses: ['all right', 'OK'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['上手'],
+    readings: ['じょうず'],
+    pos: ['adj-na'],
+    glosses: ['skilful', 'good at'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['下手'],
+    readings: ['へた'],
+    pos: ['adj-na'],
+    glosses: ['unskilful', 'bad at'],
+    jlpt: 'N5',
+  },
+  { kanji: ['便利'], readings: ['べんり'], pos: ['adj-na'], glosses: ['convenient'], jlpt: 'N5' },
+  { kanji: ['有名'], readings: ['ゆうめい'], pos: ['adj-na'], glosses: ['famous'], jlpt: 'N5' },
+  {
+    kanji: ['賑やか'],
+    readings: ['にぎやか'],
+    pos: ['adj-na'],
+    glosses: ['lively', 'bustling'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['暇'],
+    readings: ['ひま'],
+    pos: ['adj-na', 'n'],
+    glosses: ['free time', 'not busy'],
+    jlpt: 'N5',
+  },
+  { kanji: ['親切'], readings: ['しんせつ'], pos: ['adj-na'], glosses: ['kind'], jlpt: 'N5' },
+  {
+    kanji: ['大変'],
+    readings: ['たいへん'],
+    pos: ['adj-na', 'adv'],
+    glosses: ['tough', 'very'],
+    jlpt: 'N5',
+  },
+  { kanji: ['特別'], readings: ['とくべつ'], pos: ['adj-na'], glosses: ['special'], jlpt: 'N4' },
+  {
+    kanji: ['不思議'],
+    readings: ['ふしぎ'],
+    pos: ['adj-na'],
+    glosses: ['mysterious', 'strange'],
+    jlpt: 'N3',
+  },
+  {
+    kanji: ['幸せ'],
+    readings: ['しあわせ'],
+    pos: ['adj-na', 'n'],
+    glosses: ['happiness', 'happy'],
+    jlpt: 'N3',
+  },
+
+  // ========================================================================
+  // NOUNS
+  // ========================================================================
+  { kanji: ['朝'], readings: ['あさ'], pos: ['n'], glosses: ['morning'], jlpt: 'N5' },
+  { kanji: ['雨'], readings: ['あめ'], pos: ['n'], glosses: ['rain'], jlpt: 'N5' },
+  { kanji: ['家'], readings: ['いえ', 'うち'], pos: ['n'], glosses: ['house', 'home'], jlpt: 'N5' },
+  { kanji: ['犬'], readings: ['いぬ'], pos: ['n'], glosses: ['dog'], jlpt: 'N5' },
+  { kanji: ['今'], readings: ['いま'], pos: ['n', 'adv'], glosses: ['now'], jlpt: 'N5' },
+  { kanji: ['妹'], readings: ['いもうと'], pos: ['n'], glosses: ['younger sister'], jlpt: 'N5' },
+  { kanji: ['海'], readings: ['うみ'], pos: ['n'], glosses: ['sea', 'ocean'], jlpt: 'N5' },
+  { kanji: ['駅'], readings: ['えき'], pos: ['n'], glosses: ['station'], jlpt: 'N5' },
+  { kanji: ['お母さん'], readings: ['おかあさん'], pos: ['n'], glosses: ['mother'], jlpt: 'N5' },
+  { kanji: ['お父さん'], readings: ['おとうさん'], pos: ['n'], glosses: ['father'], jlpt: 'N5' },
+  { kanji: ['弟'], readings: ['おとうと'], pos: ['n'], glosses: ['younger brother'], jlpt: 'N5' },
+  { kanji: ['男'], readings: ['おとこ'], pos: ['n'], glosses: ['man', 'male'], jlpt: 'N5' },
+  { kanji: ['女'], readings: ['おんな'], pos: ['n'], glosses: ['woman', 'female'], jlpt: 'N5' },
+  { kanji: ['会社'], readings: ['かいしゃ'], pos: ['n'], glosses: ['company'], jlpt: 'N5' },
+  { kanji: ['顔'], readings: ['かお'], pos: ['n'], glosses: ['face'], jlpt: 'N5' },
+  { kanji: ['傘'], readings: ['かさ'], pos: ['n'], glosses: ['umbrella'], jlpt: 'N5' },
+  { kanji: ['風'], readings: ['かぜ'], pos: ['n'], glosses: ['wind'], jlpt: 'N5' },
+  { kanji: ['学校'], readings: ['がっこう'], pos: ['n'], glosses: ['school'], jlpt: 'N5' },
+  { kanji: ['川'], readings: ['かわ'], pos: ['n'], glosses: ['river'], jlpt: 'N5' },
+  { kanji: ['木'], readings: ['き'], pos: ['n'], glosses: ['tree', 'wood'], jlpt: 'N5' },
+  { kanji: ['昨日'], readings: ['きのう'], pos: ['n', 'adv'], glosses: ['yesterday'], jlpt: 'N5' },
+  { kanji: ['今日'], readings: ['きょう'], pos: ['n', 'adv'], glosses: ['today'], jlpt: 'N5' },
+  { kanji: ['薬'], readings: ['くすり'], pos: ['n'], glosses: ['medicine'], jlpt: 'N5' },
+  { kanji: ['口'], readings: ['くち'], pos: ['n'], glosses: ['mouth'], jlpt: 'N5' },
+  { kanji: ['国'], readings: ['くに'], pos: ['n'], glosses: ['country'], jlpt: 'N5' },
+  { kanji: ['車'], readings: ['くるま'], pos: ['n'], glosses: ['car'], jlpt: 'N5' },
+  { kanji: ['公園'], readings: ['こうえん'], pos: ['n'], glosses: ['park'], jlpt: 'N5' },
+  { kanji: ['声'], readings: ['こえ'], pos: ['n'], glosses: ['voice'], jlpt: 'N5' },
+  { kanji: ['言葉'], readings: ['ことば'], pos: ['n'], glosses: ['word', 'language'], jlpt: 'N5' },
+  { kanji: ['子供'], readings: ['こども'], pos: ['n'], glosses: ['child'], jlpt: 'N5' },
+  { kanji: ['魚'], readings: ['さかな'], pos: ['n'], glosses: ['fish'], jlpt: 'N5' },
+  { kanji: ['先生'], readings: ['せんせい'], pos: ['n'], glosses: ['teacher'], jlpt: 'N5' },
+  { kanji: ['空'], readings: ['そら'], pos: ['n'], glosses: ['sky'], jlpt: 'N5' },
+  { kanji: ['時間'], readings: ['じかん'], pos: ['n'], glosses: ['time', 'hours'], jlpt: 'N5' },
+  { kanji: ['自分'], readings: ['じぶん'], pos: ['pn'], glosses: ['oneself'], jlpt: 'N5' },
+  { kanji: ['手紙'], readings: ['てがみ'], pos: ['n'], glosses: ['letter'], jlpt: 'N5' },
+  { kanji: ['天気'], readings: ['てんき'], pos: ['n'], glosses: ['weather'], jlpt: 'N5' },
+  { kanji: ['友達'], readings: ['ともだち'], pos: ['n'], glosses: ['friend'], jlpt: 'N5' },
+  { kanji: ['鳥'], readings: ['とり'], pos: ['n'], glosses: ['bird'], jlpt: 'N5' },
+  { kanji: ['夏'], readings: ['なつ'], pos: ['n'], glosses: ['summer'], jlpt: 'N5' },
+  { kanji: ['名前'], readings: ['なまえ'], pos: ['n'], glosses: ['name'], jlpt: 'N5' },
+  { kanji: ['猫'], readings: ['ねこ'], pos: ['n'], glosses: ['cat'], jlpt: 'N5' },
+  { kanji: ['花'], readings: ['はな'], pos: ['n'], glosses: ['flower'], jlpt: 'N5' },
+  { kanji: ['春'], readings: ['はる'], pos: ['n'], glosses: ['spring'], jlpt: 'N5' },
+  { kanji: ['人'], readings: ['ひと'], pos: ['n'], glosses: ['person'], jlpt: 'N5' },
+  { kanji: ['冬'], readings: ['ふゆ'], pos: ['n'], glosses: ['winter'], jlpt: 'N5' },
+  { kanji: ['部屋'], readings: ['へや'], pos: ['n'], glosses: ['room'], jlpt: 'N5' },
+  { kanji: ['本'], readings: ['ほん'], pos: ['n'], glosses: ['book'], jlpt: 'N5' },
+  { kanji: ['町'], readings: ['まち'], pos: ['n'], glosses: ['town'], jlpt: 'N5' },
+  { kanji: ['窓'], readings: ['まど'], pos: ['n'], glosses: ['window'], jlpt: 'N5' },
+  { kanji: ['水'], readings: ['みず'], pos: ['n'], glosses: ['water'], jlpt: 'N5' },
+  { kanji: ['店'], readings: ['みせ'], pos: ['n'], glosses: ['shop', 'store'], jlpt: 'N5' },
+  { kanji: ['道'], readings: ['みち'], pos: ['n'], glosses: ['road', 'way'], jlpt: 'N5' },
+  { kanji: ['皆'], readings: ['みんな', 'みな'], pos: ['n'], glosses: ['everyone'], jlpt: 'N5' },
+  { kanji: ['目'], readings: ['め'], pos: ['n'], glosses: ['eye'], jlpt: 'N5' },
+  { kanji: ['山'], readings: ['やま'], pos: ['n'], glosses: ['mountain'], jlpt: 'N5' },
+  { kanji: ['雪'], readings: ['ゆき'], pos: ['n'], glosses: ['snow'], jlpt: 'N5' },
+  { kanji: ['夜'], readings: ['よる'], pos: ['n'], glosses: ['night', 'evening'], jlpt: 'N5' },
+  { kanji: ['私'], readings: ['わたし'], pos: ['pn'], glosses: ['I', 'me'], jlpt: 'N5' },
+  { kanji: ['秋'], readings: ['あき'], pos: ['n'], glosses: ['autumn'], jlpt: 'N5' },
+  { kanji: ['足'], readings: ['あし'], pos: ['n'], glosses: ['foot', 'leg'], jlpt: 'N5' },
+  { kanji: ['頭'], readings: ['あたま'], pos: ['n'], glosses: ['head'], jlpt: 'N5' },
+  { kanji: ['手'], readings: ['て'], pos: ['n'], glosses: ['hand'], jlpt: 'N5' },
+  { kanji: ['月'], readings: ['つき'], pos: ['n'], glosses: ['moon', 'month'], jlpt: 'N5' },
+  { kanji: ['星'], readings: ['ほし'], pos: ['n'], glosses: ['star'], jlpt: 'N4' },
+  { kanji: ['森'], readings: ['もり'], pos: ['n'], glosses: ['forest'], jlpt: 'N4' },
+  { kanji: ['心'], readings: ['こころ'], pos: ['n'], glosses: ['heart', 'mind'], jlpt: 'N4' },
+  { kanji: ['気持ち'], readings: ['きもち'], pos: ['n'], glosses: ['feeling', 'mood'], jlpt: 'N4' },
+  { kanji: ['祭り'], readings: ['まつり'], pos: ['n'], glosses: ['festival'], jlpt: 'N4' },
+  { kanji: ['夢'], readings: ['ゆめ'], pos: ['n'], glosses: ['dream'], jlpt: 'N4' },
+  { kanji: ['村'], readings: ['むら'], pos: ['n'], glosses: ['village'], jlpt: 'N4' },
+  { kanji: ['神社'], readings: ['じんじゃ'], pos: ['n'], glosses: ['Shinto shrine'], jlpt: 'N4' },
+  { kanji: ['お寺'], readings: ['おてら'], pos: ['n'], glosses: ['Buddhist temple'], jlpt: 'N4' },
+  { kanji: ['桜'], readings: ['さくら'], pos: ['n'], glosses: ['cherry blossom'], jlpt: 'N4' },
+  { kanji: ['祖母'], readings: ['そぼ'], pos: ['n'], glosses: ['grandmother (own)'], jlpt: 'N4' },
+  { kanji: ['祖父'], readings: ['そふ'], pos: ['n'], glosses: ['grandfather (own)'], jlpt: 'N4' },
+  { kanji: ['光'], readings: ['ひかり'], pos: ['n'], glosses: ['light'], jlpt: 'N3' },
+  {
+    kanji: ['笑顔'],
+    readings: ['えがお'],
+    pos: ['n'],
+    glosses: ['smiling face', 'smile'],
+    jlpt: 'N3',
+  },
+  {
+    kanji: ['思い出'],
+    readings: ['おもいで'],
+    pos: ['n'],
+    glosses: ['memory', 'recollection'],
+    jlpt: 'N3',
+  },
+
+  // ========================================================================
+  // ADVERBS, EXPRESSIONS & FUNCTION WORDS
+  // ========================================================================
+  { kanji: [], readings: ['とても'], pos: ['adv'], glosses: ['very'], jlpt: 'N5' },
+  { kanji: [], readings: ['もう'], pos: ['adv'], glosses: ['already', 'anymore'], jlpt: 'N5' },
+  { kanji: [], readings: ['まだ'], pos: ['adv'], glosses: ['still', 'not yet'], jlpt: 'N5' },
+  { kanji: [], readings: ['すぐ'], pos: ['adv'], glosses: ['immediately', 'soon'], jlpt: 'N5' },
+  { kanji: [], readings: ['ゆっくり'], pos: ['adv'], glosses: ['slowly', 'leisurely'], jlpt: 'N5' },
+  {
+    kanji: [],
+    readings: ['ちょっと'],
+    pos: ['adv'],
+    glosses: ['a little', 'a moment'],
+    jlpt: 'N5',
+  },
+  { kanji: [], readings: ['いつも'], pos: ['adv'], glosses: ['always'], jlpt: 'N5' },
+  { kanji: [], readings: ['そして'], pos: ['conj'], glosses: ['and then'], jlpt: 'N5' },
+  { kanji: [], readings: ['でも'], pos: ['conj'], glosses: ['but', 'however'], jlpt: 'N5' },
+  { kanji: [], readings: ['だから'], pos: ['conj'], glosses: ['so', 'therefore'], jlpt: 'N4' },
+  { kanji: [], readings: ['きっと'], pos: ['adv'], glosses: ['surely', 'certainly'], jlpt: 'N4' },
+  { kanji: [], readings: ['やっと'], pos: ['adv'], glosses: ['at last', 'finally'], jlpt: 'N4' },
+  { kanji: [], readings: ['たくさん'], pos: ['adv', 'n'], glosses: ['many', 'a lot'], jlpt: 'N5' },
+  { kanji: ['一緒'], readings: ['いっしょ'], pos: ['n'], glosses: ['together'], jlpt: 'N5' },
+  {
+    kanji: ['少し'],
+    readings: ['すこし'],
+    pos: ['adv'],
+    glosses: ['a little', 'a few'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['全部'],
+    readings: ['ぜんぶ'],
+    pos: ['n', 'adv'],
+    glosses: ['all', 'everything'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['一番'],
+    readings: ['いちばん'],
+    pos: ['adv', 'n'],
+    glosses: ['best', 'most', 'number one'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['初めて'],
+    readings: ['はじめて'],
+    pos: ['adv'],
+    glosses: ['for the first time'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: ['本当'],
+    readings: ['ほんとう'],
+    pos: ['n', 'adj-na'],
+    glosses: ['truth', 'real'],
+    jlpt: 'N5',
+  },
+  { kanji: ['突然'], readings: ['とつぜん'], pos: ['adv'], glosses: ['suddenly'], jlpt: 'N3' },
+  {
+    kanji: ['有り難う'],
+    readings: ['ありがとう'],
+    pos: ['int'],
+    glosses: ['thank you'],
+    jlpt: 'N5',
+  },
+  {
+    kanji: [],
+    readings: ['こんにちは'],
+    pos: ['int'],
+    glosses: ['hello', 'good afternoon'],
+    jlpt: 'N5',
+  },
+  { kanji: [], readings: ['これ'], pos: ['pn'], glosses: ['this (one)'], jlpt: 'N5' },
+  { kanji: [], readings: ['それ'], pos: ['pn'], glosses: ['that (one)'], jlpt: 'N5' },
+  { kanji: [], readings: ['あれ'], pos: ['pn'], glosses: ['that (one over there)'], jlpt: 'N5' },
+  { kanji: [], readings: ['ここ'], pos: ['pn'], glosses: ['here'], jlpt: 'N5' },
+  { kanji: [], readings: ['そこ'], pos: ['pn'], glosses: ['there'], jlpt: 'N5' },
+  { kanji: [], readings: ['どこ'], pos: ['pn'], glosses: ['where'], jlpt: 'N5' },
+  { kanji: ['何'], readings: ['なに', 'なん'], pos: ['pn'], glosses: ['what'], jlpt: 'N5' },
+  { kanji: ['誰'], readings: ['だれ'], pos: ['pn'], glosses: ['who'], jlpt: 'N5' },
+];
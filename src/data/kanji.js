@@ -0,0 +1,1038 @@
+/**
+ * Kanji Metadata
+ * @module data/kanji
+ *
+ * School grade (kyōiku kanji, grades 1-6) and approximate JLPT level for the kanji
+ * learners meet in graded readers. `jlpt` is 5-3 for kanji usually introduced at
+ * N5-N3 and null for those taught later; kanji missing from the table are treated
+ * as beyond grade 6 / N3.
+ */
+
+/** @type {KanjiInfo[]} */
+export const KANJI = [
+  { kanji: '一', jlpt: 5, grade: 1 },
+  { kanji: '右', jlpt: 5, grade: 1 },
+  { kanji: '雨', jlpt: 5, grade: 1 },
+  { kanji: '円', jlpt: 5, grade: 1 },
+  { kanji: '下', jlpt: 5, grade: 1 },
+  { kanji: '火', jlpt: 5, grade: 1 },
+  { kanji: '花', jlpt: 5, grade: 1 },
+  { kanji: '学', jlpt: 5, grade: 1 },
+  { kanji: '気', jlpt: 5, grade: 1 },
+  { kanji: '九', jlpt: 5, grade: 1 },
+  { kanji: '休', jlpt: 5, grade: 1 },
+  { kanji: '金', jlpt: 5, grade: 1 },
+  { kanji: '空', jlpt: 5, grade: 1 },
+  { kanji: '月', jlpt: 5, grade: 1 },
+  { kanji: '犬', jlpt: 5, grade: 1 },
+  { kanji: '見', jlpt: 5, grade: 1 },
+  { kanji: '五', jlpt: 5, grade: 1 },
+  { kanji: '口', jlpt: 5, grade: 1 },
+  { kanji: '校', jlpt: 5, grade: 1 },
+  { kanji: '左', jlpt: 5, grade: 1 },
+  { kanji: '三', jlpt: 5, grade: 1 },
+  { kanji: '山', jlpt: 5, grade: 1 },
+  { kanji: '子', jlpt: 5, grade: 1 },
+  { kanji: '四', jlpt: 5, grade: 1 },
+  { kanji: '耳', jlpt: 5, grade: 1 },
+  { kanji: '七', jlpt: 5, grade: 1 },
+  { kanji: '車', jlpt: 5, grade: 1 },
+  { kanji: '手', jlpt: 5, grade: 1 },
+  { kanji: '十', jlpt: 5, grade: 1 },
+  { kanji: '出', jlpt: 5, grade: 1 },
+  { kanji: '女', jlpt: 5, grade: 1 },
+  { kanji: '小', jlpt: 5, grade: 1 },
+  { kanji: '上', jlpt: 5, grade: 1 },
+  { kanji: '人', jlpt: 5, grade: 1 },
+  { kanji: '水', jlpt: 5, grade: 1 },
+  { kanji: '生', jlpt: 5, grade: 1 },
+  { kanji: '千', jlpt: 5, grade: 1 },
+  { kanji: '川', jlpt: 5, grade: 1 },
+  { kanji: '先', jlpt: 5, grade: 1 },
+  { kanji: '足', jlpt: 5, grade: 1 },
+  { kanji: '大', jlpt: 5, grade: 1 },
+  { kanji: '男', jlpt: 5, grade: 1 },
+  { kanji: '中', jlpt: 5, grade: 1 },
+  { kanji: '天', jlpt: 5, grade: 1 },
+  { kanji: '土', jlpt: 5, grade: 1 },
+  { kanji: '二', jlpt: 5, grade: 1 },
+  { kanji: '日', jlpt: 5, grade: 1 },
+  { kanji: '入', jlpt: 5, grade: 1 },
+  { kanji: '年', jlpt: 5, grade: 1 },
+  { kanji: '白', jlpt: 5, grade: 1 },
+  { kanji: '八', jlpt: 5, grade: 1 },
+  { kanji: '百', jlpt: 5, grade: 1 },
+  { kanji: '木', jlpt: 5, grade: 1 },
+  { kanji: '本', jlpt: 5, grade: 1 },
+  { kanji: '名', jlpt: 5, grade: 1 },
+  { kanji: '目', jlpt: 5, grade: 1 },
+  { kanji: '立', jlpt: 5, grade: 1 },
+  { kanji: '六', jlpt: 5, grade: 1 },
+  { kanji: '何', jlpt: 5, grade: 2 },
+  { kanji: '家', jlpt: 5, grade: 2 },
+  { kanji: '会', jlpt: 5, grade: 2 },
+  { kanji: '外', jlpt: 5, grade: 2 },
+  { kanji: '間', jlpt: 5, grade: 2 },
+  { kanji: '牛', jlpt: 5, grade: 2 },
+  { kanji: '魚', jlpt: 5, grade: 2 },
+  { kanji: '言', jlpt: 5, grade: 2 },
+  { kanji: '古', jlpt: 5, grade: 2 },
+  { kanji: '午', jlpt: 5, grade: 2 },
+  { kanji: '後', jlpt: 5, grade: 2 },
+  { kanji: '語', jlpt: 5, grade: 2 },
+  { kanji: '行', jlpt: 5, grade: 2 },
+  { kanji: '高', jlpt: 5, grade: 2 },
+  { kanji: '国', jlpt: 5, grade: 2 },
+  { kanji: '今', jlpt: 5, grade: 2 },
+  { kanji: '時', jlpt: 5, grade: 2 },
+  { kanji: '社', jlpt: 5, grade: 2 },
+  { kanji: '週', jlpt: 5, grade: 2 },
+  { kanji: '書', jlpt: 5, grade: 2 },
+  { kanji: '少', jlpt: 5, grade: 2 },
+  { kanji: '食', jlpt: 5, grade: 2 },
+  { kanji: '新', jlpt: 5, grade: 2 },
+  { kanji: '西', jlpt: 5, grade: 2 },
+  { kanji: '前', jlpt: 5, grade: 2 },
+  { kanji: '多', jlpt: 5, grade: 2 },
+  { kanji: '茶', jlpt: 5, grade: 2 },
+  { kanji: '長', jlpt: 5, grade: 2 },
+  { kanji: '店', jlpt: 5, grade: 2 },
+  { kanji: '電', jlpt: 5, grade: 2 },
+  { kanji: '東', jlpt: 5, grade: 2 },
+  { kanji: '道', jlpt: 5, grade: 2 },
+  { kanji: '読', jlpt: 5, grade: 2 },
+  { kanji: '南', jlpt: 5, grade: 2 },
+  { kanji: '肉', jlpt: 5, grade: 2 },
+  { kanji: '買', jlpt: 5, grade: 2 },
+  { kanji: '半', jlpt: 5, grade: 2 },
+  { kanji: '父', jlpt: 5, grade: 2 },
+  { kanji: '分', jlpt: 5, grade: 2 },
+  { kanji: '聞', jlpt: 5, grade: 2 },
+  { kanji: '米', jlpt: 5, grade: 2 },
+  { kanji: '母', jlpt: 5, grade: 2 },
+  { kanji: '北', jlpt: 5, grade: 2 },
+  { kanji: '毎', jlpt: 5, grade: 2 },
+  { kanji: '万', jlpt: 5, grade: 2 },
+  { kanji: '友', jlpt: 5, grade: 2 },
+  { kanji: '来', jlpt: 5, grade: 2 },
+  { kanji: '話', jlpt: 5, grade: 2 },
+  { kanji: '安', jlpt: 5, grade: 3 },
+  { kanji: '飲', jlpt: 5, grade: 3 },
+  { kanji: '駅', jlpt: 5, grade: 3 },
+  { kanji: '私', jlpt: 5, grade: 6 },
+  { kanji: '音', jlpt: 4, grade: 1 },
+  { kanji: '字', jlpt: 4, grade: 1 },
+  { kanji: '森', jlpt: 4, grade: 1 },
+  { kanji: '正', jlpt: 4, grade: 1 },
+  { kanji: '青', jlpt: 4, grade: 1 },
+  { kanji: '夕', jlpt: 4, grade: 1 },
+  { kanji: '赤', jlpt: 4, grade: 1 },
+  { kanji: '早', jlpt: 4, grade: 1 },
+  { kanji: '村', jlpt: 4, grade: 1 },
+  { kanji: '町', jlpt: 4, grade: 1 },
+  { kanji: '田', jlpt: 4, grade: 1 },
+  { kanji: '文', jlpt: 4, grade: 1 },
+  { kanji: '力', jlpt: 4, grade: 1 },
+  { kanji: '林', jlpt: 4, grade: 1 },
+  { kanji: '引', jlpt: 4, grade: 2 },
+  { kanji: '遠', jlpt: 4, grade: 2 },
+  { kanji: '夏', jlpt: 4, grade: 2 },
+  { kanji: '歌', jlpt: 4, grade: 2 },
+  { kanji: '画', jlpt: 4, grade: 2 },
+  { kanji: '海', jlpt: 4, grade: 2 },
+  { kanji: '顔', jlpt: 4, grade: 2 },
+  { kanji: '帰', jlpt: 4, grade: 2 },
+  { kanji: '京', jlpt: 4, grade: 2 },
+  { kanji: '強', jlpt: 4, grade: 2 },
+  { kanji: '教', jlpt: 4, grade: 2 },
+  { kanji: '近', jlpt: 4, grade: 2 },
+  { kanji: '兄', jlpt: 4, grade: 2 },
+  { kanji: '計', jlpt: 4, grade: 2 },
+  { kanji: '元', jlpt: 4, grade: 2 },
+  { kanji: '工', jlpt: 4, grade: 2 },
+  { kanji: '広', jlpt: 4, grade: 2 },
+  { kanji: '光', jlpt: 4, grade: 2 },
+  { kanji: '考', jlpt: 4, grade: 2 },
+  { kanji: '合', jlpt: 4, grade: 2 },
+  { kanji: '黒', jlpt: 4, grade: 2 },
+  { kanji: '作', jlpt: 4, grade: 2 },
+  { kanji: '止', jlpt: 4, grade: 2 },
+  { kanji: '市', jlpt: 4, grade: 2 },
+  { kanji: '姉', jlpt: 4, grade: 2 },
+  { kanji: '思', jlpt: 4, grade: 2 },
+  { kanji: '紙', jlpt: 4, grade: 2 },
+  { kanji: '自', jlpt: 4, grade: 2 },
+  { kanji: '室', jlpt: 4, grade: 2 },
+  { kanji: '弱', jlpt: 4, grade: 2 },
+  { kanji: '首', jlpt: 4, grade: 2 },
+  { kanji: '秋', jlpt: 4, grade: 2 },
+  { kanji: '春', jlpt: 4, grade: 2 },
+  { kanji: '場', jlpt: 4, grade: 2 },
+  { kanji: '色', jlpt: 4, grade: 2 },
+  { kanji: '心', jlpt: 4, grade: 2 },
+  { kanji: '親', jlpt: 4, grade: 2 },
+  { kanji: '図', jlpt: 4, grade: 2 },
+  { kanji: '声', jlpt: 4, grade: 2 },
+  { kanji: '切', jlpt: 4, grade: 2 },
+  { kanji: '走', jlpt: 4, grade: 2 },
+  { kanji: '体', jlpt: 4, grade: 2 },
+  { kanji: '台', jlpt: 4, grade: 2 },
+  { kanji: '地', jlpt: 4, grade: 2 },
+  { kanji: '池', jlpt: 4, grade: 2 },
+  { kanji: '知', jlpt: 4, grade: 2 },
+  { kanji: '昼', jlpt: 4, grade: 2 },
+  { kanji: '鳥', jlpt: 4, grade: 2 },
+  { kanji: '朝', jlpt: 4, grade: 2 },
+  { kanji: '通', jlpt: 4, grade: 2 },
+  { kanji: '弟', jlpt: 4, grade: 2 },
+  { kanji: '冬', jlpt: 4, grade: 2 },
+  { kanji: '答', jlpt: 4, grade: 2 },
+  { kanji: '頭', jlpt: 4, grade: 2 },
+  { kanji: '同', jlpt: 4, grade: 2 },
+  { kanji: '売', jlpt: 4, grade: 2 },
+  { kanji: '風', jlpt: 4, grade: 2 },
+  { kanji: '歩', jlpt: 4, grade: 2 },
+  { kanji: '方', jlpt: 4, grade: 2 },
+  { kanji: '妹', jlpt: 4, grade: 2 },
+  { kanji: '明', jlpt: 4, grade: 2 },
+  { kanji: '門', jlpt: 4, grade: 2 },
+  { kanji: '夜', jlpt: 4, grade: 2 },
+  { kanji: '野', jlpt: 4, grade: 2 },
+  { kanji: '用', jlpt: 4, grade: 2 },
+  { kanji: '曜', jlpt: 4, grade: 2 },
+  { kanji: '理', jlpt: 4, grade: 2 },
+  { kanji: '悪', jlpt: 4, grade: 3 },
+  { kanji: '暗', jlpt: 4, grade: 3 },
+  { kanji: '医', jlpt: 4, grade: 3 },
+  { kanji: '意', jlpt: 4, grade: 3 },
+  { kanji: '員', jlpt: 4, grade: 3 },
+  { kanji: '院', jlpt: 4, grade: 3 },
+  { kanji: '運', jlpt: 4, grade: 3 },
+  { kanji: '屋', jlpt: 4, grade: 3 },
+  { kanji: '界', jlpt: 4, grade: 3 },
+  { kanji: '開', jlpt: 4, grade: 3 },
+  { kanji: '階', jlpt: 4, grade: 3 },
+  { kanji: '寒', jlpt: 4, grade: 3 },
+  { kanji: '漢', jlpt: 4, grade: 3 },
+  { kanji: '館', jlpt: 4, grade: 3 },
+  { kanji: '起', jlpt: 4, grade: 3 },
+  { kanji: '究', jlpt: 4, grade: 3 },
+  { kanji: '急', jlpt: 4, grade: 3 },
+  { kanji: '去', jlpt: 4, grade: 3 },
+  { kanji: '業', jlpt: 4, grade: 3 },
+  { kanji: '銀', jlpt: 4, grade: 3 },
+  { kanji: '区', jlpt: 4, grade: 3 },
+  { kanji: '軽', jlpt: 4, grade: 3 },
+  { kanji: '研', jlpt: 4, grade: 3 },
+  { kanji: '県', jlpt: 4, grade: 3 },
+  { kanji: '仕', jlpt: 4, grade: 3 },
+  { kanji: '死', jlpt: 4, grade: 3 },
+  { kanji: '使', jlpt: 4, grade: 3 },
+  { kanji: '始', jlpt: 4, grade: 3 },
+  { kanji: '事', jlpt: 4, grade: 3 },
+  { kanji: '持', jlpt: 4, grade: 3 },
+  { kanji: '写', jlpt: 4, grade: 3 },
+  { kanji: '者', jlpt: 4, grade: 3 },
+  { kanji: '主', jlpt: 4, grade: 3 },
+  { kanji: '終', jlpt: 4, grade: 3 },
+  { kanji: '習', jlpt: 4, grade: 3 },
+  { kanji: '集', jlpt: 4, grade: 3 },
+  { kanji: '住', jlpt: 4, grade: 3 },
+  { kanji: '重', jlpt: 4, grade: 3 },
+  { kanji: '所', jlpt: 4, grade: 3 },
+  { kanji: '暑', jlpt: 4, grade: 3 },
+  { kanji: '乗', jlpt: 4, grade: 3 },
+  { kanji: '真', jlpt: 4, grade: 3 },
+  { kanji: '世', jlpt: 4, grade: 3 },
+  { kanji: '送', jlpt: 4, grade: 3 },
+  { kanji: '族', jlpt: 4, grade: 3 },
+  { kanji: '待', jlpt: 4, grade: 3 },
+  { kanji: '代', jlpt: 4, grade: 3 },
+  { kanji: '題', jlpt: 4, grade: 3 },
+  { kanji: '短', jlpt: 4, grade: 3 },
+  { kanji: '着', jlpt: 4, grade: 3 },
+  { kanji: '注', jlpt: 4, grade: 3 },
+  { kanji: '転', jlpt: 4, grade: 3 },
+  { kanji: '都', jlpt: 4, grade: 3 },
+  { kanji: '度', jlpt: 4, grade: 3 },
+  { kanji: '発', jlpt: 4, grade: 3 },
+  { kanji: '病', jlpt: 4, grade: 3 },
+  { kanji: '品', jlpt: 4, grade: 3 },
+  { kanji: '服', jlpt: 4, grade: 3 },
+  { kanji: '物', jlpt: 4, grade: 3 },
+  { kanji: '勉', jlpt: 4, grade: 3 },
+  { kanji: '味', jlpt: 4, grade: 3 },
+  { kanji: '問', jlpt: 4, grade: 3 },
+  { kanji: '薬', jlpt: 4, grade: 3 },
+  { kanji: '有', jlpt: 4, grade: 3 },
+  { kanji: '洋', jlpt: 4, grade: 3 },
+  { kanji: '旅', jlpt: 4, grade: 3 },
+  { kanji: '以', jlpt: 4, grade: 4 },
+  { kanji: '英', jlpt: 4, grade: 4 },
+  { kanji: '建', jlpt: 4, grade: 4 },
+  { kanji: '験', jlpt: 4, grade: 4 },
+  { kanji: '好', jlpt: 4, grade: 4 },
+  { kanji: '菜', jlpt: 4, grade: 4 },
+  { kanji: '産', jlpt: 4, grade: 4 },
+  { kanji: '試', jlpt: 4, grade: 4 },
+  { kanji: '借', jlpt: 4, grade: 4 },
+  { kanji: '説', jlpt: 4, grade: 4 },
+  { kanji: '低', jlpt: 4, grade: 4 },
+  { kanji: '働', jlpt: 4, grade: 4 },
+  { kanji: '特', jlpt: 4, grade: 4 },
+  { kanji: '飯', jlpt: 4, grade: 4 },
+  { kanji: '不', jlpt: 4, grade: 4 },
+  { kanji: '別', jlpt: 4, grade: 4 },
+  { kanji: '民', jlpt: 4, grade: 4 },
+  { kanji: '料', jlpt: 4, grade: 4 },
+  { kanji: '質', jlpt: 4, grade: 5 },
+  { kanji: '貸', jlpt: 4, grade: 5 },
+  { kanji: '堂', jlpt: 4, grade: 5 },
+  { kanji: '映', jlpt: 4, grade: 6 },
+  { kanji: '洗', jlpt: 4, grade: 6 },
+  { kanji: '回', jlpt: 3, grade: 2 },
+  { kanji: '活', jlpt: 3, grade: 2 },
+  { kanji: '記', jlpt: 3, grade: 2 },
+  { kanji: '原', jlpt: 3, grade: 2 },
+  { kanji: '交', jlpt: 3, grade: 2 },
+  { kanji: '数', jlpt: 3, grade: 2 },
+  { kanji: '組', jlpt: 3, grade: 2 },
+  { kanji: '点', jlpt: 3, grade: 2 },
+  { kanji: '当', jlpt: 3, grade: 2 },
+  { kanji: '委', jlpt: 3, grade: 3 },
+  { kanji: '育', jlpt: 3, grade: 3 },
+  { kanji: '泳', jlpt: 3, grade: 3 },
+  { kanji: '央', jlpt: 3, grade: 3 },
+  { kanji: '横', jlpt: 3, grade: 3 },
+  { kanji: '温', jlpt: 3, grade: 3 },
+  { kanji: '化', jlpt: 3, grade: 3 },
+  { kanji: '荷', jlpt: 3, grade: 3 },
+  { kanji: '感', jlpt: 3, grade: 3 },
+  { kanji: '岸', jlpt: 3, grade: 3 },
+  { kanji: '期', jlpt: 3, grade: 3 },
+  { kanji: '客', jlpt: 3, grade: 3 },
+  { kanji: '級', jlpt: 3, grade: 3 },
+  { kanji: '宮', jlpt: 3, grade: 3 },
+  { kanji: '球', jlpt: 3, grade: 3 },
+  { kanji: '橋', jlpt: 3, grade: 3 },
+  { kanji: '曲', jlpt: 3, grade: 3 },
+  { kanji: '局', jlpt: 3, grade: 3 },
+  { kanji: '苦', jlpt: 3, grade: 3 },
+  { kanji: '具', jlpt: 3, grade: 3 },
+  { kanji: '君', jlpt: 3, grade: 3 },
+  { kanji: '係', jlpt: 3, grade: 3 },
+  { kanji: '血', jlpt: 3, grade: 3 },
+  { kanji: '決', jlpt: 3, grade: 3 },
+  { kanji: '庫', jlpt: 3, grade: 3 },
+  { kanji: '湖', jlpt: 3, grade: 3 },
+  { kanji: '向', jlpt: 3, grade: 3 },
+  { kanji: '幸', jlpt: 3, grade: 3 },
+  { kanji: '港', jlpt: 3, grade: 3 },
+  { kanji: '号', jlpt: 3, grade: 3 },
+  { kanji: '根', jlpt: 3, grade: 3 },
+  { kanji: '祭', jlpt: 3, grade: 3 },
+  { kanji: '皿', jlpt: 3, grade: 3 },
+  { kanji: '指', jlpt: 3, grade: 3 },
+  { kanji: '歯', jlpt: 3, grade: 3 },
+  { kanji: '詩', jlpt: 3, grade: 3 },
+  { kanji: '次', jlpt: 3, grade: 3 },
+  { kanji: '式', jlpt: 3, grade: 3 },
+  { kanji: '実', jlpt: 3, grade: 3 },
+  { kanji: '守', jlpt: 3, grade: 3 },
+  { kanji: '取', jlpt: 3, grade: 3 },
+  { kanji: '酒', jlpt: 3, grade: 3 },
+  { kanji: '受', jlpt: 3, grade: 3 },
+  { kanji: '州', jlpt: 3, grade: 3 },
+  { kanji: '拾', jlpt: 3, grade: 3 },
+  { kanji: '宿', jlpt: 3, grade: 3 },
+  { kanji: '助', jlpt: 3, grade: 3 },
+  { kanji: '消', jlpt: 3, grade: 3 },
+  { kanji: '商', jlpt: 3, grade: 3 },
+  { kanji: '章', jlpt: 3, grade: 3 },
+  { kanji: '勝', jlpt: 3, grade: 3 },
+  { kanji: '植', jlpt: 3, grade: 3 },
+  { kanji: '申', jlpt: 3, grade: 3 },
+  { kanji: '身', jlpt: 3, grade: 3 },
+  { kanji: '神', jlpt: 3, grade: 3 },
+  { kanji: '深', jlpt: 3, grade: 3 },
+  { kanji: '進', jlpt: 3, grade: 3 },
+  { kanji: '整', jlpt: 3, grade: 3 },
+  { kanji: '昔', jlpt: 3, grade: 3 },
+  { kanji: '全', jlpt: 3, grade: 3 },
+  { kanji: '相', jlpt: 3, grade: 3 },
+  { kanji: '想', jlpt: 3, grade: 3 },
+  { kanji: '息', jlpt: 3, grade: 3 },
+  { kanji: '速', jlpt: 3, grade: 3 },
+  { kanji: '他', jlpt: 3, grade: 3 },
+  { kanji: '打', jlpt: 3, grade: 3 },
+  { kanji: '対', jlpt: 3, grade: 3 },
+  { kanji: '第', jlpt: 3, grade: 3 },
+  { kanji: '炭', jlpt: 3, grade: 3 },
+  { kanji: '談', jlpt: 3, grade: 3 },
+  { kanji: '柱', jlpt: 3, grade: 3 },
+  { kanji: '丁', jlpt: 3, grade: 3 },
+  { kanji: '帳', jlpt: 3, grade: 3 },
+  { kanji: '調', jlpt: 3, grade: 3 },
+  { kanji: '追', jlpt: 3, grade: 3 },
+  { kanji: '定', jlpt: 3, grade: 3 },
+  { kanji: '庭', jlpt: 3, grade: 3 },
+  { kanji: '笛', jlpt: 3, grade: 3 },
+  { kanji: '鉄', jlpt: 3, grade: 3 },
+  { kanji: '投', jlpt: 3, grade: 3 },
+  { kanji: '豆', jlpt: 3, grade: 3 },
+  { kanji: '島', jlpt: 3, grade: 3 },
+  { kanji: '湯', jlpt: 3, grade: 3 },
+  { kanji: '登', jlpt: 3, grade: 3 },
+  { kanji: '等', jlpt: 3, grade: 3 },
+  { kanji: '童', jlpt: 3, grade: 3 },
+  { kanji: '農', jlpt: 3, grade: 3 },
+  { kanji: '波', jlpt: 3, grade: 3 },
+  { kanji: '配', jlpt: 3, grade: 3 },
+  { kanji: '倍', jlpt: 3, grade: 3 },
+  { kanji: '箱', jlpt: 3, grade: 3 },
+  { kanji: '畑', jlpt: 3, grade: 3 },
+  { kanji: '反', jlpt: 3, grade: 3 },
+  { kanji: '坂', jlpt: 3, grade: 3 },
+  { kanji: '板', jlpt: 3, grade: 3 },
+  { kanji: '皮', jlpt: 3, grade: 3 },
+  { kanji: '悲', jlpt: 3, grade: 3 },
+  { kanji: '美', jlpt: 3, grade: 3 },
+  { kanji: '鼻', jlpt: 3, grade: 3 },
+  { kanji: '筆', jlpt: 3, grade: 3 },
+  { kanji: '氷', jlpt: 3, grade: 3 },
+  { kanji: '表', jlpt: 3, grade: 3 },
+  { kanji: '秒', jlpt: 3, grade: 3 },
+  { kanji: '負', jlpt: 3, grade: 3 },
+  { kanji: '部', jlpt: 3, grade: 3 },
+  { kanji: '福', jlpt: 3, grade: 3 },
+  { kanji: '平', jlpt: 3, grade: 3 },
+  { kanji: '返', jlpt: 3, grade: 3 },
+  { kanji: '放', jlpt: 3, grade: 3 },
+  { kanji: '命', jlpt: 3, grade: 3 },
+  { kanji: '面', jlpt: 3, grade: 3 },
+  { kanji: '役', jlpt: 3, grade: 3 },
+  { kanji: '由', jlpt: 3, grade: 3 },
+  { kanji: '油', jlpt: 3, grade: 3 },
+  { kanji: '遊', jlpt: 3, grade: 3 },
+  { kanji: '予', jlpt: 3, grade: 3 },
+  { kanji: '羊', jlpt: 3, grade: 3 },
+  { kanji: '葉', jlpt: 3, grade: 3 },
+  { kanji: '陽', jlpt: 3, grade: 3 },
+  { kanji: '様', jlpt: 3, grade: 3 },
+  { kanji: '落', jlpt: 3, grade: 3 },
+  { kanji: '流', jlpt: 3, grade: 3 },
+  { kanji: '両', jlpt: 3, grade: 3 },
+  { kanji: '緑', jlpt: 3, grade: 3 },
+  { kanji: '礼', jlpt: 3, grade: 3 },
+  { kanji: '列', jlpt: 3, grade: 3 },
+  { kanji: '練', jlpt: 3, grade: 3 },
+  { kanji: '路', jlpt: 3, grade: 3 },
+  { kanji: '和', jlpt: 3, grade: 3 },
+  { kanji: '愛', jlpt: 3, grade: 4 },
+  { kanji: '案', jlpt: 3, grade: 4 },
+  { kanji: '位', jlpt: 3, grade: 4 },
+  { kanji: '億', jlpt: 3, grade: 4 },
+  { kanji: '加', jlpt: 3, grade: 4 },
+  { kanji: '果', jlpt: 3, grade: 4 },
+  { kanji: '課', jlpt: 3, grade: 4 },
+  { kanji: '改', jlpt: 3, grade: 4 },
+  { kanji: '害', jlpt: 3, grade: 4 },
+  { kanji: '各', jlpt: 3, grade: 4 },
+  { kanji: '覚', jlpt: 3, grade: 4 },
+  { kanji: '完', jlpt: 3, grade: 4 },
+  { kanji: '官', jlpt: 3, grade: 4 },
+  { kanji: '関', jlpt: 3, grade: 4 },
+  { kanji: '観', jlpt: 3, grade: 4 },
+  { kanji: '願', jlpt: 3, grade: 4 },
+  { kanji: '希', jlpt: 3, grade: 4 },
+  { kanji: '季', jlpt: 3, grade: 4 },
+  { kanji: '器', jlpt: 3, grade: 4 },
+  { kanji: '機', jlpt: 3, grade: 4 },
+  { kanji: '議', jlpt: 3, grade: 4 },
+  { kanji: '求', jlpt: 3, grade: 4 },
+  { kanji: '泣', jlpt: 3, grade: 4 },
+  { kanji: '給', jlpt: 3, grade: 4 },
+  { kanji: '共', jlpt: 3, grade: 4 },
+  { kanji: '競', jlpt: 3, grade: 4 },
+  { kanji: '極', jlpt: 3, grade: 4 },
+  { kanji: '軍', jlpt: 3, grade: 4 },
+  { kanji: '景', jlpt: 3, grade: 4 },
+  { kanji: '芸', jlpt: 3, grade: 4 },
+  { kanji: '欠', jlpt: 3, grade: 4 },
+  { kanji: '結', jlpt: 3, grade: 4 },
+  { kanji: '健', jlpt: 3, grade: 4 },
+  { kanji: '固', jlpt: 3, grade: 4 },
+  { kanji: '候', jlpt: 3, grade: 4 },
+  { kanji: '差', jlpt: 3, grade: 4 },
+  { kanji: '最', jlpt: 3, grade: 4 },
+  { kanji: '材', jlpt: 3, grade: 4 },
+  { kanji: '昨', jlpt: 3, grade: 4 },
+  { kanji: '参', jlpt: 3, grade: 4 },
+  { kanji: '散', jlpt: 3, grade: 4 },
+  { kanji: '残', jlpt: 3, grade: 4 },
+  { kanji: '氏', jlpt: 3, grade: 4 },
+  { kanji: '児', jlpt: 3, grade: 4 },
+  { kanji: '治', jlpt: 3, grade: 4 },
+  { kanji: '辞', jlpt: 3, grade: 4 },
+  { kanji: '失', jlpt: 3, grade: 4 },
+  { kanji: '種', jlpt: 3, grade: 4 },
+  { kanji: '周', jlpt: 3, grade: 4 },
+  { kanji: '祝', jlpt: 3, grade: 4 },
+  { kanji: '順', jlpt: 3, grade: 4 },
+  { kanji: '初', jlpt: 3, grade: 4 },
+  { kanji: '笑', jlpt: 3, grade: 4 },
+  { kanji: '焼', jlpt: 3, grade: 4 },
+  { kanji: '照', jlpt: 3, grade: 4 },
+  { kanji: '信', jlpt: 3, grade: 4 },
+  { kanji: '成', jlpt: 3, grade: 4 },
+  { kanji: '省', jlpt: 3, grade: 4 },
+  { kanji: '清', jlpt: 3, grade: 4 },
+  { kanji: '静', jlpt: 3, grade: 4 },
+  { kanji: '席', jlpt: 3, grade: 4 },
+  { kanji: '積', jlpt: 3, grade: 4 },
+  { kanji: '折', jlpt: 3, grade: 4 },
+  { kanji: '節', jlpt: 3, grade: 4 },
+  { kanji: '戦', jlpt: 3, grade: 4 },
+  { kanji: '選', jlpt: 3, grade: 4 },
+  { kanji: '然', jlpt: 3, grade: 4 },
+  { kanji: '争', jlpt: 3, grade: 4 },
+  { kanji: '側', jlpt: 3, grade: 4 },
+  { kanji: '続', jlpt: 3, grade: 4 },
+  { kanji: '卒', jlpt: 3, grade: 4 },
+  { kanji: '孫', jlpt: 3, grade: 4 },
+  { kanji: '帯', jlpt: 3, grade: 4 },
+  { kanji: '達', jlpt: 3, grade: 4 },
+  { kanji: '単', jlpt: 3, grade: 4 },
+  { kanji: '置', jlpt: 3, grade: 4 },
+  { kanji: '伝', jlpt: 3, grade: 4 },
+  { kanji: '努', jlpt: 3, grade: 4 },
+  { kanji: '熱', jlpt: 3, grade: 4 },
+  { kanji: '念', jlpt: 3, grade: 4 },
+  { kanji: '敗', jlpt: 3, grade: 4 },
+  { kanji: '飛', jlpt: 3, grade: 4 },
+  { kanji: '必', jlpt: 3, grade: 4 },
+  { kanji: '票', jlpt: 3, grade: 4 },
+  { kanji: '夫', jlpt: 3, grade: 4 },
+  { kanji: '付', jlpt: 3, grade: 4 },
+  { kanji: '府', jlpt: 3, grade: 4 },
+  { kanji: '副', jlpt: 3, grade: 4 },
+  { kanji: '辺', jlpt: 3, grade: 4 },
+  { kanji: '変', jlpt: 3, grade: 4 },
+  { kanji: '便', jlpt: 3, grade: 4 },
+  { kanji: '法', jlpt: 3, grade: 4 },
+  { kanji: '望', jlpt: 3, grade: 4 },
+  { kanji: '末', jlpt: 3, grade: 4 },
+  { kanji: '満', jlpt: 3, grade: 4 },
+  { kanji: '未', jlpt: 3, grade: 4 },
+  { kanji: '無', jlpt: 3, grade: 4 },
+  { kanji: '約', jlpt: 3, grade: 4 },
+  { kanji: '要', jlpt: 3, grade: 4 },
+  { kanji: '浴', jlpt: 3, grade: 4 },
+  { kanji: '利', jlpt: 3, grade: 4 },
+  { kanji: '良', jlpt: 3, grade: 4 },
+  { kanji: '量', jlpt: 3, grade: 4 },
+  { kanji: '類', jlpt: 3, grade: 4 },
+  { kanji: '冷', jlpt: 3, grade: 4 },
+  { kanji: '例', jlpt: 3, grade: 4 },
+  { kanji: '連', jlpt: 3, grade: 4 },
+  { kanji: '老', jlpt: 3, grade: 4 },
+  { kanji: '労', jlpt: 3, grade: 4 },
+  { kanji: '営', jlpt: 3, grade: 5 },
+  { kanji: '易', jlpt: 3, grade: 5 },
+  { kanji: '可', jlpt: 3, grade: 5 },
+  { kanji: '価', jlpt: 3, grade: 5 },
+  { kanji: '過', jlpt: 3, grade: 5 },
+  { kanji: '解', jlpt: 3, grade: 5 },
+  { kanji: '格', jlpt: 3, grade: 5 },
+  { kanji: '確', jlpt: 3, grade: 5 },
+  { kanji: '経', jlpt: 3, grade: 5 },
+  { kanji: '件', jlpt: 3, grade: 5 },
+  { kanji: '現', jlpt: 3, grade: 5 },
+  { kanji: '告', jlpt: 3, grade: 5 },
+  { kanji: '際', jlpt: 3, grade: 5 },
+  { kanji: '在', jlpt: 3, grade: 5 },
+  { kanji: '財', jlpt: 3, grade: 5 },
+  { kanji: '罪', jlpt: 3, grade: 5 },
+  { kanji: '雑', jlpt: 3, grade: 5 },
+  { kanji: '支', jlpt: 3, grade: 5 },
+  { kanji: '志', jlpt: 3, grade: 5 },
+  { kanji: '資', jlpt: 3, grade: 5 },
+  { kanji: '示', jlpt: 3, grade: 5 },
+  { kanji: '似', jlpt: 3, grade: 5 },
+  { kanji: '識', jlpt: 3, grade: 5 },
+  { kanji: '制', jlpt: 3, grade: 5 },
+  { kanji: '性', jlpt: 3, grade: 5 },
+  { kanji: '政', jlpt: 3, grade: 5 },
+  { kanji: '責', jlpt: 3, grade: 5 },
+  { kanji: '接', jlpt: 3, grade: 5 },
+  { kanji: '設', jlpt: 3, grade: 5 },
+  { kanji: '絶', jlpt: 3, grade: 5 },
+  { kanji: '素', jlpt: 3, grade: 5 },
+  { kanji: '総', jlpt: 3, grade: 5 },
+  { kanji: '増', jlpt: 3, grade: 5 },
+  { kanji: '態', jlpt: 3, grade: 5 },
+  { kanji: '断', jlpt: 3, grade: 5 },
+  { kanji: '提', jlpt: 3, grade: 5 },
+  { kanji: '程', jlpt: 3, grade: 5 },
+  { kanji: '適', jlpt: 3, grade: 5 },
+  { kanji: '得', jlpt: 3, grade: 5 },
+  { kanji: '任', jlpt: 3, grade: 5 },
+  { kanji: '能', jlpt: 3, grade: 5 },
+  { kanji: '判', jlpt: 3, grade: 5 },
+  { kanji: '比', jlpt: 3, grade: 5 },
+  { kanji: '非', jlpt: 3, grade: 5 },
+  { kanji: '費', jlpt: 3, grade: 5 },
+  { kanji: '備', jlpt: 3, grade: 5 },
+  { kanji: '評', jlpt: 3, grade: 5 },
+  { kanji: '布', jlpt: 3, grade: 5 },
+  { kanji: '婦', jlpt: 3, grade: 5 },
+  { kanji: '復', jlpt: 3, grade: 5 },
+  { kanji: '報', jlpt: 3, grade: 5 },
+  { kanji: '防', jlpt: 3, grade: 5 },
+  { kanji: '務', jlpt: 3, grade: 5 },
+  { kanji: '夢', jlpt: 3, grade: 5 },
+  { kanji: '迷', jlpt: 3, grade: 5 },
+  { kanji: '余', jlpt: 3, grade: 5 },
+  { kanji: '容', jlpt: 3, grade: 5 },
+  { kanji: '留', jlpt: 3, grade: 5 },
+  { kanji: '領', jlpt: 3, grade: 5 },
+  { kanji: '歴', jlpt: 3, grade: 5 },
+  { kanji: '危', jlpt: 3, grade: 6 },
+  { kanji: '机', jlpt: 3, grade: 6 },
+  { kanji: '吸', jlpt: 3, grade: 6 },
+  { kanji: '胸', jlpt: 3, grade: 6 },
+  { kanji: '権', jlpt: 3, grade: 6 },
+  { kanji: '済', jlpt: 3, grade: 6 },
+  { kanji: '捨', jlpt: 3, grade: 6 },
+  { kanji: '若', jlpt: 3, grade: 6 },
+  { kanji: '収', jlpt: 3, grade: 6 },
+  { kanji: '将', jlpt: 3, grade: 6 },
+  { kanji: '針', jlpt: 3, grade: 6 },
+  { kanji: '専', jlpt: 3, grade: 6 },
+  { kanji: '窓', jlpt: 3, grade: 6 },
+  { kanji: '退', jlpt: 3, grade: 6 },
+  { kanji: '宅', jlpt: 3, grade: 6 },
+  { kanji: '探', jlpt: 3, grade: 6 },
+  { kanji: '段', jlpt: 3, grade: 6 },
+  { kanji: '値', jlpt: 3, grade: 6 },
+  { kanji: '頂', jlpt: 3, grade: 6 },
+  { kanji: '痛', jlpt: 3, grade: 6 },
+  { kanji: '届', jlpt: 3, grade: 6 },
+  { kanji: '難', jlpt: 3, grade: 6 },
+  { kanji: '認', jlpt: 3, grade: 6 },
+  { kanji: '晩', jlpt: 3, grade: 6 },
+  { kanji: '否', jlpt: 3, grade: 6 },
+  { kanji: '腹', jlpt: 3, grade: 6 },
+  { kanji: '閉', jlpt: 3, grade: 6 },
+  { kanji: '片', jlpt: 3, grade: 6 },
+  { kanji: '訪', jlpt: 3, grade: 6 },
+  { kanji: '忘', jlpt: 3, grade: 6 },
+  { kanji: '枚', jlpt: 3, grade: 6 },
+  { kanji: '郵', jlpt: 3, grade: 6 },
+  { kanji: '優', jlpt: 3, grade: 6 },
+  { kanji: '預', jlpt: 3, grade: 6 },
+  { kanji: '幼', jlpt: 3, grade: 6 },
+  { kanji: '欲', jlpt: 3, grade: 6 },
+  { kanji: '乱', jlpt: 3, grade: 6 },
+  { kanji: '卵', jlpt: 3, grade: 6 },
+  { kanji: '王', jlpt: null, grade: 1 },
+  { kanji: '貝', jlpt: null, grade: 1 },
+  { kanji: '玉', jlpt: null, grade: 1 },
+  { kanji: '糸', jlpt: null, grade: 1 },
+  { kanji: '石', jlpt: null, grade: 1 },
+  { kanji: '草', jlpt: null, grade: 1 },
+  { kanji: '竹', jlpt: null, grade: 1 },
+  { kanji: '虫', jlpt: null, grade: 1 },
+  { kanji: '羽', jlpt: null, grade: 2 },
+  { kanji: '雲', jlpt: null, grade: 2 },
+  { kanji: '園', jlpt: null, grade: 2 },
+  { kanji: '科', jlpt: null, grade: 2 },
+  { kanji: '絵', jlpt: null, grade: 2 },
+  { kanji: '角', jlpt: null, grade: 2 },
+  { kanji: '楽', jlpt: null, grade: 2 },
+  { kanji: '丸', jlpt: null, grade: 2 },
+  { kanji: '岩', jlpt: null, grade: 2 },
+  { kanji: '汽', jlpt: null, grade: 2 },
+  { kanji: '弓', jlpt: null, grade: 2 },
+  { kanji: '形', jlpt: null, grade: 2 },
+  { kanji: '戸', jlpt: null, grade: 2 },
+  { kanji: '公', jlpt: null, grade: 2 },
+  { kanji: '黄', jlpt: null, grade: 2 },
+  { kanji: '谷', jlpt: null, grade: 2 },
+  { kanji: '才', jlpt: null, grade: 2 },
+  { kanji: '細', jlpt: null, grade: 2 },
+  { kanji: '算', jlpt: null, grade: 2 },
+  { kanji: '矢', jlpt: null, grade: 2 },
+  { kanji: '寺', jlpt: null, grade: 2 },
+  { kanji: '星', jlpt: null, grade: 2 },
+  { kanji: '晴', jlpt: null, grade: 2 },
+  { kanji: '雪', jlpt: null, grade: 2 },
+  { kanji: '船', jlpt: null, grade: 2 },
+  { kanji: '線', jlpt: null, grade: 2 },
+  { kanji: '太', jlpt: null, grade: 2 },
+  { kanji: '直', jlpt: null, grade: 2 },
+  { kanji: '刀', jlpt: null, grade: 2 },
+  { kanji: '内', jlpt: null, grade: 2 },
+  { kanji: '馬', jlpt: null, grade: 2 },
+  { kanji: '麦', jlpt: null, grade: 2 },
+  { kanji: '番', jlpt: null, grade: 2 },
+  { kanji: '鳴', jlpt: null, grade: 2 },
+  { kanji: '毛', jlpt: null, grade: 2 },
+  { kanji: '里', jlpt: null, grade: 2 },
+  { kanji: '昭', jlpt: null, grade: 3 },
+  { kanji: '動', jlpt: null, grade: 3 },
+  { kanji: '衣', jlpt: null, grade: 4 },
+  { kanji: '茨', jlpt: null, grade: 4 },
+  { kanji: '印', jlpt: null, grade: 4 },
+  { kanji: '栄', jlpt: null, grade: 4 },
+  { kanji: '媛', jlpt: null, grade: 4 },
+  { kanji: '塩', jlpt: null, grade: 4 },
+  { kanji: '岡', jlpt: null, grade: 4 },
+  { kanji: '貨', jlpt: null, grade: 4 },
+  { kanji: '芽', jlpt: null, grade: 4 },
+  { kanji: '賀', jlpt: null, grade: 4 },
+  { kanji: '械', jlpt: null, grade: 4 },
+  { kanji: '街', jlpt: null, grade: 4 },
+  { kanji: '潟', jlpt: null, grade: 4 },
+  { kanji: '管', jlpt: null, grade: 4 },
+  { kanji: '岐', jlpt: null, grade: 4 },
+  { kanji: '旗', jlpt: null, grade: 4 },
+  { kanji: '挙', jlpt: null, grade: 4 },
+  { kanji: '漁', jlpt: null, grade: 4 },
+  { kanji: '協', jlpt: null, grade: 4 },
+  { kanji: '鏡', jlpt: null, grade: 4 },
+  { kanji: '熊', jlpt: null, grade: 4 },
+  { kanji: '訓', jlpt: null, grade: 4 },
+  { kanji: '郡', jlpt: null, grade: 4 },
+  { kanji: '群', jlpt: null, grade: 4 },
+  { kanji: '径', jlpt: null, grade: 4 },
+  { kanji: '功', jlpt: null, grade: 4 },
+  { kanji: '香', jlpt: null, grade: 4 },
+  { kanji: '康', jlpt: null, grade: 4 },
+  { kanji: '佐', jlpt: null, grade: 4 },
+  { kanji: '埼', jlpt: null, grade: 4 },
+  { kanji: '崎', jlpt: null, grade: 4 },
+  { kanji: '札', jlpt: null, grade: 4 },
+  { kanji: '刷', jlpt: null, grade: 4 },
+  { kanji: '察', jlpt: null, grade: 4 },
+  { kanji: '司', jlpt: null, grade: 4 },
+  { kanji: '滋', jlpt: null, grade: 4 },
+  { kanji: '鹿', jlpt: null, grade: 4 },
+  { kanji: '松', jlpt: null, grade: 4 },
+  { kanji: '唱', jlpt: null, grade: 4 },
+  { kanji: '城', jlpt: null, grade: 4 },
+  { kanji: '縄', jlpt: null, grade: 4 },
+  { kanji: '臣', jlpt: null, grade: 4 },
+  { kanji: '井', jlpt: null, grade: 4 },
+  { kanji: '浅', jlpt: null, grade: 4 },
+  { kanji: '倉', jlpt: null, grade: 4 },
+  { kanji: '巣', jlpt: null, grade: 4 },
+  { kanji: '束', jlpt: null, grade: 4 },
+  { kanji: '隊', jlpt: null, grade: 4 },
+  { kanji: '仲', jlpt: null, grade: 4 },
+  { kanji: '沖', jlpt: null, grade: 4 },
+  { kanji: '兆', jlpt: null, grade: 4 },
+  { kanji: '底', jlpt: null, grade: 4 },
+  { kanji: '的', jlpt: null, grade: 4 },
+  { kanji: '典', jlpt: null, grade: 4 },
+  { kanji: '徒', jlpt: null, grade: 4 },
+  { kanji: '灯', jlpt: null, grade: 4 },
+  { kanji: '徳', jlpt: null, grade: 4 },
+  { kanji: '栃', jlpt: null, grade: 4 },
+  { kanji: '奈', jlpt: null, grade: 4 },
+  { kanji: '梨', jlpt: null, grade: 4 },
+  { kanji: '梅', jlpt: null, grade: 4 },
+  { kanji: '博', jlpt: null, grade: 4 },
+  { kanji: '阪', jlpt: null, grade: 4 },
+  { kanji: '標', jlpt: null, grade: 4 },
+  { kanji: '阜', jlpt: null, grade: 4 },
+  { kanji: '富', jlpt: null, grade: 4 },
+  { kanji: '兵', jlpt: null, grade: 4 },
+  { kanji: '包', jlpt: null, grade: 4 },
+  { kanji: '牧', jlpt: null, grade: 4 },
+  { kanji: '勇', jlpt: null, grade: 4 },
+  { kanji: '養', jlpt: null, grade: 4 },
+  { kanji: '陸', jlpt: null, grade: 4 },
+  { kanji: '輪', jlpt: null, grade: 4 },
+  { kanji: '令', jlpt: null, grade: 4 },
+  { kanji: '録', jlpt: null, grade: 4 },
+  { kanji: '圧', jlpt: null, grade: 5 },
+  { kanji: '囲', jlpt: null, grade: 5 },
+  { kanji: '移', jlpt: null, grade: 5 },
+  { kanji: '因', jlpt: null, grade: 5 },
+  { kanji: '永', jlpt: null, grade: 5 },
+  { kanji: '衛', jlpt: null, grade: 5 },
+  { kanji: '益', jlpt: null, grade: 5 },
+  { kanji: '液', jlpt: null, grade: 5 },
+  { kanji: '演', jlpt: null, grade: 5 },
+  { kanji: '応', jlpt: null, grade: 5 },
+  { kanji: '往', jlpt: null, grade: 5 },
+  { kanji: '桜', jlpt: null, grade: 5 },
+  { kanji: '仮', jlpt: null, grade: 5 },
+  { kanji: '河', jlpt: null, grade: 5 },
+  { kanji: '快', jlpt: null, grade: 5 },
+  { kanji: '額', jlpt: null, grade: 5 },
+  { kanji: '刊', jlpt: null, grade: 5 },
+  { kanji: '幹', jlpt: null, grade: 5 },
+  { kanji: '慣', jlpt: null, grade: 5 },
+  { kanji: '眼', jlpt: null, grade: 5 },
+  { kanji: '紀', jlpt: null, grade: 5 },
+  { kanji: '基', jlpt: null, grade: 5 },
+  { kanji: '寄', jlpt: null, grade: 5 },
+  { kanji: '規', jlpt: null, grade: 5 },
+  { kanji: '喜', jlpt: null, grade: 5 },
+  { kanji: '技', jlpt: null, grade: 5 },
+  { kanji: '義', jlpt: null, grade: 5 },
+  { kanji: '逆', jlpt: null, grade: 5 },
+  { kanji: '久', jlpt: null, grade: 5 },
+  { kanji: '旧', jlpt: null, grade: 5 },
+  { kanji: '救', jlpt: null, grade: 5 },
+  { kanji: '居', jlpt: null, grade: 5 },
+  { kanji: '許', jlpt: null, grade: 5 },
+  { kanji: '境', jlpt: null, grade: 5 },
+  { kanji: '均', jlpt: null, grade: 5 },
+  { kanji: '禁', jlpt: null, grade: 5 },
+  { kanji: '句', jlpt: null, grade: 5 },
+  { kanji: '型', jlpt: null, grade: 5 },
+  { kanji: '潔', jlpt: null, grade: 5 },
+  { kanji: '険', jlpt: null, grade: 5 },
+  { kanji: '検', jlpt: null, grade: 5 },
+  { kanji: '限', jlpt: null, grade: 5 },
+  { kanji: '減', jlpt: null, grade: 5 },
+  { kanji: '故', jlpt: null, grade: 5 },
+  { kanji: '個', jlpt: null, grade: 5 },
+  { kanji: '護', jlpt: null, grade: 5 },
+  { kanji: '効', jlpt: null, grade: 5 },
+  { kanji: '厚', jlpt: null, grade: 5 },
+  { kanji: '耕', jlpt: null, grade: 5 },
+  { kanji: '航', jlpt: null, grade: 5 },
+  { kanji: '鉱', jlpt: null, grade: 5 },
+  { kanji: '構', jlpt: null, grade: 5 },
+  { kanji: '興', jlpt: null, grade: 5 },
+  { kanji: '講', jlpt: null, grade: 5 },
+  { kanji: '混', jlpt: null, grade: 5 },
+  { kanji: '査', jlpt: null, grade: 5 },
+  { kanji: '再', jlpt: null, grade: 5 },
+  { kanji: '災', jlpt: null, grade: 5 },
+  { kanji: '妻', jlpt: null, grade: 5 },
+  { kanji: '採', jlpt: null, grade: 5 },
+  { kanji: '殺', jlpt: null, grade: 5 },
+  { kanji: '酸', jlpt: null, grade: 5 },
+  { kanji: '賛', jlpt: null, grade: 5 },
+  { kanji: '士', jlpt: null, grade: 5 },
+  { kanji: '史', jlpt: null, grade: 5 },
+  { kanji: '枝', jlpt: null, grade: 5 },
+  { kanji: '師', jlpt: null, grade: 5 },
+  { kanji: '飼', jlpt: null, grade: 5 },
+  { kanji: '舎', jlpt: null, grade: 5 },
+  { kanji: '謝', jlpt: null, grade: 5 },
+  { kanji: '授', jlpt: null, grade: 5 },
+  { kanji: '修', jlpt: null, grade: 5 },
+  { kanji: '述', jlpt: null, grade: 5 },
+  { kanji: '術', jlpt: null, grade: 5 },
+  { kanji: '準', jlpt: null, grade: 5 },
+  { kanji: '序', jlpt: null, grade: 5 },
+  { kanji: '招', jlpt: null, grade: 5 },
+  { kanji: '証', jlpt: null, grade: 5 },
+  { kanji: '象', jlpt: null, grade: 5 },
+  { kanji: '賞', jlpt: null, grade: 5 },
+  { kanji: '条', jlpt: null, grade: 5 },
+  { kanji: '状', jlpt: null, grade: 5 },
+  { kanji: '常', jlpt: null, grade: 5 },
+  { kanji: '情', jlpt: null, grade: 5 },
+  { kanji: '織', jlpt: null, grade: 5 },
+  { kanji: '職', jlpt: null, grade: 5 },
+  { kanji: '勢', jlpt: null, grade: 5 },
+  { kanji: '精', jlpt: null, grade: 5 },
+  { kanji: '製', jlpt: null, grade: 5 },
+  { kanji: '税', jlpt: null, grade: 5 },
+  { kanji: '績', jlpt: null, grade: 5 },
+  { kanji: '祖', jlpt: null, grade: 5 },
+  { kanji: '造', jlpt: null, grade: 5 },
+  { kanji: '像', jlpt: null, grade: 5 },
+  { kanji: '則', jlpt: null, grade: 5 },
+  { kanji: '測', jlpt: null, grade: 5 },
+  { kanji: '属', jlpt: null, grade: 5 },
+  { kanji: '率', jlpt: null, grade: 5 },
+  { kanji: '損', jlpt: null, grade: 5 },
+  { kanji: '団', jlpt: null, grade: 5 },
+  { kanji: '築', jlpt: null, grade: 5 },
+  { kanji: '貯', jlpt: null, grade: 5 },
+  { kanji: '張', jlpt: null, grade: 5 },
+  { kanji: '停', jlpt: null, grade: 5 },
+  { kanji: '統', jlpt: null, grade: 5 },
+  { kanji: '銅', jlpt: null, grade: 5 },
+  { kanji: '導', jlpt: null, grade: 5 },
+  { kanji: '毒', jlpt: null, grade: 5 },
+  { kanji: '独', jlpt: null, grade: 5 },
+  { kanji: '燃', jlpt: null, grade: 5 },
+  { kanji: '破', jlpt: null, grade: 5 },
+  { kanji: '犯', jlpt: null, grade: 5 },
+  { kanji: '版', jlpt: null, grade: 5 },
+  { kanji: '肥', jlpt: null, grade: 5 },
+  { kanji: '貧', jlpt: null, grade: 5 },
+  { kanji: '武', jlpt: null, grade: 5 },
+  { kanji: '複', jlpt: null, grade: 5 },
+  { kanji: '仏', jlpt: null, grade: 5 },
+  { kanji: '粉', jlpt: null, grade: 5 },
+  { kanji: '編', jlpt: null, grade: 5 },
+  { kanji: '弁', jlpt: null, grade: 5 },
+  { kanji: '保', jlpt: null, grade: 5 },
+  { kanji: '墓', jlpt: null, grade: 5 },
+  { kanji: '豊', jlpt: null, grade: 5 },
+  { kanji: '貿', jlpt: null, grade: 5 },
+  { kanji: '暴', jlpt: null, grade: 5 },
+  { kanji: '脈', jlpt: null, grade: 5 },
+  { kanji: '綿', jlpt: null, grade: 5 },
+  { kanji: '輸', jlpt: null, grade: 5 },
+  { kanji: '略', jlpt: null, grade: 5 },
+  { kanji: '異', jlpt: null, grade: 6 },
+  { kanji: '遺', jlpt: null, grade: 6 },
+  { kanji: '域', jlpt: null, grade: 6 },
+  { kanji: '宇', jlpt: null, grade: 6 },
+  { kanji: '延', jlpt: null, grade: 6 },
+  { kanji: '沿', jlpt: null, grade: 6 },
+  { kanji: '恩', jlpt: null, grade: 6 },
+  { kanji: '我', jlpt: null, grade: 6 },
+  { kanji: '灰', jlpt: null, grade: 6 },
+  { kanji: '拡', jlpt: null, grade: 6 },
+  { kanji: '革', jlpt: null, grade: 6 },
+  { kanji: '閣', jlpt: null, grade: 6 },
+  { kanji: '割', jlpt: null, grade: 6 },
+  { kanji: '株', jlpt: null, grade: 6 },
+  { kanji: '干', jlpt: null, grade: 6 },
+  { kanji: '巻', jlpt: null, grade: 6 },
+  { kanji: '看', jlpt: null, grade: 6 },
+  { kanji: '簡', jlpt: null, grade: 6 },
+  { kanji: '揮', jlpt: null, grade: 6 },
+  { kanji: '貴', jlpt: null, grade: 6 },
+  { kanji: '疑', jlpt: null, grade: 6 },
+  { kanji: '供', jlpt: null, grade: 6 },
+  { kanji: '郷', jlpt: null, grade: 6 },
+  { kanji: '勤', jlpt: null, grade: 6 },
+  { kanji: '筋', jlpt: null, grade: 6 },
+  { kanji: '系', jlpt: null, grade: 6 },
+  { kanji: '敬', jlpt: null, grade: 6 },
+  { kanji: '警', jlpt: null, grade: 6 },
+  { kanji: '劇', jlpt: null, grade: 6 },
+  { kanji: '激', jlpt: null, grade: 6 },
+  { kanji: '穴', jlpt: null, grade: 6 },
+  { kanji: '券', jlpt: null, grade: 6 },
+  { kanji: '絹', jlpt: null, grade: 6 },
+  { kanji: '憲', jlpt: null, grade: 6 },
+  { kanji: '源', jlpt: null, grade: 6 },
+  { kanji: '厳', jlpt: null, grade: 6 },
+  { kanji: '己', jlpt: null, grade: 6 },
+  { kanji: '呼', jlpt: null, grade: 6 },
+  { kanji: '誤', jlpt: null, grade: 6 },
+  { kanji: '后', jlpt: null, grade: 6 },
+  { kanji: '孝', jlpt: null, grade: 6 },
+  { kanji: '皇', jlpt: null, grade: 6 },
+  { kanji: '紅', jlpt: null, grade: 6 },
+  { kanji: '降', jlpt: null, grade: 6 },
+  { kanji: '鋼', jlpt: null, grade: 6 },
+  { kanji: '刻', jlpt: null, grade: 6 },
+  { kanji: '穀', jlpt: null, grade: 6 },
+  { kanji: '骨', jlpt: null, grade: 6 },
+  { kanji: '困', jlpt: null, grade: 6 },
+  { kanji: '砂', jlpt: null, grade: 6 },
+  { kanji: '座', jlpt: null, grade: 6 },
+  { kanji: '裁', jlpt: null, grade: 6 },
+  { kanji: '策', jlpt: null, grade: 6 },
+  { kanji: '冊', jlpt: null, grade: 6 },
+  { kanji: '蚕', jlpt: null, grade: 6 },
+  { kanji: '至', jlpt: null, grade: 6 },
+  { kanji: '姿', jlpt: null, grade: 6 },
+  { kanji: '視', jlpt: null, grade: 6 },
+  { kanji: '詞', jlpt: null, grade: 6 },
+  { kanji: '誌', jlpt: null, grade: 6 },
+  { kanji: '磁', jlpt: null, grade: 6 },
+  { kanji: '射', jlpt: null, grade: 6 },
+  { kanji: '尺', jlpt: null, grade: 6 },
+  { kanji: '樹', jlpt: null, grade: 6 },
+  { kanji: '宗', jlpt: null, grade: 6 },
+  { kanji: '就', jlpt: null, grade: 6 },
+  { kanji: '衆', jlpt: null, grade: 6 },
+  { kanji: '従', jlpt: null, grade: 6 },
+  { kanji: '縦', jlpt: null, grade: 6 },
+  { kanji: '縮', jlpt: null, grade: 6 },
+  { kanji: '熟', jlpt: null, grade: 6 },
+  { kanji: '純', jlpt: null, grade: 6 },
+  { kanji: '処', jlpt: null, grade: 6 },
+  { kanji: '署', jlpt: null, grade: 6 },
+  { kanji: '諸', jlpt: null, grade: 6 },
+  { kanji: '除', jlpt: null, grade: 6 },
+  { kanji: '承', jlpt: null, grade: 6 },
+  { kanji: '傷', jlpt: null, grade: 6 },
+  { kanji: '障', jlpt: null, grade: 6 },
+  { kanji: '蒸', jlpt: null, grade: 6 },
+  { kanji: '仁', jlpt: null, grade: 6 },
+  { kanji: '垂', jlpt: null, grade: 6 },
+  { kanji: '推', jlpt: null, grade: 6 },
+  { kanji: '寸', jlpt: null, grade: 6 },
+  { kanji: '盛', jlpt: null, grade: 6 },
+  { kanji: '聖', jlpt: null, grade: 6 },
+  { kanji: '誠', jlpt: null, grade: 6 },
+  { kanji: '舌', jlpt: null, grade: 6 },
+  { kanji: '宣', jlpt: null, grade: 6 },
+  { kanji: '泉', jlpt: null, grade: 6 },
+  { kanji: '染', jlpt: null, grade: 6 },
+  { kanji: '銭', jlpt: null, grade: 6 },
+  { kanji: '善', jlpt: null, grade: 6 },
+  { kanji: '奏', jlpt: null, grade: 6 },
+  { kanji: '創', jlpt: null, grade: 6 },
+  { kanji: '装', jlpt: null, grade: 6 },
+  { kanji: '層', jlpt: null, grade: 6 },
+  { kanji: '操', jlpt: null, grade: 6 },
+  { kanji: '蔵', jlpt: null, grade: 6 },
+  { kanji: '臓', jlpt: null, grade: 6 },
+  { kanji: '存', jlpt: null, grade: 6 },
+  { kanji: '尊', jlpt: null, grade: 6 },
+  { kanji: '担', jlpt: null, grade: 6 },
+  { kanji: '誕', jlpt: null, grade: 6 },
+  { kanji: '暖', jlpt: null, grade: 6 },
+  { kanji: '宙', jlpt: null, grade: 6 },
+  { kanji: '忠', jlpt: null, grade: 6 },
+  { kanji: '著', jlpt: null, grade: 6 },
+  { kanji: '庁', jlpt: null, grade: 6 },
+  { kanji: '腸', jlpt: null, grade: 6 },
+  { kanji: '潮', jlpt: null, grade: 6 },
+  { kanji: '賃', jlpt: null, grade: 6 },
+  { kanji: '敵', jlpt: null, grade: 6 },
+  { kanji: '展', jlpt: null, grade: 6 },
+  { kanji: '討', jlpt: null, grade: 6 },
+  { kanji: '党', jlpt: null, grade: 6 },
+  { kanji: '糖', jlpt: null, grade: 6 },
+  { kanji: '乳', jlpt: null, grade: 6 },
+  { kanji: '納', jlpt: null, grade: 6 },
+  { kanji: '脳', jlpt: null, grade: 6 },
+  { kanji: '派', jlpt: null, grade: 6 },
+  { kanji: '拝', jlpt: null, grade: 6 },
+  { kanji: '背', jlpt: null, grade: 6 },
+  { kanji: '肺', jlpt: null, grade: 6 },
+  { kanji: '俳', jlpt: null, grade: 6 },
+  { kanji: '班', jlpt: null, grade: 6 },
+  { kanji: '批', jlpt: null, grade: 6 },
+  { kanji: '秘', jlpt: null, grade: 6 },
+  { kanji: '俵', jlpt: null, grade: 6 },
+  { kanji: '奮', jlpt: null, grade: 6 },
+  { kanji: '並', jlpt: null, grade: 6 },
+  { kanji: '陛', jlpt: null, grade: 6 },
+  { kanji: '補', jlpt: null, grade: 6 },
+  { kanji: '暮', jlpt: null, grade: 6 },
+  { kanji: '宝', jlpt: null, grade: 6 },
+  { kanji: '亡', jlpt: null, grade: 6 },
+  { kanji: '棒', jlpt: null, grade: 6 },
+  { kanji: '幕', jlpt: null, grade: 6 },
+  { kanji: '密', jlpt: null, grade: 6 },
+  { kanji: '盟', jlpt: null, grade: 6 },
+  { kanji: '模', jlpt: null, grade: 6 },
+  { kanji: '訳', jlpt: null, grade: 6 },
+  { kanji: '翌', jlpt: null, grade: 6 },
+  { kanji: '覧', jlpt: null, grade: 6 },
+  { kanji: '裏', jlpt: null, grade: 6 },
+  { kanji: '律', jlpt: null, grade: 6 },
+  { kanji: '臨', jlpt: null, grade: 6 },
+  { kanji: '朗', jlpt: null, grade: 6 },
+  { kanji: '論', jlpt: null, grade: 6 },
+];
@@ -0,0 +1,262 @@
+/**
+ * Pitch Accent Data
+ * @module data/pitch
+ *
+ * Tokyo-dialect pitch accents for common graded-reader vocabulary (roughly
+ * JLPT N5-N4), keyed like deck cards as "word|reading". The number is the
+ * mora after which the pitch drops; 0 means it never drops (heiban).
+ * Where dictionaries list several accents, the first (most common) is used.
+ */
+
+/**
+ * @type {Object.<string, number>}
+ */
+export const PITCH_ACCENTS = {
+  // ========================================================================
+  // NOUNS
+  // ========================================================================
+  '猫|ねこ': 1,
+  '犬|いぬ': 2,
+  '鳥|とり': 0,
+  '魚|さかな': 0,
+  '動物|どうぶつ': 0,
+  '山|やま': 2,
+  '川|かわ': 2,
+  '海|うみ': 1,
+  '空|そら': 1,
+  '森|もり': 0,
+  '木|き': 1,
+  '花|はな': 2,
+  '鼻|はな': 0,
+  '箸|はし': 1,
+  '橋|はし': 2,
+  '雨|あめ': 1,
+  '飴|あめ': 0,
+  '雪|ゆき': 2,
+  '風|かぜ': 0,
+  '桜|さくら': 0,
+  '月|つき': 2,
+  '星|ほし': 0,
+  '火|ひ': 1,
+  '水|みず': 0,
+  '天気|てんき': 1,
+  '春|はる': 1,
+  '夏|なつ': 2,
+  '秋|あき': 1,
+  '冬|ふゆ': 2,
+  '朝|あさ': 1,
+  '昼|ひる': 2,
+  '夜|よる': 1,
+  '夕方|ゆうがた': 0,
+  '今日|きょう': 1,
+  '明日|あした': 3,
+  '昨日|きのう': 2,
+  '毎日|まいにち': 1,
+  '毎朝|まいあさ': 1,
+  '週末|しゅうまつ': 0,
+  '時間|じかん': 0,
+  '今|いま': 1,
+  '誕生日|たんじょうび': 3,
+  '休み|やすみ': 3,
+  '日本|にほん': 2,
+  '日本語|にほんご': 0,
+  '東京|とうきょう': 0,
+  '国|くに': 0,
+  '世界|せかい': 1,
+  '町|まち': 2,
+  '道|みち': 0,
+  '駅|えき': 1,
+  '店|みせ': 2,
+  '家|いえ': 2,
+  '部屋|へや': 2,
+  '窓|まど': 1,
+  '机|つくえ': 0,
+  '椅子|いす': 0,
+  '学校|がっこう': 0,
+  '会社|かいしゃ': 0,
+  '病院|びょういん': 0,
+  '図書館|としょかん': 2,
+  '公園|こうえん': 0,
+  '先生|せんせい': 3,
+  '学生|がくせい': 0,
+  '友達|ともだち': 0,
+  '家族|かぞく': 1,
+  '子供|こども': 0,
+  '人|ひと': 0,
+  '男|おとこ': 3,
+  '女|おんな': 3,
+  '母|はは': 1,
+  '父|ちち': 2,
+  '兄|あに': 1,
+  '姉|あね': 0,
+  '弟|おとうと': 4,
+  '妹|いもうと': 4,
+  'お母さん|おかあさん': 2,
+  'お父さん|おとうさん': 2,
+  '名前|なまえ': 0,
+  '手|て': 1,
+  '目|め': 1,
+  '耳|みみ': 2,
+  '口|くち': 0,
+  '頭|あたま': 3,
+  '顔|かお': 0,
+  '体|からだ': 0,
+  '本|ほん': 1,
+  '紙|かみ': 2,
+  '髪|かみ': 2,
+  '神|かみ': 1,
+  '手紙|てがみ': 0,
+  '写真|しゃしん': 0,
+  '電話|でんわ': 0,
+  '時計|とけい': 0,
+  '傘|かさ': 1,
+  '靴|くつ': 2,
+  '服|ふく': 2,
+  'お金|おかね': 0,
+  '車|くるま': 0,
+  '電車|でんしゃ': 0,
+  '自転車|じてんしゃ': 2,
+  '飛行機|ひこうき': 2,
+  'ご飯|ごはん': 1,
+  'お茶|おちゃ': 0,
+  '肉|にく': 2,
+  '野菜|やさい': 0,
+  '果物|くだもの': 2,
+  '卵|たまご': 2,
+  '寿司|すし': 2,
+  '料理|りょうり': 1,
+  '仕事|しごと': 0,
+  '勉強|べんきょう': 0,
+  '宿題|しゅくだい': 0,
+  '試験|しけん': 2,
+  '質問|しつもん': 0,
+  '問題|もんだい': 0,
+  '言葉|ことば': 3,
+  '意味|いみ': 1,
+  '音楽|おんがく': 1,
+  '旅行|りょこう': 0,
+  '夢|ゆめ': 2,
+  '気持ち|きもち': 0,
+  '元気|げんき': 1,
+  '病気|びょうき': 0,
+  '上|うえ': 0,
+  '下|した': 0,
+  '中|なか': 1,
+  '外|そと': 1,
+  '前|まえ': 1,
+  '後|あと': 1,
+  '右|みぎ': 0,
+  '左|ひだり': 0,
+  '一緒|いっしょ': 0,
+
+  // ========================================================================
+  // PRONOUNS
+  // ========================================================================
+  '私|わたし': 0,
+  '誰|だれ': 1,
+  '何|なに': 1,
+
+  // ========================================================================
+  // VERBS (dictionary form)
+  // ========================================================================
+  '行く|いく': 0,
+  '来る|くる': 1,
+  '見る|みる': 1,
+  '食べる|たべる': 2,
+  '飲む|のむ': 1,
+  '書く|かく': 1,
+  '読む|よむ': 1,
+  '聞く|きく': 0,
+  '話す|はなす': 2,
+  '言う|いう': 0,
+  '思う|おもう': 2,
+  '歩く|あるく': 2,
+  '走る|はしる': 2,
+  '帰る|かえる': 1,
+  '会う|あう': 1,
+  '買う|かう': 0,
+  '売る|うる': 0,
+  '作る|つくる': 2,
+  '使う|つかう': 0,
+  '待つ|まつ': 1,
+  '持つ|もつ': 1,
+  '寝る|ねる': 0,
+  '起きる|おきる': 2,
+  '遊ぶ|あそぶ': 0,
+  '働く|はたらく': 0,
+  '休む|やすむ': 2,
+  '住む|すむ': 1,
+  '始まる|はじまる': 0,
+  '始める|はじめる': 0,
+  '終わる|おわる': 0,
+  '入る|はいる': 1,
+  '出る|でる': 1,
+  '開ける|あける': 0,
+  '閉める|しめる': 2,
+  '知る|しる': 0,
+  '分かる|わかる': 2,
+  '泳ぐ|およぐ': 2,
+  '笑う|わらう': 0,
+  '泣く|なく': 0,
+  '教える|おしえる': 0,
+  '習う|ならう': 2,
+  '覚える|おぼえる': 3,
+  '忘れる|わすれる': 0,
+  '見せる|みせる': 2,
+  '生まれる|うまれる': 0,
+  '着る|きる': 0,
+  '洗う|あらう': 0,
+  '乗る|のる': 0,
+  '降りる|おりる': 2,
+  '座る|すわる': 0,
+  '立つ|たつ': 1,
+  'する|する': 0,
+  'ある|ある': 1,
+  'いる|いる': 0,
+
+  // ========================================================================
+  // ADJECTIVES
+  // ========================================================================
+  '大きい|おおきい': 3,
+  '小さい|ちいさい': 3,
+  '高い|たかい': 2,
+  '安い|やすい': 2,
+  '新しい|あたらしい': 4,
+  '古い|ふるい': 2,
+  '良い|よい': 1,
+  'いい|いい': 1,
+  '悪い|わるい': 2,
+  '暑い|あつい': 2,
+  '寒い|さむい': 2,
+  '暖かい|あたたかい': 4,
+  '涼しい|すずしい': 3,
+  '美味しい|おいしい': 0,
+  'おいしい|おいしい': 0,
+  '白い|しろい': 2,
+  '黒い|くろい': 2,
+  '赤い|あかい': 0,
+  '青い|あおい': 2,
+  '明るい|あかるい': 0,
+  '暗い|くらい': 0,
+  '早い|はやい': 2,
+  '長い|ながい': 2,
+  '短い|みじかい': 3,
+  '楽しい|たのしい': 3,
+  '嬉しい|うれしい': 3,
+  '忙しい|いそがしい': 4,
+  '好き|すき': 2,
+  '嫌い|きらい': 0,
+  '静か|しずか': 1,
+  '綺麗|きれい': 1,
+  'きれい|きれい': 1,
+  '大切|たいせつ': 0,
+  '有名|ゆうめい': 0,
+  '便利|べんり': 1,
+
+  // ========================================================================
+  // OTHER
+  // ========================================================================
+  'とても|とても': 0,
+  '少し|すこし': 2,
+  'ありがとう|ありがとう': 2,
+};
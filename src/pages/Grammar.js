@@ -0,0 +1,175 @@
+/**
+ * Grammar Page
+ * Index of the grammar patterns annotated across the library, each with the
+ * sentences that use it and links back to the segment in the Reader
+ */
+
+import '../styles/pages/grammar.css';
+import { sampleStories } from '../data/stories.js';
+import { getStoredStories } from '../utils/storage.js';
+import { buildGrammarIndex, getPatternKey } from '../utils/grammar.js';
+import { getRouteInfo } from '../utils/router.js';
+import { createEventManager } from '../utils/componentBase.js';
+
+/**
+ * Helper: Segment text with the pattern's span marked
+ * @param {Object} example - Entry from GrammarIndexEntry.examples
+ */
+const renderExample = example => {
+  const start = example.jp.indexOf(example.span);
+  if (start === -1) {
+    return `<mark class="grammar-span">${example.span}</mark>`;
+  }
+  const end = start + example.span.length;
+  return `${example.jp.slice(0, start)}<mark class="grammar-span">${example.span}</mark>${example.jp.slice(end)}`;
+};
+
+const Grammar = parentElement => {
+  const events = createEventManager();
+  const index = buildGrammarIndex([...getStoredStories(), ...sampleStories]);
+
+  // State: a link from a Reader note opens that pattern
+  const { query } = getRouteInfo();
+  const openKey = getPatternKey(query.get('pattern'));
+  let searchQuery = '';
+  let levelFilter = 'all';
+
+  /**
+   * Main render function
+   */
+  const render = () => {
+    const levels = [...new Set(index.flatMap(entry => entry.levels))].sort();
+
+    parentElement.innerHTML = `
+      <div class="grammar-page">
+        <div class="grammar-header">
+          <h1>Grammar</h1>
+          <p class="text-muted">Grammar patterns from your stories, with every sentence that uses them</p>
+        </div>
+        ${
+          index.length > 0
+            ? `
+          <div class="grammar-filters">
+            <input
+              type="search"
+              id="grammar-search"
+              class="form-input grammar-search"
+              placeholder="Search patterns, explanations or examples..."
+            >
+            <select id="grammar-level" class="form-select form-select--auto">
+              <option value="all">All levels</option>
+              ${levels.map(level => `<option value="${level}">${level}</option>`).join('')}
+            </select>
+          </div>
+        `
+            : ''
+        }
+        <div id="grammar-list-root"></div>
+      </div>
+    `;
+
+    const searchEl = parentElement.querySelector('#grammar-search');
+    if (searchEl) {
+      events.on(searchEl, 'input', e => {
+        searchQuery = e.target.value.trim().toLowerCase();
+        updateList();
+      });
+      events.on(parentElement.querySelector('#grammar-level'), 'change', e => {
+        levelFilter = e.target.value;
+        updateList();
+      });
+    }
+
+    updateList();
+
+    // Bring a linked pattern into view
+    const linked = Array.from(parentElement.querySelectorAll('.grammar-entry')).find(
+      el => openKey && el.dataset.key === openKey
+    );
+    linked?.scrollIntoView({ block: 'start' });
+  };
+
+  /**
+   * Render the patterns matching the search and level filter
+   */
+  const updateList = () => {
+    const root = parentElement.querySelector('#grammar-list-root');
+    if (!root) {
+      return;
+    }
+
+    if (index.length === 0) {
+      root.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state__icon">📐</div>
+          <h2 class="empty-state__title">No grammar notes yet</h2>
+          <p class="empty-state__description">Newly generated stories come with grammar notes for the patterns they use.</p>
+          <a href="#/library" class="btn">📚 Go to Library</a>
+        </div>
+      `;
+      return;
+    }
+
+    const matches = index.filter(entry => {
+      if (levelFilter !== 'all' && !entry.levels.includes(levelFilter)) {
+        return false;
+      }
+      return (
+        !searchQuery ||
+        entry.pattern.toLowerCase().includes(searchQuery) ||
+        entry.explanation.toLowerCase().includes(searchQuery) ||
+        entry.examples.some(example => example.jp.includes(searchQuery))
+      );
+    });
+    if (matches.length === 0) {
+      root.innerHTML = '<p class="grammar-empty text-muted">No patterns match your search.</p>';
+      return;
+    }
+
+    root.innerHTML = `
+      <ul class="grammar-list">
+        ${matches
+          .map(
+            entry => `
+          <li>
+            <details class="grammar-entry" data-key="${entry.key}" ${entry.key === openKey ? 'open' : ''}>
+              <summary class="grammar-entry__summary">
+                <span class="grammar-entry__pattern jp-text">${entry.pattern}</span>
+                <span class="grammar-entry__meta">
+                  ${entry.levels.map(level => `<span class="badge">${level}</span>`).join('')}
+                  <span class="text-muted">${entry.examples.length} example${entry.examples.length === 1 ? '' : 's'}</span>
+                </span>
+              </summary>
+              <p class="grammar-entry__explanation">${entry.explanation}</p>
+              <ul class="grammar-examples">
+                ${entry.examples
+                  .map(
+                    example => `
+                  <li class="grammar-example">
+                    <p class="grammar-example__text jp-text">${renderExample(example)}</p>
+                    <a href="#/read?id=${example.storyId}&segment=${example.segmentIndex}" class="grammar-example__link">
+                      ${example.titleJP} →
+                    </a>
+                  </li>
+                `
+                  )
+                  .join('')}
+              </ul>
+            </details>
+          </li>
+        `
+          )
+          .join('')}
+      </ul>
+    `;
+  };
+
+  render();
+
+  // Cleanup
+  return () => {
+    events.cleanup();
+  };
+};
+
+export default Grammar;
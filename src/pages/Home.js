@@ -5,7 +5,53 @@
 
 import StoryCard from '../components/StoryCard.js';
 import { sampleStories } from '../data/stories.js';
-import { getStoredStories, getStoryProgress } from '../utils/storage.js';
+import { getStoredStories, getStoryProgress, getReadingSessions } from '../utils/storage.js';
+import { getSpeedTrend } from '../utils/readingSession.js';
+
+/**
+ * Helper: Format a duration as "1h 05m" or "12m"
+ * @param {number} ms
+ */
+const formatDuration = ms => {
+  const minutes = Math.round(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+};
+
+/**
+ * Helper: Render the reading speed trend, one row per level
+ * @param {SpeedTrend[]} trend
+ */
+const renderSpeedTrend = trend => {
+  return trend
+    .map(({ level, sessions, averageCpm, change, totalMs }) => {
+      const peak = Math.max(...sessions.map(s => s.cpm), 1);
+      return `
+        <div class="speed-trend__row">
+          <span class="badge">${level}</span>
+          <div class="speed-trend__chart" title="Last ${sessions.length} sessions">
+            ${sessions
+              .map(
+                s => `
+              <span class="speed-trend__bar" style="height: ${Math.max(8, (s.cpm / peak) * 100)}%" title="${new Date(s.startedAt).toLocaleDateString()}: ${s.cpm} chars/min"></span>
+            `
+              )
+              .join('')}
+          </div>
+          <div class="speed-trend__value">
+            <strong>${averageCpm}</strong> chars/min
+            ${
+              change !== 0
+                ? `<span class="speed-trend__change speed-trend__change--${change > 0 ? 'up' : 'down'}">${change > 0 ? '▲' : '▼'} ${Math.abs(change)}</span>`
+                : ''
+            }
+          </div>
+          <span class="speed-trend__time">${formatDuration(totalMs)} read</span>
+        </div>
+      `;
+    })
+    .join('');
+};
 
 const Home = parentElement => {
   // Get stories data
@@ -25,6 +71,7 @@ const Home = parentElement => {
   // Stats
   const totalRead = allStories.filter(s => getStoryProgress(s.id)?.completed).length;
   const generatedCount = getStoredStories().length;
+  const speedTrend = getSpeedTrend(getReadingSessions());
 
   const html = `
     <div class="home-page">
@@ -72,6 +119,22 @@ const Home = parentElement => {
         </div>
       </section>
 
+      ${
+        speedTrend.length > 0
+          ? `
+        <!-- Reading Speed Section -->
+        <section class="section">
+          <div class="section__header">
+            <h2 class="section__title">⏱️ Reading Speed</h2>
+          </div>
+          <div class="speed-trend card">
+            ${renderSpeedTrend(speedTrend)}
+          </div>
+        </section>
+      `
+          : ''
+      }
+
       ${
         inProgressStories.length > 0
           ? `
@@ -10,6 +10,8 @@ import { sampleStories } from '../data/stories.js';
 import GeneratorModal from '../components/GeneratorModal.js';
 import { getStoredStories, deleteStory } from '../utils/storage.js';
 import { toast } from '../components/Toast.js';
+import { exportEpub } from '../utils/epub.js';
+import { exportAnkiDeck } from '../utils/anki.js';
 import { debounce, createEventManager } from '../utils/componentBase.js';
 
 const Library = parentElement => {
@@ -21,6 +23,11 @@ const Library = parentElement => {
   let sortBy = 'newest';
   let searchQuery = '';
   let viewMode = 'grid';
+  // Selection mode: pick stories to export
+  let isSelecting = false;
+  const selectedIds = new Set();
+  let isExporting = false;
+  let includeAnkiAudio = false;
 
   /**
    * Get filtered and sorted stories
@@ -75,12 +82,26 @@ const Library = parentElement => {
       <div class="library-page">
         <div id="library-header-root"></div>
         <div id="library-controls-root"></div>
+        <div id="library-selection-root"></div>
         <div id="library-content-root"></div>
       </div>
     `;
 
+    // Delegated once: the grid re-renders on every filter change
+    const contentRoot = parentElement.querySelector('#library-content-root');
+    events.delegate(contentRoot, 'change', '.story-card__select', function () {
+      if (this.checked) {
+        selectedIds.add(this.dataset.id);
+      } else {
+        selectedIds.delete(this.dataset.id);
+      }
+      this.closest('.story-card')?.classList.toggle('story-card--selected', this.checked);
+      updateSelectionBar();
+    });
+
     updateHeader();
     updateControls();
+    updateSelectionBar();
     updateGrid();
   };
 
@@ -101,14 +122,109 @@ const Library = parentElement => {
             <h1>Story Library</h1>
             <p class="text-muted" id="story-count-text">${stories.length} stories available</p>
           </div>
-          <button id="create-btn" class="btn">
-            <span>✨</span> Create New
-          </button>
+          <div class="library-header__actions">
+            <button id="select-btn" class="btn btn--secondary" title="Pick stories to export">
+              ${isSelecting ? 'Done' : '☑ Select'}
+            </button>
+            <button id="create-btn" class="btn">
+              <span>✨</span> Create New
+            </button>
+          </div>
         </div>
       </div>
     `;
 
     events.on(headerRoot.querySelector('#create-btn'), 'click', openGeneratorModal);
+    events.on(headerRoot.querySelector('#select-btn'), 'click', () => {
+      isSelecting = !isSelecting;
+      selectedIds.clear();
+      updateHeader();
+      updateSelectionBar();
+      updateGrid();
+    });
+  };
+
+  /**
+   * Selected stories, in library order
+   */
+  const getSelectedStories = () =>
+    [...getStoredStories(), ...sampleStories].filter(story => selectedIds.has(story.id));
+
+  /**
+   * Updates the selection bar (count and export actions) shown in selection mode
+   */
+  const updateSelectionBar = () => {
+    const selectionRoot = parentElement.querySelector('#library-selection-root');
+    if (!selectionRoot) {
+      return;
+    }
+    if (!isSelecting) {
+      selectionRoot.innerHTML = '';
+      return;
+    }
+
+    selectionRoot.innerHTML = `
+      <div class="library-selection">
+        <span class="library-selection__count">${selectedIds.size} selected</span>
+        <button id="select-all-btn" class="btn btn--ghost btn--sm">Select all</button>
+        <button id="select-none-btn" class="btn btn--ghost btn--sm" ${selectedIds.size === 0 ? 'disabled' : ''}>Clear</button>
+        <div class="library-selection__actions">
+          <label class="library-selection__option" title="Sentence audio from the cached HQ voice">
+            <input type="checkbox" id="anki-audio" ${includeAnkiAudio ? 'checked' : ''}>
+            Audio clips
+          </label>
+          <button id="export-anki-btn" class="btn btn--secondary btn--sm" ${selectedIds.size === 0 || isExporting ? 'disabled' : ''}>
+            🗂️ Anki Deck
+          </button>
+          <button id="export-epub-btn" class="btn btn--sm" ${selectedIds.size === 0 || isExporting ? 'disabled' : ''}>
+            📖 Export EPUB
+          </button>
+        </div>
+      </div>
+    `;
+
+    events.on(selectionRoot.querySelector('#select-all-btn'), 'click', () => {
+      getFilteredStories().forEach(story => selectedIds.add(story.id));
+      updateSelectionBar();
+      updateGrid();
+    });
+    events.on(selectionRoot.querySelector('#select-none-btn'), 'click', () => {
+      selectedIds.clear();
+      updateSelectionBar();
+      updateGrid();
+    });
+    events.on(selectionRoot.querySelector('#anki-audio'), 'change', e => {
+      includeAnkiAudio = e.target.checked;
+    });
+    events.on(selectionRoot.querySelector('#export-anki-btn'), 'click', async () => {
+      isExporting = true;
+      updateSelectionBar();
+      try {
+        const { notes, clips } = await exportAnkiDeck(getSelectedStories(), {
+          includeAudio: includeAnkiAudio,
+        });
+        toast.success(`Exported ${notes} notes${clips > 0 ? ` with ${clips} audio clips` : ''}`);
+      } catch (error) {
+        toast.error(`Failed to export deck: ${error.message}`);
+      } finally {
+        isExporting = false;
+        updateSelectionBar();
+      }
+    });
+    events.on(selectionRoot.querySelector('#export-epub-btn'), 'click', async () => {
+      const stories = getSelectedStories();
+      isExporting = true;
+      updateSelectionBar();
+      try {
+        await exportEpub(stories);
+        toast.success(`Exported ${stories.length} ${stories.length === 1 ? 'story' : 'stories'}`);
+      } catch (error) {
+        toast.error(`Failed to export e-book: ${error.message}`);
+      } finally {
+        isExporting = false;
+        updateSelectionBar();
+      }
+    });
   };
 
   /**
@@ -233,7 +349,11 @@ const Library = parentElement => {
     if (stories.length > 0) {
       contentRoot.innerHTML = `
         <div class="story-grid ${viewMode === 'list' ? 'story-grid--list' : ''}" id="story-container">
-          ${stories.map(story => StoryCard(story)).join('')}
+          ${stories
+            .map(story =>
+              StoryCard(story, { selectable: isSelecting, selected: selectedIds.has(story.id) })
+            )
+            .join('')}
         </div>
       `;
       // Setup delegation for delete buttons (works for all current AND future story cards)
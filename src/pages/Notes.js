@@ -0,0 +1,156 @@
+/**
+ * Notes Page
+ * Every highlight and note across stories, grouped by story, each linking back
+ * to its segment in the Reader
+ */
+
+import '../styles/pages/notes.css';
+import { sampleStories } from '../data/stories.js';
+import { getStoredStories, getHighlights, removeHighlight } from '../utils/storage.js';
+import { escapeHtml } from '../utils/highlights.js';
+import { toast } from '../components/Toast.js';
+import { createEventManager } from '../utils/componentBase.js';
+
+/**
+ * Helper: Segment text with the highlighted part marked
+ * @param {Highlight} highlight
+ * @param {Object|undefined} segment - The segment, if the story still exists
+ */
+const renderContext = (highlight, segment) => {
+  if (!segment || segment.jp.slice(highlight.start, highlight.end) !== highlight.text) {
+    return `<mark class="highlight">${highlight.text}</mark>`;
+  }
+  return `${segment.jp.slice(0, highlight.start)}<mark class="highlight">${highlight.text}</mark>${segment.jp.slice(highlight.end)}`;
+};
+
+const Notes = parentElement => {
+  const events = createEventManager();
+  const stories = new Map(
+    [...getStoredStories(), ...sampleStories].map(story => [story.id, story])
+  );
+
+  // State
+  let searchQuery = '';
+
+  /**
+   * Main render function
+   */
+  const render = () => {
+    parentElement.innerHTML = `
+      <div class="notes-page">
+        <div class="notes-header">
+          <h1>My Notes</h1>
+          <p class="text-muted">Highlights and notes from your stories</p>
+        </div>
+        <input
+          type="search"
+          id="notes-search"
+          class="form-input notes-search"
+          placeholder="Search highlights and notes..."
+        >
+        <div id="notes-list-root"></div>
+      </div>
+    `;
+
+    events.on(parentElement.querySelector('#notes-search'), 'input', e => {
+      searchQuery = e.target.value.trim().toLowerCase();
+      updateList();
+    });
+
+    // Delegated once: the list re-renders on search and delete
+    events.delegate(parentElement, 'click', '.remove-highlight-btn', async function () {
+      await removeHighlight(this.dataset.id);
+      updateList();
+      toast.info('Highlight removed');
+    });
+
+    updateList();
+  };
+
+  /**
+   * Render the highlights matching the search, grouped by story
+   */
+  const updateList = () => {
+    const root = parentElement.querySelector('#notes-list-root');
+    if (!root) {
+      return;
+    }
+
+    const all = getHighlights();
+    if (all.length === 0) {
+      root.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state__icon">🖍️</div>
+          <h2 class="empty-state__title">No highlights yet</h2>
+          <p class="empty-state__description">Select any Japanese text in the Reader to highlight it and add a note.</p>
+          <a href="#/library" class="btn">📚 Go to Library</a>
+        </div>
+      `;
+      return;
+    }
+
+    const matches = all.filter(
+      h =>
+        !searchQuery ||
+        h.text.toLowerCase().includes(searchQuery) ||
+        (h.note || '').toLowerCase().includes(searchQuery)
+    );
+    if (matches.length === 0) {
+      root.innerHTML = '<p class="notes-empty text-muted">No highlights match your search.</p>';
+      return;
+    }
+
+    // Group by story, most recently touched story first
+    const groups = new Map();
+    [...matches]
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .forEach(h => {
+        if (!groups.has(h.storyId)) {
+          groups.set(h.storyId, []);
+        }
+        groups.get(h.storyId).push(h);
+      });
+
+    root.innerHTML = Array.from(groups, ([storyId, highlights]) => {
+      const story = stories.get(storyId);
+      return `
+        <section class="notes-story">
+          <h2 class="notes-story__title">
+            ${story ? `<span class="jp-title">${story.titleJP}</span> <span class="notes-story__subtitle">${story.titleEN}</span>` : '<span class="text-muted">Deleted story</span>'}
+          </h2>
+          <ul class="notes-list">
+            ${highlights
+              .sort((a, b) => a.segmentIndex - b.segmentIndex || a.start - b.start)
+              .map(
+                h => `
+              <li class="notes-item">
+                <p class="notes-item__context jp-text">${renderContext(h, story?.content[h.segmentIndex])}</p>
+                ${h.note ? `<p class="notes-item__note">${escapeHtml(h.note)}</p>` : ''}
+                <div class="notes-item__footer">
+                  <span class="text-muted">${new Date(h.updatedAt).toLocaleDateString()}</span>
+                  ${
+                    story
+                      ? `<a href="#/read?id=${storyId}&segment=${h.segmentIndex}&highlight=${h.id}" class="btn btn--ghost btn--sm">Open in story →</a>`
+                      : ''
+                  }
+                  <button class="icon-btn remove-highlight-btn" data-id="${h.id}" title="Remove highlight">🗑️</button>
+                </div>
+              </li>
+            `
+              )
+              .join('')}
+          </ul>
+        </section>
+      `;
+    }).join('');
+  };
+
+  render();
+
+  // Cleanup
+  return () => {
+    events.cleanup();
+  };
+};
+
+export default Notes;
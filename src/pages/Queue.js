@@ -5,6 +5,7 @@
 
 import { jobQueue } from '../utils/jobQueue.js';
 import { createEventManager } from '../utils/componentBase.js';
+import { isValidStory } from '../types.js';
 
 const Queue = parentElement => {
   const events = createEventManager();
@@ -236,12 +237,16 @@ const Queue = parentElement => {
       story_generation: 'Story Generation',
       audio_generation: 'Audio Generation',
       image_generation: 'Image Generation',
+      furigana_repair: 'Furigana Repair',
+      annotate_text: 'Text Annotation',
     };
 
     const typeIcons = {
       story_generation: '📖',
       audio_generation: '🎵',
       image_generation: '🖼️',
+      furigana_repair: '🈁',
+      annotate_text: '📋',
     };
 
     const createdAt = new Date(job.created_at).toLocaleString();
@@ -308,7 +313,10 @@ const Queue = parentElement => {
         }
 
         ${
-          job.status === 'completed' && job.job_type === 'story_generation' && job.result
+          job.status === 'completed' &&
+          job.result &&
+          (job.job_type === 'story_generation' ||
+            (job.job_type === 'annotate_text' && isValidStory(job.result)))
             ? `
           <div class="queue-card__actions">
             <a href="#/read?id=${job.result.id}" class="btn btn--sm">📖 Read Story</a>
@@ -316,6 +324,30 @@ const Queue = parentElement => {
         `
             : ''
         }
+
+        ${
+          job.status === 'completed' &&
+          job.job_type === 'annotate_text' &&
+          job.result &&
+          !isValidStory(job.result)
+            ? `
+          <div class="queue-card__actions">
+            <span class="text-muted">⚠️ Invalid result - the story was not saved. Try again.</span>
+          </div>
+        `
+            : ''
+        }
+
+        ${
+          job.status === 'completed' && job.job_type === 'furigana_repair' && job.result
+            ? `
+          <div class="queue-card__actions">
+            <span class="text-muted">Added ${job.result.added} readings</span>
+            <a href="#/read?id=${job.result.storyId}" class="btn btn--sm">📖 Open Story</a>
+          </div>
+        `
+            : ''
+        }
       </div>
     `;
   };
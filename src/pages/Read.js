@@ -14,10 +14,17 @@ const Read = parentElement => {
   // Event manager
   const events = createEventManager();
 
+  // Cleanup of the rendered Reader (ends its reading session and detaches its listeners)
+  let readerCleanup = null;
+
   // Get story ID from URL
   const { query } = getRouteInfo();
   const storyId = query.get('id');
 
+  // Deep link to a segment (e.g. from My Notes)
+  const focusSegment = query.has('segment') ? Number(query.get('segment')) : null;
+  const focusHighlight = query.get('highlight');
+
   if (!storyId) {
     parentElement.innerHTML = `
       <div class="empty-state">
@@ -49,13 +56,20 @@ const Read = parentElement => {
   // Get reading progress
   const progress = getStoryProgress(storyId);
 
-  // Show continue prompt if has progress
-  if (progress && progress.scrollPercent > 10 && !progress.completed) {
+  // Show continue prompt if has progress (deep links already say where to go)
+  const hasPosition = progress && (progress.segmentIndex > 0 || progress.scrollPercent > 10);
+  if (focusSegment === null && hasPosition && !progress.completed) {
     parentElement.innerHTML = `
       <div class="continue-prompt">
         <div class="continue-prompt__card card">
           <h2>📖 Continue Reading?</h2>
-          <p class="text-muted mb-4">You were ${progress.scrollPercent}% through this story.</p>
+          <p class="text-muted mb-4">
+            ${
+              progress.segmentIndex > 0
+                ? `You stopped at part ${progress.segmentIndex + 1} of ${story.content.length}.`
+                : `You were ${progress.scrollPercent}% through this story.`
+            }
+          </p>
           <div class="flex gap-4 justify-center">
             <button id="continue-btn" class="btn">Continue</button>
             <button id="restart-btn" class="btn btn--secondary">Start Over</button>
@@ -72,11 +86,15 @@ const Read = parentElement => {
       renderReader(story, null);
     });
 
-    return () => events.cleanup();
+    return () => {
+      events.cleanup();
+      readerCleanup?.();
+    };
   }
 
   // Render reader directly
   renderReader(story, progress);
+  return () => readerCleanup?.();
 
   function renderReader(storyData, initialProgress) {
     parentElement.innerHTML = '';
@@ -84,6 +102,9 @@ const Read = parentElement => {
     const reader = Reader({
       story: storyData,
       initialProgress,
+      library: allStories,
+      focusSegment,
+      focusHighlight,
       onComplete: () => {
         toast.success('🎉 Story completed!');
         navigate('/library');
@@ -92,8 +113,7 @@ const Read = parentElement => {
 
     parentElement.appendChild(reader);
 
-    // Return cleanup
-    return () => {
+    readerCleanup = () => {
       if (reader._cleanup) {
         reader._cleanup();
       }
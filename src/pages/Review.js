@@ -0,0 +1,378 @@
+/**
+ * Review Page
+ * Daily spaced-repetition flashcard sessions for saved vocabulary
+ */
+
+import '../styles/pages/review.css';
+import { getDeck, saveDeckCard, removeDeckCard } from '../utils/storage.js';
+import {
+  buildDailySession,
+  scheduleCard,
+  previewIntervals,
+  formatInterval,
+  isNewCard,
+  REVIEW_GRADES,
+} from '../utils/srs.js';
+import { toast } from '../components/Toast.js';
+import { createEventManager } from '../utils/componentBase.js';
+
+/**
+ * Labels for the answer buttons (keyboard shortcut = position + 1)
+ */
+const GRADE_LABELS = {
+  again: 'Again',
+  hard: 'Hard',
+  good: 'Good',
+  easy: 'Easy',
+};
+
+/**
+ * Recall modes: what is shown on the front of the card
+ */
+const RECALL_MODES = {
+  reading: { label: 'Reading', hint: 'See the word, recall how it is read' },
+  meaning: { label: 'Meaning', hint: 'See the word and reading, recall what it means' },
+};
+
+const Review = parentElement => {
+  const events = createEventManager();
+
+  // State
+  let phase = 'overview'; // overview | session | summary
+  let recallMode = 'reading';
+  let queue = [];
+  let position = 0;
+  let isAnswerShown = false;
+  let results = { again: 0, hard: 0, good: 0, easy: 0 };
+
+  /**
+   * Main render function
+   */
+  const render = () => {
+    parentElement.innerHTML = `
+      <div class="review-page">
+        <div class="review-header">
+          <h1>Review</h1>
+          <p class="text-muted">Daily flashcards from your saved story vocabulary</p>
+        </div>
+        <div id="review-main-root"></div>
+        <div id="review-deck-root"></div>
+      </div>
+    `;
+
+    const mainRoot = parentElement.querySelector('#review-main-root');
+    const deckRoot = parentElement.querySelector('#review-deck-root');
+
+    // Delegated once: both areas re-render after every grade and removal
+    events.delegate(mainRoot, 'click', '.review-mode', function () {
+      recallMode = this.dataset.mode;
+      mainRoot
+        .querySelectorAll('.review-mode')
+        .forEach(b => b.classList.toggle('active', b.dataset.mode === recallMode));
+    });
+
+    events.delegate(mainRoot, 'click', '.grade-btn', function () {
+      gradeCard(this.dataset.grade);
+    });
+
+    events.delegate(deckRoot, 'click', '.remove-card-btn', async function () {
+      const card = getDeck().find(c => c.id === this.dataset.id);
+      await removeDeckCard(this.dataset.id);
+      updateDeckList();
+      if (phase === 'overview') {
+        updateMain();
+      }
+      if (card) {
+        toast.info(`Removed ${card.word} from your deck`);
+      }
+    });
+
+    updateMain();
+    updateDeckList();
+  };
+
+  /**
+   * Update the main area for the current phase
+   */
+  const updateMain = () => {
+    const root = parentElement.querySelector('#review-main-root');
+    if (!root) {
+      return;
+    }
+
+    if (phase === 'session') {
+      renderCard(root);
+    } else if (phase === 'summary') {
+      renderSummary(root);
+    } else {
+      renderOverview(root);
+    }
+  };
+
+  /**
+   * Overview: today's counts and session start
+   */
+  const renderOverview = root => {
+    const deck = getDeck();
+    const { due, fresh } = buildDailySession(deck);
+
+    if (deck.length === 0) {
+      root.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state__icon">🗂️</div>
+          <h2 class="empty-state__title">Your deck is empty</h2>
+          <p class="empty-state__description">Tap ＋ next to a vocabulary note while reading to save it here.</p>
+          <a href="#/library" class="btn">📚 Go to Library</a>
+        </div>
+      `;
+      return;
+    }
+
+    root.innerHTML = `
+      <div class="review-overview card">
+        <div class="review-stats">
+          <div class="review-stat">
+            <span class="review-stat__value">${due.length}</span>
+            <span class="review-stat__label">Due</span>
+          </div>
+          <div class="review-stat">
+            <span class="review-stat__value">${fresh.length}</span>
+            <span class="review-stat__label">New</span>
+          </div>
+          <div class="review-stat">
+            <span class="review-stat__value">${deck.length}</span>
+            <span class="review-stat__label">In Deck</span>
+          </div>
+        </div>
+
+        <div class="review-modes">
+          ${Object.entries(RECALL_MODES)
+            .map(
+              ([key, mode]) => `
+            <button class="review-mode ${recallMode === key ? 'active' : ''}" data-mode="${key}">
+              <span class="review-mode__label">${mode.label}</span>
+              <span class="review-mode__hint">${mode.hint}</span>
+            </button>
+          `
+            )
+            .join('')}
+        </div>
+
+        ${
+          due.length + fresh.length > 0
+            ? '<button id="start-review-btn" class="btn btn--lg w-full">Start Review</button>'
+            : '<p class="review-done">🎉 All caught up for today! Come back tomorrow.</p>'
+        }
+      </div>
+    `;
+
+    const startBtn = root.querySelector('#start-review-btn');
+    if (startBtn) {
+      events.on(startBtn, 'click', startSession);
+    }
+  };
+
+  /**
+   * Current card: prompt, answer and grade buttons
+   */
+  const renderCard = root => {
+    const card = queue[position];
+    const intervals = previewIntervals(card);
+    const showReadingOnFront = recallMode === 'meaning';
+
+    root.innerHTML = `
+      <div class="review-session">
+        <div class="review-session__progress">
+          <div class="progress progress--thin">
+            <div class="progress__bar" style="width: ${(position / queue.length) * 100}%"></div>
+          </div>
+          <span class="text-muted">${position + 1} / ${queue.length}</span>
+        </div>
+
+        <div class="flashcard card">
+          ${isNewCard(card) ? '<span class="badge badge--ai flashcard__badge">New</span>' : ''}
+          <div class="flashcard__front">
+            <div class="flashcard__word jp-title">${card.word}</div>
+            ${showReadingOnFront ? `<div class="flashcard__reading">${card.reading}</div>` : ''}
+          </div>
+
+          ${
+            isAnswerShown
+              ? `
+            <div class="flashcard__back animate-fade-in">
+              ${showReadingOnFront ? '' : `<div class="flashcard__reading">${card.reading}</div>`}
+              <div class="flashcard__meaning">${card.meaning}</div>
+              ${
+                card.sentence
+                  ? `
+                <div class="flashcard__context">
+                  <p class="jp-text">${card.sentence}</p>
+                  ${card.translation ? `<p class="text-muted">${card.translation}</p>` : ''}
+                </div>
+              `
+                  : ''
+              }
+            </div>
+          `
+              : ''
+          }
+        </div>
+
+        <div class="review-actions">
+          ${
+            isAnswerShown
+              ? REVIEW_GRADES.map(
+                  (grade, i) => `
+              <button class="grade-btn grade-btn--${grade}" data-grade="${grade}" title="Shortcut: ${i + 1}">
+                <span class="grade-btn__label">${GRADE_LABELS[grade]}</span>
+                <span class="grade-btn__interval">${formatInterval(intervals[grade])}</span>
+              </button>
+            `
+                ).join('')
+              : '<button id="show-answer-btn" class="btn btn--lg w-full" title="Shortcut: Space">Show Answer</button>'
+          }
+        </div>
+      </div>
+    `;
+
+    const showBtn = root.querySelector('#show-answer-btn');
+    if (showBtn) {
+      events.on(showBtn, 'click', revealAnswer);
+    }
+  };
+
+  /**
+   * Summary after the queue is exhausted
+   */
+  const renderSummary = root => {
+    const total = Object.values(results).reduce((sum, n) => sum + n, 0);
+    const correct = total - results.again;
+
+    root.innerHTML = `
+      <div class="review-summary card">
+        <div class="review-summary__icon">🎉</div>
+        <h2>Session complete!</h2>
+        <p class="text-muted">${total} answers · ${total > 0 ? Math.round((correct / total) * 100) : 0}% recalled</p>
+        <div class="review-stats">
+          ${REVIEW_GRADES.map(
+            grade => `
+            <div class="review-stat">
+              <span class="review-stat__value">${results[grade]}</span>
+              <span class="review-stat__label">${GRADE_LABELS[grade]}</span>
+            </div>
+          `
+          ).join('')}
+        </div>
+        <button id="back-overview-btn" class="btn btn--secondary">Done</button>
+      </div>
+    `;
+
+    events.on(root.querySelector('#back-overview-btn'), 'click', () => {
+      phase = 'overview';
+      updateMain();
+    });
+  };
+
+  /**
+   * Deck list with remove buttons
+   */
+  const updateDeckList = () => {
+    const root = parentElement.querySelector('#review-deck-root');
+    if (!root) {
+      return;
+    }
+
+    const deck = getDeck().sort((a, b) => a.dueAt - b.dueAt);
+    if (deck.length === 0) {
+      root.innerHTML = '';
+      return;
+    }
+
+    root.innerHTML = `
+      <section class="review-deck">
+        <h2 class="review-deck__title">🗂️ Your Deck</h2>
+        <ul class="review-deck__list">
+          ${deck
+            .map(
+              card => `
+            <li class="review-deck__item">
+              <span class="review-deck__word jp-text">${card.word}</span>
+              <span class="review-deck__reading">${card.reading}</span>
+              <span class="review-deck__meaning">${card.meaning}</span>
+              <span class="review-deck__due text-muted">
+                ${isNewCard(card) ? 'New' : `Due ${new Date(card.dueAt).toLocaleDateString()}`}
+              </span>
+              <button class="icon-btn remove-card-btn" data-id="${card.id}" title="Remove from deck">🗑️</button>
+            </li>
+          `
+            )
+            .join('')}
+        </ul>
+      </section>
+    `;
+  };
+
+  /**
+   * Session handlers
+   */
+  const startSession = () => {
+    queue = buildDailySession(getDeck()).queue;
+    position = 0;
+    isAnswerShown = false;
+    results = { again: 0, hard: 0, good: 0, easy: 0 };
+    phase = queue.length > 0 ? 'session' : 'overview';
+    updateMain();
+  };
+
+  const revealAnswer = () => {
+    isAnswerShown = true;
+    updateMain();
+  };
+
+  const gradeCard = async grade => {
+    const card = queue[position];
+    const updated = scheduleCard(card, grade);
+    results[grade] += 1;
+
+    // Forgotten cards come back at the end of this session (SM-2 re-drill)
+    if (grade === 'again') {
+      queue.push(updated);
+    }
+
+    position += 1;
+    isAnswerShown = false;
+    if (position >= queue.length) {
+      phase = 'summary';
+    }
+    updateMain();
+
+    await saveDeckCard(updated);
+    updateDeckList();
+  };
+
+  // Keyboard shortcuts: Space reveals, 1-4 grade
+  events.on(document, 'keydown', e => {
+    if (phase !== 'session' || e.target.matches?.('input, textarea, select')) {
+      return;
+    }
+    if (!isAnswerShown && (e.code === 'Space' || e.code === 'Enter')) {
+      e.preventDefault();
+      revealAnswer();
+      return;
+    }
+    const grade = REVIEW_GRADES[Number(e.key) - 1];
+    if (isAnswerShown && grade) {
+      e.preventDefault();
+      gradeCard(grade);
+    }
+  });
+
+  render();
+
+  // Cleanup
+  return () => {
+    events.cleanup();
+  };
+};
+
+export default Review;
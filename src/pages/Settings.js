@@ -16,8 +16,10 @@ import {
 } from '../utils/storage.js';
 import { toast } from '../components/Toast.js';
 import { clearImageCache, getCachedImageCount } from '../utils/imageStorage.js';
+import { clearRecordings, getRecordingCount } from '../utils/recordingStorage.js';
 import { supabase, signIn, signUp, signOut, getSession } from '../utils/supabase.js';
 import { createEventManager } from '../utils/componentBase.js';
+import { FURIGANA_THRESHOLDS, extractKanji } from '../utils/kanji.js';
 
 const Settings = parentElement => {
   // Event manager
@@ -28,6 +30,7 @@ const Settings = parentElement => {
   let currentTheme = getTheme();
   const apiKeys = getApiKeys();
   let imageCount = 0;
+  let recordingCount = 0;
   let session = null;
 
   /**
@@ -35,6 +38,7 @@ const Settings = parentElement => {
    */
   const render = async () => {
     imageCount = await getCachedImageCount();
+    recordingCount = await getRecordingCount();
 
     parentElement.innerHTML = `
       <div class="settings-page">
@@ -202,6 +206,13 @@ const Settings = parentElement => {
                 <span>Stacked</span>
               </span>
             </label>
+            <label class="view-mode-option">
+              <input type="radio" name="viewMode" value="vertical" ${currentSettings.viewMode === 'vertical' ? 'checked' : ''}>
+              <span class="view-mode-option__card">
+                <span class="view-mode-option__preview view-mode-option__preview--vertical"><span class="preview-box"></span><span class="preview-box"></span><span class="preview-box"></span></span>
+                <span>Vertical (縦書き)</span>
+              </span>
+            </label>
           </div>
         </div>
         
@@ -226,6 +237,38 @@ const Settings = parentElement => {
             <span class="toggle__slider"></span>
           </label>
         </div>
+
+        <div class="setting-item">
+          <div class="setting-item__info">
+            <h3 class="setting-item__label">Furigana On</h3>
+            <p class="setting-item__desc">Annotate every word, or only words with kanji you don't know yet</p>
+          </div>
+          <select id="furiganaMode" class="form-select form-select--auto">
+            <option value="all" ${currentSettings.furiganaMode === 'all' ? 'selected' : ''}>All words</option>
+            <option value="unknown" ${currentSettings.furiganaMode === 'unknown' ? 'selected' : ''}>Unknown kanji only</option>
+          </select>
+        </div>
+
+        <div class="setting-item">
+          <div class="setting-item__info">
+            <h3 class="setting-item__label">Known Kanji Level</h3>
+            <p class="setting-item__desc">Treat every kanji at or below this level as known</p>
+          </div>
+          <select id="furiganaThreshold" class="form-select form-select--auto">
+            ${FURIGANA_THRESHOLDS.map(
+              ({ value, label }) =>
+                `<option value="${value}" ${currentSettings.furiganaThreshold === value ? 'selected' : ''}>${label}</option>`
+            ).join('')}
+          </select>
+        </div>
+
+        <div class="setting-item setting-item--stacked">
+          <div class="setting-item__info">
+            <h3 class="setting-item__label">Known Kanji</h3>
+            <p class="setting-item__desc">Kanji you've marked as known. Paste more here, or tap a word while reading to mark its kanji.</p>
+          </div>
+          <textarea id="knownKanji" class="form-textarea jp-text" rows="3" placeholder="日本語...">${currentSettings.knownKanji.join('')}</textarea>
+        </div>
       </section>
     `;
   };
@@ -278,6 +321,14 @@ const Settings = parentElement => {
           <button id="clear-images-btn" class="btn btn--ghost btn--sm btn--danger">🗑️ Clear</button>
         </div>
 
+        <div class="setting-item setting-item--danger">
+          <div class="setting-item__info">
+            <h3 class="setting-item__label">Delete Shadowing Recordings</h3>
+            <p class="setting-item__desc">Remove ${recordingCount} saved recordings</p>
+          </div>
+          <button id="clear-recordings-btn" class="btn btn--ghost btn--sm btn--danger">🗑️ Delete</button>
+        </div>
+
         ${
           session
             ? `
@@ -298,6 +349,7 @@ const Settings = parentElement => {
     events.on(root.querySelector('#import-input'), 'change', handleImport);
     events.on(root.querySelector('#clear-cache-btn'), 'click', handleClearAudio);
     events.on(root.querySelector('#clear-images-btn'), 'click', handleClearImages);
+    events.on(root.querySelector('#clear-recordings-btn'), 'click', handleClearRecordings);
 
     // wipe-all-btn is conditionally rendered (only when session exists)
     const wipeAllBtn = root.querySelector('#wipe-all-btn');
@@ -367,11 +419,21 @@ const Settings = parentElement => {
       parentElement.querySelector('input[name="viewMode"]:checked')?.value || 'side-by-side';
     const fontSize = parentElement.querySelector('#fontSize')?.value || 'medium';
     const showFurigana = parentElement.querySelector('#showFurigana')?.checked ?? true;
+    const furiganaMode = parentElement.querySelector('#furiganaMode')?.value || 'all';
+    const furiganaThreshold = parentElement.querySelector('#furiganaThreshold')?.value || '';
+    const knownKanji = extractKanji(parentElement.querySelector('#knownKanji')?.value);
 
     const google = parentElement.querySelector('#geminiKey')?.value || '';
     const pollinations = parentElement.querySelector('#pollinationsKey')?.value || '';
 
-    saveSettings({ viewMode, fontSize, showFurigana });
+    saveSettings({
+      viewMode,
+      fontSize,
+      showFurigana,
+      furiganaMode,
+      furiganaThreshold,
+      knownKanji,
+    });
     saveApiKeys({ google, pollinations });
     toast.success('Settings saved!');
   };
@@ -439,6 +501,15 @@ const Settings = parentElement => {
     }
   };
 
+  const handleClearRecordings = async () => {
+    if (confirm('Delete all shadowing recordings?')) {
+      if (await clearRecordings()) {
+        toast.success('Recordings deleted');
+        render();
+      }
+    }
+  };
+
   const handleWipeAll = async () => {
     const confirmed = confirm(
       '⚠️ DANGER ZONE ⚠️\n\n' +
@@ -446,7 +517,7 @@ const Settings = parentElement => {
         '• All stories (local + cloud)\n' +
         '• All reading progress (local + cloud)\n' +
         '• All cached images (local + cloud)\n' +
-        '• All cached audio (local)\n\n' +
+        '• All cached audio and shadowing recordings (local)\n\n' +
         'Your settings (theme, font size, preferences) and API keys will be preserved.\n\n' +
         'This action CANNOT be undone. Are you sure?'
     );
@@ -1,7 +1,15 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { createWavHeader, base64ToBytes } from '../utils/audioHelpers.js';
 import { getApiKeys } from '../utils/storage.js';
-import { STORY_LEVELS, STORY_LENGTHS, isValidStoryLevel, isValidStory } from '../types.js';
+import {
+  STORY_LEVELS,
+  STORY_LENGTHS,
+  ANNOTATE_TEXT_LIMITS,
+  isValidStoryLevel,
+  isValidStory,
+} from '../types.js';
+import { checkFuriganaCoverage } from '../utils/furigana.js';
+import { splitSentences, countCharacters } from '../utils/sentences.js';
 
 /**
  * Create a background job for story generation
@@ -59,6 +67,60 @@ export const createStoryGenerationJob = async (
   });
 };
 
+/**
+ * Create a background job that turns pasted Japanese text into a story
+ *
+ * The text is split into sentences here; the worker keeps each one as written and
+ * adds readings, translations, vocabulary and comprehension questions. The result
+ * is checked with isValidStory before it is saved to the library.
+ *
+ * @param {string} text - Raw Japanese text (e.g. a news article)
+ * @param {'N1' | 'N2' | 'N3' | 'N4' | 'N5' | 'Beginner' | 'Intermediate' | 'Advanced'} level - Level to pitch the notes at
+ * @param {string} [title=''] - Optional title; the model suggests one if empty
+ * @returns {Promise<string>} Job ID
+ * @throws {Error} If the text is empty or too long, the level is invalid or the API key is missing
+ *
+ * @example
+ * const jobId = await createTextAnnotationJob('今日は晴れです。明日は雨です。', 'N4');
+ */
+export const createTextAnnotationJob = async (text, level, title = '') => {
+  const { jobQueue } = await import('../utils/jobQueue.js');
+
+  // Input validation (keep this on client side for fast feedback)
+  const segments = splitSentences(text);
+  if (segments.length === 0) {
+    throw new Error('Paste some Japanese text first');
+  }
+
+  if (countCharacters(text) > ANNOTATE_TEXT_LIMITS.maxCharacters) {
+    throw new Error(`Text is too long (max ${ANNOTATE_TEXT_LIMITS.maxCharacters} characters)`);
+  }
+
+  if (segments.length > ANNOTATE_TEXT_LIMITS.maxSegments) {
+    throw new Error(`Text has too many sentences (max ${ANNOTATE_TEXT_LIMITS.maxSegments})`);
+  }
+
+  if (!isValidStoryLevel(level)) {
+    throw new Error(`Invalid level: ${level}. Must be one of: ${STORY_LEVELS.join(', ')}`);
+  }
+
+  // Get user's API key
+  const keys = getApiKeys();
+  const geminiApiKey = keys.google;
+
+  if (!geminiApiKey) {
+    throw new Error('Gemini API key not found. Please add your Google API key in Settings.');
+  }
+
+  // Create the job
+  return await jobQueue.createJob('annotate_text', {
+    segments,
+    level,
+    title: title.trim(),
+    geminiApiKey,
+  });
+};
+
 /**
  * Create a background job for audio generation
  *
@@ -66,7 +128,8 @@ export const createStoryGenerationJob = async (
  * The user can close their browser while the job processes.
  *
  * @param {string} storyId - Story ID to generate audio for
- * @param {string} text - Japanese text to convert to speech
+ * @param {string} text - Japanese text to convert to speech (one line per story segment,
+ *   used to compute per-segment timings)
  * @param {string} [voiceName='Aoede'] - Voice name for TTS
  * @returns {Promise<string>} Job ID
  * @throws {Error} If parameters are invalid or API key is missing
@@ -112,6 +175,56 @@ export const createAudioGenerationJob = async (storyId, text, voiceName = 'Aoede
   });
 };
 
+/**
+ * Create a background job that fills in missing furigana readings
+ *
+ * Only segments with kanji not covered by their readings array are sent; the worker
+ * asks the model for just those words and patches the story stored in the cloud.
+ * The client applies the same patches locally when the job completes.
+ *
+ * @param {Story} story - Story to repair
+ * @returns {Promise<string|null>} Job ID, or null if nothing is missing
+ * @throws {Error} If the API key is missing or the user isn't signed in
+ *
+ * @example
+ * const jobId = await createFuriganaRepairJob(story);
+ */
+export const createFuriganaRepairJob = async story => {
+  const { jobQueue } = await import('../utils/jobQueue.js');
+  const { getSession } = await import('../utils/supabase.js');
+
+  const { missing } = checkFuriganaCoverage(story);
+  if (missing.length === 0) {
+    return null;
+  }
+
+  // Get user's API key
+  const keys = getApiKeys();
+  const geminiApiKey = keys.google;
+
+  if (!geminiApiKey) {
+    throw new Error('Gemini API key not found. Please add your Google API key in Settings.');
+  }
+
+  // Get user session for userId
+  const session = await getSession();
+  if (!session?.user?.id) {
+    throw new Error('User not authenticated');
+  }
+
+  // Create the job
+  return await jobQueue.createJob('furigana_repair', {
+    userId: session.user.id,
+    storyId: story.id,
+    segments: missing.map(({ segmentIndex, words }) => ({
+      index: segmentIndex,
+      jp: story.content[segmentIndex].jp,
+      missing: words,
+    })),
+    geminiApiKey,
+  });
+};
+
 /**
  * Generate a Japanese story using Supabase Edge Function
  *
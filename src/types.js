@@ -25,11 +25,32 @@ export const FONT_SIZES = ['medium', 'large'];
 
 /**
  * Valid view mode options
- * @typedef {'side-by-side' | 'stacked'} ViewMode
+ * @typedef {'side-by-side' | 'stacked' | 'vertical'} ViewMode
  */
 
 /** @type {ViewMode[]} */
-export const VIEW_MODES = ['side-by-side', 'stacked'];
+export const VIEW_MODES = ['side-by-side', 'stacked', 'vertical'];
+
+/**
+ * Which words get furigana
+ * - 'all': Every word from the readings array
+ * - 'unknown': Only words containing kanji the learner doesn't know yet
+ * @typedef {'all' | 'unknown'} FuriganaMode
+ */
+
+/** @type {FuriganaMode[]} */
+export const FURIGANA_MODES = ['all', 'unknown'];
+
+/**
+ * How English translations are shown in the Reader
+ * - 'shown': Always visible
+ * - 'peek': Blurred until tapped or hovered (reveals are counted per story)
+ * - 'hidden': Not shown
+ * @typedef {'shown' | 'peek' | 'hidden'} EnglishMode
+ */
+
+/** @type {EnglishMode[]} */
+export const ENGLISH_MODES = ['shown', 'peek', 'hidden'];
 
 /**
  * Valid story length options
@@ -39,6 +60,11 @@ export const VIEW_MODES = ['side-by-side', 'stacked'];
 /** @type {StoryLength[]} */
 export const STORY_LENGTHS = ['short', 'medium', 'long'];
 
+/**
+ * Limits for pasted text sent to an annotate_text job (kept in step with job-creator)
+ */
+export const ANNOTATE_TEXT_LIMITS = { maxCharacters: 3000, maxSegments: 60 };
+
 // ============================================================================
 // TYPE DEFINITIONS
 // ============================================================================
@@ -58,6 +84,46 @@ export const STORY_LENGTHS = ['short', 'medium', 'long'];
  * @property {string} reading - Hiragana reading for the text
  */
 
+/**
+ * Coarse part of speech of a token
+ * @typedef {'noun' | 'pronoun' | 'verb' | 'adjective' | 'adverb' | 'particle' | 'auxiliary' | 'conjunction' | 'interjection' | 'counter' | 'suffix' | 'expression' | 'symbol' | 'other'} TokenPos
+ */
+
+/** @type {TokenPos[]} */
+export const TOKEN_POS = [
+  'noun',
+  'pronoun',
+  'verb',
+  'adjective',
+  'adverb',
+  'particle',
+  'auxiliary',
+  'conjunction',
+  'interjection',
+  'counter',
+  'suffix',
+  'expression',
+  'symbol',
+  'other',
+];
+
+/**
+ * One word of a segment, in order (the surfaces add up to segment.jp exactly)
+ * @typedef {Object} StoryToken
+ * @property {string} surface - The word as written in jp (e.g. 行きました)
+ * @property {string} [reading] - Kana reading of the surface (words with kanji)
+ * @property {string} [lemma] - Dictionary form (e.g. 行く)
+ * @property {TokenPos} [pos] - Part of speech ('symbol' for punctuation, numbers and Latin text)
+ */
+
+/**
+ * Grammar point used in a story segment
+ * @typedef {Object} GrammarNote
+ * @property {string} pattern - The pattern in dictionary style (e.g. 〜てしまう)
+ * @property {string} explanation - Short English explanation of its meaning and use
+ * @property {string} span - The exact text in jp where the pattern is used (e.g. 食べてしまった)
+ */
+
 /**
  * Single segment of story content
  * @typedef {Object} StoryContent
@@ -66,6 +132,9 @@ export const STORY_LENGTHS = ['short', 'medium', 'long'];
  * @property {string} en - English translation
  * @property {string} imagePrompt - Detailed visual description for AI image generation
  * @property {VocabularyEntry[]} [vocab] - Optional array of vocabulary notes
+ * @property {GrammarNote[]} [grammar] - Optional grammar points used in the segment
+ * @property {StoryToken[]} [tokens] - Optional word segmentation (otherwise the client
+ *   segments the text itself)
  */
 
 /**
@@ -96,8 +165,86 @@ export const STORY_LENGTHS = ['short', 'medium', 'long'];
  * @property {FontSize} [fontSize='medium'] - Font size preference
  * @property {boolean} [showFurigana=true] - Whether to show furigana
  * @property {boolean} [showEnglish=true] - Whether to show English translation
+ *   (kept in step with englishMode for older clients)
+ * @property {EnglishMode} [englishMode] - How to show English (defaults from showEnglish)
+ * @property {boolean} [showRomaji=false] - Whether to show romaji under the Japanese
+ * @property {boolean} [showPitchAccent=false] - Whether to draw pitch accent over readings
  * @property {ViewMode} [viewMode='side-by-side'] - Layout mode
  * @property {boolean} [showImages=true] - Whether to show generated images
+ * @property {FuriganaMode} [furiganaMode='all'] - Which words get furigana
+ * @property {string} [furiganaThreshold=''] - Kanji at or below this level count as known
+ *   ('N5'-'N3' or 'grade-1'-'grade-6'; empty for none)
+ * @property {string[]} [knownKanji=[]] - Kanji the learner has marked as known
+ */
+
+/**
+ * How much of a story's kanji the readings arrays cover
+ * @typedef {Object} FuriganaCoverage
+ * @property {number} total - Kanji characters in the story
+ * @property {number} covered - Kanji characters inside a word with a reading
+ * @property {number} ratio - covered / total (1 when the story has no kanji)
+ * @property {Array<{segmentIndex: number, words: string[]}>} missing - Uncovered kanji runs per segment
+ */
+
+/**
+ * Readings added to one segment by a furigana repair job
+ * @typedef {Object} ReadingPatch
+ * @property {number} segmentIndex - Segment the readings belong to
+ * @property {ReadingEntry[]} readings - New entries for the segment's readings array
+ */
+
+/**
+ * How a story's content compares with its claimed level
+ * Levels are 'N5'-'N3' or 'N2+' (the bundled lists don't tell N2 and N1 apart).
+ * @typedef {Object} DifficultyProfile
+ * @property {string} estimatedLevel - Easiest level at which ~90% of the words are known
+ * @property {'easier' | 'match' | 'harder'} verdict - Estimated level vs story.level
+ * @property {Object.<string, number>} kanjiByLevel - Unique kanji count per level
+ * @property {number} uniqueKanji - Unique kanji in the story
+ * @property {number} uniqueWords - Unique kanji-bearing words in the story
+ * @property {Array<{word: string, level: string}>} outOfLevelWords - Words above story.level
+ * @property {number} averageSentenceLength - Characters per sentence
+ * @property {{min: number, max: number}} sentenceTarget - Target length for story.level
+ * @property {'short' | 'ok' | 'long'} sentenceLength - Average length vs the target
+ */
+
+/**
+ * Metadata for one kanji
+ * @typedef {Object} KanjiInfo
+ * @property {string} kanji - The character
+ * @property {number|null} jlpt - JLPT level (5 = N5), null above N3
+ * @property {number} grade - Japanese school grade it is taught in (1-6)
+ */
+
+/**
+ * Fill-in-the-blank exercise built from a story segment
+ * @typedef {Object} ClozeExercise
+ * @property {number} segmentIndex - Segment the sentence comes from
+ * @property {string} before - Sentence text before the blank
+ * @property {string} after - Sentence text after the blank
+ * @property {string} answer - The blanked-out word
+ * @property {string} reading - Hiragana reading of the answer
+ * @property {string} meaning - English definition of the answer (may be empty)
+ * @property {string} translation - English translation of the sentence
+ * @property {string[]} options - Answer choices (answer + distractors, shuffled)
+ * @property {number} answerIndex - Index of the answer in options
+ */
+
+/**
+ * Result of one completed round of cloze exercises
+ * @typedef {Object} ClozeScore
+ * @property {number} correct - Number answered correctly
+ * @property {number} total - Number of exercises
+ * @property {number} takenAt - Unix timestamp when the round was finished
+ */
+
+/**
+ * One completed run through a story's comprehension questions
+ * @typedef {Object} QuizAttempt
+ * @property {number} correct - Number answered correctly
+ * @property {number} total - Number of questions
+ * @property {number[]} answers - Chosen option index per question
+ * @property {number} takenAt - Unix timestamp when the attempt was finished
  */
 
 /**
@@ -105,7 +252,59 @@ export const STORY_LENGTHS = ['short', 'medium', 'long'];
  * @typedef {Object} StoryProgress
  * @property {boolean} completed - Whether story is marked as completed
  * @property {number} [scrollPercent=0] - Scroll position 0-100
+ * @property {number} [segmentIndex=0] - Topmost segment on screen when last read (resume point)
  * @property {number} lastRead - Unix timestamp of last read
+ * @property {ClozeScore[]} [clozeScores] - Cloze exercise results, oldest first
+ * @property {QuizAttempt[]} [quizAttempts] - Comprehension quiz attempts, oldest first
+ * @property {number[]} [revealCounts] - Times each segment's translation was revealed in
+ *   peek mode, by segment index (one per segment per reading)
+ */
+
+/**
+ * One sitting in the Reader, logged when the Reader closes
+ * @typedef {Object} ReadingSession
+ * @property {string} id - Unique session ID
+ * @property {string} storyId - Story that was read
+ * @property {string} level - The story's level, kept so the trend survives deleting the story
+ * @property {number} startedAt - Unix timestamp when the Reader opened
+ * @property {number} endedAt - Unix timestamp when the Reader closed
+ * @property {number} activeMs - Time spent reading (hidden tab and idle time excluded)
+ * @property {number} charsRead - Japanese characters scrolled past (punctuation excluded)
+ * @property {number} cpm - Characters per minute over the active time
+ */
+
+/**
+ * Reading speed for one level
+ * @typedef {Object} SpeedTrend
+ * @property {string} level - Story level
+ * @property {ReadingSession[]} sessions - The most recent sessions, oldest first
+ * @property {number} averageCpm - Characters per minute over every session at this level
+ * @property {number} change - CPM of the newer half of the recent sessions minus the older half
+ * @property {number} totalMs - Active reading time across every session
+ */
+
+/**
+ * Text highlighted in a story segment, with an optional note
+ * @typedef {Object} Highlight
+ * @property {string} id - Unique highlight ID
+ * @property {string} storyId - Story the highlight belongs to
+ * @property {number} segmentIndex - Index into story.content
+ * @property {number} start - Start offset in segment.jp (inclusive)
+ * @property {number} end - End offset in segment.jp (exclusive)
+ * @property {string} text - Highlighted text, kept for the notes list
+ * @property {string} note - Personal note (may be empty)
+ * @property {number} createdAt - Unix timestamp
+ * @property {number} updatedAt - Unix timestamp, used for last-write-wins sync
+ */
+
+/**
+ * A grammar pattern with every place it is used across the library
+ * @typedef {Object} GrammarIndexEntry
+ * @property {string} key - Grouping key (pattern without wave dash or spaces)
+ * @property {string} pattern - Pattern as first written (e.g. 〜てしまう)
+ * @property {string} explanation - Explanation from the first note
+ * @property {string[]} levels - Levels of the stories using it
+ * @property {Array<{storyId: string, titleJP: string, segmentIndex: number, span: string, jp: string, explanation: string}>} examples
  */
 
 /**
@@ -113,6 +312,32 @@ export const STORY_LENGTHS = ['short', 'medium', 'long'];
  * @typedef {Object.<string, StoryProgress>} AllProgress
  */
 
+/**
+ * Answer button pressed during a flashcard review
+ * @typedef {'again' | 'hard' | 'good' | 'easy'} ReviewGrade
+ */
+
+/**
+ * Spaced-repetition flashcard saved from a story's vocabulary
+ * @typedef {Object} DeckCard
+ * @property {string} id - De-duplication key ("word|reading")
+ * @property {string} word - Japanese word/phrase
+ * @property {string} reading - Hiragana reading
+ * @property {string} meaning - English definition
+ * @property {string|null} storyId - Story the word was saved from
+ * @property {string} sentence - Source sentence (segment.jp)
+ * @property {string} translation - Source sentence translation (segment.en)
+ * @property {number} repetitions - Consecutive successful reviews
+ * @property {number} interval - Current interval in days
+ * @property {number} easeFactor - SM-2 ease factor (>= 1.3)
+ * @property {number} lapses - Number of times the card was forgotten
+ * @property {number} dueAt - Unix timestamp when the card is next due
+ * @property {number|null} introducedAt - Unix timestamp of the first review
+ * @property {number|null} lastReviewedAt - Unix timestamp of the last review
+ * @property {number} createdAt - Unix timestamp when the card was added
+ * @property {number} updatedAt - Unix timestamp of the last change
+ */
+
 /**
  * API keys for external services
  * @typedef {Object} ApiKeys
@@ -128,6 +353,14 @@ export const STORY_LENGTHS = ['short', 'medium', 'long'];
  * @property {number} duration - Total audio duration in seconds
  */
 
+/**
+ * Position of one story segment within the full-story HQ audio
+ * @typedef {Object} SegmentTiming
+ * @property {number} index - Segment index in story.content
+ * @property {number} start - Start time in seconds
+ * @property {number} end - End time in seconds
+ */
+
 /**
  * Audio queue item
  * @typedef {Object} AudioQueueItem
@@ -144,7 +377,7 @@ export const STORY_LENGTHS = ['short', 'medium', 'long'];
  * Background job object
  * @typedef {Object} Job
  * @property {string} id - UUID
- * @property {'story_generation' | 'audio_generation' | 'image_generation'} job_type - Type of job
+ * @property {'story_generation' | 'audio_generation' | 'image_generation' | 'furigana_repair' | 'annotate_text'} job_type - Type of job
  * @property {Object} parameters - Job input parameters (API keys, config, etc.)
  * @property {'pending' | 'processing' | 'completed' | 'failed' | 'cancelled'} status - Job status
  * @property {Object} [result] - Job result data (when completed)
@@ -165,7 +398,7 @@ export const STORY_LENGTHS = ['short', 'medium', 'long'];
 
 /**
  * Valid job types
- * @typedef {'story_generation' | 'audio_generation' | 'image_generation'} JobType
+ * @typedef {'story_generation' | 'audio_generation' | 'image_generation' | 'furigana_repair' | 'annotate_text'} JobType
  */
 
 /**
@@ -204,6 +437,42 @@ export const isValidViewMode = value => {
   return VIEW_MODES.includes(value);
 };
 
+/**
+ * Validate a grammar note (its span must appear in the segment text)
+ * @param {*} note - Note to validate
+ * @param {string} text - The segment's jp text
+ * @returns {note is GrammarNote}
+ */
+export const isValidGrammarNote = (note, text) => {
+  return (
+    typeof note?.pattern === 'string' &&
+    typeof note?.explanation === 'string' &&
+    typeof note?.span === 'string' &&
+    note.span.length > 0 &&
+    text.includes(note.span)
+  );
+};
+
+/**
+ * Validate a segment's tokens (their surfaces must add up to the segment text)
+ * @param {*} tokens - Tokens to validate
+ * @param {string} text - The segment's jp text
+ * @returns {tokens is StoryToken[]}
+ */
+export const isValidTokenList = (tokens, text) => {
+  if (!Array.isArray(tokens) || tokens.length === 0) {
+    return false;
+  }
+  const isOptionalString = value => value === undefined || typeof value === 'string';
+  const isValidToken = token =>
+    typeof token?.surface === 'string' &&
+    token.surface.length > 0 &&
+    isOptionalString(token.reading) &&
+    isOptionalString(token.lemma) &&
+    (token.pos === undefined || TOKEN_POS.includes(token.pos));
+  return tokens.every(isValidToken) && tokens.map(token => token.surface).join('') === text;
+};
+
 /**
  * Validate story object structure
  * @param {*} story - Story to validate
@@ -236,7 +505,11 @@ export const isValidStory = story => {
       typeof segment?.jp === 'string' &&
       typeof segment?.en === 'string' &&
       typeof segment?.imagePrompt === 'string' &&
-      (Array.isArray(segment?.readings) || segment?.readings === undefined)
+      (Array.isArray(segment?.readings) || segment?.readings === undefined) &&
+      (segment?.grammar === undefined ||
+        (Array.isArray(segment.grammar) &&
+          segment.grammar.every(note => isValidGrammarNote(note, segment.jp)))) &&
+      (segment?.tokens === undefined || isValidTokenList(segment.tokens, segment.jp))
   );
 };
 
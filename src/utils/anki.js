@@ -0,0 +1,160 @@
+/**
+ * Anki Export Utility
+ * Turns story vocabulary into a deck Anki can import: a tab-separated file with one
+ * note per word+reading (its first use across the exported stories), the sentence it
+ * came from and that sentence's translation. With audio on, each sentence's clip is
+ * cut from the story's cached HQ audio, the notes reference it as [sound:...], and
+ * the file and clips download together as a zip.
+ * Decks are TSV rather than .apkg (an .apkg is a SQLite database); Anki's
+ * File → Import reads the TSV header lines and maps the columns itself.
+ */
+
+import { collectVocab } from './srs.js';
+import { escapeHtml } from './highlights.js';
+import { loadSegmentAudio } from './segmentAudio.js';
+import { encodeWavRange } from './waveform.js';
+import { createZip } from './zip.js';
+import { downloadBlob, getExportFileName } from './download.js';
+
+const ANKI_COLUMNS = ['Word', 'Reading', 'Meaning', 'Sentence', 'Translation', 'Audio', 'Source'];
+
+const DECK_TAG = 'nihongo-monogatari';
+
+const MEDIA_README = `Nihongo Monogatari – Anki deck
+
+1. Copy the files in "media" into your Anki profile's collection.media folder
+   (Tools → Check Media in Anki shows where it is).
+2. In Anki, choose File → Import and pick deck.tsv. The columns are detected from
+   the file; map them to your note type's fields.
+`;
+
+/**
+ * Helper: A field value, safe for Anki's HTML fields and the TSV format
+ * @param {string} text
+ */
+const toField = text => escapeHtml(text).replace(/[\t\r\n]+/g, ' ');
+
+/**
+ * Helper: The source sentence with the word in bold (first occurrence)
+ * @param {string} sentence
+ * @param {string} word
+ */
+const markWord = (sentence, word) => {
+  const field = toField(sentence);
+  const target = toField(word);
+  return target ? field.replace(target, `<b>${target}</b>`) : field;
+};
+
+/**
+ * File name of a segment's audio clip (unique across stories, as Anki keeps all
+ * media in one folder)
+ * @param {Story} story
+ * @param {number} segmentIndex
+ * @returns {string}
+ */
+const getClipFileName = (story, segmentIndex) =>
+  `nihongo-${story.id}-${segmentIndex + 1}.wav`.replace(/[^\w.-]/g, '_');
+
+/**
+ * Build the deck as Anki import text
+ * @param {{ vocab: VocabularyEntry, story: Story, segmentIndex: number }[]} entries - From collectVocab
+ * @param {Set<string>} [clips] - Clip file names available for the Audio column
+ * @returns {string}
+ */
+export const buildAnkiTsv = (entries, clips = new Set()) => {
+  const header = [
+    '#separator:tab',
+    '#html:true',
+    `#columns:${[...ANKI_COLUMNS, 'Tags'].join('\t')}`,
+    `#tags column:${ANKI_COLUMNS.length + 1}`,
+  ];
+
+  const rows = entries.map(({ vocab, story, segmentIndex }) => {
+    const segment = story.content[segmentIndex];
+    const clip = getClipFileName(story, segmentIndex);
+    const tags = [DECK_TAG, String(story.level || '').replace(/\s+/g, '-')].filter(Boolean);
+    return [
+      toField(vocab.word),
+      toField(vocab.reading || ''),
+      toField(vocab.meaning || ''),
+      markWord(segment.jp, vocab.word),
+      toField(segment.en || ''),
+      clips.has(clip) ? `[sound:${clip}]` : '',
+      toField(story.titleJP),
+      tags.join(' '),
+    ].join('\t');
+  });
+
+  return [...header, ...rows].join('\n') + '\n';
+};
+
+/**
+ * Cut the audio clips for the entries' sentences from each story's cached HQ audio
+ * Stories without cached audio on this device are skipped.
+ * @param {{ story: Story, segmentIndex: number }[]} entries
+ * @returns {Promise<Map<string, Uint8Array>>} Clip file name → WAV bytes
+ */
+const loadClips = async entries => {
+  const clips = new Map();
+  const byStory = new Map();
+  for (const { story, segmentIndex } of entries) {
+    if (!byStory.has(story)) {
+      byStory.set(story, new Set());
+    }
+    byStory.get(story).add(segmentIndex);
+  }
+
+  for (const [story, segmentIndexes] of byStory) {
+    const segmentAudio = await loadSegmentAudio(story);
+    if (!segmentAudio) {
+      continue;
+    }
+    for (const segmentIndex of segmentIndexes) {
+      const timing = segmentAudio.timings.find(t => t.index === segmentIndex);
+      if (timing) {
+        clips.set(
+          getClipFileName(story, segmentIndex),
+          encodeWavRange(segmentAudio.buffer, timing.start, timing.end)
+        );
+      }
+    }
+  }
+  return clips;
+};
+
+/**
+ * Export the vocabulary of some stories as an Anki deck and start the download
+ * @param {Story[]} stories - One story, a selection, or the whole library
+ * @param {Object} [options]
+ * @param {boolean} [options.includeAudio=false] - Add sentence clips (downloads a zip)
+ * @returns {Promise<{ notes: number, clips: number }>}
+ */
+export const exportAnkiDeck = async (stories, { includeAudio = false } = {}) => {
+  const entries = collectVocab(stories);
+  if (entries.length === 0) {
+    throw new Error('No vocabulary notes in the chosen stories');
+  }
+
+  const name =
+    stories.length === 1
+      ? `${stories[0].titleEN} – Anki`
+      : `Nihongo Monogatari (${stories.length} stories) – Anki`;
+  const clips = includeAudio ? await loadClips(entries) : new Map();
+  const tsv = buildAnkiTsv(entries, new Set(clips.keys()));
+
+  if (clips.size === 0) {
+    downloadBlob(
+      new Blob([tsv], { type: 'text/tab-separated-values' }),
+      getExportFileName(name, 'tsv')
+    );
+  } else {
+    const zip = createZip([
+      { name: 'deck.tsv', data: tsv },
+      { name: 'README.txt', data: MEDIA_README },
+      ...Array.from(clips, ([fileName, bytes]) => ({ name: `media/${fileName}`, data: bytes })),
+    ]);
+    downloadBlob(zip, getExportFileName(name, 'zip'));
+  }
+
+  return { notes: entries.length, clips: clips.size };
+};
@@ -9,6 +9,7 @@ import { supabase, getSession } from './supabase.js';
 
 /**
  * @typedef {import('../types.js').AudioState} AudioState
+ * @typedef {import('../types.js').SegmentTiming} SegmentTiming
  */
 
 // Track current playback state
@@ -48,6 +49,18 @@ const setupProgressTracking = audio => {
   audio.addEventListener('loadedmetadata', timeUpdateHandler, { once: true });
 };
 
+/**
+ * Jump to a start position as soon as the audio's duration is known
+ * @param {HTMLAudioElement} audio - Audio element about to play
+ * @param {number} startAt - Position in seconds
+ * @private
+ */
+const applyStartOffset = (audio, startAt) => {
+  if (startAt > 0) {
+    audio.addEventListener('loadedmetadata', () => seekTo(startAt), { once: true });
+  }
+};
+
 /**
  * Check if high-quality audio is cached for a story
  * @param {string} storyId - Story ID to check
@@ -68,6 +81,26 @@ export const isAudioCached = async storyId => {
   }
 };
 
+/**
+ * Get the cached high-quality audio file for a story
+ * @param {string} storyId - Story ID
+ * @returns {Promise<Blob|null>} The full-story WAV, or null if not cached
+ */
+export const getCachedAudioBlob = async storyId => {
+  if (!storyId) {
+    return null;
+  }
+  try {
+    const cache = await caches.open(CACHE_NAME);
+    const cacheKey = `/audio/story-${storyId}`;
+    const legacyKey = `story-audio-${storyId}`;
+    const match = (await cache.match(cacheKey)) || (await cache.match(legacyKey));
+    return match ? await match.blob() : null;
+  } catch {
+    return null;
+  }
+};
+
 /**
  * Check if audio is available (in browser cache OR Supabase Storage)
  * This prevents duplicate job creation
@@ -113,6 +146,108 @@ export const isAudioAvailable = async storyId => {
   }
 };
 
+/**
+ * Forget the cached segment timings for a story
+ * Call whenever the story's cached WAV is written or removed, so the next
+ * getSegmentTimings call fetches the timings that match the new audio.
+ * @param {string} storyId - Story ID
+ * @returns {Promise<void>}
+ */
+export const clearSegmentTimings = async storyId => {
+  try {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.delete(`/audio/story-${storyId}/timings`);
+  } catch {
+    // Nothing cached
+  }
+};
+
+/**
+ * Get per-segment timestamps for a story's HQ audio
+ * Tries cache first, falls back to the timings.json written by the audio job
+ * @param {string} storyId - Story ID
+ * @returns {Promise<SegmentTiming[]|null>} Timings in segment order, or null if unavailable
+ */
+export const getSegmentTimings = async storyId => {
+  if (!storyId) {
+    return null;
+  }
+
+  try {
+    const cache = await caches.open(CACHE_NAME);
+    const cacheKey = `/audio/story-${storyId}/timings`;
+
+    const cached = await cache.match(cacheKey);
+    if (cached) {
+      return (await cached.json()).segments ?? null;
+    }
+
+    const session = await getSession();
+    if (!session) {
+      return null;
+    }
+
+    const filePath = `${session.user.id}/${storyId}/timings.json`;
+    const { data, error } = await supabase.storage.from('audio-cache').download(filePath);
+    if (!data || error) {
+      return null;
+    }
+
+    await cache.put(
+      cacheKey,
+      new Response(data, {
+        headers: { 'Content-Type': 'application/json' },
+      })
+    );
+    return JSON.parse(await data.text()).segments ?? null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Estimate segment timings from character counts (for audio generated without timings)
+ * @param {string[]} segmentTexts - Japanese text of each segment
+ * @param {number} duration - Total audio duration in seconds
+ * @returns {SegmentTiming[]}
+ */
+export const estimateSegmentTimings = (segmentTexts, duration) => {
+  if (!duration || isNaN(duration)) {
+    return [];
+  }
+
+  const weights = segmentTexts.map(text => Math.max(1, text.replace(/\s/g, '').length));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+
+  let start = 0;
+  return weights.map((weight, index) => {
+    const end = start + (weight / total) * duration;
+    const timing = { index, start, end };
+    start = end;
+    return timing;
+  });
+};
+
+/**
+ * Find which segment is playing at a given time
+ * @param {SegmentTiming[]|null} timings - Segment timings
+ * @param {number} time - Playback position in seconds
+ * @returns {number} Segment index, or -1 if none
+ */
+export const findSegmentAtTime = (timings, time) => {
+  if (!timings || timings.length === 0 || isNaN(time)) {
+    return -1;
+  }
+
+  // Pauses between segments belong to the segment that just finished
+  for (let i = timings.length - 1; i >= 0; i--) {
+    if (time >= timings[i].start) {
+      return timings[i].index;
+    }
+  }
+  return timings[0].index;
+};
+
 /**
  * Get current audio playback state
  * @returns {AudioState} Current audio state
@@ -137,9 +272,10 @@ export const getAudioState = () => {
  * @param {string} text - Japanese text to play (currently unused, kept for compatibility)
  * @param {() => void} onFinish - Called when playback completes
  * @param {string} [storyId] - Optional story ID for cached audio lookup
+ * @param {number} [startAt=0] - Position in seconds to start from (e.g. a segment's start time)
  * @returns {Promise<void>}
  */
-export const playAudio = async (text, onFinish, storyId = null) => {
+export const playAudio = async (text, onFinish, storyId = null, startAt = 0) => {
   // Cancel any existing playback
   cancelAudio();
 
@@ -193,6 +329,7 @@ export const playAudio = async (text, onFinish, storyId = null) => {
 
         // Add progress tracking
         setupProgressTracking(currentAudio);
+        applyStartOffset(currentAudio, startAt);
 
         try {
           await currentAudio.play();
@@ -230,6 +367,7 @@ export const playAudio = async (text, onFinish, storyId = null) => {
               headers: { 'Content-Type': 'audio/wav' },
             })
           );
+          await clearSegmentTimings(storyId);
 
           currentAudioUrl = URL.createObjectURL(data);
           currentAudio = new Audio(currentAudioUrl);
@@ -262,6 +400,7 @@ export const playAudio = async (text, onFinish, storyId = null) => {
 
           // Add progress tracking
           setupProgressTracking(currentAudio);
+          applyStartOffset(currentAudio, startAt);
 
           try {
             await currentAudio.play();
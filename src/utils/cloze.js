@@ -0,0 +1,166 @@
+/**
+ * Cloze Exercise Utility
+ * Builds fill-in-the-blank questions from a story's vocab and readings, with
+ * multiple-choice distractors taken from other stories at the same level.
+ */
+
+const DEFAULT_MAX_ITEMS = 8;
+const CHOICE_COUNT = 4;
+
+const KANJI_PATTERN = /[\u4E00-\u9FFF\u3400-\u4DBF々]/;
+
+/**
+ * Shuffle a copy of an array (Fisher-Yates)
+ * @template T
+ * @param {T[]} items
+ * @returns {T[]}
+ */
+const shuffle = items => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Words in a segment that can be blanked out, best candidates first
+ * Vocab entries come first (they are what the story teaches); readings entries
+ * containing kanji fill in for segments without vocab.
+ * @param {StoryContent} segment
+ * @returns {Array<{word: string, reading: string, meaning: string}>}
+ */
+const getTargets = segment => {
+  const targets = [];
+  const seen = new Set();
+  const add = (word, reading, meaning) => {
+    if (word && !seen.has(word) && segment.jp.includes(word)) {
+      seen.add(word);
+      targets.push({ word, reading: reading || '', meaning: meaning || '' });
+    }
+  };
+
+  for (const v of segment.vocab || []) {
+    add(v.word, v.reading, v.meaning);
+  }
+  for (const r of segment.readings || []) {
+    if (KANJI_PATTERN.test(r.text)) {
+      add(r.text, r.reading, '');
+    }
+  }
+  return targets;
+};
+
+/**
+ * Collect the vocabulary of a set of stories as distractor candidates
+ * @param {Story[]} stories
+ * @returns {string[]} Unique words
+ */
+const collectWords = stories => {
+  const words = new Set();
+  for (const story of stories) {
+    for (const segment of story.content || []) {
+      for (const v of segment.vocab || []) {
+        if (v.word) {
+          words.add(v.word);
+        }
+      }
+    }
+  }
+  return Array.from(words);
+};
+
+/**
+ * How plausible a distractor looks next to the answer
+ * Words of the same shape (length, kanji/kana mix, same okurigana) are harder to rule out.
+ */
+const similarity = (candidate, answer) => {
+  let score = 0;
+  if (candidate.length === answer.length) {
+    score += 2;
+  }
+  if (candidate.slice(-1) === answer.slice(-1)) {
+    score += 2;
+  }
+  if (KANJI_PATTERN.test(candidate) === KANJI_PATTERN.test(answer)) {
+    score += 1;
+  }
+  return score + Math.random(); // Random tie-break so retries differ
+};
+
+/**
+ * Pick distractors for an answer, preferring same-level stories
+ * @param {string} answer
+ * @param {string[][]} pools - Candidate word lists in order of preference
+ * @param {number} count
+ * @returns {string[]}
+ */
+const pickDistractors = (answer, pools, count) => {
+  const picked = [];
+  for (const pool of pools) {
+    const ranked = pool
+      .filter(word => word !== answer && !picked.includes(word))
+      .map(word => ({ word, score: similarity(word, answer) }))
+      .sort((a, b) => b.score - a.score);
+    for (const { word } of ranked) {
+      if (picked.length >= count) {
+        return picked;
+      }
+      picked.push(word);
+    }
+  }
+  return picked;
+};
+
+/**
+ * Build cloze exercises for a story
+ * At most one blank per segment, spread evenly across the story.
+ * @param {Story} story - Story just read
+ * @param {Story[]} library - Every available story (the current one is ignored)
+ * @param {Object} [options]
+ * @param {number} [options.maxItems=8] - Maximum number of exercises
+ * @returns {ClozeExercise[]}
+ */
+export const buildClozeExercises = (story, library = [], { maxItems = DEFAULT_MAX_ITEMS } = {}) => {
+  const others = library.filter(s => s.id !== story.id);
+  const pools = [
+    collectWords(others.filter(s => s.level === story.level)),
+    collectWords([story]),
+    collectWords(others.filter(s => s.level !== story.level)),
+  ];
+
+  const candidates = story.content
+    .map((segment, segmentIndex) => ({ segment, segmentIndex, target: getTargets(segment)[0] }))
+    .filter(c => c.target);
+
+  // Evenly sample segments when there are more candidates than slots
+  const step = Math.max(1, candidates.length / maxItems);
+  const selected = [];
+  for (let i = 0; i < candidates.length && selected.length < maxItems; i += step) {
+    selected.push(candidates[Math.floor(i)]);
+  }
+
+  return selected
+    .map(({ segment, segmentIndex, target }) => {
+      const distractors = pickDistractors(target.word, pools, CHOICE_COUNT - 1);
+      if (distractors.length === 0) {
+        return null;
+      }
+      const options = shuffle([target.word, ...distractors]);
+      const position = segment.jp.indexOf(target.word);
+
+      return {
+        segmentIndex,
+        before: segment.jp.slice(0, position),
+        after: segment.jp.slice(position + target.word.length),
+        answer: target.word,
+        reading: target.reading,
+        meaning: target.meaning,
+        translation: segment.en,
+        options,
+        answerIndex: options.indexOf(target.word),
+      };
+    })
+    .filter(Boolean);
+};
@@ -0,0 +1,226 @@
+/**
+ * Deinflection Utility
+ * Rule-based conversion of conjugated Japanese words back to their dictionary form
+ * (e.g. 歩きました → 歩きます → 歩く) so they can be found in the offline dictionary.
+ *
+ * Every rule swaps a suffix and records which word classes the input and output
+ * belong to. Rules are applied repeatedly, so chains like
+ * 食べなかった → 食べない → 食べる fall out naturally.
+ */
+
+/**
+ * Word-class conditions
+ * - Dictionary classes: v1, v5, vk, vs, adj-i
+ * - Intermediate forms: masu (polite stem + ます), te (て/で form)
+ */
+
+/**
+ * Godan verb rows: [dictionary ending, a-stem, i-stem, e-stem, o-stem, te-form, ta-form]
+ */
+const GODAN_ROWS = [
+  ['う', 'わ', 'い', 'え', 'お', 'って', 'った'],
+  ['く', 'か', 'き', 'け', 'こ', 'いて', 'いた'],
+  ['ぐ', 'が', 'ぎ', 'げ', 'ご', 'いで', 'いだ'],
+  ['す', 'さ', 'し', 'せ', 'そ', 'して', 'した'],
+  ['つ', 'た', 'ち', 'て', 'と', 'って', 'った'],
+  ['ぬ', 'な', 'に', 'ね', 'の', 'んで', 'んだ'],
+  ['ぶ', 'ば', 'び', 'べ', 'ぼ', 'んで', 'んだ'],
+  ['む', 'ま', 'み', 'め', 'も', 'んで', 'んだ'],
+  ['る', 'ら', 'り', 'れ', 'ろ', 'って', 'った'],
+];
+
+/**
+ * Ichidan verb suffixes: [suffix replacing る, conditions of the inflected form, reason]
+ */
+const ICHIDAN_FORMS = [
+  ['ます', ['masu'], 'polite'],
+  ['ない', ['adj-i'], 'negative'],
+  ['ず', [], 'negative'],
+  ['た', [], 'past'],
+  ['たら', [], 'conditional'],
+  ['たり', [], '-tari'],
+  ['て', ['te'], 'te-form'],
+  ['られる', ['v1'], 'passive / potential'],
+  ['させる', ['v1'], 'causative'],
+  ['よう', [], 'volitional'],
+  ['ろ', [], 'imperative'],
+  ['れば', [], 'provisional'],
+  ['たい', ['adj-i'], 'want to'],
+];
+
+/**
+ * Irregular verbs: [inflected suffix (after the first character), conditions, reason]
+ * The first character is the variable stem (こ/き/く for 来る, し/さ/す for する)
+ */
+const KURU_FORMS = [
+  ['こない', ['adj-i'], 'negative'],
+  ['きます', ['masu'], 'polite'],
+  ['きた', [], 'past'],
+  ['きたら', [], 'conditional'],
+  ['きて', ['te'], 'te-form'],
+  ['こよう', [], 'volitional'],
+  ['こい', [], 'imperative'],
+  ['くれば', [], 'provisional'],
+  ['こられる', ['v1'], 'passive / potential'],
+  ['こさせる', ['v1'], 'causative'],
+  ['きたい', ['adj-i'], 'want to'],
+];
+
+const SURU_FORMS = [
+  ['しない', ['adj-i'], 'negative'],
+  ['せず', [], 'negative'],
+  ['します', ['masu'], 'polite'],
+  ['した', [], 'past'],
+  ['したら', [], 'conditional'],
+  ['したり', [], '-tari'],
+  ['して', ['te'], 'te-form'],
+  ['しよう', [], 'volitional'],
+  ['しろ', [], 'imperative'],
+  ['すれば', [], 'provisional'],
+  ['される', ['v1'], 'passive'],
+  ['させる', ['v1'], 'causative'],
+  ['したい', ['adj-i'], 'want to'],
+];
+
+/**
+ * Build the full rule table once
+ * @returns {Array<{from: string, to: string, conditionsIn: string[], conditionsOut: string[], reason: string}>}
+ */
+const buildRules = () => {
+  const rules = [];
+  const add = (from, to, conditionsIn, conditionsOut, reason) => {
+    rules.push({ from, to, conditionsIn, conditionsOut, reason });
+  };
+
+  // Polite ます endings
+  add('ました', 'ます', [], ['masu'], 'past');
+  add('ません', 'ます', [], ['masu'], 'negative');
+  add('ませんでした', 'ます', [], ['masu'], 'negative past');
+  add('ましょう', 'ます', [], ['masu'], 'volitional');
+  add('まして', 'ます', [], ['masu'], 'te-form');
+
+  // Auxiliaries attached to the te-form
+  add('ている', 'て', ['v1'], ['te'], 'progressive');
+  add('でいる', 'で', ['v1'], ['te'], 'progressive');
+  add('てる', 'て', ['v1'], ['te'], 'progressive');
+  add('でる', 'で', ['v1'], ['te'], 'progressive');
+  add('てしまう', 'て', ['v5'], ['te'], 'completion');
+  add('でしまう', 'で', ['v5'], ['te'], 'completion');
+  add('てください', 'て', [], ['te'], 'request');
+  add('でください', 'で', [], ['te'], 'request');
+
+  // Ichidan verbs
+  for (const [suffix, conditionsIn, reason] of ICHIDAN_FORMS) {
+    add(suffix, 'る', conditionsIn, ['v1'], reason);
+  }
+
+  // Godan verbs
+  for (const [dict, a, i, e, o, te, ta] of GODAN_ROWS) {
+    add(`${i}ます`, dict, ['masu'], ['v5'], 'polite');
+    add(`${a}ない`, dict, ['adj-i'], ['v5'], 'negative');
+    add(`${a}ず`, dict, [], ['v5'], 'negative');
+    add(ta, dict, [], ['v5'], 'past');
+    add(`${ta}ら`, dict, [], ['v5'], 'conditional');
+    add(`${ta}り`, dict, [], ['v5'], '-tari');
+    add(te, dict, ['te'], ['v5'], 'te-form');
+    add(`${e}る`, dict, ['v1'], ['v5'], 'potential');
+    add(`${a}れる`, dict, ['v1'], ['v5'], 'passive');
+    add(`${a}せる`, dict, ['v1'], ['v5'], 'causative');
+    add(`${o}う`, dict, [], ['v5'], 'volitional');
+    add(e, dict, [], ['v5'], 'imperative');
+    add(`${e}ば`, dict, [], ['v5'], 'provisional');
+    add(`${i}たい`, dict, ['adj-i'], ['v5'], 'want to');
+  }
+
+  // 行く has an irregular te/ta-form (行って, not 行いて)
+  for (const stem of ['行', 'い']) {
+    add(`${stem}って`, `${stem}く`, ['te'], ['v5'], 'te-form');
+    add(`${stem}った`, `${stem}く`, [], ['v5'], 'past');
+    add(`${stem}ったら`, `${stem}く`, [], ['v5'], 'conditional');
+    add(`${stem}ったり`, `${stem}く`, [], ['v5'], '-tari');
+  }
+
+  // 来る (both kana and kanji spellings)
+  for (const [form, conditionsIn, reason] of KURU_FORMS) {
+    add(form, 'くる', conditionsIn, ['vk'], reason);
+    add(`来${form.slice(1)}`, '来る', conditionsIn, ['vk'], reason);
+  }
+
+  // する
+  for (const [form, conditionsIn, reason] of SURU_FORMS) {
+    add(form, 'する', conditionsIn, ['vs'], reason);
+  }
+
+  // I-adjectives
+  add('くない', 'い', ['adj-i'], ['adj-i'], 'negative');
+  add('かった', 'い', [], ['adj-i'], 'past');
+  add('かったら', 'い', [], ['adj-i'], 'conditional');
+  add('くて', 'い', ['te'], ['adj-i'], 'te-form');
+  add('く', 'い', [], ['adj-i'], 'adverb');
+  add('ければ', 'い', [], ['adj-i'], 'provisional');
+  add('さ', 'い', [], ['adj-i'], 'noun');
+
+  return rules;
+};
+
+const RULES = buildRules();
+
+/**
+ * Maximum number of rule applications per candidate (guards against runaway chains)
+ */
+const MAX_DEPTH = 5;
+
+/**
+ * Check whether a rule can be applied to a candidate
+ * Candidates with no conditions (the original text) accept every rule.
+ */
+const canApply = (candidate, rule) => {
+  if (candidate.conditions === null) {
+    return true;
+  }
+  return rule.conditionsIn.some(condition => candidate.conditions.includes(condition));
+};
+
+/**
+ * Generate every possible dictionary form of a (possibly conjugated) word
+ * @param {string} word - Inflected text, e.g. 歩きました
+ * @returns {Array<{word: string, conditions: string[]|null, reasons: string[]}>}
+ *   Candidates including the input itself. `conditions` lists the word classes the
+ *   candidate must belong to (null = any), `reasons` lists the inflections removed.
+ */
+export const deinflect = word => {
+  const candidates = [{ word, conditions: null, reasons: [] }];
+  const seen = new Set([`${word}|*`]);
+
+  for (let i = 0; i < candidates.length; i++) {
+    const candidate = candidates[i];
+    if (candidate.reasons.length >= MAX_DEPTH) {
+      continue;
+    }
+
+    for (const rule of RULES) {
+      if (!candidate.word.endsWith(rule.from) || !canApply(candidate, rule)) {
+        continue;
+      }
+
+      const base = candidate.word.slice(0, -rule.from.length) + rule.to;
+      if (!base) {
+        continue;
+      }
+
+      const key = `${base}|${rule.conditionsOut.join(',')}`;
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      candidates.push({
+        word: base,
+        conditions: rule.conditionsOut,
+        reasons: [rule.reason, ...candidate.reasons],
+      });
+    }
+  }
+
+  return candidates;
+};
@@ -0,0 +1,108 @@
+/**
+ * Dictation Utility
+ * Character-level comparison of what the learner typed against a segment,
+ * accepting either the written form (segment.jp) or its reading in kana.
+ */
+
+import { expandReadings } from './furigana.js';
+import { toHiragana } from './romaji.js';
+
+/**
+ * Punctuation and spacing the learner isn't expected to type
+ */
+const IGNORED_CHARACTERS = /[\s、。，．,.!?！？「」『』（）()・…―〜~"'“”‘’]/g;
+
+/**
+ * Strip characters that don't count towards the score
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeDictation = text => (text || '').replace(IGNORED_CHARACTERS, '');
+
+/**
+ * Align two strings character by character (longest common subsequence)
+ * @param {string} input - What the learner typed
+ * @param {string} target - The expected text
+ * @returns {Array<{type: 'correct'|'wrong'|'missing'|'extra', char: string, expected?: string}>}
+ *   `correct`/`missing` carry a target character, `extra` an input character,
+ *   `wrong` an input character typed in place of `expected`.
+ */
+export const diffCharacters = (input, target) => {
+  const a = Array.from(input);
+  const b = Array.from(target);
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: 'correct', char: b[j] });
+      i++;
+      j++;
+    } else if (j < b.length && (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      ops.push({ type: 'missing', char: b[j] });
+      j++;
+    } else {
+      ops.push({ type: 'extra', char: a[i] });
+      i++;
+    }
+  }
+
+  // A typo shows up as extra + missing side by side: report it as one wrong character
+  const merged = [];
+  for (const op of ops) {
+    const previous = merged[merged.length - 1];
+    if (
+      previous &&
+      ((previous.type === 'extra' && op.type === 'missing') ||
+        (previous.type === 'missing' && op.type === 'extra'))
+    ) {
+      const typed = previous.type === 'extra' ? previous.char : op.char;
+      const expected = previous.type === 'missing' ? previous.char : op.char;
+      merged[merged.length - 1] = { type: 'wrong', char: typed, expected };
+    } else {
+      merged.push(op);
+    }
+  }
+  return merged;
+};
+
+/**
+ * Score a dictation attempt for one segment
+ * The input is compared against both the written text and the reading-expanded kana;
+ * whichever the learner was closer to is used.
+ * @param {string} input - What the learner typed
+ * @param {StoryContent} segment - The segment that was played
+ * @returns {{target: string, diff: Array, correct: number, total: number, accuracy: number}}
+ *   `accuracy` is 0-1; extra characters count against it.
+ */
+export const scoreDictation = (input, segment) => {
+  const typed = normalizeDictation(input);
+  const written = normalizeDictation(segment.jp);
+  const reading = normalizeDictation(toHiragana(expandReadings(segment.jp, segment.readings)));
+
+  const score = (attempt, target) => {
+    const diff = diffCharacters(attempt, target);
+    const correct = diff.filter(op => op.type === 'correct').length;
+    const extra = diff.filter(op => op.type === 'extra').length;
+    const total = Array.from(target).length;
+    const accuracy = total > 0 ? Math.max(0, (correct - extra) / total) : 0;
+    return { target, diff, correct, total, accuracy };
+  };
+
+  const candidates = [score(typed, written)];
+  if (reading !== written) {
+    candidates.push(score(toHiragana(typed), reading));
+  }
+  return candidates.reduce((best, candidate) =>
+    candidate.accuracy > best.accuracy ? candidate : best
+  );
+};
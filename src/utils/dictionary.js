@@ -0,0 +1,159 @@
+/**
+ * Dictionary Lookup Utility
+ * Longest-match word lookup against the bundled offline dictionary,
+ * with deinflection so conjugated verbs and adjectives resolve to their entries.
+ */
+
+import { DICTIONARY, PART_OF_SPEECH } from '../data/dictionary.js';
+import { deinflect } from './deinflect.js';
+
+/**
+ * Longest text (in characters) considered for a single lookup
+ */
+const MAX_LOOKUP_LENGTH = 12;
+
+/** @type {Map<string, Object[]>|null} */
+let formIndex = null;
+
+/**
+ * Index every written form and reading for O(1) lookups (built lazily)
+ * @returns {Map<string, Object[]>}
+ */
+const getFormIndex = () => {
+  if (formIndex) {
+    return formIndex;
+  }
+
+  formIndex = new Map();
+  for (const entry of DICTIONARY) {
+    for (const form of new Set([...entry.kanji, ...entry.readings])) {
+      if (!formIndex.has(form)) {
+        formIndex.set(form, []);
+      }
+      formIndex.get(form).push(entry);
+    }
+  }
+  return formIndex;
+};
+
+/**
+ * Map an entry's JMdict part-of-speech codes to deinflection word classes
+ * @param {Object} entry - Dictionary entry
+ * @returns {string[]}
+ */
+const getWordClasses = entry => {
+  return entry.pos
+    .map(pos => {
+      if (pos === 'v1' || pos === 'vk' || pos === 'adj-i') {
+        return pos;
+      }
+      if (pos.startsWith('v5')) {
+        return 'v5';
+      }
+      if (pos === 'vs-i') {
+        return 'vs';
+      }
+      return null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Length of the shared prefix of two strings
+ */
+const commonPrefixLength = (a, b) => {
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) {
+    i++;
+  }
+  return i;
+};
+
+/**
+ * Find dictionary entries for a single deinflection candidate
+ * @returns {Array<{entry: Object, form: string, reasons: string[]}>}
+ */
+const findEntries = candidate => {
+  const index = getFormIndex();
+  const matches = [];
+
+  for (const entry of index.get(candidate.word) || []) {
+    const classes = getWordClasses(entry);
+    if (
+      candidate.conditions === null ||
+      candidate.conditions.some(condition => classes.includes(condition))
+    ) {
+      matches.push({ entry, form: candidate.word, reasons: candidate.reasons });
+    }
+  }
+
+  // Suru nouns: 勉強しました → 勉強する → 勉強 (n, vs)
+  if (candidate.conditions?.includes('vs') && candidate.word.endsWith('する')) {
+    const stem = candidate.word.slice(0, -2);
+    for (const entry of index.get(stem) || []) {
+      if (entry.pos.includes('vs')) {
+        matches.push({ entry, form: stem, reasons: candidate.reasons });
+      }
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Look up the longest dictionary word at the start of a piece of text
+ * @param {string} text - Text starting at the tapped word (may run past it)
+ * @param {Object} [options]
+ * @param {string} [options.reading] - Known reading of the tapped word, used to rank homographs
+ * @returns {{surface: string, length: number, matches: Array<{entry: Object, form: string, reasons: string[]}>}|null}
+ */
+export const lookupWord = (text, { reading } = {}) => {
+  if (!text) {
+    return null;
+  }
+
+  for (let length = Math.min(text.length, MAX_LOOKUP_LENGTH); length > 0; length--) {
+    const surface = text.slice(0, length);
+    const matches = [];
+    const seenEntries = new Set();
+
+    for (const candidate of deinflect(surface)) {
+      for (const match of findEntries(candidate)) {
+        if (!seenEntries.has(match.entry)) {
+          seenEntries.add(match.entry);
+          matches.push(match);
+        }
+      }
+    }
+
+    if (matches.length > 0) {
+      const readingScore = match =>
+        reading ? Math.max(...match.entry.readings.map(r => commonPrefixLength(r, reading))) : 0;
+
+      matches.sort(
+        (a, b) => readingScore(b) - readingScore(a) || a.reasons.length - b.reasons.length
+      );
+      return { surface, length, matches };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Human-readable part-of-speech labels for an entry
+ * @param {string[]} pos - JMdict part-of-speech codes
+ * @returns {string}
+ */
+export const formatPartOfSpeech = pos => {
+  return pos.map(code => PART_OF_SPEECH[code] || code).join(', ');
+};
+
+/**
+ * Describe the inflections removed during lookup (e.g. "polite › past")
+ * @param {string[]} reasons
+ * @returns {string}
+ */
+export const formatInflection = reasons => {
+  return reasons.join(' › ');
+};
@@ -0,0 +1,238 @@
+/**
+ * Difficulty Analysis Utility
+ * Checks a story's claimed level against its actual content: kanji and words are
+ * mapped to JLPT levels (bundled kanji table + offline dictionary) and sentence
+ * lengths are compared with the targets the story generator is given.
+ */
+
+import { getKanjiInfo } from './kanji.js';
+import { lookupWord } from './dictionary.js';
+import { getSegmentTokens } from './tokenizer.js';
+
+const KANJI_PATTERN = /[\u4E00-\u9FFF\u3400-\u4DBF]/;
+
+/**
+ * Levels as numbers (5 = N5, easiest). Anything past N3 is bucketed as 2, since the
+ * bundled lists only tell N5-N3 apart.
+ */
+const LEVEL_NUMBERS = {
+  N5: 5,
+  N4: 4,
+  N3: 3,
+  N2: 2,
+  N1: 1,
+  Beginner: 5,
+  Intermediate: 3,
+  Advanced: 1,
+};
+const HARDEST_KNOWN_LEVEL = 2;
+
+/**
+ * Characters per sentence asked for in job-worker's levelGuidelines
+ * (Beginner/Intermediate/Advanced map to N5/N3/N1 there as well)
+ */
+export const SENTENCE_LENGTH_TARGETS = {
+  5: { min: 0, max: 15 },
+  4: { min: 15, max: 25 },
+  3: { min: 20, max: 35 },
+  2: { min: 25, max: 40 },
+  1: { min: 30, max: 50 },
+};
+
+/** Share of words that must be at or below a level for the story to read at that level */
+const LEVEL_COVERAGE = 0.9;
+
+/**
+ * Label for a level number
+ * @param {number} level
+ * @returns {string} 'N5'-'N3', or 'N2+' for anything harder
+ */
+export const formatLevel = level => (level <= HARDEST_KNOWN_LEVEL ? 'N2+' : `N${level}`);
+
+/**
+ * Level of a single kanji (unlisted kanji count as N2+)
+ * @param {string} char
+ * @returns {number}
+ */
+const getKanjiLevel = char => getKanjiInfo(char)?.jlpt || HARDEST_KNOWN_LEVEL;
+
+/**
+ * Level of a word: its dictionary level, or else its hardest kanji
+ * @param {string} word
+ * @param {Object|null} entry - Dictionary entry, if the word was found
+ * @returns {number}
+ */
+const getWordLevel = (word, entry) => {
+  if (entry?.jlpt && LEVEL_NUMBERS[entry.jlpt]) {
+    return LEVEL_NUMBERS[entry.jlpt];
+  }
+  const levels = Array.from(word)
+    .filter(char => KANJI_PATTERN.test(char))
+    .map(getKanjiLevel);
+  return Math.min(...levels);
+};
+
+/**
+ * Split a word the dictionary doesn't know into the dictionary words inside it
+ * (寿司屋 → 寿司 + 屋); leftover kanji stay together as one unknown word
+ * @param {string} word
+ * @returns {Array<{surface: string, entry: Object|null}>}
+ */
+const splitUnknownWord = word => {
+  const parts = [];
+  let unknown = '';
+  let i = 0;
+  while (i < word.length) {
+    const result = KANJI_PATTERN.test(word[i]) ? lookupWord(word.slice(i)) : null;
+    if (!result) {
+      unknown += KANJI_PATTERN.test(word[i]) ? word[i] : '';
+      i++;
+      continue;
+    }
+    if (unknown) {
+      parts.push({ surface: unknown, entry: null });
+      unknown = '';
+    }
+    parts.push({ surface: result.surface, entry: result.matches[0].entry });
+    i += result.length;
+  }
+  if (unknown) {
+    parts.push({ surface: unknown, entry: null });
+  }
+  return parts;
+};
+
+/**
+ * Kanji-bearing words of a segment, by dictionary form
+ * Kana-only words are skipped: they are nearly all basic grammar.
+ * @param {StoryContent} segment
+ * @returns {Array<{surface: string, entry: Object|null}>}
+ */
+const tokenizeSegment = segment => {
+  return getSegmentTokens(segment)
+    .filter(token => KANJI_PATTERN.test(token.surface))
+    .flatMap(token => {
+      const word = token.lemma || token.surface;
+      const result = lookupWord(word);
+      return result?.length === word.length
+        ? [{ surface: word, entry: result.matches[0].entry }]
+        : splitUnknownWord(word);
+    });
+};
+
+/**
+ * Sentence lengths (characters, ignoring spaces and closing punctuation)
+ * @param {Story} story
+ * @returns {number[]}
+ */
+const getSentenceLengths = story => {
+  return story.content
+    .flatMap(segment => (segment.jp || '').split(/[。！？!?]+/))
+    .map(sentence => sentence.replace(/[\s「」『』]/g, '').length)
+    .filter(length => length > 0);
+};
+
+/** @type {Map<string, {signature: string, profile: DifficultyProfile}>} */
+const cache = new Map();
+
+/**
+ * Work out the difficulty profile of a story
+ * Results are cached per story until its text changes (StoryCard calls this on every render).
+ * @param {Story} story
+ * @returns {DifficultyProfile}
+ */
+export const analyzeDifficulty = story => {
+  const signature = story.content.map(segment => segment.jp).join('\n');
+  const cached = cache.get(story.id);
+  if (cached?.signature === signature) {
+    return cached.profile;
+  }
+
+  const claimedLevel = LEVEL_NUMBERS[story.level] || 3;
+
+  // Unique kanji by level
+  const kanji = new Set(Array.from(signature).filter(char => KANJI_PATTERN.test(char)));
+  const kanjiByLevel = { N5: 0, N4: 0, N3: 0, 'N2+': 0 };
+  for (const char of kanji) {
+    kanjiByLevel[formatLevel(getKanjiLevel(char))]++;
+  }
+
+  // Unique words by level
+  const words = new Map();
+  for (const segment of story.content) {
+    for (const { surface, entry } of tokenizeSegment(segment)) {
+      const word = entry?.kanji?.[0] || surface;
+      if (!words.has(word)) {
+        words.set(word, getWordLevel(word, entry));
+      }
+    }
+  }
+  const outOfLevelWords = Array.from(words)
+    .filter(([, level]) => level < claimedLevel)
+    .map(([word, level]) => ({ word, level: formatLevel(level) }));
+
+  // Easiest level at which nearly every word is known
+  const wordLevels = Array.from(words.values());
+  let estimatedLevel = HARDEST_KNOWN_LEVEL;
+  for (let level = 5; level > HARDEST_KNOWN_LEVEL; level--) {
+    const known = wordLevels.filter(l => l >= level).length;
+    if (wordLevels.length === 0 || known / wordLevels.length >= LEVEL_COVERAGE) {
+      estimatedLevel = level;
+      break;
+    }
+  }
+
+  // Compare against the claimed level (N2 and N1 can't be told apart)
+  const comparableClaim = Math.max(claimedLevel, HARDEST_KNOWN_LEVEL);
+  let verdict = 'match';
+  if (estimatedLevel > comparableClaim) {
+    verdict = 'easier';
+  } else if (estimatedLevel < comparableClaim) {
+    verdict = 'harder';
+  }
+
+  const lengths = getSentenceLengths(story);
+  const averageSentenceLength =
+    lengths.length > 0 ? lengths.reduce((sum, length) => sum + length, 0) / lengths.length : 0;
+  const sentenceTarget = SENTENCE_LENGTH_TARGETS[claimedLevel];
+  let sentenceLength = 'ok';
+  if (averageSentenceLength < sentenceTarget.min) {
+    sentenceLength = 'short';
+  } else if (averageSentenceLength > sentenceTarget.max) {
+    sentenceLength = 'long';
+  }
+
+  const profile = {
+    estimatedLevel: formatLevel(estimatedLevel),
+    verdict,
+    kanjiByLevel,
+    uniqueKanji: kanji.size,
+    uniqueWords: words.size,
+    outOfLevelWords,
+    averageSentenceLength,
+    sentenceTarget,
+    sentenceLength,
+  };
+  cache.set(story.id, { signature, profile });
+  return profile;
+};
+
+/**
+ * One-line summary of a profile, for badge tooltips
+ * @param {DifficultyProfile} profile
+ * @param {string} level - The story's claimed level
+ * @returns {string}
+ */
+export const describeDifficulty = (profile, level) => {
+  const { outOfLevelWords, averageSentenceLength, sentenceTarget } = profile;
+  const verdicts = {
+    easier: `Reads easier than ${level}`,
+    match: `Reads like ${level}`,
+    harder: `Reads harder than ${level}`,
+  };
+  return [
+    `${verdicts[profile.verdict]} (about ${profile.estimatedLevel})`,
+    `${outOfLevelWords.length} of ${profile.uniqueWords} words above ${level}`,
+    `${averageSentenceLength.toFixed(1)} chars per sentence (target ${sentenceTarget.min}-${sentenceTarget.max})`,
+  ].join(' · ');
+};
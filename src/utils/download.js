@@ -0,0 +1,37 @@
+/**
+ * Download Utility
+ * Saves client-side exports (e-books, decks) as files.
+ */
+
+/**
+ * File name for an export, made safe for every platform
+ * Japanese characters are kept; characters file systems reject are replaced.
+ * @param {string} name - Base name (e.g. a story title)
+ * @param {string} extension - Without the dot (e.g. "epub")
+ * @returns {string}
+ */
+export const getExportFileName = (name, extension) => {
+  const base = String(name || 'export')
+    .replace(/[\\/:*?"<>|]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 80);
+  return `${base || 'export'}.${extension}`;
+};
+
+/**
+ * Start a download of a blob
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,307 @@
+/**
+ * EPUB Export Utility
+ * Packages stories into an EPUB 3 e-book on the client: one chapter per story with
+ * ruby furigana and its cached illustrations, a table of contents, and a vocabulary
+ * appendix per chapter at the back of the book.
+ */
+
+import epubStyles from '../styles/epub.css?inline';
+import { renderRuby } from './furigana.js';
+import { getSegmentTokens } from './tokenizer.js';
+import { collectVocab } from './srs.js';
+import { escapeHtml } from './highlights.js';
+import { getCachedImage } from './imageStorage.js';
+import { createZip } from './zip.js';
+import { downloadBlob, getExportFileName } from './download.js';
+
+const EPUB_MIME_TYPE = 'application/epub+zip';
+
+/** File extensions for the image types the image cache holds */
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+/**
+ * @typedef {Object} EpubImage
+ * @property {number} storyIndex - Index of the story in the exported list
+ * @property {number} segmentIndex
+ * @property {string} type - MIME type
+ * @property {Uint8Array} bytes
+ */
+
+/**
+ * Helper: XHTML page wrapper
+ * @param {string} title
+ * @param {string} body
+ */
+const renderPage = (title, body) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="ja" lang="ja">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="styles.css" />
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+/**
+ * Helper: A segment's Japanese with ruby over each word that has a reading
+ * @param {StoryContent} segment
+ */
+const renderSegmentJapanese = segment => {
+  return getSegmentTokens(segment)
+    .map(token =>
+      token.reading
+        ? renderRuby(escapeHtml(token.surface), escapeHtml(token.reading))
+        : escapeHtml(token.surface)
+    )
+    .join('');
+};
+
+/**
+ * File name of an image inside the book
+ * @param {EpubImage} image
+ */
+const getImagePath = image =>
+  `images/story-${image.storyIndex + 1}-${image.segmentIndex + 1}.${IMAGE_EXTENSIONS[image.type] || 'png'}`;
+
+/**
+ * Helper: One story as a chapter
+ * @param {Story} story
+ * @param {number} storyIndex
+ * @param {EpubImage[]} images - This story's images
+ * @param {boolean} hasVocab - Whether the story has an appendix to link to
+ */
+const renderChapter = (story, storyIndex, images, hasVocab) => {
+  const paragraphs = story.content
+    .map((segment, segmentIndex) => {
+      const image = images.find(img => img.segmentIndex === segmentIndex);
+      return `${image ? `<div class="illustration"><img src="${getImagePath(image)}" alt="" /></div>\n` : ''}<p>${renderSegmentJapanese(segment)}</p>`;
+    })
+    .join('\n');
+
+  return renderPage(
+    story.titleJP,
+    `<section epub:type="chapter">
+<h1>${escapeHtml(story.titleJP)}</h1>
+<p class="subtitle">${escapeHtml(story.titleEN)}</p>
+${paragraphs}
+${hasVocab ? `<p class="appendix-link"><a href="vocab-${storyIndex + 1}.xhtml">Vocabulary →</a></p>` : ''}
+</section>`
+  );
+};
+
+/**
+ * Helper: A story's vocabulary appendix
+ * @param {Story} story
+ * @param {number} storyIndex
+ * @param {VocabularyEntry[]} vocab
+ */
+const renderVocabAppendix = (story, storyIndex, vocab) =>
+  renderPage(
+    `${story.titleJP} – Vocabulary`,
+    `<section epub:type="appendix">
+<h1>${escapeHtml(story.titleJP)}</h1>
+<p class="subtitle">Vocabulary</p>
+<table class="vocab">
+  <tr><th>Word</th><th>Reading</th><th>Meaning</th></tr>
+  ${vocab
+    .map(
+      v =>
+        `<tr><td class="vocab__word">${escapeHtml(v.word)}</td><td>${escapeHtml(v.reading || '')}</td><td>${escapeHtml(v.meaning)}</td></tr>`
+    )
+    .join('\n  ')}
+</table>
+<p class="appendix-link"><a href="chapter-${storyIndex + 1}.xhtml">← Back to the story</a></p>
+</section>`
+  );
+
+/**
+ * Helper: Navigation document (the table of contents)
+ * @param {string} title - Book title
+ * @param {Story[]} stories
+ * @param {boolean[]} hasVocab - Per story
+ */
+const renderNav = (title, stories, hasVocab) =>
+  renderPage(
+    title,
+    `<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+  ${stories.map((story, i) => `<li><a href="chapter-${i + 1}.xhtml">${escapeHtml(story.titleJP)}</a></li>`).join('\n  ')}
+  ${
+    hasVocab.some(Boolean)
+      ? `<li><span>Vocabulary</span>
+    <ol>
+      ${stories
+        .map((story, i) => ({ story, i }))
+        .filter(({ i }) => hasVocab[i])
+        .map(
+          ({ story, i }) =>
+            `<li><a href="vocab-${i + 1}.xhtml">${escapeHtml(story.titleJP)}</a></li>`
+        )
+        .join('\n      ')}
+    </ol>
+  </li>`
+      : ''
+  }
+</ol>
+</nav>`
+  );
+
+/**
+ * Helper: Package document (metadata, manifest and reading order)
+ * @param {string} title
+ * @param {Object[]} items - { id, href, type, properties? } in reading order
+ * @param {string[]} spine - Item ids in reading order
+ */
+const renderPackage = (title, items, spine) => `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="ja">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:uuid:${crypto.randomUUID()}</dc:identifier>
+    <dc:title>${escapeHtml(title)}</dc:title>
+    <dc:language>ja</dc:language>
+    <dc:creator>Nihongo Monogatari</dc:creator>
+    <meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>
+  </metadata>
+  <manifest>
+    ${items
+      .map(
+        item =>
+          `<item id="${item.id}" href="${item.href}" media-type="${item.type}"${item.properties ? ` properties="${item.properties}"` : ''} />`
+      )
+      .join('\n    ')}
+  </manifest>
+  <spine>
+    ${spine.map(id => `<itemref idref="${id}" />`).join('\n    ')}
+  </spine>
+</package>`;
+
+/**
+ * Build an EPUB 3 book
+ * @param {Story[]} stories - One chapter each, in order
+ * @param {EpubImage[]} [images] - Illustrations to embed
+ * @returns {Blob}
+ */
+export const buildEpub = (stories, images = []) => {
+  const title =
+    stories.length === 1 ? stories[0].titleJP : `日本語物語 – ${stories.length} Stories`;
+  const vocabLists = stories.map(story => collectVocab([story]).map(entry => entry.vocab));
+  const hasVocab = vocabLists.map(list => list.length > 0);
+
+  const files = [];
+  const items = [
+    { id: 'nav', href: 'nav.xhtml', type: 'application/xhtml+xml', properties: 'nav' },
+    { id: 'styles', href: 'styles.css', type: 'text/css' },
+  ];
+  const chapterIds = [];
+  const appendixIds = [];
+
+  stories.forEach((story, i) => {
+    const storyImages = images.filter(img => img.storyIndex === i);
+    files.push({
+      name: `OEBPS/chapter-${i + 1}.xhtml`,
+      data: renderChapter(story, i, storyImages, hasVocab[i]),
+    });
+    items.push({
+      id: `chapter-${i + 1}`,
+      href: `chapter-${i + 1}.xhtml`,
+      type: 'application/xhtml+xml',
+    });
+    chapterIds.push(`chapter-${i + 1}`);
+
+    if (hasVocab[i]) {
+      files.push({
+        name: `OEBPS/vocab-${i + 1}.xhtml`,
+        data: renderVocabAppendix(story, i, vocabLists[i]),
+      });
+      items.push({
+        id: `vocab-${i + 1}`,
+        href: `vocab-${i + 1}.xhtml`,
+        type: 'application/xhtml+xml',
+      });
+      appendixIds.push(`vocab-${i + 1}`);
+    }
+
+    storyImages.forEach((image, j) => {
+      files.push({ name: `OEBPS/${getImagePath(image)}`, data: image.bytes });
+      items.push({ id: `image-${i + 1}-${j + 1}`, href: getImagePath(image), type: image.type });
+    });
+  });
+
+  return createZip(
+    [
+      // The mimetype file must come first, stored uncompressed
+      { name: 'mimetype', data: EPUB_MIME_TYPE },
+      {
+        name: 'META-INF/container.xml',
+        data: `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+  </rootfiles>
+</container>`,
+      },
+      {
+        name: 'OEBPS/content.opf',
+        data: renderPackage(title, items, ['nav', ...chapterIds, ...appendixIds]),
+      },
+      { name: 'OEBPS/nav.xhtml', data: renderNav(title, stories, hasVocab) },
+      { name: 'OEBPS/styles.css', data: epubStyles },
+      ...files,
+    ],
+    EPUB_MIME_TYPE
+  );
+};
+
+/**
+ * Cached illustrations for the stories being exported
+ * Segments without a cached image are skipped (nothing is generated for the export).
+ * @param {Story[]} stories
+ * @returns {Promise<EpubImage[]>}
+ */
+const loadCachedImages = async stories => {
+  const images = [];
+  for (const [storyIndex, story] of stories.entries()) {
+    for (const segmentIndex of story.content.keys()) {
+      const url = await getCachedImage(story.id, segmentIndex);
+      if (!url) {
+        continue;
+      }
+      try {
+        const blob = await (await fetch(url)).blob();
+        const type = IMAGE_EXTENSIONS[blob.type] ? blob.type : 'image/png';
+        images.push({
+          storyIndex,
+          segmentIndex,
+          type,
+          bytes: new Uint8Array(await blob.arrayBuffer()),
+        });
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    }
+  }
+  return images;
+};
+
+/**
+ * Export stories as an EPUB file and start the download
+ * @param {Story[]} stories
+ * @returns {Promise<void>}
+ */
+export const exportEpub = async stories => {
+  if (stories.length === 0) {
+    throw new Error('No stories to export');
+  }
+  const images = await loadCachedImages(stories);
+  const name =
+    stories.length === 1 ? stories[0].titleEN : `Nihongo Monogatari (${stories.length} stories)`;
+  downloadBlob(buildEpub(stories, images), getExportFileName(name, 'epub'));
+};
@@ -0,0 +1,274 @@
+/**
+ * Furigana Utility
+ * Matches a segment's readings array against its Japanese text, aligns each
+ * reading with the kanji it belongs to (so ruby never sits over okurigana) and
+ * checks how much of a story's kanji the readings actually cover.
+ */
+
+import { toHiragana } from './romaji.js';
+import { isValidTokenList } from '../types.js';
+
+const KANJI_PATTERN = /[\u4E00-\u9FFF\u3400-\u4DBF々〆ヶ]/;
+
+/**
+ * Find the words covered by the readings array
+ * The text is scanned left to right, taking the longest reading entry that starts at
+ * each position, so overlapping and duplicate entries can never produce nested matches.
+ * @param {string} text - Plain Japanese text (segment.jp)
+ * @param {ReadingEntry[]} [readings] - Readings for words in the text
+ * @returns {Array<{start: number, end: number, reading: string}>} Ranges sorted by position
+ */
+export const findReadingRanges = (text, readings = []) => {
+  if (!text || !readings || readings.length === 0) {
+    return [];
+  }
+
+  // Later duplicates of the same text win, as they did when entries were applied in order
+  const readingMap = new Map();
+  for (const r of readings) {
+    if (r.text && r.reading) {
+      readingMap.set(r.text, r.reading);
+    }
+  }
+  const maxLength = Math.max(0, ...Array.from(readingMap.keys(), word => word.length));
+
+  const ranges = [];
+  let position = 0;
+  while (position < text.length) {
+    let matched = false;
+    for (let length = Math.min(maxLength, text.length - position); length > 0; length--) {
+      const reading = readingMap.get(text.slice(position, position + length));
+      if (reading) {
+        ranges.push({ start: position, end: position + length, reading });
+        position += length;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) {
+      position++;
+    }
+  }
+
+  return ranges;
+};
+
+/**
+ * Split a word into kanji runs and kana runs
+ * @param {string} word
+ * @returns {Array<{text: string, isKanji: boolean}>}
+ */
+const splitRuns = word => {
+  const runs = [];
+  for (const char of word) {
+    const isKanji = KANJI_PATTERN.test(char);
+    const last = runs[runs.length - 1];
+    if (last && last.isKanji === isKanji) {
+      last.text += char;
+    } else {
+      runs.push({ text: char, isKanji });
+    }
+  }
+  return runs;
+};
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Align a word's reading with its kanji runs
+ * Kana in the word (okurigana, particles inside compounds) is matched literally against
+ * the reading, and whatever falls between belongs to the kanji run in that position:
+ * 食べ物 + たべもの → 食(た) べ 物(もの). When the reading can't be lined up with the
+ * kana in the word (irregular or mistyped readings), the whole word gets one reading.
+ * @param {string} word - Written form (e.g. 食べ物)
+ * @param {string} reading - Kana reading for the whole word (e.g. たべもの)
+ * @returns {Array<{text: string, reading?: string}>} Parts in order; only kanji runs carry a reading
+ */
+export const alignReading = (word, reading) => {
+  const runs = splitRuns(word);
+  if (!runs.some(run => run.isKanji)) {
+    return [{ text: word }];
+  }
+  if (runs.length === 1) {
+    return [{ text: word, reading }];
+  }
+
+  // Kanji runs capture at least one kana, kana runs must appear verbatim (either script)
+  const pattern = runs
+    .map(run => (run.isKanji ? '(.+?)' : `(${escapeRegExp(toHiragana(run.text))})`))
+    .join('');
+  const match = new RegExp(`^${pattern}$`).exec(toHiragana(reading));
+  if (!match) {
+    return [{ text: word, reading }];
+  }
+
+  // Keep the reading's own characters (katakana readings stay katakana)
+  const parts = [];
+  let offset = 0;
+  runs.forEach((run, i) => {
+    const length = match[i + 1].length;
+    parts.push(
+      run.isKanji
+        ? { text: run.text, reading: reading.slice(offset, offset + length) }
+        : { text: run.text }
+    );
+    offset += length;
+  });
+  return parts;
+};
+
+/**
+ * Build ruby markup for a word, with readings over its kanji runs only
+ * @param {string} word - Written form
+ * @param {string} reading - Kana reading for the whole word
+ * @param {Function} [formatReading] - Turns a reading into the HTML placed inside <rt>
+ * @returns {string} HTML
+ */
+export const renderRuby = (word, reading, formatReading = text => text) => {
+  return alignReading(word, reading)
+    .map(part =>
+      part.reading ? `<ruby>${part.text}<rt>${formatReading(part.reading)}</rt></ruby>` : part.text
+    )
+    .join('');
+};
+
+/**
+ * Replace every word covered by the readings array with its reading
+ * (e.g. 猫が好きです → ねこがすきです). Kanji without a reading are left as-is.
+ * @param {string} text - Plain Japanese text (segment.jp)
+ * @param {ReadingEntry[]} [readings] - Readings for words in the text
+ * @returns {string}
+ */
+export const expandReadings = (text, readings = []) => {
+  if (!text) {
+    return '';
+  }
+
+  let result = '';
+  let position = 0;
+  for (const range of findReadingRanges(text, readings)) {
+    result += text.slice(position, range.start) + range.reading;
+    position = range.end;
+  }
+  return result + text.slice(position);
+};
+
+/**
+ * Find the words of a segment that are shown with furigana
+ * Segments with a valid tokens array are rendered from the tokens' readings (the
+ * readings array is then unused); others from the readings array.
+ * @param {StoryContent} segment
+ * @returns {Array<{start: number, end: number, reading: string}>} Ranges sorted by position
+ */
+const findCoveredRanges = segment => {
+  const text = segment.jp || '';
+  if (!isValidTokenList(segment.tokens, text)) {
+    return findReadingRanges(text, segment.readings);
+  }
+
+  const ranges = [];
+  let offset = 0;
+  for (const token of segment.tokens) {
+    if (token.reading) {
+      ranges.push({ start: offset, end: offset + token.surface.length, reading: token.reading });
+    }
+    offset += token.surface.length;
+  }
+  return ranges;
+};
+
+/**
+ * Check which kanji in a story have no furigana
+ * A kanji counts as covered when it falls inside a token with a reading or, for
+ * segments without tokens, a word matched from the readings array. Uncovered kanji
+ * are reported as runs (e.g. 図書館 rather than 図/書/館).
+ * @param {Story} story
+ * @returns {FuriganaCoverage}
+ */
+export const checkFuriganaCoverage = story => {
+  let total = 0;
+  let covered = 0;
+  const missing = [];
+
+  (story.content || []).forEach((segment, segmentIndex) => {
+    const text = segment.jp || '';
+    const ranges = findCoveredRanges(segment);
+    const isCovered = index => ranges.some(r => index >= r.start && index < r.end);
+
+    const words = [];
+    let run = '';
+    for (let i = 0; i <= text.length; i++) {
+      const isKanji = i < text.length && KANJI_PATTERN.test(text[i]);
+      if (isKanji) {
+        total++;
+      }
+      if (isKanji && isCovered(i)) {
+        covered++;
+      } else if (isKanji) {
+        run += text[i];
+        continue;
+      }
+      if (run) {
+        if (!words.includes(run)) {
+          words.push(run);
+        }
+        run = '';
+      }
+    }
+
+    if (words.length > 0) {
+      missing.push({ segmentIndex, words });
+    }
+  });
+
+  return { total, covered, ratio: total > 0 ? covered / total : 1, missing };
+};
+
+/**
+ * Fill in the reading of tokens that have none, from a readings array
+ * A token gets a reading only when the entries cover every kanji in its surface
+ * (e.g. 歩 → ある turns 歩きました into あるきました).
+ * @param {StoryToken[]} tokens
+ * @param {ReadingEntry[]} readings
+ * @returns {StoryToken[]} Updated copies of the tokens
+ */
+const fillTokenReadings = (tokens, readings) =>
+  tokens.map(token => {
+    if (token.reading || !KANJI_PATTERN.test(token.surface)) {
+      return token;
+    }
+    const expanded = expandReadings(token.surface, readings);
+    return Array.from(expanded).some(char => KANJI_PATTERN.test(char))
+      ? token
+      : { ...token, reading: toHiragana(expanded) };
+  });
+
+/**
+ * Add readings returned by a furigana repair job to a story
+ * Entries whose text is already in the segment's readings are skipped. Segments
+ * with tokens also get the readings on the tokens, which is what the Reader shows.
+ * @param {Story} story
+ * @param {ReadingPatch[]} patches
+ * @returns {Story} Updated copy of the story
+ */
+export const applyReadingPatches = (story, patches = []) => {
+  const content = story.content.map((segment, index) => {
+    const additions = patches
+      .filter(patch => patch.segmentIndex === index)
+      .flatMap(patch => patch.readings);
+    if (additions.length === 0) {
+      return segment;
+    }
+
+    const readings = [...(segment.readings || [])];
+    for (const entry of additions) {
+      if (!readings.some(r => r.text === entry.text)) {
+        readings.push(entry);
+      }
+    }
+    return isValidTokenList(segment.tokens, segment.jp)
+      ? { ...segment, readings, tokens: fillTokenReadings(segment.tokens, readings) }
+      : { ...segment, readings };
+  });
+  return { ...story, content };
+};
@@ -0,0 +1,61 @@
+/**
+ * Grammar Utility
+ * Collects the grammar notes attached to story segments into an index of patterns,
+ * so every use of a pattern across the library can be browsed in one place.
+ */
+
+/**
+ * Key used to group notes on the same pattern
+ * Generated patterns vary in the wave dash and spacing (〜てしまう, ~てしまう, てしまう).
+ * @param {string} pattern
+ * @returns {string}
+ */
+export const getPatternKey = pattern => {
+  return (pattern || '').replace(/[〜~～\s]/g, '');
+};
+
+/**
+ * Build the grammar index for a set of stories
+ * @param {Story[]} stories
+ * @returns {GrammarIndexEntry[]} Most used patterns first
+ */
+export const buildGrammarIndex = stories => {
+  const entries = new Map();
+
+  for (const story of stories) {
+    (story.content || []).forEach((segment, segmentIndex) => {
+      for (const note of segment.grammar || []) {
+        const key = getPatternKey(note.pattern);
+        if (!key) {
+          continue;
+        }
+        if (!entries.has(key)) {
+          entries.set(key, {
+            key,
+            pattern: note.pattern,
+            explanation: note.explanation,
+            levels: [],
+            examples: [],
+          });
+        }
+
+        const entry = entries.get(key);
+        if (!entry.levels.includes(story.level)) {
+          entry.levels.push(story.level);
+        }
+        entry.examples.push({
+          storyId: story.id,
+          titleJP: story.titleJP,
+          segmentIndex,
+          span: note.span,
+          jp: segment.jp,
+          explanation: note.explanation,
+        });
+      }
+    });
+  }
+
+  return Array.from(entries.values()).sort(
+    (a, b) => b.examples.length - a.examples.length || a.key.localeCompare(b.key, 'ja')
+  );
+};
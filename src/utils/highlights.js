@@ -0,0 +1,131 @@
+/**
+ * Highlights Utility
+ * Converts text selections in a rendered segment to character offsets in segment.jp
+ * and back, so highlights survive re-renders (furigana on/off, new readings).
+ * Offsets count the base text only: furigana inside <rt> is skipped.
+ */
+
+/**
+ * Text nodes of a rendered segment in document order, furigana excluded
+ * @param {HTMLElement} root - The segment's .segment__jp-text element
+ * @returns {Text[]}
+ */
+const getBaseTextNodes = root => {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: node =>
+      node.parentElement?.closest('rt') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT,
+  });
+  const nodes = [];
+  while (walker.nextNode()) {
+    nodes.push(walker.currentNode);
+  }
+  return nodes;
+};
+
+/**
+ * Character offset of a DOM boundary point within the segment text
+ * @param {HTMLElement} root
+ * @param {Node} container - Range boundary container
+ * @param {number} offset - Range boundary offset
+ * @returns {number}
+ */
+const getTextOffset = (root, container, offset) => {
+  // Measure everything before the boundary point, minus any furigana in it
+  const range = document.createRange();
+  range.setStart(root, 0);
+  range.setEnd(container, offset);
+  const fragment = range.cloneContents();
+  fragment.querySelectorAll('rt').forEach(rt => rt.remove());
+  return fragment.textContent.length;
+};
+
+/**
+ * Leading whitespace the template adds before the segment text
+ * @param {HTMLElement} root
+ * @returns {number}
+ */
+const getLeadingWhitespace = root => {
+  const first = getBaseTextNodes(root)[0];
+  return first ? first.data.length - first.data.trimStart().length : 0;
+};
+
+/**
+ * Convert a selection range to offsets in segment.jp
+ * @param {HTMLElement} root - The segment's .segment__jp-text element
+ * @param {Range} range - Selection range (must lie inside root)
+ * @param {string} text - segment.jp
+ * @returns {{start: number, end: number}|null} Null if nothing but whitespace is selected
+ */
+export const getSelectionOffsets = (root, range, text) => {
+  const padding = getLeadingWhitespace(root);
+  const clamp = value => Math.min(text.length, Math.max(0, value - padding));
+  let start = clamp(getTextOffset(root, range.startContainer, range.startOffset));
+  let end = clamp(getTextOffset(root, range.endContainer, range.endOffset));
+
+  // Trim whitespace picked up at the edges
+  while (start < end && /\s/.test(text[start])) {
+    start++;
+  }
+  while (end > start && /\s/.test(text[end - 1])) {
+    end--;
+  }
+  return end > start ? { start, end } : null;
+};
+
+/**
+ * Base text nodes with their offsets in segment.jp
+ * @param {HTMLElement} root
+ * @returns {Array<{node: Text, start: number, end: number}>}
+ */
+const getTextPieces = root => {
+  let position = -getLeadingWhitespace(root);
+  return getBaseTextNodes(root).map(node => {
+    const piece = { node, start: position, end: position + node.data.length };
+    position = piece.end;
+    return piece;
+  });
+};
+
+/**
+ * Wrap highlighted text in <mark> elements
+ * A highlight crossing word or ruby boundaries becomes several marks sharing an id.
+ * @param {HTMLElement} root - Freshly rendered .segment__jp-text element
+ * @param {Highlight[]} highlights - Highlights for this segment
+ */
+export const applyHighlightMarks = (root, highlights) => {
+  for (const highlight of highlights) {
+    // Re-read the text nodes each time: wrapping splits them
+    for (const { node, start, end } of getTextPieces(root)) {
+      const from = Math.max(highlight.start, start);
+      const to = Math.min(highlight.end, end);
+      if (from >= to) {
+        continue;
+      }
+
+      // Split off the highlighted part of this text node and wrap it
+      const target = node.splitText(from - start);
+      target.splitText(to - from);
+      const mark = document.createElement('mark');
+      mark.className = `highlight${highlight.note ? ' highlight--note' : ''}`;
+      mark.dataset.highlightId = highlight.id;
+      if (highlight.note) {
+        mark.title = highlight.note;
+      }
+      target.parentNode.insertBefore(mark, target);
+      mark.appendChild(target);
+    }
+  }
+};
+
+/**
+ * Escape a note for use in HTML (notes are free text typed by the learner)
+ * @param {string} text
+ * @returns {string}
+ */
+export const escapeHtml = text => {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
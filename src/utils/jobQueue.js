@@ -12,11 +12,12 @@
  * - Create, retry, and cancel jobs
  *
  * @typedef {import('../types.js').Job} Job
- * @typedef {'story_generation' | 'audio_generation' | 'image_generation'} JobType
+ * @typedef {'story_generation' | 'audio_generation' | 'image_generation' | 'furigana_repair' | 'annotate_text'} JobType
  */
 
 import { supabase, getSession } from './supabase.js';
 import { toast } from '../components/Toast.js';
+import { isValidStory } from '../types.js';
 
 class JobQueueManager {
   constructor() {
@@ -275,13 +276,22 @@ class JobQueueManager {
       story_generation: 'Story',
       audio_generation: 'Audio',
       image_generation: 'Image',
+      furigana_repair: 'Furigana',
+      annotate_text: 'Story',
     };
 
+    // Annotated stories are built from the user's own text; check the shape before saving
+    if (job.job_type === 'annotate_text' && job.result && !isValidStory(job.result)) {
+      console.error('Annotated story has invalid structure:', job.result);
+      toast.error('Annotated story has invalid structure');
+      return;
+    }
+
     const typeName = jobTypeNames[job.job_type] || 'Job';
     toast.success(`${typeName} ready!`);
 
     // Store result in appropriate place
-    if (job.job_type === 'story_generation' && job.result) {
+    if ((job.job_type === 'story_generation' || job.job_type === 'annotate_text') && job.result) {
       // Import dynamically to avoid circular dependency
       import('./storage.js')
         .then(({ addStory }) => {
@@ -292,6 +302,20 @@ class JobQueueManager {
           console.error('Failed to save story:', err);
         });
     }
+
+    if (job.job_type === 'furigana_repair' && job.result?.patches) {
+      Promise.all([import('./storage.js'), import('./furigana.js')])
+        .then(([{ getStoredStories, updateStory }, { applyReadingPatches }]) => {
+          const story = getStoredStories().find(s => s.id === job.result.storyId);
+          if (story) {
+            updateStory(applyReadingPatches(story, job.result.patches));
+            console.log('Furigana patched for story:', story.id);
+          }
+        })
+        .catch(err => {
+          console.error('Failed to patch story furigana:', err);
+        });
+    }
   }
 
   /**
@@ -0,0 +1,88 @@
+/**
+ * Kanji Knowledge Utility
+ * Decides which kanji a learner already knows (marked by hand or covered by a
+ * JLPT/grade threshold), so furigana can be limited to the words they still need.
+ */
+
+import { KANJI } from '../data/kanji.js';
+
+const KANJI_PATTERN = /[\u4E00-\u9FFF\u3400-\u4DBF]/g;
+
+/** @type {Map<string, KanjiInfo>} */
+const KANJI_INDEX = new Map(KANJI.map(info => [info.kanji, info]));
+
+/**
+ * Thresholds offered in the settings; kanji at or below the chosen one count as known
+ * @type {Array<{value: string, label: string}>}
+ */
+export const FURIGANA_THRESHOLDS = [
+  { value: '', label: 'None (only kanji I mark)' },
+  { value: 'N5', label: 'JLPT N5' },
+  { value: 'N4', label: 'JLPT N4 and below' },
+  { value: 'N3', label: 'JLPT N3 and below' },
+  { value: 'grade-1', label: 'School grade 1' },
+  { value: 'grade-2', label: 'School grades 1-2' },
+  { value: 'grade-3', label: 'School grades 1-3' },
+  { value: 'grade-4', label: 'School grades 1-4' },
+  { value: 'grade-5', label: 'School grades 1-5' },
+  { value: 'grade-6', label: 'School grades 1-6' },
+];
+
+/**
+ * Look up a kanji's metadata
+ * @param {string} char
+ * @returns {KanjiInfo|null}
+ */
+export const getKanjiInfo = char => KANJI_INDEX.get(char) || null;
+
+/**
+ * Unique kanji in a piece of text, in order of appearance (々 is skipped)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const extractKanji = text => Array.from(new Set((text || '').match(KANJI_PATTERN)));
+
+/**
+ * Whether a kanji is covered by a threshold setting
+ * @param {string} char
+ * @param {string} threshold - 'N5'-'N3', 'grade-1'-'grade-6' or empty
+ * @returns {boolean}
+ */
+const isWithinThreshold = (char, threshold) => {
+  const info = getKanjiInfo(char);
+  if (!info || !threshold) {
+    return false;
+  }
+  if (threshold.startsWith('grade-')) {
+    return info.grade <= Number(threshold.slice('grade-'.length));
+  }
+  // N5 = 5; a lower number is a harder level
+  return info.jlpt !== null && info.jlpt >= Number(threshold.slice(1));
+};
+
+/**
+ * Whether the learner knows a kanji
+ * @param {string} char
+ * @param {UserSettings} settings
+ * @returns {boolean}
+ */
+export const isKanjiKnown = (char, settings) => {
+  return (
+    (settings.knownKanji || []).includes(char) ||
+    isWithinThreshold(char, settings.furiganaThreshold)
+  );
+};
+
+/**
+ * Whether a word should get furigana under the current settings
+ * In 'unknown' mode only words with at least one unknown kanji are annotated.
+ * @param {string} word
+ * @param {UserSettings} settings
+ * @returns {boolean}
+ */
+export const needsFurigana = (word, settings) => {
+  if (settings.furiganaMode !== 'unknown') {
+    return true;
+  }
+  return extractKanji(word).some(char => !isKanjiKnown(char, settings));
+};
@@ -0,0 +1,186 @@
+/**
+ * Pitch Accent Utility
+ * Looks up a word's accent in the bundled dataset and renders its reading with the
+ * high/low pitch line drawn over each mora.
+ */
+
+import { PITCH_ACCENTS } from '../data/pitch.js';
+import { toHiragana } from './romaji.js';
+
+/** Kana only (endings of inflected words) */
+const KANA_PATTERN = /^[\u3041-\u3096ー]*$/;
+
+/**
+ * Part of an inflected word that carries its dictionary form's accent
+ * @typedef {Object} PitchStem
+ * @property {string} lemma - Dictionary form the accent belongs to
+ * @property {number} morae - Morae of the stem at the start of the reading
+ * @property {number} lemmaMorae - Morae of the dictionary form's reading
+ */
+
+/** Small kana that share a mora with the kana before them (きゃ, ファ) */
+const SMALL_KANA_PATTERN = /[ゃゅょぁぃぅぇぉゎャュョァィゥェォヮ]/;
+
+/** Names of the four accent patterns, for the tooltip */
+const PATTERN_NAMES = {
+  heiban: 'heiban (flat)',
+  atamadaka: 'atamadaka (high start)',
+  nakadaka: 'nakadaka (drops mid-word)',
+  odaka: 'odaka (drops after the word)',
+};
+
+/**
+ * Accent of a word: the mora after which the pitch drops, 0 for flat
+ * @param {string} word - Written form (dictionary form for verbs and adjectives)
+ * @param {string} [reading] - Kana reading; kana-only words can leave it out
+ * @returns {number|null} Null when the word isn't in the dataset
+ */
+export const getPitchAccent = (word, reading) => {
+  if (!word) {
+    return null;
+  }
+  const accent = PITCH_ACCENTS[`${word}|${toHiragana(reading || word)}`];
+  return accent === undefined ? null : accent;
+};
+
+/**
+ * Pitch accent of a token as it appears in the text
+ * Inflected verbs and adjectives (行きました, 食べたい) are looked up by their
+ * dictionary form; the accent is then drawn over the stem the two forms share.
+ * @param {StoryToken} token
+ * @returns {{accent: number, stem: PitchStem|null}|null} Null when the word isn't in the dataset
+ */
+export const getTokenPitch = token => {
+  const accent = getPitchAccent(token.surface, token.reading);
+  if (accent !== null) {
+    return { accent, stem: null };
+  }
+
+  const { surface, lemma } = token;
+  if (!lemma || lemma === surface) {
+    return null;
+  }
+  let shared = 0;
+  while (shared < surface.length && surface[shared] === lemma[shared]) {
+    shared++;
+  }
+  // The endings after the shared part must be kana so the reading can be split there
+  const surfaceEnding = toHiragana(surface.slice(shared));
+  const lemmaEnding = toHiragana(lemma.slice(shared));
+  const reading = toHiragana(token.reading || surface);
+  if (shared === 0 || !KANA_PATTERN.test(surfaceEnding + lemmaEnding)) {
+    return null;
+  }
+  if (!reading.endsWith(surfaceEnding) || reading.length === surfaceEnding.length) {
+    return null;
+  }
+
+  const stemReading = reading.slice(0, reading.length - surfaceEnding.length);
+  const lemmaReading = stemReading + lemmaEnding;
+  const lemmaAccent = getPitchAccent(lemma, lemmaReading);
+  if (lemmaAccent === null) {
+    return null;
+  }
+  return {
+    accent: lemmaAccent,
+    stem: {
+      lemma,
+      morae: splitMorae(stemReading).length,
+      lemmaMorae: splitMorae(lemmaReading).length,
+    },
+  };
+};
+
+/**
+ * Split a kana reading into morae (small ゃゅょ join the kana before them; っ, ん
+ * and ー count on their own)
+ * @param {string} reading
+ * @returns {string[]}
+ */
+export const splitMorae = reading => {
+  const morae = [];
+  for (const char of reading) {
+    if (morae.length > 0 && SMALL_KANA_PATTERN.test(char)) {
+      morae[morae.length - 1] += char;
+    } else {
+      morae.push(char);
+    }
+  }
+  return morae;
+};
+
+/**
+ * High/low pitch of each mora, plus one more entry for a particle after the word
+ * (which tells heiban and odaka words apart)
+ * @param {number} moraCount
+ * @param {number} accent
+ * @returns {boolean[]} True for high
+ */
+export const getPitchPattern = (moraCount, accent) => {
+  return Array.from({ length: moraCount + 1 }, (_, i) => {
+    if (accent === 0) {
+      return i > 0;
+    }
+    if (accent === 1) {
+      return i === 0;
+    }
+    return i > 0 && i < accent;
+  });
+};
+
+/**
+ * Name of an accent pattern
+ * @param {number} moraCount
+ * @param {number} accent
+ * @returns {string}
+ */
+const getPatternName = (moraCount, accent) => {
+  if (accent === 0) {
+    return PATTERN_NAMES.heiban;
+  }
+  if (accent === 1) {
+    return PATTERN_NAMES.atamadaka;
+  }
+  return accent >= moraCount ? PATTERN_NAMES.odaka : PATTERN_NAMES.nakadaka;
+};
+
+/**
+ * Render a reading with its pitch line
+ * Each mora is a span drawn along the top (high) or bottom (low) edge, with a
+ * vertical stroke wherever the pitch changes. A trailing empty mora shows the
+ * pitch of a following particle. For an inflected word only the stem is drawn,
+ * following the dictionary form's pattern, and the ending is left plain.
+ * @param {string} reading - Kana reading
+ * @param {number} accent - From getPitchAccent
+ * @param {function(string): string} [formatMora] - Formats each mora's text (e.g. to wrap kana)
+ * @param {PitchStem|null} [stem] - From getTokenPitch, for inflected words
+ * @returns {string} HTML
+ */
+export const renderPitch = (reading, accent, formatMora = text => text, stem = null) => {
+  const morae = splitMorae(reading);
+  const moraCount = stem ? stem.lemmaMorae : morae.length;
+  const drawn = stem ? Math.min(stem.morae, morae.length) : morae.length;
+  const pattern = getPitchPattern(moraCount, accent);
+
+  const html = pattern
+    .slice(0, drawn)
+    .map((isHigh, i) => {
+      const classes = [
+        'pitch__mora',
+        isHigh ? 'pitch__mora--high' : 'pitch__mora--low',
+        pattern[i + 1] !== isHigh ? 'pitch__mora--change' : '',
+      ]
+        .filter(Boolean)
+        .join(' ');
+      return `<span class="${classes}">${formatMora(morae[i])}</span>`;
+    })
+    .join('');
+  const rest = stem
+    ? morae.slice(drawn).map(formatMora).join('')
+    : `<span class="pitch__mora ${pattern[drawn] ? 'pitch__mora--high' : 'pitch__mora--low'} pitch__mora--particle" aria-hidden="true"></span>`;
+
+  const title = stem
+    ? `Pitch accent of ${stem.lemma} [${accent}]: ${getPatternName(moraCount, accent)}`
+    : `Pitch accent [${accent}]: ${getPatternName(moraCount, accent)}`;
+  return `<span class="pitch" title="${title}">${html}${rest}</span>`;
+};
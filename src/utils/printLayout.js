@@ -0,0 +1,198 @@
+/**
+ * Print Layout Utility
+ * Lays a story out as a printable handout (story with furigana, optional English,
+ * vocabulary list, comprehension questions and an answer key on the last page).
+ * The handout is its own document styled by styles/print.css, printed from a hidden
+ * frame so the interactive Reader DOM never reaches the page.
+ */
+
+import printStyles from '../styles/print.css?inline';
+import { renderRuby } from './furigana.js';
+import { getSegmentTokens } from './tokenizer.js';
+import { collectVocab } from './srs.js';
+
+const FONTS_URL = 'https://fonts.googleapis.com/css2?family=Noto+Sans+JP:wght@400;700&display=swap';
+
+const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+/**
+ * @typedef {Object} PrintOptions
+ * @property {boolean} [furigana=true] - Ruby readings over every word with kanji
+ * @property {boolean} [english=false] - English translation under each paragraph
+ * @property {boolean} [vocab=true] - Vocabulary list after the story
+ * @property {boolean} [questions=true] - Comprehension questions and the answer key
+ */
+
+/**
+ * Helper: A segment's Japanese with ruby over each word that has a reading
+ * @param {StoryContent} segment
+ * @param {boolean} furigana
+ */
+const renderSegmentJapanese = (segment, furigana) => {
+  if (!furigana) {
+    return segment.jp;
+  }
+  return getSegmentTokens(segment)
+    .map(token => (token.reading ? renderRuby(token.surface, token.reading) : token.surface))
+    .join('');
+};
+
+/**
+ * Helper: Vocabulary table
+ * @param {VocabularyEntry[]} vocab
+ */
+const renderVocabSection = vocab => `
+  <section class="print-section">
+    <h2>Vocabulary</h2>
+    <table class="print-vocab">
+      <thead>
+        <tr><th>Word</th><th>Reading</th><th>Meaning</th></tr>
+      </thead>
+      <tbody>
+        ${vocab
+          .map(
+            v => `
+          <tr>
+            <td class="print-vocab__word">${v.word}</td>
+            <td class="print-vocab__reading">${v.reading || ''}</td>
+            <td>${v.meaning}</td>
+          </tr>
+        `
+          )
+          .join('')}
+      </tbody>
+    </table>
+  </section>
+`;
+
+/**
+ * Helper: Questions with lettered options, then the answer key on a new page
+ * @param {ComprehensionQuestion[]} questions
+ */
+const renderQuestionSections = questions => `
+  <section class="print-section">
+    <h2>Comprehension Questions</h2>
+    <ol class="print-questions">
+      ${questions
+        .map(
+          q => `
+        <li class="print-question">
+          ${q.question}
+          <ol class="print-question__options">
+            ${q.options.map(option => `<li>${option}</li>`).join('')}
+          </ol>
+        </li>
+      `
+        )
+        .join('')}
+    </ol>
+  </section>
+
+  <section class="print-section print-answers">
+    <h2>Answer Key</h2>
+    <ol class="print-answers__list">
+      ${questions
+        .map(
+          q => `
+        <li>
+          <strong>${OPTION_LETTERS[q.answer]}.</strong> ${q.options[q.answer]}
+          ${q.explanation ? `<span class="print-answers__explanation">— ${q.explanation}</span>` : ''}
+        </li>
+      `
+        )
+        .join('')}
+    </ol>
+  </section>
+`;
+
+/**
+ * Build the printable handout for a story
+ * @param {Story} story
+ * @param {PrintOptions} [options]
+ * @returns {string} A complete HTML document
+ */
+export const buildPrintDocument = (
+  story,
+  { furigana = true, english = false, vocab = true, questions = true } = {}
+) => {
+  const vocabList = vocab ? collectVocab([story]).map(entry => entry.vocab) : [];
+  const questionList = questions ? story.questions || [] : [];
+
+  return `<!doctype html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <title>${story.titleJP} – ${story.titleEN}</title>
+  <link rel="stylesheet" href="${FONTS_URL}">
+  <style>${printStyles}</style>
+</head>
+<body>
+  <header class="print-header">
+    <h1 class="print-header__title">${story.titleJP}</h1>
+    <p class="print-header__subtitle">${story.titleEN}</p>
+    <p class="print-header__meta">${story.level}${story.readTime ? ` · ${story.readTime} min read` : ''}</p>
+    <div class="print-header__fields">
+      <span class="print-header__field">Name:</span>
+      <span class="print-header__field">Date:</span>
+    </div>
+  </header>
+
+  <ol class="print-story">
+    ${(story.content || [])
+      .map(
+        segment => `
+      <li class="print-segment">
+        <p class="print-segment__jp">${renderSegmentJapanese(segment, furigana)}</p>
+        ${english ? `<p class="print-segment__en">${segment.en}</p>` : ''}
+      </li>
+    `
+      )
+      .join('')}
+  </ol>
+
+  ${vocabList.length > 0 ? renderVocabSection(vocabList) : ''}
+  ${questionList.length > 0 ? renderQuestionSections(questionList) : ''}
+</body>
+</html>`;
+};
+
+/**
+ * Open the print dialog for a story's handout (where the learner can also save it
+ * as a PDF)
+ * @param {Story} story
+ * @param {PrintOptions} [options]
+ * @returns {Promise<void>} Resolves once the dialog has closed
+ */
+export const printStory = (story, options) => {
+  document.querySelectorAll('.print-frame').forEach(frame => frame.remove());
+
+  const frame = document.createElement('iframe');
+  frame.className = 'print-frame';
+  frame.setAttribute('aria-hidden', 'true');
+  Object.assign(frame.style, {
+    position: 'fixed',
+    width: '0',
+    height: '0',
+    border: '0',
+  });
+  frame.srcdoc = buildPrintDocument(story, options);
+
+  return new Promise(resolve => {
+    frame.addEventListener(
+      'load',
+      async () => {
+        const win = frame.contentWindow;
+        win.addEventListener('afterprint', () => {
+          frame.remove();
+          resolve();
+        });
+        // Lay out with the Japanese web font rather than a fallback
+        await win.document.fonts.ready;
+        win.focus();
+        win.print();
+      },
+      { once: true }
+    );
+    document.body.appendChild(frame);
+  });
+};
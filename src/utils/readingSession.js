@@ -0,0 +1,169 @@
+/**
+ * Reading Session Utility
+ * Measures active reading time in the Reader (pausing while the tab is hidden or the
+ * learner is idle) and summarises logged sessions into a reading speed trend per level.
+ */
+
+import { createEventManager } from './componentBase.js';
+import { STORY_LEVELS } from '../types.js';
+
+/** No input for this long pauses the clock */
+export const IDLE_TIMEOUT_MS = 60 * 1000;
+
+/** Sessions shorter than this are not logged (opening a story by accident, etc.) */
+export const MIN_SESSION_MS = 15 * 1000;
+
+/** Sessions shown per level in the trend */
+const TREND_LENGTH = 10;
+
+const ACTIVITY_EVENTS = ['scroll', 'wheel', 'keydown', 'pointerdown', 'pointermove', 'touchstart'];
+
+/**
+ * Count the characters of a piece of Japanese text that are actually read
+ * (whitespace and punctuation are skipped)
+ * @param {string} text
+ * @returns {number}
+ */
+export const countReadableChars = text => {
+  return (text || '').replace(/[\s。、！？!?「」『』（）()・…ー〜]/g, '').length;
+};
+
+/**
+ * Track active reading time
+ * The clock runs while the page is visible and the learner has interacted within
+ * IDLE_TIMEOUT_MS. When it goes idle, time is only counted up to the last interaction.
+ * @returns {{ping: Function, stop: Function, getActiveMs: Function, startedAt: number}}
+ */
+export const createReadingTracker = () => {
+  const events = createEventManager();
+  const startedAt = Date.now();
+  let activeMs = 0;
+  let resumedAt = null;
+  let lastActivityAt = startedAt;
+  let idleTimer = null;
+  let isStopped = false;
+
+  /**
+   * Stop the clock, counting time up to `until`
+   * @param {number} until - Timestamp
+   */
+  const pause = until => {
+    clearTimeout(idleTimer);
+    if (resumedAt !== null) {
+      activeMs += Math.max(0, until - resumedAt);
+      resumedAt = null;
+    }
+  };
+
+  /**
+   * Record activity (also used by the Reader while audio is playing)
+   */
+  const ping = () => {
+    if (isStopped || document.hidden) {
+      return;
+    }
+    lastActivityAt = Date.now();
+    if (resumedAt === null) {
+      resumedAt = lastActivityAt;
+    }
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => pause(lastActivityAt), IDLE_TIMEOUT_MS);
+  };
+
+  const handleVisibilityChange = () => {
+    if (document.hidden) {
+      pause(Date.now());
+    } else {
+      ping();
+    }
+  };
+
+  events.on(document, 'visibilitychange', handleVisibilityChange);
+  ACTIVITY_EVENTS.forEach(type => events.on(window, type, ping, { passive: true }));
+  ping();
+
+  return {
+    ping,
+    startedAt,
+
+    /**
+     * Active milliseconds so far
+     * @returns {number}
+     */
+    getActiveMs: () => activeMs + (resumedAt !== null ? Date.now() - resumedAt : 0),
+
+    /**
+     * Stop tracking and detach listeners
+     * @returns {number} Total active milliseconds
+     */
+    stop: () => {
+      if (!isStopped) {
+        isStopped = true;
+        pause(Date.now());
+        events.cleanup();
+      }
+      return activeMs;
+    },
+  };
+};
+
+/**
+ * Build a session record, or null when there is too little to log
+ * @param {Object} data
+ * @param {Story} data.story
+ * @param {number} data.startedAt - Timestamp
+ * @param {number} data.activeMs - Active reading time
+ * @param {number} data.charsRead - Characters of Japanese read
+ * @returns {ReadingSession|null}
+ */
+export const buildReadingSession = ({ story, startedAt, activeMs, charsRead }) => {
+  if (activeMs < MIN_SESSION_MS || charsRead <= 0) {
+    return null;
+  }
+  return {
+    id: `session-${startedAt}-${Math.random().toString(36).slice(2, 8)}`,
+    storyId: story.id,
+    level: story.level,
+    startedAt,
+    endedAt: Date.now(),
+    activeMs,
+    charsRead,
+    cpm: Math.round(charsRead / (activeMs / 60000)),
+  };
+};
+
+/**
+ * Reading speed trend per level
+ * @param {ReadingSession[]} sessions - Logged sessions (any order)
+ * @returns {SpeedTrend[]} One entry per level, in STORY_LEVELS order
+ */
+export const getSpeedTrend = sessions => {
+  const byLevel = new Map();
+  [...sessions]
+    .sort((a, b) => a.startedAt - b.startedAt)
+    .forEach(session => {
+      if (!byLevel.has(session.level)) {
+        byLevel.set(session.level, []);
+      }
+      byLevel.get(session.level).push(session);
+    });
+
+  // Weighted by time, so a short burst doesn't skew the average
+  const averageCpm = list => {
+    const ms = list.reduce((sum, s) => sum + s.activeMs, 0);
+    const chars = list.reduce((sum, s) => sum + s.charsRead, 0);
+    return ms > 0 ? Math.round(chars / (ms / 60000)) : 0;
+  };
+
+  return Array.from(byLevel, ([level, list]) => {
+    const recent = list.slice(-TREND_LENGTH);
+    const half = Math.floor(recent.length / 2);
+    return {
+      level,
+      sessions: recent,
+      averageCpm: averageCpm(list),
+      change: half > 0 ? averageCpm(recent.slice(half)) - averageCpm(recent.slice(0, half)) : 0,
+      totalMs: list.reduce((sum, s) => sum + s.activeMs, 0),
+    };
+  }).sort((a, b) => STORY_LEVELS.indexOf(a.level) - STORY_LEVELS.indexOf(b.level));
+};
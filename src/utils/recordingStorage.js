@@ -0,0 +1,96 @@
+/**
+ * Recording Storage Utility
+ * Uses the Cache API to store the learner's shadowing recordings,
+ * one per story segment. Recordings stay on this device only.
+ */
+
+const RECORDING_CACHE_NAME = 'nihongo-recordings-v1';
+
+/**
+ * Build the cache key for a segment recording
+ * @param {string} storyId
+ * @param {number} segmentIndex
+ * @returns {string}
+ */
+const getRecordingKey = (storyId, segmentIndex) => `/recordings/${storyId}/segment-${segmentIndex}`;
+
+/**
+ * Get the saved recording for a story segment
+ * @param {string} storyId
+ * @param {number} segmentIndex
+ * @returns {Promise<Blob|null>} The recorded audio or null
+ */
+export const getRecording = async (storyId, segmentIndex) => {
+  try {
+    const cache = await caches.open(RECORDING_CACHE_NAME);
+    const response = await cache.match(getRecordingKey(storyId, segmentIndex));
+    return response ? await response.blob() : null;
+  } catch (error) {
+    console.warn('Recording lookup failed:', error);
+    return null;
+  }
+};
+
+/**
+ * Save a recording for a story segment (replaces any previous take)
+ * @param {string} storyId
+ * @param {number} segmentIndex
+ * @param {Blob} blob
+ * @returns {Promise<boolean>}
+ */
+export const saveRecording = async (storyId, segmentIndex, blob) => {
+  try {
+    const cache = await caches.open(RECORDING_CACHE_NAME);
+    const response = new Response(blob, {
+      headers: { 'Content-Type': blob.type || 'audio/webm' },
+    });
+    await cache.put(getRecordingKey(storyId, segmentIndex), response);
+    return true;
+  } catch (error) {
+    console.warn('Failed to save recording:', error);
+    return false;
+  }
+};
+
+/**
+ * Delete the recording for a story segment
+ * @param {string} storyId
+ * @param {number} segmentIndex
+ * @returns {Promise<boolean>}
+ */
+export const deleteRecording = async (storyId, segmentIndex) => {
+  try {
+    const cache = await caches.open(RECORDING_CACHE_NAME);
+    return await cache.delete(getRecordingKey(storyId, segmentIndex));
+  } catch (error) {
+    console.warn('Failed to delete recording:', error);
+    return false;
+  }
+};
+
+/**
+ * Clear all saved recordings
+ * @returns {Promise<boolean>}
+ */
+export const clearRecordings = async () => {
+  try {
+    return await caches.delete(RECORDING_CACHE_NAME);
+  } catch (error) {
+    console.error('Failed to clear recordings:', error);
+    return false;
+  }
+};
+
+/**
+ * Get count of saved recordings
+ * @returns {Promise<number>}
+ */
+export const getRecordingCount = async () => {
+  try {
+    const cache = await caches.open(RECORDING_CACHE_NAME);
+    const keys = await cache.keys();
+    return keys.length;
+  } catch {
+    return 0;
+  }
+};
@@ -0,0 +1,384 @@
+/**
+ * Romaji Utility
+ * Converts typed romaji to kana (IME-style) and kana back to Hepburn romaji, both
+ * built from the kana chart in KANA_DATA. Lowercase input becomes hiragana,
+ * uppercase input becomes katakana.
+ */
+
+import { KANA_DATA } from '../data/kana.js';
+
+const SMALL_YA = { a: 'ゃ', u: 'ゅ', o: 'ょ' };
+
+/**
+ * Spellings not in the kana chart (alternative romanisations, small kana, foreign sounds)
+ */
+const EXTRA_SPELLINGS = {
+  si: 'し',
+  ti: 'ち',
+  tu: 'つ',
+  hu: 'ふ',
+  zi: 'じ',
+  di: 'ぢ',
+  du: 'づ',
+  sya: 'しゃ',
+  syu: 'しゅ',
+  syo: 'しょ',
+  tya: 'ちゃ',
+  tyu: 'ちゅ',
+  tyo: 'ちょ',
+  cya: 'ちゃ',
+  cyu: 'ちゅ',
+  cyo: 'ちょ',
+  zya: 'じゃ',
+  zyu: 'じゅ',
+  zyo: 'じょ',
+  jya: 'じゃ',
+  jyu: 'じゅ',
+  jyo: 'じょ',
+  fa: 'ふぁ',
+  fi: 'ふぃ',
+  fe: 'ふぇ',
+  fo: 'ふぉ',
+  she: 'しぇ',
+  che: 'ちぇ',
+  je: 'じぇ',
+  thi: 'てぃ',
+  dhi: 'でぃ',
+  xa: 'ぁ',
+  xi: 'ぃ',
+  xu: 'ぅ',
+  xe: 'ぇ',
+  xo: 'ぉ',
+  la: 'ぁ',
+  li: 'ぃ',
+  lu: 'ぅ',
+  le: 'ぇ',
+  lo: 'ぉ',
+  xya: 'ゃ',
+  xyu: 'ゅ',
+  xyo: 'ょ',
+  lya: 'ゃ',
+  lyu: 'ゅ',
+  lyo: 'ょ',
+  xtu: 'っ',
+  xtsu: 'っ',
+  ltu: 'っ',
+  ltsu: 'っ',
+  "n'": 'ん',
+  '-': 'ー',
+  '.': '。',
+  ',': '、',
+  '?': '？',
+  '!': '！',
+  '[': '「',
+  ']': '」',
+  '~': '〜',
+};
+
+/**
+ * Build the romaji → hiragana table once
+ * @returns {Map<string, string>}
+ */
+const buildTable = () => {
+  const table = new Map();
+
+  // Basic, dakuten and handakuten kana (first spelling wins: ji → じ, zu → ず)
+  for (const { kana, romaji } of KANA_DATA.hiraganaflat) {
+    if (!table.has(romaji)) {
+      table.set(romaji, kana);
+    }
+  }
+
+  // Yōon from every i-column kana: ki → kya/kyu/kyo, shi → sha/shu/sho, ji → ja/ju/jo
+  for (const { kana, romaji } of KANA_DATA.hiraganaflat) {
+    if (romaji.length < 2 || !romaji.endsWith('i') || table.get(romaji) !== kana) {
+      continue;
+    }
+    const consonant = romaji.slice(0, -1);
+    const prefix = consonant.endsWith('h') || consonant === 'j' ? consonant : `${consonant}y`;
+    for (const [vowel, small] of Object.entries(SMALL_YA)) {
+      if (!table.has(prefix + vowel)) {
+        table.set(prefix + vowel, kana + small);
+      }
+    }
+  }
+
+  for (const [romaji, kana] of Object.entries(EXTRA_SPELLINGS)) {
+    table.set(romaji, kana);
+  }
+
+  return table;
+};
+
+const ROMAJI_TABLE = buildTable();
+const MAX_KEY_LENGTH = Math.max(...Array.from(ROMAJI_TABLE.keys(), key => key.length));
+
+/**
+ * Convert hiragana to katakana (other characters are left as-is)
+ * @param {string} text
+ * @returns {string}
+ */
+export const toKatakana = text => {
+  return text.replace(/[ぁ-ゖ]/g, char => String.fromCharCode(char.charCodeAt(0) + 0x60));
+};
+
+/**
+ * Convert katakana to hiragana (other characters are left as-is)
+ * @param {string} text
+ * @returns {string}
+ */
+export const toHiragana = text => {
+  return text.replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+};
+
+/**
+ * Convert romaji to kana
+ * Text that is already kana/kanji passes through untouched, so the function can be
+ * re-applied to an input field's whole value on every keystroke. Unfinished romaji
+ * (e.g. a trailing "ky") is kept until more letters arrive.
+ * @param {string} input - Text typed by the learner
+ * @param {Object} [options]
+ * @param {boolean} [options.final=false] - Also convert a trailing "n" to ん
+ * @returns {string}
+ */
+export const toKana = (input, { final = false } = {}) => {
+  if (!input) {
+    return '';
+  }
+
+  let output = '';
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+    const lower = char.toLowerCase();
+    const next = input[i + 1]?.toLowerCase();
+    const convert = kana => (char !== lower ? toKatakana(kana) : kana);
+
+    // Sokuon: a doubled consonant (kka → っか, tchi → っち)
+    if (
+      /[bcdfghjkmpqrstvwxyz]/.test(lower) &&
+      (next === lower || (lower === 't' && next === 'c'))
+    ) {
+      output += convert('っ');
+      i++;
+      continue;
+    }
+
+    // nn: ん, but keep one n for the next kana when a vowel follows (konnichiha → こんにちは)
+    if (lower === 'n' && next === 'n') {
+      const after = input[i + 2]?.toLowerCase();
+      if (after === undefined && !final) {
+        output += input.slice(i, i + 2); // Wait for the next letter
+        i += 2;
+      } else {
+        output += convert('ん');
+        i += after && /[aiueoy]/.test(after) ? 1 : 2;
+      }
+      continue;
+    }
+
+    // ん before a consonant or punctuation (kanji → かんじ), but not before a vowel/y (kana → かな)
+    if (lower === 'n' && next && !/[aiueoy']/.test(next)) {
+      output += convert('ん');
+      i++;
+      continue;
+    }
+
+    // Longest matching spelling
+    let matched = false;
+    for (let length = Math.min(MAX_KEY_LENGTH, input.length - i); length > 0; length--) {
+      const kana = ROMAJI_TABLE.get(input.slice(i, i + length).toLowerCase());
+      if (kana && !(length === 1 && lower === 'n')) {
+        output += convert(kana);
+        i += length;
+        matched = true;
+        break;
+      }
+    }
+    if (matched) {
+      continue;
+    }
+
+    if (lower === 'n' && i === input.length - 1 && final) {
+      output += convert('ん');
+    } else {
+      output += char;
+    }
+    i++;
+  }
+
+  return output;
+};
+
+/**
+ * Kana not in the chart, or read differently from it, when romanising:
+ * を is always the object particle (o), small kana on their own, and the
+ * extended katakana sounds (written here in hiragana)
+ */
+const EXTRA_READINGS = {
+  を: 'o',
+  ゔ: 'vu',
+  ぁ: 'a',
+  ぃ: 'i',
+  ぅ: 'u',
+  ぇ: 'e',
+  ぉ: 'o',
+  ゃ: 'ya',
+  ゅ: 'yu',
+  ょ: 'yo',
+  ゎ: 'wa',
+  ふぁ: 'fa',
+  ふぃ: 'fi',
+  ふぇ: 'fe',
+  ふぉ: 'fo',
+  てぃ: 'ti',
+  でぃ: 'di',
+  とぅ: 'tu',
+  どぅ: 'du',
+  うぃ: 'wi',
+  うぇ: 'we',
+  うぉ: 'wo',
+  ゔぁ: 'va',
+  ゔぃ: 'vi',
+  ゔぇ: 've',
+  ゔぉ: 'vo',
+  しぇ: 'she',
+  ちぇ: 'che',
+  じぇ: 'je',
+  つぁ: 'tsa',
+};
+
+/** Japanese punctuation in romaji text */
+const PUNCTUATION = {
+  '。': '. ',
+  '、': ', ',
+  '！': '! ',
+  '？': '? ',
+  '「': ' “',
+  '」': '” ',
+  '『': ' “',
+  '』': '” ',
+  '（': ' (',
+  '）': ') ',
+  '・': ' ',
+  '〜': '~',
+  '　': ' ',
+};
+
+/**
+ * Build the hiragana → romaji table once
+ * @returns {Map<string, string>}
+ */
+const buildReadingTable = () => {
+  const table = new Map();
+
+  // Chart kana (first spelling wins, so ぢ/づ read ji/zu like じ/ず)
+  for (const { kana, romaji } of KANA_DATA.hiraganaflat) {
+    if (!table.has(kana)) {
+      table.set(kana, romaji);
+    }
+  }
+
+  // Yōon: i-column kana + small ya/yu/yo (きゃ → kya, しゃ → sha, じゃ → ja)
+  for (const { kana, romaji } of KANA_DATA.hiraganaflat) {
+    if (romaji.length < 2 || !romaji.endsWith('i')) {
+      continue;
+    }
+    const consonant = romaji.slice(0, -1);
+    const prefix = consonant.endsWith('h') || consonant === 'j' ? consonant : `${consonant}y`;
+    for (const [vowel, small] of Object.entries(SMALL_YA)) {
+      table.set(kana + small, prefix + vowel);
+    }
+  }
+
+  for (const [kana, romaji] of Object.entries(EXTRA_READINGS)) {
+    table.set(kana, romaji);
+  }
+
+  return table;
+};
+
+const READING_TABLE = buildReadingTable();
+
+/**
+ * Convert kana to Hepburn romaji
+ * - Yōon and extended katakana sounds are read as one syllable (きょう → kyou, ティ → ti)
+ * - っ doubles the next consonant (がっこう → gakkou, まっちゃ → matcha)
+ * - ん is written n' before a vowel or y (きんえん → kin'en)
+ * - Long vowels are written out twice, whether spelled in kana or with ー
+ *   (おかあさん → okaasan, とうきょう → toukyou, コーヒー → koohii)
+ * - を is always o; は and へ are read wa/e only at the positions given in
+ *   options.particles, since a kana string alone can't say which ones are particles
+ * Particles are set off by spaces. Kanji and other characters pass through unchanged.
+ * @param {string} text - Kana text (hiragana or katakana)
+ * @param {Object} [options]
+ * @param {Set<number>} [options.particles] - Indexes of は/へ used as particles
+ * @returns {string}
+ */
+export const toRomaji = (text, { particles = new Set() } = {}) => {
+  if (!text) {
+    return '';
+  }
+
+  const kana = toHiragana(text);
+  let output = '';
+  let geminate = false;
+  let i = 0;
+
+  while (i < kana.length) {
+    const char = kana[i];
+
+    if (particles.has(i) && (char === 'は' || char === 'へ')) {
+      output += char === 'は' ? ' wa ' : ' e ';
+      geminate = false;
+      i++;
+      continue;
+    }
+
+    if (char === 'っ') {
+      geminate = true;
+      i++;
+      continue;
+    }
+
+    if (char === 'ー') {
+      const vowel = output.slice(-1);
+      output += /[aiueo]/.test(vowel) ? vowel : '';
+      i++;
+      continue;
+    }
+
+    // Two-kana syllables first (yōon, extended sounds)
+    const pair = READING_TABLE.get(kana.slice(i, i + 2));
+    const single = READING_TABLE.get(char);
+    let romaji = pair || single;
+    if (!romaji) {
+      output += PUNCTUATION[char] ?? char;
+      geminate = false;
+      i++;
+      continue;
+    }
+
+    if (geminate) {
+      romaji = romaji.startsWith('ch') ? `t${romaji}` : romaji[0] + romaji;
+      geminate = false;
+    }
+    if (char === 'ん') {
+      // を is set off by a space, so it needs no apostrophe
+      const next = kana[i + 1] !== 'を' && READING_TABLE.get(kana[i + 1]);
+      romaji = next && /^[aiueoy]/.test(next) ? "n'" : 'n';
+    }
+    if (char === 'を') {
+      romaji = ' o ';
+    }
+
+    output += romaji;
+    i += pair ? 2 : 1;
+  }
+
+  return output
+    .replace(/ +/g, ' ')
+    .replace(/ ([.,!?)”])/g, '$1')
+    .trim();
+};
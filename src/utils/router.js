@@ -12,6 +12,9 @@ const routes = {
   '/queue': () => import('../pages/Queue.js'),
   '/settings': () => import('../pages/Settings.js'),
   '/kana': () => import('../pages/KanaChart.js'),
+  '/review': () => import('../pages/Review.js'),
+  '/notes': () => import('../pages/Notes.js'),
+  '/grammar': () => import('../pages/Grammar.js'),
 };
 
 let rootElement = null;
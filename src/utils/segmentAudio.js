@@ -0,0 +1,52 @@
+/**
+ * Segment Audio Utility
+ * Loads a story's cached HQ audio into memory so single segments can be
+ * replayed on their own (shadowing and dictation practice).
+ */
+
+import { getCachedAudioBlob, getSegmentTimings, estimateSegmentTimings } from './audio.js';
+import { decodeAudioBlob, playBufferRange } from './waveform.js';
+
+/**
+ * Decode a story's HQ audio and work out where each segment sits in it
+ * Falls back to length-based estimates for audio generated without timings.
+ * @param {Story} story
+ * @returns {Promise<{buffer: AudioBuffer, timings: SegmentTiming[]}|null>}
+ *   null if the audio isn't cached on this device or can't be decoded
+ */
+export const loadSegmentAudio = async story => {
+  const blob = await getCachedAudioBlob(story.id);
+  if (!blob) {
+    return null;
+  }
+
+  try {
+    const buffer = await decodeAudioBlob(blob);
+    const loaded = await getSegmentTimings(story.id);
+    const timings =
+      loaded?.length === story.content.length
+        ? loaded
+        : estimateSegmentTimings(
+            story.content.map(segment => segment.jp),
+            buffer.duration
+          );
+    return { buffer, timings };
+  } catch (error) {
+    console.warn('Failed to load segment audio:', error);
+    return null;
+  }
+};
+
+/**
+ * Play a single segment
+ * @param {{buffer: AudioBuffer, timings: SegmentTiming[]}} segmentAudio - From loadSegmentAudio
+ * @param {number} index - Segment index
+ * @returns {{finished: Promise<void>, stop: Function}|null}
+ */
+export const playSegment = (segmentAudio, index) => {
+  const timing = segmentAudio?.timings[index];
+  if (!timing) {
+    return null;
+  }
+  return playBufferRange(segmentAudio.buffer, timing.start, timing.end);
+};
@@ -0,0 +1,65 @@
+/**
+ * Sentence Utility
+ * Splits pasted Japanese text (a news article, a blog post) into story segments:
+ * one per sentence, with quoted speech kept whole and each line break ending a
+ * segment so headlines and list items stand on their own.
+ */
+
+/** Characters that end a sentence */
+const SENTENCE_END = /[。．！？!?…]/;
+
+/** Opening brackets whose contents are never split */
+const OPENING = '「『（(【〈《';
+
+/** Closing brackets, matched by position with OPENING */
+const CLOSING = '」』）)】〉》';
+
+/**
+ * Split text into sentences
+ * Trailing punctuation and closing brackets stay with the sentence they end.
+ * @param {string} text
+ * @returns {string[]} Trimmed, non-empty sentences in order
+ */
+export const splitSentences = text => {
+  const sentences = [];
+
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const chars = Array.from(line);
+    let current = '';
+    let depth = 0;
+
+    for (let i = 0; i < chars.length; i++) {
+      const char = chars[i];
+      current += char;
+
+      if (OPENING.includes(char)) {
+        depth++;
+      } else if (CLOSING.includes(char)) {
+        depth = Math.max(0, depth - 1);
+      }
+
+      if (depth === 0 && SENTENCE_END.test(char)) {
+        // Take any further marks and closing brackets (e.g. "？！", "。）")
+        while (
+          i + 1 < chars.length &&
+          (SENTENCE_END.test(chars[i + 1]) || CLOSING.includes(chars[i + 1]))
+        ) {
+          current += chars[++i];
+        }
+        sentences.push(current);
+        current = '';
+      }
+    }
+    sentences.push(current);
+  }
+
+  // Full-width spaces count as whitespace for trim()
+  return sentences.map(sentence => sentence.trim()).filter(Boolean);
+};
+
+/**
+ * Character count of some text, ignoring whitespace
+ * @param {string} text
+ * @returns {number}
+ */
+export const countCharacters = text => Array.from(String(text || '').replace(/\s/g, '')).length;
@@ -0,0 +1,215 @@
+/**
+ * Spaced Repetition Scheduler
+ * SM-2 style scheduling for vocabulary deck cards.
+ *
+ * @typedef {import('../types.js').DeckCard} DeckCard
+ * @typedef {import('../types.js').ReviewGrade} ReviewGrade
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Minimum ease factor allowed by SM-2 */
+const MIN_EASE = 1.3;
+
+/** Ease factor assigned to new cards */
+export const DEFAULT_EASE = 2.5;
+
+/** Maximum number of never-reviewed cards introduced per day */
+export const NEW_CARDS_PER_DAY = 20;
+
+/**
+ * SM-2 quality score (0-5) for each answer button
+ * @type {Record<ReviewGrade, number>}
+ */
+export const GRADE_QUALITY = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5,
+};
+
+/** @type {ReviewGrade[]} */
+export const REVIEW_GRADES = ['again', 'hard', 'good', 'easy'];
+
+/**
+ * Build the deck card id used for de-duplication
+ * @param {string} word - Japanese word
+ * @param {string} [reading=''] - Kana reading
+ * @returns {string}
+ */
+export const getCardId = (word, reading = '') => `${word}|${reading}`;
+
+/**
+ * Vocabulary notes across stories, keeping only the first use of each word+reading
+ * @param {import('../types.js').Story[]} stories
+ * @returns {{ vocab: import('../types.js').VocabularyEntry, story: import('../types.js').Story, segmentIndex: number }[]}
+ *   In story and segment order
+ */
+export const collectVocab = stories => {
+  const seen = new Set();
+  const entries = [];
+  for (const story of stories) {
+    (story.content || []).forEach((segment, segmentIndex) => {
+      for (const vocab of segment.vocab || []) {
+        const id = getCardId(vocab.word, vocab.reading);
+        if (!seen.has(id)) {
+          seen.add(id);
+          entries.push({ vocab, story, segmentIndex });
+        }
+      }
+    });
+  }
+  return entries;
+};
+
+/**
+ * Create a fresh deck card from a vocabulary entry
+ * @param {import('../types.js').VocabularyEntry} vocab - Vocabulary entry from a story segment
+ * @param {{ storyId?: string, sentence?: string, translation?: string }} [source] - Where it was saved from
+ * @returns {DeckCard}
+ */
+export const createCard = (vocab, source = {}) => {
+  const now = Date.now();
+  return {
+    id: getCardId(vocab.word, vocab.reading),
+    word: vocab.word,
+    reading: vocab.reading || '',
+    meaning: vocab.meaning || '',
+    storyId: source.storyId || null,
+    sentence: source.sentence || '',
+    translation: source.translation || '',
+    repetitions: 0,
+    interval: 0,
+    easeFactor: DEFAULT_EASE,
+    lapses: 0,
+    dueAt: now,
+    introducedAt: null,
+    lastReviewedAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Whether a card has never been reviewed
+ * @param {DeckCard} card
+ * @returns {boolean}
+ */
+export const isNewCard = card => !card.lastReviewedAt;
+
+/**
+ * Compute the next scheduling state for a card (pure, does not mutate)
+ * @param {DeckCard} card - Card being reviewed
+ * @param {ReviewGrade} grade - Answer button pressed
+ * @param {number} [now=Date.now()] - Review timestamp
+ * @returns {DeckCard} Updated card
+ */
+export const scheduleCard = (card, grade, now = Date.now()) => {
+  const quality = GRADE_QUALITY[grade] ?? GRADE_QUALITY.good;
+
+  let { repetitions, interval, easeFactor, lapses } = card;
+
+  if (quality < 3) {
+    // Failed recall: start the learning ladder again
+    repetitions = 0;
+    interval = 1;
+    lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easeFactor);
+    }
+    if (grade === 'easy') {
+      interval = Math.round(interval * 1.3);
+    }
+  }
+
+  easeFactor = Math.max(
+    MIN_EASE,
+    easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    ...card,
+    repetitions,
+    interval,
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    lapses,
+    dueAt: now + interval * DAY_MS,
+    introducedAt: card.introducedAt || now,
+    lastReviewedAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Preview the interval (in days) each grade would produce
+ * @param {DeckCard} card
+ * @returns {Record<ReviewGrade, number>}
+ */
+export const previewIntervals = card => {
+  return REVIEW_GRADES.reduce((acc, grade) => {
+    acc[grade] = scheduleCard(card, grade).interval;
+    return acc;
+  }, {});
+};
+
+/**
+ * Get the timestamp for the end of the current local day
+ * @param {number} [now=Date.now()]
+ * @returns {number}
+ */
+const endOfDay = (now = Date.now()) => {
+  const date = new Date(now);
+  date.setHours(23, 59, 59, 999);
+  return date.getTime();
+};
+
+/**
+ * Build today's review session: all due review cards plus a capped number of new cards
+ * @param {DeckCard[]} cards - Whole deck
+ * @param {number} [now=Date.now()]
+ * @returns {{ due: DeckCard[], fresh: DeckCard[], queue: DeckCard[] }}
+ */
+export const buildDailySession = (cards, now = Date.now()) => {
+  const cutoff = endOfDay(now);
+  const startOfToday = cutoff - DAY_MS + 1;
+
+  const due = cards
+    .filter(card => !isNewCard(card) && card.dueAt <= cutoff)
+    .sort((a, b) => a.dueAt - b.dueAt);
+
+  const introducedToday = cards.filter(
+    card => card.introducedAt && card.introducedAt >= startOfToday
+  ).length;
+  const newLimit = Math.max(0, NEW_CARDS_PER_DAY - introducedToday);
+
+  const fresh = cards
+    .filter(isNewCard)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .slice(0, newLimit);
+
+  return { due, fresh, queue: [...due, ...fresh] };
+};
+
+/**
+ * Format an interval in days for display on answer buttons
+ * @param {number} days
+ * @returns {string}
+ */
+export const formatInterval = days => {
+  if (days < 1) {
+    return '<1d';
+  }
+  if (days < 30) {
+    return `${days}d`;
+  }
+  if (days < 365) {
+    return `${Math.round(days / 30)}mo`;
+  }
+  return `${(days / 365).toFixed(1)}y`;
+};
@@ -3,6 +3,9 @@ const STORAGE_KEYS = {
   PROGRESS: 'nihongo_progress', // { [storyId]: { completed: boolean, scrollPos: number } }
   SETTINGS: 'nihongo_settings', // { fontSize: 'medium', showFurigana: true, viewMode: 'side-by-side' }
   API_KEYS: 'nihongo_api_keys', // { google: string, pollinations: string }
+  DECK: 'nihongo_deck', // Array<DeckCard>
+  SESSIONS: 'nihongo_sessions', // Array<ReadingSession>
+  HIGHLIGHTS: 'nihongo_highlights', // Array<Highlight>
 };
 
 import { supabase, getSession } from './supabase.js';
@@ -12,6 +15,9 @@ import { supabase, getSession } from './supabase.js';
  * @typedef {import('../types.js').Story} Story
  * @typedef {import('../types.js').StoryProgress} StoryProgress
  * @typedef {import('../types.js').ApiKeys} ApiKeys
+ * @typedef {import('../types.js').DeckCard} DeckCard
+ * @typedef {import('../types.js').ReadingSession} ReadingSession
+ * @typedef {import('../types.js').Highlight} Highlight
  */
 
 // Theme
@@ -37,7 +43,12 @@ export const getSettings = () => {
     fontSize: 'medium',
     showFurigana: true,
     showEnglish: true,
+    showRomaji: false,
+    showPitchAccent: false,
     viewMode: 'side-by-side',
+    furiganaMode: 'all',
+    furiganaThreshold: '',
+    knownKanji: [],
   };
   try {
     return { ...defaults, ...JSON.parse(localStorage.getItem(STORAGE_KEYS.SETTINGS) || '{}') };
@@ -124,6 +135,32 @@ export const addStory = async story => {
   }
 };
 
+/**
+ * Replace a stored story (matched by id) and sync to cloud
+ * @param {Story} story - Updated story object
+ * @returns {Promise<boolean>} False if the story isn't in the library
+ */
+export const updateStory = async story => {
+  const stories = getStoredStories();
+  const index = stories.findIndex(s => s.id === story.id);
+  if (index === -1) {
+    return false;
+  }
+  stories[index] = story;
+  localStorage.setItem('nihongo_stories', JSON.stringify(stories));
+
+  // Cloud Sync
+  const session = await getSession();
+  if (session) {
+    await supabase.from('stories').upsert({
+      id: story.id,
+      user_id: session.user.id,
+      content: story,
+    });
+  }
+  return true;
+};
+
 /**
  * Delete a story from storage and cloud
  * @param {string} id - Story ID to delete
@@ -171,7 +208,11 @@ export const saveProgress = async (storyId, data) => {
         story_id: storyId,
         user_id: session.user.id,
         scroll_percent: updated.scrollPercent || 0,
+        segment_index: updated.segmentIndex || 0,
         completed: updated.completed || false,
+        cloze_scores: updated.clozeScores || [],
+        quiz_attempts: updated.quizAttempts || [],
+        reveal_counts: updated.revealCounts || [],
         updated_at: new Date().toISOString(),
       });
     } catch {
@@ -199,9 +240,250 @@ const getAllProgress = () => {
   }
 };
 
+/**
+ * Helper: Union of two cloze score or quiz attempt lists, oldest first
+ * Entries are identified by takenAt, so the same attempt from both devices counts once.
+ * @param {Array<{takenAt: number}>} [a]
+ * @param {Array<{takenAt: number}>} [b]
+ */
+const mergeByTakenAt = (a, b) => {
+  const byTime = new Map();
+  [...(a || []), ...(b || [])].forEach(entry => byTime.set(entry.takenAt, entry));
+  return Array.from(byTime.values()).sort((x, y) => x.takenAt - y.takenAt);
+};
+
+/**
+ * Helper: Element-wise maximum of two per-segment reveal count lists
+ * @param {number[]} [a]
+ * @param {number[]} [b]
+ */
+const mergeRevealCounts = (a, b) => {
+  const left = a || [];
+  const right = b || [];
+  return Array.from({ length: Math.max(left.length, right.length) }, (_, i) =>
+    Math.max(left[i] || 0, right[i] || 0)
+  );
+};
+
+// Vocabulary Deck
+/**
+ * Get all flashcards in the review deck
+ * @returns {DeckCard[]} Array of deck cards
+ */
+export const getDeck = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.DECK) || '[]');
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Check whether a card is already in the deck
+ * @param {string} cardId - Card ID ("word|reading")
+ * @returns {boolean}
+ */
+export const isInDeck = cardId => {
+  return getDeck().some(card => card.id === cardId);
+};
+
+/**
+ * Add or update a card in the deck and sync to cloud
+ * @param {DeckCard} card - Card to save
+ * @returns {Promise<void>}
+ */
+export const saveDeckCard = async card => {
+  const deck = getDeck();
+  const index = deck.findIndex(c => c.id === card.id);
+  if (index === -1) {
+    deck.push(card);
+  } else {
+    deck[index] = card;
+  }
+  localStorage.setItem(STORAGE_KEYS.DECK, JSON.stringify(deck));
+
+  // Cloud Sync
+  const session = await getSession();
+  if (session) {
+    try {
+      await supabase.from('deck').upsert(toDeckRow(card, session.user.id));
+    } catch {
+      console.warn('Deck sync skipped');
+    }
+  }
+};
+
+/**
+ * Remove a card from the deck (local + cloud)
+ * @param {string} cardId - Card ID to remove
+ * @returns {Promise<void>}
+ */
+export const removeDeckCard = async cardId => {
+  const deck = getDeck().filter(card => card.id !== cardId);
+  localStorage.setItem(STORAGE_KEYS.DECK, JSON.stringify(deck));
+
+  // Cloud Sync
+  const session = await getSession();
+  if (session) {
+    await supabase.from('deck').delete().eq('id', cardId).eq('user_id', session.user.id);
+  }
+};
+
+/**
+ * Map a deck card to its Supabase row
+ * @param {DeckCard} card
+ * @param {string} userId
+ */
+const toDeckRow = (card, userId) => ({
+  id: card.id,
+  user_id: userId,
+  card,
+  due_at: new Date(card.dueAt).toISOString(),
+  updated_at: new Date(card.updatedAt || Date.now()).toISOString(),
+});
+
+// Reading Sessions
+/**
+ * Get every logged reading session
+ * @returns {ReadingSession[]} Sessions, oldest first
+ */
+export const getReadingSessions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.SESSIONS) || '[]');
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Log a finished reading session and sync it to the cloud
+ * @param {ReadingSession} readingSession - Session to log
+ * @returns {Promise<void>}
+ */
+export const saveReadingSession = async readingSession => {
+  const sessions = [...getReadingSessions(), readingSession];
+  localStorage.setItem(STORAGE_KEYS.SESSIONS, JSON.stringify(sessions));
+
+  // Cloud Sync
+  const session = await getSession();
+  if (session) {
+    try {
+      await supabase
+        .from('reading_sessions')
+        .upsert(toReadingSessionRow(readingSession, session.user.id));
+    } catch {
+      console.warn('Reading session sync skipped');
+    }
+  }
+};
+
+/**
+ * Map a reading session to its Supabase row
+ * @param {ReadingSession} readingSession
+ * @param {string} userId
+ */
+const toReadingSessionRow = (readingSession, userId) => ({
+  id: readingSession.id,
+  user_id: userId,
+  story_id: readingSession.storyId,
+  level: readingSession.level,
+  started_at: new Date(readingSession.startedAt).toISOString(),
+  ended_at: new Date(readingSession.endedAt).toISOString(),
+  active_ms: readingSession.activeMs,
+  chars_read: readingSession.charsRead,
+  cpm: readingSession.cpm,
+});
+
+/**
+ * Map a Supabase row back to a reading session
+ * @param {Object} row
+ * @returns {ReadingSession}
+ */
+const fromReadingSessionRow = row => ({
+  id: row.id,
+  storyId: row.story_id,
+  level: row.level,
+  startedAt: new Date(row.started_at).getTime(),
+  endedAt: new Date(row.ended_at).getTime(),
+  activeMs: row.active_ms,
+  charsRead: row.chars_read,
+  cpm: row.cpm,
+});
+
+// Highlights
+/**
+ * Get saved highlights, optionally for one story only
+ * @param {string} [storyId] - Story ID to filter by
+ * @returns {Highlight[]} Highlights
+ */
+export const getHighlights = storyId => {
+  try {
+    const highlights = JSON.parse(localStorage.getItem(STORAGE_KEYS.HIGHLIGHTS) || '[]');
+    return storyId ? highlights.filter(h => h.storyId === storyId) : highlights;
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Add or update a highlight and sync to cloud
+ * @param {Highlight} highlight - Highlight to save
+ * @returns {Promise<void>}
+ */
+export const saveHighlight = async highlight => {
+  const highlights = getHighlights();
+  const index = highlights.findIndex(h => h.id === highlight.id);
+  if (index === -1) {
+    highlights.push(highlight);
+  } else {
+    highlights[index] = highlight;
+  }
+  localStorage.setItem(STORAGE_KEYS.HIGHLIGHTS, JSON.stringify(highlights));
+
+  // Cloud Sync
+  const session = await getSession();
+  if (session) {
+    try {
+      await supabase.from('highlights').upsert(toHighlightRow(highlight, session.user.id));
+    } catch {
+      console.warn('Highlight sync skipped');
+    }
+  }
+};
+
+/**
+ * Remove a highlight (local + cloud)
+ * @param {string} highlightId - Highlight ID to remove
+ * @returns {Promise<void>}
+ */
+export const removeHighlight = async highlightId => {
+  const highlights = getHighlights().filter(h => h.id !== highlightId);
+  localStorage.setItem(STORAGE_KEYS.HIGHLIGHTS, JSON.stringify(highlights));
+
+  // Cloud Sync
+  const session = await getSession();
+  if (session) {
+    await supabase.from('highlights').delete().eq('id', highlightId).eq('user_id', session.user.id);
+  }
+};
+
+/**
+ * Map a highlight to its Supabase row
+ * @param {Highlight} highlight
+ * @param {string} userId
+ */
+const toHighlightRow = (highlight, userId) => ({
+  id: highlight.id,
+  user_id: userId,
+  story_id: highlight.storyId,
+  highlight,
+  updated_at: new Date(highlight.updatedAt || Date.now()).toISOString(),
+});
+
 /**
  * Wipe all non-settings data (local + cloud) for the current user
- * This deletes: stories, progress, cached images, cached audio
+ * This deletes: stories, progress, review deck, reading sessions, highlights, cached images,
+ * cached audio
  * This preserves: settings, theme, API keys
  */
 export const wipeAllData = async () => {
@@ -214,8 +496,11 @@ export const wipeAllData = async () => {
     // 1. Clear stories from localStorage
     localStorage.removeItem('nihongo_stories');
 
-    // 2. Clear progress from localStorage
+    // 2. Clear progress, review deck, reading sessions and highlights from localStorage
     localStorage.removeItem(STORAGE_KEYS.PROGRESS);
+    localStorage.removeItem(STORAGE_KEYS.DECK);
+    localStorage.removeItem(STORAGE_KEYS.SESSIONS);
+    localStorage.removeItem(STORAGE_KEYS.HIGHLIGHTS);
 
     // 3. Clear image cache from Cache API
     const imageCacheName = 'nihongo-images-v1';
@@ -226,6 +511,9 @@ export const wipeAllData = async () => {
     const audioCacheNames = allCacheNames.filter(name => name.includes('audio'));
     await Promise.all(audioCacheNames.map(name => caches.delete(name)));
 
+    // 4b. Clear shadowing recordings
+    await caches.delete('nihongo-recordings-v1');
+
     // === WIPE CLOUD DATA (if authenticated) ===
 
     if (session && supabase) {
@@ -246,6 +534,33 @@ export const wipeAllData = async () => {
         console.warn('Failed to delete progress from cloud:', progressError);
       }
 
+      // 6b. Delete the review deck for this user
+      const { error: deckError } = await supabase.from('deck').delete().eq('user_id', userId);
+
+      if (deckError) {
+        console.warn('Failed to delete review deck from cloud:', deckError);
+      }
+
+      // 6c. Delete reading sessions for this user
+      const { error: sessionsError } = await supabase
+        .from('reading_sessions')
+        .delete()
+        .eq('user_id', userId);
+
+      if (sessionsError) {
+        console.warn('Failed to delete reading sessions from cloud:', sessionsError);
+      }
+
+      // 6d. Delete highlights for this user
+      const { error: highlightsError } = await supabase
+        .from('highlights')
+        .delete()
+        .eq('user_id', userId);
+
+      if (highlightsError) {
+        console.warn('Failed to delete highlights from cloud:', highlightsError);
+      }
+
       // 7. Delete all images from the image-cache bucket for this user
       const { data: files, error: listError } = await supabase.storage
         .from('image-cache')
@@ -314,18 +629,24 @@ export const syncAll = async () => {
     if (remoteProgress) {
       const localProgress = getAllProgress();
 
-      // 2a. Remote -> Local
+      // 2a. Remote -> Local (newest wins for position, attempt histories are merged)
       remoteProgress.forEach(rp => {
-        if (
-          !localProgress[rp.story_id] ||
-          rp.updated_at > new Date(localProgress[rp.story_id].lastRead).toISOString()
-        ) {
-          localProgress[rp.story_id] = {
-            completed: rp.completed,
-            scrollPercent: rp.scroll_percent,
-            lastRead: new Date(rp.updated_at).getTime(),
-          };
-        }
+        const local = localProgress[rp.story_id];
+        const base =
+          !local || rp.updated_at > new Date(local.lastRead).toISOString()
+            ? {
+                completed: rp.completed,
+                scrollPercent: rp.scroll_percent,
+                segmentIndex: rp.segment_index || 0,
+                lastRead: new Date(rp.updated_at).getTime(),
+              }
+            : local;
+        localProgress[rp.story_id] = {
+          ...base,
+          clozeScores: mergeByTakenAt(local?.clozeScores, rp.cloze_scores),
+          quizAttempts: mergeByTakenAt(local?.quizAttempts, rp.quiz_attempts),
+          revealCounts: mergeRevealCounts(local?.revealCounts, rp.reveal_counts),
+        };
       });
 
       // 2b. Local -> Remote (Parallel)
@@ -338,14 +659,25 @@ export const syncAll = async () => {
           return;
         }
 
-        // If not in remote OR local is newer (lastRead vs updated_at)
-        if (!isRemote || prog.lastRead > new Date(isRemote.updated_at).getTime()) {
+        // If not in remote, local is newer (lastRead vs updated_at), or the merge added history
+        const remoteTime = isRemote ? new Date(isRemote.updated_at).getTime() : 0;
+        const hasNewHistory =
+          isRemote &&
+          ((prog.clozeScores || []).length > (isRemote.cloze_scores || []).length ||
+            (prog.quizAttempts || []).length > (isRemote.quiz_attempts || []).length ||
+            JSON.stringify(prog.revealCounts || []) !==
+              JSON.stringify(isRemote.reveal_counts || []));
+        if (!isRemote || prog.lastRead > remoteTime || hasNewHistory) {
           return supabase.from('progress').upsert({
             story_id: storyId,
             user_id: session.user.id,
             scroll_percent: prog.scrollPercent || 0,
+            segment_index: prog.segmentIndex || 0,
             completed: prog.completed || false,
-            updated_at: new Date(prog.lastRead || Date.now()).toISOString(),
+            cloze_scores: prog.clozeScores || [],
+            quiz_attempts: prog.quizAttempts || [],
+            reveal_counts: prog.revealCounts || [],
+            updated_at: new Date(Math.max(prog.lastRead || Date.now(), remoteTime)).toISOString(),
           });
         }
       });
@@ -354,7 +686,89 @@ export const syncAll = async () => {
       localStorage.setItem(STORAGE_KEYS.PROGRESS, JSON.stringify(localProgress));
     }
 
-    // 3. Sync Settings
+    // 3. Sync Review Deck (newest updatedAt wins per card)
+    const { data: remoteDeck } = await supabase.from('deck').select('*');
+
+    if (remoteDeck) {
+      const localDeck = new Map(getDeck().map(card => [card.id, card]));
+
+      // 3a. Remote -> Local
+      remoteDeck.forEach(row => {
+        const local = localDeck.get(row.id);
+        if (!local || new Date(row.updated_at).getTime() > (local.updatedAt || 0)) {
+          localDeck.set(row.id, row.card);
+        }
+      });
+
+      // 3b. Local -> Remote
+      const deckPushes = Array.from(localDeck.values())
+        .filter(card => {
+          const remote = remoteDeck.find(row => row.id === card.id);
+          return !remote || (card.updatedAt || 0) > new Date(remote.updated_at).getTime();
+        })
+        .map(card => supabase.from('deck').upsert(toDeckRow(card, session.user.id)));
+      await Promise.all(deckPushes);
+
+      localStorage.setItem(STORAGE_KEYS.DECK, JSON.stringify(Array.from(localDeck.values())));
+    }
+
+    // 4. Sync Reading Sessions (sessions never change, so this is a union by id)
+    const { data: remoteSessions } = await supabase.from('reading_sessions').select('*');
+
+    if (remoteSessions) {
+      const localSessions = getReadingSessions();
+      const localIds = new Set(localSessions.map(s => s.id));
+      const remoteIds = new Set(remoteSessions.map(row => row.id));
+
+      // 4a. Remote -> Local
+      const merged = [
+        ...localSessions,
+        ...remoteSessions.filter(row => !localIds.has(row.id)).map(fromReadingSessionRow),
+      ].sort((a, b) => a.startedAt - b.startedAt);
+
+      // 4b. Local -> Remote
+      const missingRemote = localSessions.filter(s => !remoteIds.has(s.id));
+      if (missingRemote.length > 0) {
+        await supabase
+          .from('reading_sessions')
+          .upsert(missingRemote.map(s => toReadingSessionRow(s, session.user.id)));
+      }
+
+      localStorage.setItem(STORAGE_KEYS.SESSIONS, JSON.stringify(merged));
+    }
+
+    // 5. Sync Highlights (newest updatedAt wins per highlight)
+    const { data: remoteHighlights } = await supabase.from('highlights').select('*');
+
+    if (remoteHighlights) {
+      const localHighlights = new Map(getHighlights().map(h => [h.id, h]));
+
+      // 5a. Remote -> Local
+      remoteHighlights.forEach(row => {
+        const local = localHighlights.get(row.id);
+        if (!local || new Date(row.updated_at).getTime() > (local.updatedAt || 0)) {
+          localHighlights.set(row.id, row.highlight);
+        }
+      });
+
+      // 5b. Local -> Remote
+      const highlightPushes = Array.from(localHighlights.values())
+        .filter(highlight => {
+          const remote = remoteHighlights.find(row => row.id === highlight.id);
+          return !remote || (highlight.updatedAt || 0) > new Date(remote.updated_at).getTime();
+        })
+        .map(highlight =>
+          supabase.from('highlights').upsert(toHighlightRow(highlight, session.user.id))
+        );
+      await Promise.all(highlightPushes);
+
+      localStorage.setItem(
+        STORAGE_KEYS.HIGHLIGHTS,
+        JSON.stringify(Array.from(localHighlights.values()))
+      );
+    }
+
+    // 6. Sync Settings
     const { data: remoteSettings } = await supabase
       .from('settings')
       .select('preferences')
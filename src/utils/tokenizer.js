@@ -0,0 +1,327 @@
+/**
+ * Tokenizer Utility
+ * Splits a segment into words (surface, reading, lemma, part of speech). Stories
+ * generated with a `tokens` array use it as-is; older stories are segmented on the
+ * client from the offline dictionary (with deinflection) and the readings array.
+ */
+
+import { lookupWord } from './dictionary.js';
+import { findReadingRanges, expandReadings } from './furigana.js';
+import { toHiragana, toRomaji } from './romaji.js';
+import { isValidTokenList } from '../types.js';
+
+const KANJI_PATTERN = /[\u4E00-\u9FFF\u3400-\u4DBF々]/;
+const KANJI_RUN_PATTERN = /^[\u4E00-\u9FFF\u3400-\u4DBF々]+/;
+const HIRAGANA_PATTERN = /[\u3041-\u3096]/;
+const KATAKANA_RUN_PATTERN = /^[\u30A1-\u30FA\u30FC]+/;
+const LATIN_RUN_PATTERN = /^[0-9A-Za-z\uFF10-\uFF19\uFF21-\uFF3A\uFF41-\uFF5A]+/;
+
+/**
+ * Particles and auxiliaries (not in the bundled dictionary), matched longest first
+ * @type {Object.<string, TokenPos>}
+ */
+const FUNCTION_WORDS = {
+  けれども: 'particle',
+  けれど: 'particle',
+  ながら: 'particle',
+  ばかり: 'particle',
+  くらい: 'particle',
+  ぐらい: 'particle',
+  から: 'particle',
+  まで: 'particle',
+  より: 'particle',
+  ので: 'particle',
+  のに: 'particle',
+  けど: 'particle',
+  だけ: 'particle',
+  しか: 'particle',
+  など: 'particle',
+  って: 'particle',
+  とか: 'particle',
+  ずつ: 'particle',
+  は: 'particle',
+  が: 'particle',
+  を: 'particle',
+  に: 'particle',
+  へ: 'particle',
+  と: 'particle',
+  で: 'particle',
+  の: 'particle',
+  も: 'particle',
+  や: 'particle',
+  か: 'particle',
+  ね: 'particle',
+  よ: 'particle',
+  ではありません: 'auxiliary',
+  じゃありません: 'auxiliary',
+  ではない: 'auxiliary',
+  じゃない: 'auxiliary',
+  でしょう: 'auxiliary',
+  でした: 'auxiliary',
+  だった: 'auxiliary',
+  だろう: 'auxiliary',
+  ましょう: 'auxiliary',
+  ました: 'auxiliary',
+  ません: 'auxiliary',
+  ます: 'auxiliary',
+  です: 'auxiliary',
+  だ: 'auxiliary',
+};
+const MAX_FUNCTION_WORD_LENGTH = Math.max(...Object.keys(FUNCTION_WORDS).map(w => w.length));
+
+/** Greetings that end in the particle は (read wa) */
+const WA_GREETINGS = ['こんにちは', 'こんばんは'];
+
+/** Parts of speech a particle may follow (unknown kana words included) */
+const CONTENT_POS = [
+  'noun',
+  'pronoun',
+  'verb',
+  'adjective',
+  'adverb',
+  'counter',
+  'suffix',
+  'other',
+];
+
+/**
+ * Coarse part of speech for a dictionary entry
+ * @param {Object} entry - Dictionary entry
+ * @param {boolean} isInflected - Whether the surface was deinflected to reach the entry
+ * @returns {TokenPos}
+ */
+const getEntryPos = (entry, isInflected) => {
+  const [code = ''] = entry.pos;
+  if (code.startsWith('v') && code !== 'vs') {
+    return 'verb';
+  }
+  if (code.startsWith('adj')) {
+    return 'adjective';
+  }
+  // Suru nouns read as verbs once conjugated (勉強しました)
+  if (isInflected && entry.pos.includes('vs')) {
+    return 'verb';
+  }
+  const labels = {
+    pn: 'pronoun',
+    adv: 'adverb',
+    exp: 'expression',
+    int: 'interjection',
+    prt: 'particle',
+    conj: 'conjunction',
+    ctr: 'counter',
+    suf: 'suffix',
+  };
+  return labels[code] || 'noun';
+};
+
+/**
+ * Longest particle or auxiliary at the start of a piece of text
+ * @param {string} text
+ * @returns {string|null}
+ */
+const matchFunctionWord = text => {
+  for (let length = Math.min(MAX_FUNCTION_WORD_LENGTH, text.length); length > 0; length--) {
+    const word = text.slice(0, length);
+    if (FUNCTION_WORDS[word]) {
+      return word;
+    }
+  }
+  return null;
+};
+
+/**
+ * Reading of a surface form, if every kanji in it can be read
+ * @param {string} surface
+ * @param {ReadingEntry[]} readings - The segment's readings
+ * @param {Object|null} match - Dictionary match for the surface, if any
+ * @returns {string|undefined}
+ */
+const getSurfaceReading = (surface, readings, match) => {
+  if (!KANJI_PATTERN.test(surface)) {
+    return undefined;
+  }
+  const expanded = expandReadings(surface, readings);
+  if (!KANJI_PATTERN.test(expanded)) {
+    return expanded;
+  }
+  // Uninflected dictionary words can use the dictionary's reading
+  if (match && match.reasons.length === 0 && match.form === surface) {
+    return match.entry.readings[0];
+  }
+  return undefined;
+};
+
+/**
+ * Split Japanese text into tokens on the client
+ * Kanji words take the longer of the dictionary match and the readings-array word
+ * starting there; in kana, particles are recognised after a word and dictionary words
+ * elsewhere, and unknown kana are kept together until a particle or known word starts.
+ * Punctuation and Latin text become 'symbol' tokens, so the surfaces always add back
+ * up to the original text.
+ * @param {string} text - Plain Japanese text (segment.jp)
+ * @param {ReadingEntry[]} [readings] - Readings for words in the text
+ * @returns {StoryToken[]}
+ */
+export const segmentText = (text, readings = []) => {
+  const ranges = findReadingRanges(text, readings);
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const char = text[i];
+    const previous = tokens[tokens.length - 1];
+
+    // Katakana words (loanwords, names)
+    const katakana = rest.match(KATAKANA_RUN_PATTERN)?.[0];
+    if (katakana) {
+      tokens.push({ surface: katakana, lemma: katakana, pos: 'noun' });
+      i += katakana.length;
+      continue;
+    }
+
+    if (KANJI_PATTERN.test(char)) {
+      const range = ranges.find(r => r.start === i);
+      const result = lookupWord(rest, { reading: range?.reading });
+      const rangeLength = range ? range.end - range.start : 0;
+
+      if (result && result.length >= rangeLength) {
+        const [match] = result.matches;
+        tokens.push({
+          surface: result.surface,
+          reading: getSurfaceReading(result.surface, readings, match),
+          lemma: match.entry.kanji[0] || match.form,
+          pos: getEntryPos(match.entry, match.reasons.length > 0),
+        });
+        i += result.length;
+        continue;
+      }
+
+      let surface = range ? text.slice(range.start, range.end) : rest.match(KANJI_RUN_PATTERN)[0];
+      if (!range) {
+        // Stop an unknown run where a dictionary word starts (毎朝学校 → 毎朝 + 学校)
+        const next = Array.from(surface).findIndex((_, j) => j > 0 && lookupWord(rest.slice(j)));
+        surface = next > 0 ? surface.slice(0, next) : surface;
+      }
+      tokens.push({
+        surface,
+        reading: range ? range.reading : getSurfaceReading(surface, readings, null),
+        lemma: surface,
+        pos: 'noun',
+      });
+      i += surface.length;
+      continue;
+    }
+
+    if (HIRAGANA_PATTERN.test(char)) {
+      const functionWord = matchFunctionWord(rest);
+      const result = lookupWord(rest);
+      const followsContent = previous && CONTENT_POS.includes(previous.pos);
+      // Particles need a word before them (はい is not は + い); auxiliaries stand alone
+      const isFunctionWord =
+        functionWord &&
+        (followsContent ||
+          (FUNCTION_WORDS[functionWord] === 'auxiliary' &&
+            (!result || result.length <= functionWord.length)));
+
+      if (isFunctionWord) {
+        tokens.push({
+          surface: functionWord,
+          lemma: functionWord,
+          pos: FUNCTION_WORDS[functionWord],
+        });
+        i += functionWord.length;
+      } else if (result) {
+        const [match] = result.matches;
+        tokens.push({
+          surface: result.surface,
+          lemma: match.entry.kanji[0] || match.form,
+          pos: getEntryPos(match.entry, match.reasons.length > 0),
+        });
+        i += result.length;
+      } else if (previous?.pos === 'other') {
+        // Unknown kana stay together until something recognisable starts
+        previous.surface += char;
+        previous.lemma = previous.surface;
+        i++;
+      } else {
+        tokens.push({ surface: char, lemma: char, pos: 'other' });
+        i++;
+      }
+      continue;
+    }
+
+    // Latin words and numbers as one token, everything else one character at a time
+    const latin = rest.match(LATIN_RUN_PATTERN)?.[0];
+    const surface = latin || char;
+    tokens.push({ surface, pos: 'symbol' });
+    i += surface.length;
+  }
+
+  return tokens;
+};
+
+/** @type {WeakMap<StoryContent, StoryToken[]>} */
+const cache = new WeakMap();
+
+/**
+ * Tokens for a segment: its own tokens array when valid, otherwise the client
+ * segmenter's (cached per segment object)
+ * @param {StoryContent} segment
+ * @returns {StoryToken[]}
+ */
+export const getSegmentTokens = segment => {
+  if (isValidTokenList(segment.tokens, segment.jp)) {
+    return segment.tokens;
+  }
+  if (!cache.has(segment)) {
+    cache.set(segment, segmentText(segment.jp || '', segment.readings));
+  }
+  return cache.get(segment);
+};
+
+/**
+ * Character offset of each token in the segment text
+ * @param {StoryToken[]} tokens
+ * @returns {number[]}
+ */
+export const getTokenOffsets = tokens => {
+  let offset = 0;
+  return tokens.map(token => {
+    const start = offset;
+    offset += token.surface.length;
+    return start;
+  });
+};
+
+/**
+ * Whether a token is a word (as opposed to punctuation, numbers or Latin text)
+ * @param {StoryToken} token
+ * @returns {boolean}
+ */
+export const isWordToken = token => token.pos !== 'symbol';
+
+/**
+ * Romaji for a segment's tokens, one space between words
+ * Words are read from their readings (kanji without one are left as-is), and は/へ
+ * tokens tagged as particles are read wa/e.
+ * @param {StoryToken[]} tokens
+ * @returns {string}
+ */
+export const romanizeTokens = tokens => {
+  let kana = '';
+  const particles = new Set();
+  tokens.forEach((token, i) => {
+    if (i > 0 && isWordToken(token) && isWordToken(tokens[i - 1])) {
+      kana += ' ';
+    }
+    if (token.pos === 'particle' && (token.surface === 'は' || token.surface === 'へ')) {
+      particles.add(kana.length);
+    } else if (WA_GREETINGS.includes(token.surface)) {
+      particles.add(kana.length + token.surface.length - 1);
+    }
+    kana += toHiragana(token.reading || token.surface);
+  });
+  return toRomaji(kana, { particles });
+};
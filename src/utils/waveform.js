@@ -0,0 +1,198 @@
+/**
+ * Waveform Utility
+ * Web Audio helpers for decoding, trimming, drawing, playing back and saving
+ * short clips (used by shadowing practice and deck exports).
+ */
+
+import { createWavHeader } from './audioHelpers.js';
+
+/**
+ * Amplitude (relative to the clip's peak) below which audio counts as silence
+ */
+const SILENCE_THRESHOLD = 0.08;
+
+/**
+ * Analysis window used when trimming silence (seconds)
+ */
+const FRAME_SECONDS = 0.02;
+
+/** @type {AudioContext|null} */
+let audioContext = null;
+
+/**
+ * Shared AudioContext (created lazily, browsers limit how many can exist)
+ * @returns {AudioContext}
+ */
+const getAudioContext = () => {
+  if (!audioContext) {
+    audioContext = new AudioContext();
+  }
+  return audioContext;
+};
+
+/**
+ * Decode an audio file into an AudioBuffer
+ * @param {Blob} blob - Encoded audio (WAV, WebM, ...)
+ * @returns {Promise<AudioBuffer>}
+ */
+export const decodeAudioBlob = async blob => {
+  const data = await blob.arrayBuffer();
+  return getAudioContext().decodeAudioData(data);
+};
+
+/**
+ * Clamp a time range to the buffer and convert it to sample offsets
+ * @returns {{from: number, to: number}}
+ */
+const toSampleRange = (buffer, start = 0, end = buffer.duration) => {
+  const from = Math.max(0, Math.floor(start * buffer.sampleRate));
+  const to = Math.min(buffer.length, Math.ceil(end * buffer.sampleRate));
+  return { from, to: Math.max(from, to) };
+};
+
+/**
+ * Find where speech actually starts and ends within a range,
+ * ignoring leading/trailing silence (e.g. the learner's reaction delay)
+ * @param {AudioBuffer} buffer
+ * @param {number} [start=0] - Range start in seconds
+ * @param {number} [end=buffer.duration] - Range end in seconds
+ * @returns {{start: number, end: number, duration: number}}
+ */
+export const findVoicedRange = (buffer, start = 0, end = buffer.duration) => {
+  const samples = buffer.getChannelData(0);
+  const { from, to } = toSampleRange(buffer, start, end);
+  const frameSize = Math.max(1, Math.round(FRAME_SECONDS * buffer.sampleRate));
+
+  const frames = [];
+  for (let i = from; i < to; i += frameSize) {
+    let peak = 0;
+    for (let j = i; j < Math.min(i + frameSize, to); j++) {
+      peak = Math.max(peak, Math.abs(samples[j]));
+    }
+    frames.push(peak);
+  }
+
+  const threshold = Math.max(...frames, 0) * SILENCE_THRESHOLD;
+  const first = frames.findIndex(peak => peak > threshold);
+  if (first === -1) {
+    return { start: from / buffer.sampleRate, end: from / buffer.sampleRate, duration: 0 };
+  }
+  let last = frames.length - 1;
+  while (last > first && frames[last] <= threshold) {
+    last--;
+  }
+
+  const voicedStart = (from + first * frameSize) / buffer.sampleRate;
+  const voicedEnd = Math.min(to, from + (last + 1) * frameSize) / buffer.sampleRate;
+  return { start: voicedStart, end: voicedEnd, duration: voicedEnd - voicedStart };
+};
+
+/**
+ * Reduce a range of audio to peak amplitudes for drawing
+ * @param {AudioBuffer} buffer
+ * @param {number} start - Range start in seconds
+ * @param {number} end - Range end in seconds
+ * @param {number} bucketCount - Number of bars to produce
+ * @returns {number[]} Peaks normalised to 0-1
+ */
+export const computePeaks = (buffer, start, end, bucketCount) => {
+  const samples = buffer.getChannelData(0);
+  const { from, to } = toSampleRange(buffer, start, end);
+  const bucketSize = Math.max(1, Math.floor((to - from) / bucketCount));
+
+  const peaks = [];
+  for (let bucket = 0; bucket < bucketCount; bucket++) {
+    const bucketStart = from + bucket * bucketSize;
+    let peak = 0;
+    for (let i = bucketStart; i < Math.min(bucketStart + bucketSize, to); i++) {
+      peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    peaks.push(peak);
+  }
+
+  const max = Math.max(...peaks, 0);
+  return max > 0 ? peaks.map(peak => peak / max) : peaks;
+};
+
+/**
+ * Draw peaks as a mirrored bar waveform
+ * The bar colour is taken from the canvas's CSS `color`.
+ * @param {HTMLCanvasElement} canvas
+ * @param {number[]} peaks - Values from computePeaks
+ */
+export const drawWaveform = (canvas, peaks) => {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+
+  const ctx = canvas.getContext('2d');
+  ctx.scale(ratio, ratio);
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = window.getComputedStyle(canvas).color;
+
+  const barWidth = width / peaks.length;
+  peaks.forEach((peak, i) => {
+    const barHeight = Math.max(1, peak * height);
+    ctx.fillRect(i * barWidth, (height - barHeight) / 2, Math.max(1, barWidth - 1), barHeight);
+  });
+};
+
+/**
+ * Play part of an AudioBuffer
+ * @param {AudioBuffer} buffer
+ * @param {number} [start=0] - Start time in seconds
+ * @param {number} [end=buffer.duration] - End time in seconds
+ * @returns {{finished: Promise<void>, stop: Function}}
+ */
+export const playBufferRange = (buffer, start = 0, end = buffer.duration) => {
+  const context = getAudioContext();
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.connect(context.destination);
+
+  const finished = new Promise(resolve => {
+    source.onended = () => resolve();
+  });
+
+  // Autoplay policies may leave the context suspended until a user gesture
+  if (context.state === 'suspended') {
+    context.resume();
+  }
+  source.start(0, start, Math.max(0, end - start));
+
+  return {
+    finished,
+    stop: () => {
+      try {
+        source.stop();
+      } catch {
+        // Already stopped
+      }
+    },
+  };
+};
+
+/**
+ * Encode part of an AudioBuffer as a 16-bit mono WAV file
+ * @param {AudioBuffer} buffer
+ * @param {number} [start=0] - Start time in seconds
+ * @param {number} [end=buffer.duration] - End time in seconds
+ * @returns {Uint8Array}
+ */
+export const encodeWavRange = (buffer, start = 0, end = buffer.duration) => {
+  const samples = buffer.getChannelData(0);
+  const { from, to } = toSampleRange(buffer, start, end);
+  const pcm = new DataView(new ArrayBuffer((to - from) * 2));
+  for (let i = from; i < to; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    pcm.setInt16((i - from) * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+  }
+
+  const header = new Uint8Array(createWavHeader(pcm.byteLength, buffer.sampleRate));
+  const wav = new Uint8Array(header.length + pcm.byteLength);
+  wav.set(header);
+  wav.set(new Uint8Array(pcm.buffer), header.length);
+  return wav;
+};
@@ -0,0 +1,106 @@
+/**
+ * Zip Utility
+ * Minimal ZIP writer for client-side exports. Files are stored uncompressed, which
+ * keeps the writer small and is what EPUB requires for its leading mimetype file.
+ */
+
+/** CRC-32 lookup table (IEEE polynomial) */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 checksum of some bytes
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+const crc32 = bytes => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Date and time in MS-DOS format, as ZIP headers store them
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+const toDosDateTime = date => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path inside the archive (e.g. "OEBPS/chapter-1.xhtml")
+ * @property {string|Uint8Array} data - File contents (strings are written as UTF-8)
+ */
+
+/**
+ * Build a ZIP archive, with entries in the order given
+ * @param {ZipEntry[]} entries
+ * @param {string} [type='application/zip'] - MIME type of the returned blob
+ * @returns {Blob}
+ */
+export const createZip = (entries, type = 'application/zip') => {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+    const crc = crc32(data);
+    // Bit 11 marks UTF-8 names; plain ASCII names leave it off
+    const flags = /^[\x20-\x7e]*$/.test(entry.name) ? 0 : 0x0800;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, flags, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, flags, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(local, name, data);
+    centralParts.push(central, name);
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, end], { type });
+};
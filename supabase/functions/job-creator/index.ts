@@ -11,6 +11,8 @@ import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
  * - story_generation: Generate Japanese stories with Gemini API
  * - audio_generation: Generate TTS audio with Gemini API
  * - image_generation: Generate images with Pollinations AI
+ * - furigana_repair: Fill in readings missing from a stored story
+ * - annotate_text: Turn pasted Japanese text into a story with Gemini API
  */
 
 // Validation schemas for different job types
@@ -60,6 +62,58 @@ const JOB_VALIDATORS = {
     }
     return true;
   },
+
+  furigana_repair: (data: any) => {
+    if (!data.userId || typeof data.userId !== 'string') {
+      throw new Error('userId is required and must be a string');
+    }
+    if (!data.storyId || typeof data.storyId !== 'string') {
+      throw new Error('storyId is required and must be a string');
+    }
+    if (!Array.isArray(data.segments) || data.segments.length === 0) {
+      throw new Error('segments must be a non-empty array');
+    }
+    for (const segment of data.segments) {
+      if (
+        typeof segment?.index !== 'number' ||
+        typeof segment?.jp !== 'string' ||
+        !Array.isArray(segment?.missing)
+      ) {
+        throw new Error('Each segment must have index, jp, and missing fields');
+      }
+    }
+    if (!data.geminiApiKey || typeof data.geminiApiKey !== 'string') {
+      throw new Error('Gemini API key is required');
+    }
+    return true;
+  },
+
+  annotate_text: (data: any) => {
+    if (!Array.isArray(data.segments) || data.segments.length === 0) {
+      throw new Error('segments must be a non-empty array');
+    }
+    if (data.segments.some((segment: unknown) => typeof segment !== 'string' || !segment.trim())) {
+      throw new Error('Each segment must be a non-empty string');
+    }
+    // Keep in step with ANNOTATE_TEXT_LIMITS in src/types.js
+    if (data.segments.length > 60) {
+      throw new Error('Too many segments (max 60)');
+    }
+    if (Array.from(data.segments.join('').replace(/\s/g, '')).length > 3000) {
+      throw new Error('Text is too long (max 3000 characters)');
+    }
+    const validLevels = ['N1', 'N2', 'N3', 'N4', 'N5', 'Beginner', 'Intermediate', 'Advanced'];
+    if (!validLevels.includes(data.level)) {
+      throw new Error(`Invalid level. Must be one of: ${validLevels.join(', ')}`);
+    }
+    if (data.title !== undefined && typeof data.title !== 'string') {
+      throw new Error('title must be a string');
+    }
+    if (!data.geminiApiKey || typeof data.geminiApiKey !== 'string') {
+      throw new Error('Gemini API key is required');
+    }
+    return true;
+  },
 };
 
 // Estimated completion time for each job type (in minutes)
@@ -67,6 +121,8 @@ const ESTIMATED_MINUTES: Record<string, number> = {
   story_generation: 1,
   audio_generation: 0.5,
   image_generation: 0.25,
+  furigana_repair: 0.5,
+  annotate_text: 1,
 };
 
 serve(async req => {
@@ -128,6 +184,11 @@ serve(async req => {
       throw new Error('Unauthorized: Invalid or expired token');
     }
 
+    // Jobs that write to a user's stories or storage may only target the caller
+    if (parameters.userId !== undefined && parameters.userId !== user.id) {
+      throw new Error('Unauthorized: userId does not match the signed-in user');
+    }
+
     // Calculate estimated completion time
     const estimatedMinutes = ESTIMATED_MINUTES[job_type] || 1;
     const estimated_completion_at = new Date(
@@ -16,8 +16,28 @@ const RATE_LIMIT_DELAYS = {
   story_generation: 0,
   audio_generation: 30000,
   image_generation: 5000,
+  furigana_repair: 0,
+  annotate_text: 0,
 };
 
+// Token parts of speech the client accepts (TOKEN_POS in src/types.js)
+const TOKEN_POS = [
+  'noun',
+  'pronoun',
+  'verb',
+  'adjective',
+  'adverb',
+  'particle',
+  'auxiliary',
+  'conjunction',
+  'interjection',
+  'counter',
+  'suffix',
+  'expression',
+  'symbol',
+  'other',
+];
+
 /**
  * Build story generation prompt (copied from generate-story function)
  */
@@ -87,6 +107,22 @@ CULTURAL CONTEXT: Deep cultural analysis, historical context, literary reference
       "vocab": [
         {"word": "ある日", "reading": "あるち", "meaning": "One day (story starter)"},
         {"word": "寿司屋", "reading": "すしや", "meaning": "Sushi restaurant"}
+      ],
+      "grammar": [
+        {"pattern": "〜の前を〜", "explanation": "Marks the place passed through or in front of with を and a verb of motion (歩く, 通る).", "span": "寿司屋の前を歩きました"}
+      ],
+      "tokens": [
+        {"surface": "ある日", "reading": "あるひ", "lemma": "ある日", "pos": "noun"},
+        {"surface": "、", "pos": "symbol"},
+        {"surface": "白い", "reading": "しろい", "lemma": "白い", "pos": "adjective"},
+        {"surface": "猫", "reading": "ねこ", "lemma": "猫", "pos": "noun"},
+        {"surface": "が", "lemma": "が", "pos": "particle"},
+        {"surface": "寿司屋", "reading": "すしや", "lemma": "寿司屋", "pos": "noun"},
+        {"surface": "の", "lemma": "の", "pos": "particle"},
+        {"surface": "前", "reading": "まえ", "lemma": "前", "pos": "noun"},
+        {"surface": "を", "lemma": "を", "pos": "particle"},
+        {"surface": "歩きました", "reading": "あるきました", "lemma": "歩く", "pos": "verb"},
+        {"surface": "。", "pos": "symbol"}
       ]
     }
   ],
@@ -156,6 +192,20 @@ IMAGE PROMPTS:
 - Ensure consistency in character appearance across segments
 - Format: "A [subject] [doing action] in [setting], [lighting/mood], [art style details]"
 
+GRAMMAR NOTES (grammar array):
+- Select 0-2 grammar points per segment from the LEVEL GUIDELINES above (e.g. te-form, hazu da, wake ga nai)
+- Only annotate patterns a ${level} learner is studying, not basic particles in every sentence
+- Each entry must have: pattern (dictionary style, e.g. "〜てしまう"), explanation (1-2 short English sentences), and span
+- "span" must be copied EXACTLY from "jp": the shortest stretch of text that shows the pattern in use
+- Write "pattern" the same way every time it appears, so notes can be grouped across stories
+
+WORD TOKENS (tokens array):
+- Split "jp" into words, in order, with nothing left out: joining every "surface" must give back "jp" EXACTLY (punctuation included)
+- Keep conjugated verbs and adjectives together with their endings (歩きました, 食べたい, 白かった)
+- Each entry has: surface, reading (hiragana, only for words containing kanji), lemma (dictionary form, e.g. 歩く), and pos
+- pos is one of: noun, pronoun, verb, adjective, adverb, particle, auxiliary, conjunction, interjection, counter, suffix, expression, symbol, other
+- Use "symbol" for punctuation, numbers and Latin text
+
 COMPREHENSION QUESTIONS:
 - Create 3 multiple-choice questions that test understanding
 - Question distribution: 1 factual recall, 1 inference/understanding, 1 vocabulary-in-context
@@ -182,6 +232,12 @@ Return STRICT JSON ONLY (no markdown, no explanation outside JSON):
       "imagePrompt": "Detailed visual description for AI image generation",
       "vocab": [
         {"word": "日本語", "reading": "にほんご", "meaning": "English definition"}
+      ],
+      "grammar": [
+        {"pattern": "〜てしまう", "explanation": "Short English explanation", "span": "Exact text from jp"}
+      ],
+      "tokens": [
+        {"surface": "日本語", "reading": "にほんご", "lemma": "日本語", "pos": "noun"}
       ]
     }
   ],
@@ -200,7 +256,9 @@ Before returning your response, verify:
 [ ] All kanji words in "jp" have corresponding entries in "readings" array
 [ ] "readings" array does NOT include hiragana-only or katakana-only words
 [ ] Each "readings" entry has "text" that exactly matches the text in "jp"
-[ ] Each content segment has jp, readings, en, imagePrompt, and vocab fields
+[ ] Each content segment has jp, readings, en, imagePrompt, vocab, grammar, and tokens fields
+[ ] Each "grammar" entry has "span" that exactly matches the text in "jp"
+[ ] Joining every "surface" in "tokens" gives exactly the "jp" text
 [ ] Vocabulary matches the JLPT ${level} level
 [ ] Story has ${lengthMap[length]} as specified
 [ ] Image prompts are detailed and consistent in style
@@ -217,6 +275,41 @@ Now generate the story about "${topic}" following all guidelines above.
   return prompt;
 }
 
+/**
+ * Drop grammar notes and tokens the client can't use from a generated segment
+ */
+function cleanSegmentNotes(segment: any): void {
+  // Grammar notes are optional: drop any the client can't place in the text
+  segment.grammar = (Array.isArray(segment.grammar) ? segment.grammar : []).filter(
+    (note: any) =>
+      typeof note?.pattern === 'string' &&
+      typeof note?.explanation === 'string' &&
+      typeof note?.span === 'string' &&
+      note.span.length > 0 &&
+      segment.jp.includes(note.span)
+  );
+
+  // Tokens are optional too: the client segments the text itself when they don't
+  // add up to the jp text
+  const tokens = segment.tokens;
+  if (
+    !Array.isArray(tokens) ||
+    tokens.some((token: any) => typeof token?.surface !== 'string' || !token.surface) ||
+    tokens.map((token: any) => token.surface).join('') !== segment.jp
+  ) {
+    delete segment.tokens;
+  } else {
+    for (const token of tokens) {
+      token.pos = TOKEN_POS.includes(token.pos) ? token.pos : 'other';
+      for (const field of ['reading', 'lemma']) {
+        if (typeof token[field] !== 'string') {
+          delete token[field];
+        }
+      }
+    }
+  }
+}
+
 /**
  * Process story generation job
  */
@@ -258,6 +351,8 @@ async function processStoryGeneration(parameters: any): Promise<any> {
     if (!segment.jp || !segment.en || !Array.isArray(segment.readings)) {
       throw new Error('Each content segment must have jp, en, and readings fields');
     }
+
+    cleanSegmentNotes(segment);
   }
 
   return storyData;
@@ -268,7 +363,7 @@ async function processStoryGeneration(parameters: any): Promise<any> {
  * Generates TTS audio using Gemini API and stores in Supabase Storage
  */
 async function processAudioGeneration(parameters: any, jobId: string): Promise<any> {
-  const { storyId, text, voiceName = 'Aoede', geminiApiKey } = parameters;
+  const { storyId, text, segments, voiceName = 'Aoede', geminiApiKey } = parameters;
 
   console.log(`[Job ${jobId}] Generating audio for story ${storyId}`);
 
@@ -297,6 +392,7 @@ async function processAudioGeneration(parameters: any, jobId: string): Promise<a
     }
 
     let audioData: Uint8Array | null = null;
+    let pcmData: Uint8Array | null = null;
     let sampleRate = 24000;
 
     // Extract audio from response
@@ -331,16 +427,25 @@ async function processAudioGeneration(parameters: any, jobId: string): Promise<a
         wavBytes.set(pcmBytes, headerBytes.length);
 
         audioData = wavBytes;
+        pcmData = pcmBytes;
         break;
       }
     }
 
-    if (!audioData) {
+    if (!audioData || !pcmData) {
       throw new Error('Failed to extract audio data from response');
     }
 
     console.log(`[Job ${jobId}] Generated ${audioData.length} bytes of audio (${sampleRate}Hz)`);
 
+    // Per-segment timestamps (the client joins segments with newlines)
+    const segmentTexts: string[] =
+      Array.isArray(segments) && segments.length > 0
+        ? segments
+        : text.split('\n').filter((line: string) => line.trim());
+    const duration = pcmData.length / 2 / sampleRate;
+    const timings = computeSegmentTimings(pcmData, sampleRate, segmentTexts);
+
     // Get Supabase client for storage upload
     const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
     const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
@@ -370,13 +475,34 @@ async function processAudioGeneration(parameters: any, jobId: string): Promise<a
 
     console.log(`[Job ${jobId}] Audio uploaded: ${fileName}`);
 
+    // Upload segment timings next to the audio file
+    const timingsFileName = `${userId}/${storyId}/timings.json`;
+    const timingsBody = JSON.stringify({ version: 1, duration, segments: timings });
+
+    const { error: timingsError } = await supabase.storage
+      .from('audio-cache')
+      .upload(timingsFileName, new Blob([timingsBody], { type: 'application/json' }), {
+        contentType: 'application/json',
+        upsert: true,
+      });
+
+    if (timingsError) {
+      // Audio is still usable without timings; the client falls back to estimates
+      console.error(`[Job ${jobId}] Failed to upload timings:`, timingsError.message);
+    } else {
+      console.log(
+        `[Job ${jobId}] Timings uploaded: ${timingsFileName} (${timings.length} segments)`
+      );
+    }
+
     // Return result (file path, not public URL - client will use authenticated download)
     return {
       audioPath: fileName, // Just the path, client will use authenticated Supabase client
+      timingsPath: timingsError ? null : timingsFileName,
       format: 'wav',
       size: audioData.length,
       sampleRate: sampleRate,
-      duration: null, // Could calculate if needed
+      duration,
     };
   } catch (error: any) {
     console.error(`[Job ${jobId}] Audio generation failed:`, error);
@@ -384,6 +510,116 @@ async function processAudioGeneration(parameters: any, jobId: string): Promise<a
   }
 }
 
+/**
+ * Estimate where each segment starts and ends in the generated speech
+ *
+ * Gemini TTS returns one continuous clip without timestamps, so boundaries are
+ * first estimated from each segment's share of the characters, then snapped to
+ * the nearest pause in the audio (the model pauses between lines).
+ *
+ * @param pcm - 16-bit little-endian mono PCM
+ * @param sampleRate - Samples per second
+ * @param segmentTexts - Segment texts in playback order
+ * @returns Array of { index, start, end } in seconds
+ */
+function computeSegmentTimings(
+  pcm: Uint8Array,
+  sampleRate: number,
+  segmentTexts: string[]
+): { index: number; start: number; end: number }[] {
+  if (segmentTexts.length === 0) {
+    return [];
+  }
+
+  const FRAME_SECONDS = 0.02;
+  const MIN_PAUSE_SECONDS = 0.15;
+  const frameSize = Math.max(1, Math.floor(sampleRate * FRAME_SECONDS));
+  const samples = new Int16Array(pcm.buffer, pcm.byteOffset, Math.floor(pcm.length / 2));
+  const duration = samples.length / sampleRate;
+
+  // RMS energy per frame
+  const energies: number[] = [];
+  for (let i = 0; i < samples.length; i += frameSize) {
+    let sum = 0;
+    const end = Math.min(i + frameSize, samples.length);
+    for (let j = i; j < end; j++) {
+      sum += samples[j] * samples[j];
+    }
+    energies.push(Math.sqrt(sum / (end - i)));
+  }
+
+  const peak = Math.max(...energies, 1);
+  const silenceThreshold = peak * 0.05;
+  const isSilent = (frame: number) => energies[frame] < silenceThreshold;
+
+  // Speech bounds (trim leading/trailing silence)
+  let firstVoiced = 0;
+  while (firstVoiced < energies.length - 1 && isSilent(firstVoiced)) {
+    firstVoiced++;
+  }
+  let lastVoiced = energies.length - 1;
+  while (lastVoiced > firstVoiced && isSilent(lastVoiced)) {
+    lastVoiced--;
+  }
+  const speechStart = firstVoiced * FRAME_SECONDS;
+  const speechEnd = Math.min(duration, (lastVoiced + 1) * FRAME_SECONDS);
+
+  // Pauses inside the speech
+  const pauses: { start: number; end: number; mid: number }[] = [];
+  let runStart = -1;
+  for (let frame = firstVoiced; frame <= lastVoiced; frame++) {
+    if (isSilent(frame)) {
+      if (runStart === -1) {
+        runStart = frame;
+      }
+    } else if (runStart !== -1) {
+      const start = runStart * FRAME_SECONDS;
+      const end = frame * FRAME_SECONDS;
+      if (end - start >= MIN_PAUSE_SECONDS) {
+        pauses.push({ start, end, mid: (start + end) / 2 });
+      }
+      runStart = -1;
+    }
+  }
+
+  // Proportional estimate by character count
+  const weights = segmentTexts.map(t => Math.max(1, t.replace(/\s/g, '').length));
+  const totalWeight = weights.reduce((a, b) => a + b, 0);
+  const speechDuration = speechEnd - speechStart;
+
+  const boundaries: number[] = [];
+  let cumulative = 0;
+  let searchFrom = 0;
+  for (let i = 0; i < weights.length - 1; i++) {
+    cumulative += weights[i];
+    const estimate = speechStart + (cumulative / totalWeight) * speechDuration;
+    const window = Math.max(1.5, (weights[i] / totalWeight) * speechDuration * 0.5);
+
+    // Snap to the closest unused pause within the window
+    let best = -1;
+    for (let p = searchFrom; p < pauses.length; p++) {
+      const distance = Math.abs(pauses[p].mid - estimate);
+      if (distance <= window && (best === -1 || distance < Math.abs(pauses[best].mid - estimate))) {
+        best = p;
+      }
+    }
+
+    if (best !== -1) {
+      boundaries.push(pauses[best].mid);
+      searchFrom = best + 1;
+    } else {
+      boundaries.push(Math.max(estimate, boundaries[boundaries.length - 1] ?? speechStart));
+    }
+  }
+
+  const round = (t: number) => Math.round(t * 1000) / 1000;
+  return segmentTexts.map((_, index) => ({
+    index,
+    start: round(index === 0 ? speechStart : boundaries[index - 1]),
+    end: round(index === segmentTexts.length - 1 ? speechEnd : boundaries[index]),
+  }));
+}
+
 /**
  * Create WAV header for PCM audio data
  */
@@ -424,6 +660,306 @@ function createWavHeader(pcmDataLength: number, sampleRate = 24000): ArrayBuffer
   return buffer;
 }
 
+/**
+ * Build the prompt for filling in missing furigana
+ * Each segment lists the kanji runs that no readings entry covers.
+ */
+function buildFuriganaRepairPrompt(
+  segments: { index: number; jp: string; missing: string[] }[]
+): string {
+  const list = segments
+    .map(
+      segment =>
+        `Segment ${segment.index}: ${segment.jp}\nKanji without readings: ${segment.missing.join(', ')}`
+    )
+    .join('\n\n');
+
+  return `
+Task: Add furigana readings for the kanji listed under each Japanese sentence below.
+
+${list}
+
+RULES:
+- Give one entry per listed word: {"text": "寿司屋", "reading": "すしや"}
+- "text" must appear exactly as written in the sentence (e.g. for 歩きました use {"text": "歩", "reading": "ある"})
+- "reading" must be in hiragana and match how the word is read in this sentence
+- Do not repeat words that are not listed
+- Use the segment numbers given above
+
+Return STRICT JSON ONLY (no markdown):
+
+{
+  "segments": [
+    { "index": <segment number>, "readings": [{ "text": "寿司屋", "reading": "すしや" }] }
+  ]
+}
+`;
+}
+
+/**
+ * Fill in the reading of tokens that have none, from a segment's readings array
+ * Mirrors applyReadingPatches in src/utils/furigana.js: the Reader shows token readings
+ * when a segment has tokens, so patching only the readings array would change nothing.
+ */
+function fillTokenReadings(segment: any): void {
+  if (!Array.isArray(segment.tokens)) {
+    return;
+  }
+  const kanji = /[\u4E00-\u9FFF\u3400-\u4DBF々〆ヶ]/;
+  // Longest entries first, so 寿司屋 wins over 寿司
+  const entries = (segment.readings || [])
+    .filter((r: any) => typeof r?.text === 'string' && r.text && typeof r?.reading === 'string')
+    .sort((a: any, b: any) => b.text.length - a.text.length);
+  for (const token of segment.tokens) {
+    if (token.reading || typeof token.surface !== 'string' || !kanji.test(token.surface)) {
+      continue;
+    }
+    let reading = token.surface;
+    for (const entry of entries) {
+      reading = reading.split(entry.text).join(entry.reading);
+    }
+    if (!kanji.test(reading)) {
+      token.reading = reading.replace(/[ァ-ヶ]/g, (char: string) =>
+        String.fromCharCode(char.charCodeAt(0) - 0x60)
+      );
+    }
+  }
+}
+
+/**
+ * Process furigana repair job
+ * Fills in readings missing from a story and patches the stored copy
+ */
+async function processFuriganaRepair(parameters: any, jobId: string): Promise<any> {
+  const { userId, storyId, segments, geminiApiKey } = parameters;
+
+  console.log(`[Job ${jobId}] Repairing furigana in ${segments.length} segments of ${storyId}`);
+
+  const genAI = new GoogleGenerativeAI(geminiApiKey);
+  const model = genAI.getGenerativeModel({
+    model: 'gemini-2.5-flash-lite',
+    systemInstruction:
+      'You are a professional Japanese language teacher who writes accurate furigana.',
+  });
+
+  const result = await model.generateContent(buildFuriganaRepairPrompt(segments));
+  const response = await result.response;
+  const jsonStr = response
+    .text()
+    .replace(/```json/g, '')
+    .replace(/```/g, '')
+    .trim();
+  const data = JSON.parse(jsonStr);
+
+  // Keep only entries that appear in the sentence and cover a missing kanji
+  const kanaOnly = /^[\u3040-\u309F\u30A0-\u30FFー]+$/;
+  const patches: { segmentIndex: number; readings: { text: string; reading: string }[] }[] = [];
+  for (const segment of segments) {
+    const returned = (data.segments || []).find((s: any) => s.index === segment.index);
+    const missingKanji = new Set(segment.missing.join(''));
+    const readings = (returned?.readings || []).filter(
+      (r: any) =>
+        typeof r?.text === 'string' &&
+        typeof r?.reading === 'string' &&
+        segment.jp.includes(r.text) &&
+        kanaOnly.test(r.reading) &&
+        Array.from(r.text).some(char => missingKanji.has(char))
+    );
+    if (readings.length > 0) {
+      patches.push({
+        segmentIndex: segment.index,
+        readings: readings.map((r: any) => ({ text: r.text, reading: r.reading })),
+      });
+    }
+  }
+
+  const added = patches.reduce((sum, patch) => sum + patch.readings.length, 0);
+  if (added === 0) {
+    throw new Error('No usable readings were generated');
+  }
+
+  // Patch the stored story (it may only exist locally if it hasn't been synced yet)
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+  const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+  const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+  const { data: row } = await supabase
+    .from('stories')
+    .select('content')
+    .eq('id', storyId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  let storyPatched = false;
+  if (row?.content?.content) {
+    const story = row.content;
+    for (const patch of patches) {
+      const segment = story.content[patch.segmentIndex];
+      if (!segment) {
+        continue;
+      }
+      segment.readings = segment.readings || [];
+      for (const entry of patch.readings) {
+        if (!segment.readings.some((r: any) => r.text === entry.text)) {
+          segment.readings.push(entry);
+        }
+      }
+      fillTokenReadings(segment);
+    }
+
+    const { error: updateError } = await supabase
+      .from('stories')
+      .update({ content: story })
+      .eq('id', storyId)
+      .eq('user_id', userId);
+
+    if (updateError) {
+      throw new Error(`Failed to update story: ${updateError.message}`);
+    }
+    storyPatched = true;
+  }
+
+  console.log(
+    `[Job ${jobId}] Added ${added} readings${storyPatched ? '' : ' (story not in cloud yet)'}`
+  );
+
+  // The client applies the same patches to its local copy
+  return { storyId, patches, added, storyPatched };
+}
+
+/**
+ * Build the prompt for annotating pasted text
+ * The segments are the reader's own sentences; the model must keep them as written.
+ */
+function buildTextAnnotationPrompt(segments: string[], level: string, title: string): string {
+  const list = segments.map((jp, index) => `Segment ${index}: ${jp}`).join('\n');
+
+  return `
+Task: Annotate the Japanese text below for a JLPT ${level} learner. The text is split into
+${segments.length} numbered segments. Return one content entry per segment, in the same order.
+
+${list}
+
+${title ? `The reader titled this text "${title}". Use it as titleJP if it is Japanese or as titleEN if it is English, and write the other.` : 'Suggest a short Japanese title (titleJP) and its English translation (titleEN).'}
+
+RULES:
+- "jp" must be copied EXACTLY from the segment: do not fix, shorten, merge or split the text
+- "readings": furigana for every word containing kanji, as {"text": "寿司屋", "reading": "すしや"}; "text" must appear exactly in "jp"; no entries for kana-only words
+- "en": an accurate, natural English translation of the segment
+- "imagePrompt": a short English description of a scene that illustrates the segment, anime illustration style with soft colors
+- "vocab": 0-3 words per segment a ${level} learner is likely not to know, each with word (exactly as in "jp"), reading and meaning
+- "grammar": 0-2 patterns a ${level} learner is studying, each with pattern (e.g. "〜てしまう"), explanation (1-2 short English sentences) and span (copied EXACTLY from "jp")
+- "tokens": split "jp" into words, in order, with nothing left out: joining every "surface" must give back "jp" EXACTLY; each has surface, reading (hiragana, only for words containing kanji), lemma and pos (noun, pronoun, verb, adjective, adverb, particle, auxiliary, conjunction, interjection, counter, suffix, expression, symbol, other)
+- "excerpt": a 2-3 sentence English summary of the whole text
+- "questions": 3 multiple-choice comprehension questions in English (1 factual recall, 1 inference, 1 vocabulary-in-context), 4 options each, "answer" as the index (0-3) of the correct option, and a brief explanation
+
+Return STRICT JSON ONLY (no markdown):
+
+{
+  "titleJP": "Japanese title",
+  "titleEN": "English title",
+  "excerpt": "English summary",
+  "content": [
+    {
+      "jp": "Segment text, unchanged",
+      "readings": [{"text": "日本語", "reading": "にほんご"}],
+      "en": "English translation",
+      "imagePrompt": "Scene description",
+      "vocab": [{"word": "日本語", "reading": "にほんご", "meaning": "Japanese language"}],
+      "grammar": [{"pattern": "〜てしまう", "explanation": "Short English explanation", "span": "Exact text from jp"}],
+      "tokens": [{"surface": "日本語", "reading": "にほんご", "lemma": "日本語", "pos": "noun"}]
+    }
+  ],
+  "questions": [
+    {
+      "question": "Question in English",
+      "options": ["Option A", "Option B", "Option C", "Option D"],
+      "answer": 0,
+      "explanation": "Brief explanation why this is correct"
+    }
+  ]
+}
+`;
+}
+
+/**
+ * Process text annotation job
+ * Turns the reader's pasted sentences into a story in the same shape as generated ones
+ */
+async function processTextAnnotation(parameters: any, jobId: string): Promise<any> {
+  const { segments, level, title = '', geminiApiKey } = parameters;
+
+  console.log(`[Job ${jobId}] Annotating ${segments.length} segments at ${level}`);
+
+  const genAI = new GoogleGenerativeAI(geminiApiKey);
+  const model = genAI.getGenerativeModel({
+    model: 'gemini-2.5-flash-lite',
+    systemInstruction:
+      'You are a professional Japanese language teacher who annotates authentic texts for learners.',
+  });
+
+  const result = await model.generateContent(buildTextAnnotationPrompt(segments, level, title));
+  const response = await result.response;
+  const jsonStr = response
+    .text()
+    .replace(/```json/g, '')
+    .replace(/```/g, '')
+    .trim();
+  const data = JSON.parse(jsonStr);
+
+  if (!Array.isArray(data.content) || data.content.length !== segments.length) {
+    throw new Error('Annotation does not match the pasted text');
+  }
+
+  // The reader's text is the source of truth: keep it even if the model edited it
+  const content = segments.map((jp: string, index: number) => {
+    const segment = data.content[index] || {};
+    if (typeof segment.en !== 'string' || !segment.en) {
+      throw new Error(`Segment ${index} has no translation`);
+    }
+    const annotated: any = {
+      jp,
+      readings: (Array.isArray(segment.readings) ? segment.readings : []).filter(
+        (r: any) =>
+          typeof r?.text === 'string' && typeof r?.reading === 'string' && jp.includes(r.text)
+      ),
+      en: segment.en,
+      imagePrompt: typeof segment.imagePrompt === 'string' ? segment.imagePrompt : '',
+      vocab: (Array.isArray(segment.vocab) ? segment.vocab : []).filter(
+        (v: any) => typeof v?.word === 'string' && typeof v?.meaning === 'string'
+      ),
+      grammar: segment.grammar,
+      tokens: segment.tokens,
+    };
+    cleanSegmentNotes(annotated);
+    return annotated;
+  });
+
+  const questions = (Array.isArray(data.questions) ? data.questions : []).filter(
+    (q: any) =>
+      typeof q?.question === 'string' &&
+      Array.isArray(q.options) &&
+      Number.isInteger(q.answer) &&
+      q.answer >= 0 &&
+      q.answer < q.options.length
+  );
+
+  // Estimate reading time at about 150 characters a minute, a typical learner's pace
+  const characters = Array.from(segments.join('')).length;
+
+  return {
+    id: `gen-${Date.now()}`,
+    titleJP: typeof data.titleJP === 'string' && data.titleJP ? data.titleJP : title || segments[0],
+    titleEN:
+      typeof data.titleEN === 'string' && data.titleEN ? data.titleEN : title || 'Pasted Text',
+    level,
+    readTime: Math.max(1, Math.round(characters / 150)),
+    excerpt: typeof data.excerpt === 'string' ? data.excerpt : '',
+    content,
+    questions,
+  };
+}
+
 /**
  * Process image generation job (placeholder for future implementation)
  */
@@ -438,6 +974,8 @@ const JOB_PROCESSORS: Record<string, (params: any, jobId: string) => Promise<any
   story_generation: (params, _jobId) => processStoryGeneration(params),
   audio_generation: processAudioGeneration,
   image_generation: processImageGeneration,
+  furigana_repair: processFuriganaRepair,
+  annotate_text: processTextAnnotation,
 };
 
 serve(async req => {
@@ -525,7 +1063,9 @@ serve(async req => {
     let result;
 
     try {
-      result = await processor(job.parameters, job.id);
+      // The job row's owner (set by job-creator from the auth token) wins over any
+      // client-supplied userId, so a job can only touch its own user's data
+      result = await processor({ ...job.parameters, userId: job.user_id }, job.id);
 
       // Mark as completed
       await supabase
@@ -0,0 +1,61 @@
+-- ============================================================================
+-- Vocabulary Review Deck
+-- ============================================================================
+-- Stores spaced-repetition flashcards saved from story vocabulary.
+-- Synced from the client by src/utils/storage.js (getDeck / saveDeckCard).
+--
+-- Author: Nihongo Monogatari
+-- Created: January 10, 2026
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS deck (
+  -- Card identity: "word|reading" (unique per user, not globally)
+  id TEXT NOT NULL,
+
+  -- User ownership (REQUIRED)
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- Full DeckCard object (word, reading, meaning, SM-2 scheduling state)
+  card JSONB NOT NULL,
+
+  -- Denormalized for "what is due" queries
+  due_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  -- Used for last-write-wins merging in syncAll()
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  PRIMARY KEY (user_id, id)
+);
+
+-- Query: Cards due for review
+CREATE INDEX IF NOT EXISTS idx_deck_user_due ON deck(user_id, due_at);
+
+-- ============================================================================
+-- ROW LEVEL SECURITY (RLS): Users can only access their own cards
+-- ============================================================================
+
+ALTER TABLE deck ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own deck"
+  ON deck
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own deck"
+  ON deck
+  FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own deck"
+  ON deck
+  FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own deck"
+  ON deck
+  FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- END OF MIGRATION
+-- ============================================================================
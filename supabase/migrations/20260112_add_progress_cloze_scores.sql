@@ -0,0 +1,17 @@
+-- ============================================================================
+-- Cloze Exercise Scores
+-- ============================================================================
+-- Adds per-story fill-in-the-blank results to the progress table.
+-- Written by saveProgress() / syncAll() in src/utils/storage.js as an array of
+-- { correct, total, takenAt } objects (oldest first).
+--
+-- Author: Nihongo Monogatari
+-- Created: January 12, 2026
+-- ============================================================================
+
+ALTER TABLE progress
+  ADD COLUMN IF NOT EXISTS cloze_scores JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- ============================================================================
+-- END OF MIGRATION
+-- ============================================================================
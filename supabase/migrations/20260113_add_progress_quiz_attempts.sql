@@ -0,0 +1,17 @@
+-- ============================================================================
+-- Comprehension Quiz Attempts
+-- ============================================================================
+-- Adds the history of comprehension quiz attempts to the progress table.
+-- Written by saveProgress() / syncAll() in src/utils/storage.js as an array of
+-- { correct, total, answers, takenAt } objects (oldest first).
+--
+-- Author: Nihongo Monogatari
+-- Created: January 13, 2026
+-- ============================================================================
+
+ALTER TABLE progress
+  ADD COLUMN IF NOT EXISTS quiz_attempts JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- ============================================================================
+-- END OF MIGRATION
+-- ============================================================================
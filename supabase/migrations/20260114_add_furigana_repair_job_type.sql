@@ -0,0 +1,20 @@
+-- ============================================================================
+-- Furigana Repair Jobs
+-- ============================================================================
+-- Allows the furigana_repair job type, which fills in readings missing from a
+-- stored story (see processFuriganaRepair in supabase/functions/job-worker).
+-- Parameters: { userId, storyId, segments: [{ index, jp, missing }], geminiApiKey }
+--
+-- Author: Nihongo Monogatari
+-- Created: January 14, 2026
+-- ============================================================================
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_job_type_check;
+
+ALTER TABLE jobs
+  ADD CONSTRAINT jobs_job_type_check
+  CHECK (job_type IN ('story_generation', 'audio_generation', 'image_generation', 'furigana_repair'));
+
+-- ============================================================================
+-- END OF MIGRATION
+-- ============================================================================
@@ -0,0 +1,69 @@
+-- ============================================================================
+-- Reading Sessions
+-- ============================================================================
+-- Logs each sitting in the Reader: active reading time (hidden tab and idle
+-- time excluded), characters read and characters per minute.
+-- Synced from the client by src/utils/storage.js (getReadingSessions /
+-- saveReadingSession) and charted per level on the Home page.
+--
+-- Author: Nihongo Monogatari
+-- Created: January 15, 2026
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS reading_sessions (
+  -- Session identity (generated on the client)
+  id TEXT NOT NULL,
+
+  -- User ownership (REQUIRED)
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- No foreign key: sessions are kept after their story is deleted
+  story_id TEXT NOT NULL,
+  level TEXT NOT NULL,
+
+  started_at TIMESTAMPTZ NOT NULL,
+  ended_at TIMESTAMPTZ NOT NULL,
+
+  -- Active reading time in milliseconds
+  active_ms INTEGER NOT NULL CHECK (active_ms >= 0),
+  chars_read INTEGER NOT NULL CHECK (chars_read >= 0),
+
+  -- Characters per minute over the active time
+  cpm INTEGER NOT NULL CHECK (cpm >= 0),
+
+  PRIMARY KEY (user_id, id)
+);
+
+-- Query: Speed trend per level
+CREATE INDEX IF NOT EXISTS idx_reading_sessions_user_level
+  ON reading_sessions(user_id, level, started_at);
+
+-- ============================================================================
+-- ROW LEVEL SECURITY (RLS): Users can only access their own sessions
+-- ============================================================================
+
+ALTER TABLE reading_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own reading sessions"
+  ON reading_sessions
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own reading sessions"
+  ON reading_sessions
+  FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own reading sessions"
+  ON reading_sessions
+  FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own reading sessions"
+  ON reading_sessions
+  FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- END OF MIGRATION
+-- ============================================================================
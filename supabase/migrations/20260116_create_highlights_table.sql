@@ -0,0 +1,62 @@
+-- ============================================================================
+-- Highlights and Notes
+-- ============================================================================
+-- Stores text highlighted in story segments, each with an optional note.
+-- Synced from the client by src/utils/storage.js (getHighlights /
+-- saveHighlight / removeHighlight) and listed on the "My notes" page.
+--
+-- Author: Nihongo Monogatari
+-- Created: January 16, 2026
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS highlights (
+  -- Highlight identity (generated on the client)
+  id TEXT NOT NULL,
+
+  -- User ownership (REQUIRED)
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  -- No foreign key: notes can be kept for stories that only exist locally
+  story_id TEXT NOT NULL,
+
+  -- Full Highlight object (segment index, offsets, text, note, timestamps)
+  highlight JSONB NOT NULL,
+
+  -- Used for last-write-wins merging in syncAll()
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  PRIMARY KEY (user_id, id)
+);
+
+-- Query: Highlights for one story
+CREATE INDEX IF NOT EXISTS idx_highlights_user_story ON highlights(user_id, story_id);
+
+-- ============================================================================
+-- ROW LEVEL SECURITY (RLS): Users can only access their own highlights
+-- ============================================================================
+
+ALTER TABLE highlights ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own highlights"
+  ON highlights
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own highlights"
+  ON highlights
+  FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own highlights"
+  ON highlights
+  FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own highlights"
+  ON highlights
+  FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- END OF MIGRATION
+-- ============================================================================
@@ -0,0 +1,18 @@
+-- ============================================================================
+-- Segment Reading Position
+-- ============================================================================
+-- Adds the last-viewed segment to the progress table, so the Reader can resume
+-- at the exact segment on any device (scroll_percent shifts whenever the font
+-- size, images or side-by-side layout change).
+-- Written by saveProgress() / syncAll() in src/utils/storage.js.
+--
+-- Author: Nihongo Monogatari
+-- Created: January 17, 2026
+-- ============================================================================
+
+ALTER TABLE progress
+  ADD COLUMN IF NOT EXISTS segment_index INTEGER NOT NULL DEFAULT 0;
+
+-- ============================================================================
+-- END OF MIGRATION
+-- ============================================================================
@@ -0,0 +1,18 @@
+-- ============================================================================
+-- Translation Reveal Counts
+-- ============================================================================
+-- Adds per-segment counts of translations revealed in the Reader's peek mode
+-- to the progress table, so learners can see how often they needed the English.
+-- Written by saveProgress() / syncAll() in src/utils/storage.js as an array of
+-- numbers indexed by segment.
+--
+-- Author: Nihongo Monogatari
+-- Created: January 18, 2026
+-- ============================================================================
+
+ALTER TABLE progress
+  ADD COLUMN IF NOT EXISTS reveal_counts JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- ============================================================================
+-- END OF MIGRATION
+-- ============================================================================
@@ -0,0 +1,21 @@
+-- ============================================================================
+-- Text Annotation Jobs
+-- ============================================================================
+-- Allows the annotate_text job type, which turns pasted Japanese text into a
+-- story with readings, translations, vocabulary and questions (see
+-- processTextAnnotation in supabase/functions/job-worker).
+-- Parameters: { segments: string[], level, title, geminiApiKey }
+--
+-- Author: Nihongo Monogatari
+-- Created: January 19, 2026
+-- ============================================================================
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_job_type_check;
+
+ALTER TABLE jobs
+  ADD CONSTRAINT jobs_job_type_check
+  CHECK (job_type IN ('story_generation', 'audio_generation', 'image_generation', 'furigana_repair', 'annotate_text'));
+
+-- ============================================================================
+-- END OF MIGRATION
+-- ============================================================================